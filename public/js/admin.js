@@ -10,16 +10,49 @@ const state = {
     bookings: {
         data: [],
         filter: 'all',
+        paymentFilter: 'all',
+        exportFormat: 'csv',
+        q: '',
+        from: '',
+        to: '',
+        page: 1,
+        limit: 25,
+        sort: 'eventDate',
+        order: 'desc',
+        total: 0,
+        pages: 1,
         loading: false,
         error: null
     },
     messages: {
         data: [],
         filter: 'all',
+        q: '',
+        from: '',
+        to: '',
+        page: 1,
+        limit: 25,
+        sort: 'date',
+        order: 'desc',
+        total: 0,
+        pages: 1,
         loading: false,
         error: null,
         unread: 0
     },
+    outbox: {
+        data: [],
+        filter: 'all',
+        loading: false,
+        error: null
+    },
+    quarantine: {
+        data: [],
+        loading: false,
+        error: null
+    },
+    // CSV text and column mapping between an import preview and its commit
+    pendingImport: null,
     sessionTimer: null,
     sessionWarningTimer: null,
     sessionTimerExpiresAt: null,
@@ -50,55 +83,42 @@ function safeGetElements(selector) {
 function renderBookingsData() {
     if (!elements.bookingsList || !state.bookings.data.length) return;
 
-    elements.bookingsList.innerHTML = state.bookings.data.map(booking => `
-        <tr class="booking-row ${booking.status}">
-            <td>${booking.id}</td>
-            <td>${booking.clientName}</td>
-            <td>${booking.clientEmail}</td>
-            <td>${new Date(booking.eventDate).toLocaleDateString()}</td>
-            <td>${booking.packageName}</td>
-            <td class="status-cell"><span class="status-badge ${booking.status}">${booking.status}</span></td>
-            <td class="actions-cell">
-                <button class="btn btn-view view" data-id="${booking.id}">
-                    <i class="fas fa-eye"></i> View
-                </button>
-                <button class="btn btn-export export" data-id="${booking.id}">
-                    <i class="fas fa-file-export"></i> Export
-                </button>
-            </td>
-        </tr>
-    `).join('');
+    elements.bookingsList.innerHTML = state.bookings.data.map(renderBookingRow).join('');
 
-    // Add event listeners to the action buttons
-    const viewButtons = elements.bookingsList.querySelectorAll('.btn-view');
-    const exportButtons = elements.bookingsList.querySelectorAll('.btn-export');
-    
-    viewButtons.forEach(button => {
-        button.addEventListener('click', handleBookingAction);
-    });
-    
-    exportButtons.forEach(button => {
-        button.addEventListener('click', handleBookingAction);
-    });
+    // Add event listeners to the view/export buttons
+    bindBookingRowActions(elements.bookingsList);
 }
 
 function renderMessagesData() {
     if (!elements.messagesList || !state.messages.data.length) return;
 
-    elements.messagesList.innerHTML = state.messages.data.map(message => `
-        <tr class="message-row ${message.read ? 'read' : 'unread'}">
-            <td>${message.id}</td>
-            <td>${message.name}</td>
-            <td>${message.email}</td>
-            <td>${message.subject}</td>
-            <td>${new Date(message.date).toLocaleDateString()}</td>
-            <td class="actions-cell">
-                <button class="btn btn-view view" data-id="${message.id}">
-                    <i class="fas fa-eye"></i> View
-                </button>
-            </td>
-        </tr>
-    `).join('');
+    elements.messagesList.innerHTML = state.messages.data.map(message => {
+        const status = messageStatus(message);
+        return `
+            <tr class="message-row ${message.read ? 'read' : 'unread'}${message.archived ? ' archived' : ''}">
+                <td>
+                    <div class="client-name">${escapeHtml(message.name)}</div>
+                    <small class="client-email">${escapeHtml(message.email)}</small>
+                </td>
+                <td>
+                    ${escapeHtml(message.subject)}
+                    ${message.thread && message.thread.length
+                        ? `<small class="thread-count" title="${message.thread.length} repl${message.thread.length === 1 ? 'y' : 'ies'}"><i class="fas fa-comments"></i> ${message.thread.length}</small>` : ''}
+                    ${message.bookingId ? '<small class="thread-count" title="Has a booking"><i class="fas fa-calendar-check"></i></small>' : ''}
+                </td>
+                <td>${new Date(message.date).toLocaleDateString()}</td>
+                <td><span class="status-badge ${status}">${formatStatus(status)}</span></td>
+                <td class="actions-cell">
+                    <div class="action-buttons">
+                        <button class="btn btn-view view" data-id="${message.id}">
+                            <i class="fas fa-eye"></i> View
+                        </button>
+                        ${renderMessageActionButton(message, message.archived ? 'unarchive' : 'archive')}
+                    </div>
+                </td>
+            </tr>
+        `;
+    }).join('');
 
     // Add event listeners to the view buttons
     const viewButtons = elements.messagesList.querySelectorAll('.btn-view');
@@ -106,12 +126,108 @@ function renderMessagesData() {
     viewButtons.forEach(button => {
         button.addEventListener('click', handleMessageAction);
     });
+}
+
+function renderOutboxData() {
+    if (!elements.outboxList || !state.outbox.data.length) return;
+
+    elements.outboxList.innerHTML = state.outbox.data.map(email => `
+        <tr>
+            <td>${escapeHtml(email.to)}</td>
+            <td>
+                ${escapeHtml(email.subject)}
+                <br><small>${escapeHtml(email.kind)}</small>
+            </td>
+            <td>${new Date(email.createdAt).toLocaleString()}</td>
+            <td>
+                ${renderEmailStatus(email.status)}
+                ${email.lastError ? `<br><small>${escapeHtml(email.lastError)}</small>` : ''}
+            </td>
+            <td class="actions-cell">
+                <div class="action-buttons">
+                    <button class="btn btn-view outbox-action-btn" data-action="view" data-id="${email.id}">
+                        <i class="fas fa-eye"></i> View
+                    </button>
+                    ${['sent', 'dead'].includes(email.status) ? `
+                    <button class="btn btn-secondary outbox-action-btn" data-action="resend" data-id="${email.id}">
+                        <i class="fas fa-redo"></i> Resend
+                    </button>` : ''}
+                </div>
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Emails that gave up are the ones that need someone to look at them
+function updateOutboxBadge(counts) {
+    if (elements.outboxFailedCount) {
+        elements.outboxFailedCount.textContent = counts.dead;
+        elements.outboxFailedCount.classList.toggle('hidden', !counts.dead);
+    }
+}
+
+function renderQuarantineData() {
+    if (!elements.quarantineList || !state.quarantine.data.length) return;
+
+    elements.quarantineList.innerHTML = state.quarantine.data.map(submission => `
+        <tr>
+            <td>
+                ${escapeHtml(submission.name || 'Unknown')}
+                <br><small>${escapeHtml(submission.email || '')}</small>
+            </td>
+            <td>${submission.kind === 'booking' ? 'Booking' : 'Contact'}</td>
+            <td>${new Date(submission.receivedAt).toLocaleString()}</td>
+            <td>${renderQuarantineReasons(submission.reasons)}</td>
+            <td class="actions-cell">
+                <div class="action-buttons">
+                    <button class="btn btn-view quarantine-action-btn" data-action="view" data-id="${submission.id}">
+                        <i class="fas fa-eye"></i> View
+                    </button>
+                    <button class="btn btn-secondary quarantine-action-btn" data-action="release" data-id="${submission.id}">
+                        <i class="fas fa-check"></i> Not Spam
+                    </button>
+                    <button class="btn btn-danger quarantine-action-btn" data-action="delete" data-id="${submission.id}">
+                        <i class="fas fa-trash"></i> Delete
+                    </button>
+                </div>
+            </td>
+        </tr>
+    `).join('');
+}
+
+function updateQuarantineBadge(total) {
+    if (elements.quarantineCount) {
+        elements.quarantineCount.textContent = total;
+        elements.quarantineCount.classList.toggle('hidden', !total);
+    }
+}
+
+function messageStatus(message) {
+    if (message.archived) return 'archived';
+    return message.read ? 'read' : 'unread';
+}
 
-    // Update unread count in state and UI
-    state.messages.unread = state.messages.data.filter(m => !m.read).length;
+// The unread count always comes from the server so it covers every message,
+// not just the ones in the current filter
+function updateUnreadBadge(count) {
+    state.messages.unread = count;
     if (elements.unreadCount) {
-        elements.unreadCount.textContent = state.messages.unread;
-        elements.unreadCount.style.display = state.messages.unread > 0 ? 'inline-block' : 'none';
+        elements.unreadCount.textContent = count;
+        elements.unreadCount.classList.toggle('hidden', !count);
+    }
+}
+
+async function refreshUnreadCount() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/messages/unread-count`, {
+            credentials: 'include'
+        });
+        if (!response.ok) throw new Error('Failed to load unread count');
+
+        const data = await response.json();
+        updateUnreadBadge(data.unreadCount);
+    } catch (error) {
+        console.error('Unread count error:', error);
     }
 }
 
@@ -134,15 +250,20 @@ async function initializeAdmin() {
             sectionContainers: {
                 bookings: safeGetElement('bookings-section'),
                 messages: safeGetElement('messages-section'),
+                outbox: safeGetElement('outbox-section'),
+                quarantine: safeGetElement('quarantine-section'),
             },
             bookingsList: safeGetElement('bookings-list'),
             bookingsEmpty: safeGetElement('bookings-empty'),
             bookingsError: safeGetElement('bookings-error'),
             bookingsCount: safeGetElement('bookings-count'),
             bookingFilter: safeGetElement('booking-filter'),
+            paymentFilter: safeGetElement('payment-filter'),
             refreshBookings: safeGetElement('refresh-bookings'),
             retryBookings: safeGetElement('retry-bookings'),
             exportBookings: safeGetElement('export-bookings'),
+            exportFormat: safeGetElement('export-format'),
+            bookingsPagination: safeGetElement('bookings-pagination'),
             messagesList: safeGetElement('messages-list'),
             messagesEmpty: safeGetElement('messages-empty'),
             messagesError: safeGetElement('messages-error'),
@@ -151,6 +272,20 @@ async function initializeAdmin() {
             refreshMessages: safeGetElement('refresh-messages'),
             retryMessages: safeGetElement('retry-messages'),
             unreadCount: safeGetElement('unread-count'),
+            messagesPagination: safeGetElement('messages-pagination'),
+            outboxList: safeGetElement('outbox-list'),
+            outboxEmpty: safeGetElement('outbox-empty'),
+            outboxError: safeGetElement('outbox-error'),
+            outboxFilter: safeGetElement('outbox-filter'),
+            outboxFailedCount: safeGetElement('outbox-failed-count'),
+            refreshOutbox: safeGetElement('refresh-outbox'),
+            retryOutbox: safeGetElement('retry-outbox'),
+            quarantineList: safeGetElement('quarantine-list'),
+            quarantineEmpty: safeGetElement('quarantine-empty'),
+            quarantineError: safeGetElement('quarantine-error'),
+            quarantineCount: safeGetElement('quarantine-count'),
+            refreshQuarantine: safeGetElement('refresh-quarantine'),
+            retryQuarantine: safeGetElement('retry-quarantine'),
             sessionTime: safeGetElement('session-time'),
             loadingOverlay: safeGetElement('loading-overlay'),
             notification: safeGetElement('system-notification'),
@@ -220,7 +355,26 @@ function showAdminPanel() {
     if (elements.adminHeader) {
         elements.adminHeader.classList.remove('hidden');
     }
-    showSection(state.currentSection);
+    if (!openDeepLink()) showSection(state.currentSection);
+    refreshUnreadCount();
+}
+
+// Staff alert emails link to admin.html#booking=<id> or #message=<id>;
+// opens that record (after login if needed) and clears the hash
+function openDeepLink() {
+    const match = window.location.hash.match(/^#(booking|message)=(.+)$/);
+    if (!match) return false;
+
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+    const id = decodeURIComponent(match[2]);
+    if (match[1] === 'booking') {
+        showSection('bookings');
+        viewBookingDetails(id);
+    } else {
+        showSection('messages');
+        viewMessageDetails(id);
+    }
+    return true;
 }
 
 function showLogin() {
@@ -441,14 +595,157 @@ async function getCSRFToken() {
     }
 }
 
+// Query params for the current booking filters, shared by the list and export
+function bookingFilterParams() {
+    const params = new URLSearchParams();
+    if (state.bookings.filter && state.bookings.filter !== 'all') {
+        params.set('status', state.bookings.filter);
+    }
+    if (state.bookings.paymentFilter && state.bookings.paymentFilter !== 'all') {
+        params.set('paymentStatus', state.bookings.paymentFilter);
+    }
+    ['from', 'to', 'q'].forEach(key => {
+        if (state.bookings[key]) params.set(key, state.bookings[key]);
+    });
+    return params;
+}
+
+function messageFilterParams() {
+    const params = new URLSearchParams({ filter: state.messages.filter || 'all' });
+    ['from', 'to', 'q'].forEach(key => {
+        if (state.messages[key]) params.set(key, state.messages[key]);
+    });
+    return params;
+}
+
+// ===== List Paging =====
+// The bookings and messages lists are paged, sorted and searched on the
+// server; state[section] holds the page shown and the paging the server
+// reported for it (total, pages).
+const PAGE_SIZES = [10, 25, 50, 100];
+const SEARCH_DELAY = 300;
+const searchTimers = {};
+// Latest load per section: a slower, older response (e.g. from an earlier
+// search keystroke) must not overwrite a newer one
+const sectionLoads = {};
+
+// Adds the section's page, page size and sort to its filter params
+function listPageParams(sectionId, params) {
+    const list = state[sectionId];
+    params.set('page', list.page);
+    params.set('limit', list.limit);
+    params.set('sort', list.sort);
+    params.set('order', list.order);
+    return params;
+}
+
+// Keeps the server's paging; true when the page asked for no longer exists
+// (the last row of the last page was deleted) and the list should reload
+function storePageInfo(sectionId, { total, page, pages }) {
+    const list = state[sectionId];
+    list.total = total;
+    list.pages = pages;
+    if (page <= pages) return false;
+    list.page = pages;
+    return true;
+}
+
+// Filter, search, sort and page-size changes start again from page one
+function reloadList(sectionId, changes = {}) {
+    Object.assign(state[sectionId], changes, { page: 1 });
+    loadSectionData(sectionId);
+}
+
+// Waits for a pause in typing before asking the server
+function searchList(sectionId, text) {
+    clearTimeout(searchTimers[sectionId]);
+    searchTimers[sectionId] = setTimeout(() => {
+        const q = text.trim();
+        if (q !== state[sectionId].q) reloadList(sectionId, { q });
+    }, SEARCH_DELAY);
+}
+
+// Same column again flips the order; a new column starts from its default
+function sortList(sectionId, header) {
+    const list = state[sectionId];
+    const order = header.dataset.sort === list.sort
+        ? (list.order === 'asc' ? 'desc' : 'asc')
+        : (header.dataset.order || 'asc');
+    reloadList(sectionId, { sort: header.dataset.sort, order });
+}
+
+function updateSortHeaders(sectionId) {
+    const list = state[sectionId];
+    document.querySelectorAll(`#${sectionId}-table th[data-sort]`).forEach(header => {
+        const active = header.dataset.sort === list.sort;
+        header.setAttribute('aria-sort', active ? (list.order === 'asc' ? 'ascending' : 'descending') : 'none');
+    });
+}
+
+// First, last and two pages either side of the current one; gaps as null
+function pageNumbers(page, pages) {
+    const numbers = [];
+    for (let number = 1; number <= pages; number += 1) {
+        if (number === 1 || number === pages || Math.abs(number - page) <= 2) {
+            numbers.push(number);
+        } else if (numbers[numbers.length - 1] !== null) {
+            numbers.push(null);
+        }
+    }
+    return numbers;
+}
+
+function renderPageButton(sectionId, page, label, { current = false, disabled = false, title = '' } = {}) {
+    return `
+        <button type="button" class="btn ${current ? 'btn-primary' : 'btn-secondary'} page-btn"
+            data-section="${sectionId}" data-page="${page}"
+            ${current ? 'aria-current="page"' : ''} ${disabled ? 'disabled' : ''} ${title ? `title="${title}" aria-label="${title}"` : ''}>
+            ${label}
+        </button>`;
+}
+
+function renderPagination(sectionId) {
+    const container = elements[`${sectionId}Pagination`];
+    if (!container) return;
+
+    const list = state[sectionId];
+    if (list.loading || list.error || !list.total) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const first = (list.page - 1) * list.limit + 1;
+    const last = Math.min(list.page * list.limit, list.total);
+    container.innerHTML = `
+        <span class="page-summary">${first}&ndash;${last} of ${list.total}</span>
+        <div class="page-buttons">
+            ${renderPageButton(sectionId, list.page - 1, '<i class="fas fa-chevron-left"></i>', { disabled: list.page <= 1, title: 'Previous page' })}
+            ${pageNumbers(list.page, list.pages).map(number => (number === null
+                ? '<span class="page-gap">&hellip;</span>'
+                : renderPageButton(sectionId, number, number, { current: number === list.page }))).join('')}
+            ${renderPageButton(sectionId, list.page + 1, '<i class="fas fa-chevron-right"></i>', { disabled: list.page >= list.pages, title: 'Next page' })}
+        </div>
+        <label class="page-size">
+            Per page
+            <select class="form-select page-size-select" data-section="${sectionId}">
+                ${PAGE_SIZES.map(size => `<option value="${size}" ${size === list.limit ? 'selected' : ''}>${size}</option>`).join('')}
+            </select>
+        </label>
+    `;
+}
+
 async function loadSectionData(sectionId) {
+    const load = sectionLoads[sectionId] = (sectionLoads[sectionId] || 0) + 1;
+    const isStale = () => sectionLoads[sectionId] !== load;
+
     try {
         state[sectionId].loading = true;
         state[sectionId].error = null;
         updateSectionUI(sectionId);
 
         if (sectionId === 'bookings') {
-            const response = await fetch(`${API_BASE_URL}/bookings`, {
+            const params = listPageParams('bookings', bookingFilterParams());
+            const response = await fetch(`${API_BASE_URL}/bookings?${params}`, {
                 credentials: 'include',
                 headers: {
                     'x-csrf-token': csrfToken
@@ -458,11 +755,14 @@ async function loadSectionData(sectionId) {
             if (!response.ok) throw new Error('Failed to load bookings');
 
             const data = await response.json();
-            state.bookings.data = data;
+            if (isStale()) return;
+            state.bookings.data = data.bookings;
+            if (storePageInfo('bookings', data)) return loadSectionData('bookings');
         }
 
         if (sectionId === 'messages') {
-            const response = await fetch(`${API_BASE_URL}/messages`, {
+            const params = listPageParams('messages', messageFilterParams());
+            const response = await fetch(`${API_BASE_URL}/messages?${params}`, {
                 credentials: 'include',
                 headers: {
                     'x-csrf-token': csrfToken
@@ -472,16 +772,37 @@ async function loadSectionData(sectionId) {
             if (!response.ok) throw new Error('Failed to load messages');
 
             const data = await response.json();
-            state.messages.data = data;
+            if (isStale()) return;
+            state.messages.data = data.messages;
+            updateUnreadBadge(data.unreadCount);
+            if (storePageInfo('messages', data)) return loadSectionData('messages');
+        }
+
+        if (sectionId === 'outbox') {
+            const { emails, counts } = await adminRequest(`/emails?status=${encodeURIComponent(state.outbox.filter)}`);
+            if (isStale()) return;
+            state.outbox.data = emails;
+            updateOutboxBadge(counts);
+        }
+
+        if (sectionId === 'quarantine') {
+            const { submissions, total } = await adminRequest('/quarantine');
+            if (isStale()) return;
+            state.quarantine.data = submissions;
+            updateQuarantineBadge(total);
         }
 
     } catch (error) {
+        if (isStale()) return;
         console.error(`Error loading ${sectionId}:`, error);
         state[sectionId].error = error.message;
         showNotification(`Failed to load ${sectionId}`, 'error');
     } finally {
-        state[sectionId].loading = false;
-        updateSectionUI(sectionId);
+        // A newer load owns the spinner and the render
+        if (!isStale()) {
+            state[sectionId].loading = false;
+            updateSectionUI(sectionId);
+        }
     }
 }
 
@@ -493,6 +814,11 @@ function updateSectionUI(sectionId) {
 
     if (!container) return;
 
+    if (sectionId === 'bookings' || sectionId === 'messages') {
+        renderPagination(sectionId);
+        updateSortHeaders(sectionId);
+    }
+
     container.innerHTML = '';
     container.classList.add('hidden');
     
@@ -501,7 +827,7 @@ function updateSectionUI(sectionId) {
 
     if (section.loading) {
         // Different column count for different sections
-        const colCount = sectionId === 'bookings' ? 7 : 6;
+        const colCount = sectionId === 'bookings' ? 7 : 5;
         container.innerHTML = `
             <tr class="loading-row">
                 <td colspan="${colCount}">
@@ -522,6 +848,10 @@ function updateSectionUI(sectionId) {
             renderBookingsData();
         } else if (sectionId === 'messages') {
             renderMessagesData();
+        } else if (sectionId === 'outbox') {
+            renderOutboxData();
+        } else if (sectionId === 'quarantine') {
+            renderQuarantineData();
         }
     }
 }
@@ -614,87 +944,60 @@ async function viewBookingDetails(bookingId) {
 }
 
 // ===== Booking Row Rendering =====
+// Bookings made since the package catalog carry the name/price they were quoted
+function formatPackage(booking) {
+    const name = booking.packageName || booking.package;
+    if (booking.packagePrice === null || booking.packagePrice === undefined) return name;
+    return `${name} ($${Number(booking.packagePrice).toLocaleString()})`;
+}
+
+function formatStatus(status) {
+    return status.charAt(0).toUpperCase() + status.slice(1);
+}
+
 function renderBookingRow(booking) {
     const statusClass = booking.status.toLowerCase();
-    let actionButtons = '';
-    
-    // Add action buttons based on status
-    if (booking.status === 'pending') {
-        actionButtons = `
-            <div class="action-buttons">
-                <button onclick="confirmBooking('${booking.id}')" class="btn btn-primary" title="Confirm Booking">
-                    <i class="fas fa-check"></i> Confirm
-                </button>
-                <button onclick="handleCancelBooking('${booking.id}')" class="btn btn-cancel" title="Cancel Booking">
-                    <i class="fas fa-ban"></i> Cancel
-                </button>
-                <button onclick="viewBookingDetails('${booking.id}')" class="btn btn-secondary view" data-id="${booking.id}" title="View Details">
-                    <i class="fas fa-eye"></i> View
-                </button>
-                <button onclick="exportBooking('${booking.id}')" class="btn btn-info export" data-id="${booking.id}" title="Export Booking">
-                    <i class="fas fa-download"></i> Export
-                </button>
-            </div>
-        `;
-    } else if (booking.status === 'confirmed') {
-        actionButtons = `
-            <div class="action-buttons">
-                <button onclick="handleCancelBooking('${booking.id}')" class="btn btn-cancel" title="Cancel Booking">
-                    <i class="fas fa-ban"></i> Cancel
-                </button>
-                <button onclick="viewBookingDetails('${booking.id}')" class="btn btn-secondary view" data-id="${booking.id}" title="View Details">
-                    <i class="fas fa-eye"></i> View
-                </button>
-                <button onclick="exportBooking('${booking.id}')" class="btn btn-info export" data-id="${booking.id}" title="Export Booking">
-                    <i class="fas fa-download"></i> Export
-                </button>
-            </div>
-        `;
-    } else if (booking.status === 'cancelled') {
-        actionButtons = `
-            <div class="action-buttons">
-                <button onclick="handleRestoreBooking('${booking.id}')" class="btn btn-success" title="Restore Booking">
-                    <i class="fas fa-undo"></i> Restore
-                </button>
-                <button onclick="viewBookingDetails('${booking.id}')" class="btn btn-secondary view" data-id="${booking.id}" title="View Details">
-                    <i class="fas fa-eye"></i> View
-                </button>
-                <button onclick="exportBooking('${booking.id}')" class="btn btn-info export" data-id="${booking.id}" title="Export Booking">
-                    <i class="fas fa-download"></i> Export
-                </button>
-            </div>
-        `;
-    } else {
-        // For other statuses, only show view and export
-        actionButtons = `
-            <div class="action-buttons">
-                <button onclick="viewBookingDetails('${booking.id}')" class="btn btn-secondary view" data-id="${booking.id}" title="View Details">
-                    <i class="fas fa-eye"></i> View
-                </button>
-                <button onclick="exportBooking('${booking.id}')" class="btn btn-info export" data-id="${booking.id}" title="Export Booking">
-                    <i class="fas fa-download"></i> Export
-                </button>
-            </div>
-        `;
-    }
-    
+
+    // Lifecycle buttons come from the server's allowedActions for this status
     return `
-        <tr class="booking-row" data-booking-id="${booking.id}">
-            <td class="client-name">${escapeHtml(booking.clientName)}</td>
-            <td class="client-email">${escapeHtml(booking.clientEmail)}</td>
+        <tr class="booking-row ${statusClass}" data-booking-id="${booking.id}">
+            <td class="client">
+                <div class="client-name">${escapeHtml(booking.clientName)}</div>
+                <small class="client-email">${escapeHtml(booking.clientEmail)}</small>
+            </td>
             <td class="event-type">${escapeHtml(booking.eventType)}</td>
-            <td class="event-date">${new Date(booking.eventDate).toLocaleDateString()}</td>
-            <td class="package">${escapeHtml(booking.package)}</td>
+            <td class="event-date">
+                ${new Date(booking.eventDate).toLocaleDateString()}
+                ${(booking.availabilityWarnings || []).length ? '<i class="fas fa-exclamation-triangle availability-warning" title="Overlaps another booking"></i>' : ''}
+            </td>
+            <td class="package">${escapeHtml(formatPackage(booking))}</td>
             <td class="status">
                 <span class="status-badge ${statusClass}">
-                    ${booking.status.charAt(0).toUpperCase() + booking.status.slice(1)}
+                    ${formatStatus(booking.status)}
                 </span>
             </td>
-            <td class="actions">${actionButtons}</td>
+            <td class="invoice">${renderInvoiceCell(booking)}</td>
+            <td class="actions">
+                <div class="action-buttons">
+                    ${renderBookingActionButtons(booking)}
+                    <button type="button" class="btn btn-secondary btn-view view" data-id="${booking.id}" title="View Details">
+                        <i class="fas fa-eye"></i> View
+                    </button>
+                    <button type="button" class="btn btn-info btn-export export" data-id="${booking.id}" title="Export Booking">
+                        <i class="fas fa-download"></i> Export
+                    </button>
+                </div>
+            </td>
         </tr>
     `;
 }
 
+function bindBookingRowActions(container) {
+    container.querySelectorAll('.btn-view, .btn-export').forEach(button => {
+        button.addEventListener('click', handleBookingAction);
+    });
+}
+
 // Helper function to escape HTML to prevent XSS
 function escapeHtml(text) {
     if (!text) return '';
@@ -724,6 +1027,7 @@ function renderBookingsList(bookings) {
     }
     
     tbody.innerHTML = bookings.map(booking => renderBookingRow(booking)).join('');
+    bindBookingRowActions(tbody);
 }
 
 // ===== Load Bookings Function =====
@@ -747,7 +1051,7 @@ async function loadBookings(filter = 'all') {
             throw new Error('Failed to load bookings');
         }
         
-        const bookings = await response.json();
+        const { bookings } = await response.json();
         
         // Update state
         if (typeof state !== 'undefined') {
@@ -778,6 +1082,9 @@ function updateBookingCounts(bookings) {
         all: bookings.length,
         pending: bookings.filter(b => b.status === 'pending').length,
         confirmed: bookings.filter(b => b.status === 'confirmed').length,
+        rescheduled: bookings.filter(b => b.status === 'rescheduled').length,
+        completed: bookings.filter(b => b.status === 'completed').length,
+        'no-show': bookings.filter(b => b.status === 'no-show').length,
         cancelled: bookings.filter(b => b.status === 'cancelled').length
     };
     
@@ -790,159 +1097,171 @@ function updateBookingCounts(bookings) {
     });
 }
 
-async function confirmBooking(bookingId) {
+// ===== Booking Lifecycle Actions =====
+// Display settings for the actions listed in `booking.allowedActions`.
+// The server owns the state machine; this only decides how each action looks.
+const BOOKING_ACTIONS = {
+    confirm: {
+        label: 'Confirm',
+        icon: 'fa-check',
+        className: 'btn-primary',
+        confirmText: 'Are you sure you want to confirm this booking?',
+        successText: 'Booking confirmed successfully'
+    },
+    complete: {
+        label: 'Complete',
+        icon: 'fa-flag-checkered',
+        className: 'btn-success',
+        confirmText: 'Mark this booking as completed?',
+        successText: 'Booking marked as completed'
+    },
+    reschedule: {
+        label: 'Reschedule',
+        icon: 'fa-calendar-alt',
+        className: 'btn-secondary',
+        successText: 'Booking rescheduled'
+    },
+    'no-show': {
+        label: 'No-show',
+        icon: 'fa-user-slash',
+        className: 'btn-warning',
+        confirmText: 'Mark this client as a no-show?',
+        askReason: true,
+        successText: 'Booking marked as no-show'
+    },
+    cancel: {
+        label: 'Cancel',
+        icon: 'fa-ban',
+        className: 'btn-cancel',
+        confirmText: 'Are you sure you want to cancel this booking?',
+        askReason: true,
+        successText: 'Booking cancelled successfully'
+    },
+    restore: {
+        label: 'Restore',
+        icon: 'fa-undo',
+        className: 'btn-success',
+        confirmText: 'Are you sure you want to restore this cancelled booking?',
+        successText: 'Booking restored successfully'
+    }
+};
+
+function renderBookingActionButtons(booking) {
+    return (booking.allowedActions || [])
+        .filter(action => BOOKING_ACTIONS[action])
+        .map(action => {
+            const config = BOOKING_ACTIONS[action];
+            return `
+                <button type="button" class="btn ${config.className} booking-action-btn" data-action="${action}" data-id="${booking.id}" title="${config.label} Booking">
+                    <i class="fas ${config.icon}"></i> ${config.label}
+                </button>
+            `;
+        })
+        .join('');
+}
+
+async function runBookingAction(bookingId, action, payload = {}) {
+    const config = BOOKING_ACTIONS[action];
+
     try {
         setLoading(true);
-        const response = await fetch(`${API_BASE_URL}/bookings/${bookingId}/confirm`, {
+        const response = await fetch(`${API_BASE_URL}/bookings/${bookingId}/${action}`, {
             method: 'POST',
             credentials: 'include',
             headers: {
+                'Content-Type': 'application/json',
                 'x-csrf-token': csrfToken
-            }
+            },
+            body: JSON.stringify(payload)
         });
 
+        const data = await response.json();
+        if (data.csrfToken) csrfToken = data.csrfToken;
+
+        // The availability engine found an overlap; let the admin decide
+        if (response.status === 409 && data.requiresOverride) {
+            if (confirm(`${data.error}.\n\n${config.label} anyway?`)) {
+                setLoading(false);
+                return runBookingAction(bookingId, action, { ...payload, force: true });
+            }
+            return null;
+        }
+
         if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.message || 'Failed to confirm booking');
+            throw new Error(data.error || `Failed to ${action} booking`);
         }
 
-        const booking = await response.json();
-        
         // Close any open modals
         document.querySelectorAll('.modal-overlay').forEach(modal => modal.remove());
-        
+
         // Refresh the bookings list
         await loadSectionData('bookings');
-        
-        showNotification('Booking confirmed successfully', 'success');
+
+        showNotification(config.successText, 'success');
+        return data;
     } catch (error) {
-        console.error('Confirm booking error:', error);
-        showNotification(`Error confirming booking: ${error.message}`, 'error');
+        console.error(`${action} booking error:`, error);
+        showNotification(`Failed to ${config.label.toLowerCase()} booking: ${error.message}`, 'error');
+        return null;
     } finally {
         setLoading(false);
     }
 }
 
-// Cancel booking function
-async function cancelBooking(bookingId, reason = '') {
-    try {
-        // Show loading state
-        const cancelBtn = document.getElementById('cancel-booking-btn');
-        const originalText = cancelBtn.innerHTML;
-        cancelBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Cancelling...';
-        cancelBtn.disabled = true;
-
-        // Get CSRF token
-        const csrfResponse = await fetch('/api/admin/csrf-token', {
-            credentials: 'include'
-        });
-        const { token } = await csrfResponse.json();
-        
-        // Make the cancel request
-        const response = await fetch(`/api/admin/bookings/${bookingId}/cancel`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-CSRF-Token': token
-            },
-            credentials: 'include',
-            body: JSON.stringify({ reason })
-        });
-        
-        const data = await response.json();
-        
-        if (!response.ok) {
-            throw new Error(data.error || 'Failed to cancel booking');
-        }
-        
-        // Show success message
-        showNotification('Booking cancelled successfully', 'success');
-        
-        // Close modal and refresh bookings
-        closeModal();
-        await loadBookings();
-        
-    } catch (error) {
-        console.error('Cancel booking error:', error);
-        showNotification('Failed to cancel booking: ' + error.message, 'error');
-    } finally {
-        // Reset button state
-        const cancelBtn = document.getElementById('cancel-booking-btn');
-        cancelBtn.innerHTML = '<i class="fas fa-ban"></i> Cancel Booking';
-        cancelBtn.disabled = false;
-    }
+function confirmBooking(bookingId) {
+    return runBookingAction(bookingId, 'confirm');
 }
 
-// Restore booking function (for cancelled bookings)
-async function restoreBooking(bookingId) {
-    try {
-        // Show loading state
-        const restoreBtn = document.getElementById('restore-booking-btn');
-        const originalText = restoreBtn.innerHTML;
-        restoreBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Restoring...';
-        restoreBtn.disabled = true;
-
-        // Get CSRF token
-        const csrfResponse = await fetch('/api/admin/csrf-token', {
-            credentials: 'include'
-        });
-        const { token } = await csrfResponse.json();
-        
-        // Make the restore request
-        const response = await fetch(`/api/admin/bookings/${bookingId}/restore`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-CSRF-Token': token
-            },
-            credentials: 'include'
-        });
-        
-        const data = await response.json();
-        
-        if (!response.ok) {
-            throw new Error(data.error || 'Failed to restore booking');
-        }
-        
-        // Show success message
-        showNotification('Booking restored successfully', 'success');
-        
-        // Close modal and refresh bookings
-        closeModal();
-        await loadBookings();
-        
-    } catch (error) {
-        console.error('Restore booking error:', error);
-        showNotification('Failed to restore booking: ' + error.message, 'error');
-    } finally {
-        // Reset button state
-        const restoreBtn = document.getElementById('restore-booking-btn');
-        restoreBtn.innerHTML = '<i class="fas fa-undo"></i> Restore Booking';
-        restoreBtn.disabled = false;
+function cancelBooking(bookingId, reason = '') {
+    return runBookingAction(bookingId, 'cancel', { reason: reason || '' });
+}
+
+function restoreBooking(bookingId) {
+    return runBookingAction(bookingId, 'restore');
+}
+
+function rescheduleBooking(bookingId, { date, startTime, endTime, reason }) {
+    return runBookingAction(bookingId, 'reschedule', { date, startTime, endTime, reason });
+}
+
+// Ask for whatever the action needs, then send it
+function handleBookingLifecycleAction(bookingId, action) {
+    const config = BOOKING_ACTIONS[action];
+    if (!config) return;
+
+    if (action === 'reschedule') {
+        handleRescheduleBooking(bookingId);
+        return;
     }
+
+    if (config.confirmText && !confirm(config.confirmText)) return;
+
+    const reason = config.askReason
+        ? prompt(`Please provide a reason for this ${config.label.toLowerCase()} (optional):`)
+        : '';
+
+    runBookingAction(bookingId, action, { reason: reason || '' });
 }
 
 // Handle cancel booking with confirmation
 function handleCancelBooking(bookingId) {
-    // Show confirmation dialog
-    const confirmCancel = confirm('Are you sure you want to cancel this booking?');
-    if (!confirmCancel) return;
-    
-    // Ask for cancellation reason
-    const reason = prompt('Please provide a reason for cancellation (optional):');
-    
-    // Call the cancel function
-    cancelBooking(bookingId, reason);
+    handleBookingLifecycleAction(bookingId, 'cancel');
 }
 
 // Handle restore booking with confirmation
 function handleRestoreBooking(bookingId) {
-    // Show confirmation dialog
-    const confirmRestore = confirm('Are you sure you want to restore this cancelled booking?');
-    if (!confirmRestore) return;
-    
-    // Call the restore function
-    restoreBooking(bookingId);
+    handleBookingLifecycleAction(bookingId, 'restore');
+}
+
+function handleRescheduleBooking(bookingId) {
+    const date = prompt('New event date (YYYY-MM-DD):');
+    if (!date) return;
+
+    const startTime = prompt('New start time (e.g. 2:00 PM). Leave blank to keep the current time:') || '';
+    const endTime = startTime ? (prompt('New end time (e.g. 5:00 PM):') || '') : '';
+    const reason = prompt('Reason for rescheduling (optional):') || '';
+
+    rescheduleBooking(bookingId, { date, startTime, endTime, reason });
 }
 
 // Add event listeners for modal buttons (add this to your existing DOMContentLoaded event)
@@ -1047,33 +1366,6 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     });
 
-    // Search functionality
-    const bookingSearch = document.getElementById('booking-search');
-    if (bookingSearch) {
-        bookingSearch.addEventListener('input', function() {
-            const searchTerm = this.value.toLowerCase();
-            const bookingRows = document.querySelectorAll('.booking-row');
-            
-            bookingRows.forEach(row => {
-                const text = row.textContent.toLowerCase();
-                row.style.display = text.includes(searchTerm) ? '' : 'none';
-            });
-        });
-    }
-
-    const messageSearch = document.getElementById('message-search');
-    if (messageSearch) {
-        messageSearch.addEventListener('input', function() {
-            const searchTerm = this.value.toLowerCase();
-            const messageRows = document.querySelectorAll('.message-row');
-            
-            messageRows.forEach(row => {
-                const text = row.textContent.toLowerCase();
-                row.style.display = text.includes(searchTerm) ? '' : 'none';
-            });
-        });
-    }
-
     // Bulk actions
     const selectAllBookings = document.getElementById('select-all-bookings');
     if (selectAllBookings) {
@@ -1118,7 +1410,7 @@ document.addEventListener('DOMContentLoaded', function() {
         // Alt + 1, 2, etc. to switch sections
         if (e.altKey && e.key >= '1' && e.key <= '9') {
             e.preventDefault();
-            const sections = ['bookings', 'messages'];
+            const sections = ['bookings', 'messages', 'outbox', 'quarantine'];
             const index = parseInt(e.key) - 1;
             if (sections[index]) {
                 showSection(sections[index]);
@@ -1129,135 +1421,1171 @@ document.addEventListener('DOMContentLoaded', function() {
 
 
 function showBookingModal(booking) {
-    console.log('Booking object:', booking);
-    console.log('Booking status:', booking.status);
+    const history = (booking.statusHistory || []).slice().reverse().map(entry => `
+        <li>
+            <span class="status-badge ${entry.to}">${formatStatus(entry.to)}</span>
+            ${new Date(entry.at).toLocaleString()} by ${escapeHtml(entry.actor)}
+            ${entry.reason ? `<br><small>${escapeHtml(entry.reason)}</small>` : ''}
+        </li>
+    `).join('');
+
+    const warnings = (booking.availabilityWarnings || []).map(warning => `
+        <li>
+            ${warning.reason === 'daily-limit'
+                ? 'Daily shoot limit reached'
+                : `Overlaps a ${escapeHtml(warning.status)} booking (${escapeHtml(warning.window.start)} - ${escapeHtml(warning.window.end)} incl. buffer)`}
+        </li>
+    `).join('');
+
     const content = `
+        ${warnings ? `
+        <div class="availability-alert">
+            <i class="fas fa-exclamation-triangle"></i> Scheduling overlap
+            <ul>${warnings}</ul>
+        </div>` : ''}
         <div class="modal-row">
             <span class="modal-label">Client:</span>
-            <span>${booking.clientName}</span>
+            <span>${escapeHtml(booking.clientName)}</span>
         </div>
         <div class="modal-row">
             <span class="modal-label">Email:</span>
-            <span>${booking.clientEmail}</span>
+            <span>${escapeHtml(booking.clientEmail)}</span>
         </div>
         <div class="modal-row">
             <span class="modal-label">Phone:</span>
-            <span>${booking.clientPhone}</span>
+            <span>${escapeHtml(booking.clientPhone)}</span>
         </div>
         <div class="modal-row">
             <span class="modal-label">Event Type:</span>
-            <span>${booking.eventType}</span>
+            <span>${escapeHtml(booking.eventType)}</span>
         </div>
         <div class="modal-row">
             <span class="modal-label">Event Date:</span>
             <span>${new Date(booking.eventDate).toLocaleDateString()}</span>
         </div>
+        ${booking.startTime ? `
+        <div class="modal-row">
+            <span class="modal-label">Time:</span>
+            <span>${escapeHtml(booking.startTime)}${booking.endTime ? ` - ${escapeHtml(booking.endTime)}` : ''}</span>
+        </div>` : ''}
+        ${booking.location ? `
+        <div class="modal-row">
+            <span class="modal-label">Location:</span>
+            <span>${escapeHtml(booking.location)}</span>
+        </div>` : ''}
         <div class="modal-row">
             <span class="modal-label">Package:</span>
-            <span>${booking.package}</span>
+            <span>${escapeHtml(formatPackage(booking))}</span>
         </div>
+        <div class="modal-row">
+            <span class="modal-label">Photographer:</span>
+            <form class="assign-form" data-id="${booking.id}">
+                <input type="text" name="photographer" maxlength="80" value="${escapeHtml(booking.photographer || '')}" placeholder="Unassigned" aria-label="Photographer">
+                <button type="button" class="btn btn-secondary assign-photographer-btn" data-id="${booking.id}">
+                    <i class="fas fa-user-check"></i> Assign
+                </button>
+            </form>
+        </div>
+        ${booking.quote ? `
+        <div class="modal-row">
+            <span class="modal-label">Quoted Total:</span>
+            <span title="${escapeHtml(booking.quote.lines.map(item => `${item.label}: $${item.amount}`).join('\n'))}">
+                $${Number(booking.quote.total).toLocaleString(undefined, { minimumFractionDigits: 2 })}
+                ${booking.addOns && booking.addOns.length ? `(add-ons: ${escapeHtml(booking.addOns.join(', '))})` : ''}
+            </span>
+        </div>` : ''}
         <div class="modal-row">
             <span class="modal-label">Status:</span>
             <span class="status-badge ${booking.status}">
-                ${booking.status.charAt(0).toUpperCase() + booking.status.slice(1)}
+                ${formatStatus(booking.status)}
             </span>
         </div>
         <div class="modal-row full-width">
             <span class="modal-label">Additional Notes:</span>
             <div class="message-content">
-                <p>${booking.additionalNotes || 'No additional notes'}</p>
+                <p>${escapeHtml(booking.additionalNotes) || 'No additional notes'}</p>
             </div>
         </div>
+        ${booking.sourceMessage ? `
+        <div class="modal-row full-width">
+            <span class="modal-label">Source Message:</span>
+            <div class="message-content source-message">
+                <strong>${escapeHtml(booking.sourceMessage.subject)}</strong>
+                from ${escapeHtml(booking.sourceMessage.name)}, ${new Date(booking.sourceMessage.date).toLocaleDateString()}
+                <p>${escapeHtml(booking.sourceMessage.message)}</p>
+                <button type="button" class="btn btn-secondary open-message-btn" data-id="${booking.sourceMessage.id}">
+                    <i class="fas fa-envelope-open-text"></i> Open Message
+                </button>
+            </div>
+        </div>` : ''}
+        ${renderInvoiceSection(booking)}
+        <div class="modal-row full-width">
+            <span class="modal-label">Scheduled Emails:</span>
+            <ul class="booking-emails" id="booking-emails-${booking.id}">
+                <li><i class="fas fa-spinner fa-spin"></i> Loading...</li>
+            </ul>
+        </div>
+        ${history ? `
+        <div class="modal-row full-width">
+            <span class="modal-label">Status History:</span>
+            <ul class="status-history">${history}</ul>
+        </div>` : ''}
     `;
     
-    // Create footer based on booking status
-    let footer;
-    if (booking.status === 'pending') {
-        footer = `
-            <button type="button" class="btn btn-secondary close-modal-btn">
-                <i class="fas fa-times"></i> Close
+    // Footer only offers the actions that are legal for the current status
+    const footer = `
+        <button type="button" class="btn btn-secondary close-modal-btn">
+            <i class="fas fa-times"></i> Close
+        </button>
+        <a class="btn btn-info" href="${API_BASE_URL}/bookings/${booking.id}/pdf?type=confirmation">
+            <i class="fas fa-file-pdf"></i> Confirmation PDF
+        </a>
+        ${booking.invoice ? `
+        <a class="btn btn-info" href="${API_BASE_URL}/bookings/${booking.id}/pdf?type=invoice">
+            <i class="fas fa-file-invoice"></i> Invoice PDF
+        </a>` : ''}
+        ${renderBookingActionButtons(booking)}
+    `;
+    
+    createModal({
+        title: 'Booking Details',
+        content: content,
+        footer: footer
+    });
+    loadBookingEmails(booking.id);
+}
+
+// ===== Scheduled Emails =====
+const EMAIL_JOB_STATUS_LABELS = {
+    scheduled: 'Scheduled',
+    cancelled: 'Cancelled'
+};
+
+// Outbox delivery states; a sent job shows how its email fared
+const EMAIL_DELIVERY_LABELS = {
+    queued: 'Queued',
+    sending: 'Sending',
+    sent: 'Sent',
+    retrying: 'Retrying',
+    dead: 'Failed'
+};
+
+function renderEmailStatus(status) {
+    return `<span class="status-badge email-${status}">${EMAIL_DELIVERY_LABELS[status] || EMAIL_JOB_STATUS_LABELS[status]}</span>`;
+}
+
+function renderBookingEmail(email) {
+    const when = email.status === 'sent' ? email.sentAt : email.runAt;
+    const delivery = email.delivery;
+    return `
+        <li>
+            ${renderEmailStatus(delivery ? delivery.status : email.status)}
+            ${escapeHtml(email.label)}
+            ${email.status !== 'cancelled' ? `&mdash; ${new Date(when).toLocaleString()}` : ''}
+            ${delivery && delivery.lastError
+                ? `<br><small>${escapeHtml(delivery.lastError)} (${delivery.attempts} attempt${delivery.attempts === 1 ? '' : 's'})</small>` : ''}
+            ${email.status === 'cancelled' && email.cancelReason ? `<br><small>${escapeHtml(email.cancelReason)}</small>` : ''}
+        </li>`;
+}
+
+async function loadBookingEmails(bookingId) {
+    const list = document.getElementById(`booking-emails-${bookingId}`);
+    try {
+        const response = await fetch(`${API_BASE_URL}/bookings/${bookingId}/emails`, {
+            credentials: 'include',
+            headers: { 'x-csrf-token': csrfToken }
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Request failed');
+
+        list.innerHTML = data.emails.length
+            ? data.emails.map(renderBookingEmail).join('')
+            : '<li>No reminder or follow-up emails for this booking</li>';
+    } catch (error) {
+        list.innerHTML = `<li>Could not load emails: ${escapeHtml(error.message)}</li>`;
+    }
+}
+
+// ===== Invoices and Payments =====
+const PAYMENT_STATUS_LABELS = {
+    unpaid: 'Unpaid',
+    'partially-paid': 'Partially paid',
+    paid: 'Paid',
+    overdue: 'Overdue'
+};
+
+const PAYMENT_METHOD_LABELS = {
+    cash: 'Cash',
+    check: 'Check',
+    transfer: 'Bank transfer',
+    online: 'Online payment'
+};
+
+// Only the methods an admin can record by hand
+const MANUAL_PAYMENT_METHODS = ['cash', 'check', 'transfer'];
+
+function refundedAmount(payment) {
+    return (payment.refunds || []).reduce((sum, refund) => sum + refund.amount, 0);
+}
+
+function formatMoney(amount, currency = 'USD') {
+    return Number(amount || 0).toLocaleString(undefined, { style: 'currency', currency });
+}
+
+// YYYY-MM-DD in local time, for <input type="date">
+function toDateInputValue(value) {
+    if (!value) return '';
+    const date = new Date(value);
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function renderInvoiceCell(booking) {
+    if (!booking.invoice) return '&mdash;';
+    const { invoice, paymentStatus } = booking;
+    return `
+        <span class="status-badge ${paymentStatus}">${PAYMENT_STATUS_LABELS[paymentStatus]}</span>
+        ${invoice.balance > 0 ? `<br><small>${formatMoney(invoice.balance, invoice.currency)} due</small>` : ''}
+    `;
+}
+
+function renderInvoiceSection(booking) {
+    const invoice = booking.invoice;
+
+    if (!invoice) {
+        return `
+        <div class="modal-row full-width invoice-section">
+            <span class="modal-label">Invoice:</span>
+            <p>No invoice yet.${booking.packagePrice === null ? ' This package is priced on request: enter the price agreed with the client.' : ''}</p>
+            ${booking.status !== 'cancelled' && booking.packagePrice === null ? `
+            <form class="invoice-form" data-form="quoted-price">
+                <div class="invoice-form-fields">
+                    <input type="number" name="packagePrice" min="0.01" step="0.01" placeholder="Package price" aria-label="Package price" required>
+                    <button type="button" class="btn btn-primary invoice-action-btn" data-action="create-quoted" data-id="${booking.id}">
+                        <i class="fas fa-file-invoice-dollar"></i> Create Invoice
+                    </button>
+                </div>
+            </form>` : ''}
+            ${booking.status !== 'cancelled' && booking.packagePrice !== null ? `
+            <button type="button" class="btn btn-primary invoice-action-btn" data-action="create" data-id="${booking.id}">
+                <i class="fas fa-file-invoice-dollar"></i> Create Invoice
+            </button>` : ''}
+        </div>`;
+    }
+
+    const money = amount => formatMoney(amount, invoice.currency);
+    const lines = invoice.lineItems.map(item => `
+        <tr>
+            <td>${escapeHtml(item.label)}${item.quantity !== 1 ? ` &times; ${item.quantity}` : ''}</td>
+            <td>${money(item.amount)}</td>
+        </tr>
+    `).join('');
+
+    // Online payments can only be refunded through the provider, not removed
+    const payments = invoice.payments.map(payment => {
+        const refunded = refundedAmount(payment);
+        const button = payment.method === 'online'
+            ? (refunded < payment.amount ? `
+            <button type="button" class="btn btn-warning invoice-action-btn" data-action="refund" data-id="${booking.id}" data-payment-id="${payment.id}" data-refundable="${(payment.amount - refunded).toFixed(2)}" title="Refund payment">
+                <i class="fas fa-undo"></i> Refund
+            </button>` : '')
+            : `
+            <button type="button" class="btn btn-cancel invoice-action-btn" data-action="remove-payment" data-id="${booking.id}" data-payment-id="${payment.id}" title="Remove payment">
+                <i class="fas fa-trash"></i>
+            </button>`;
+        return `
+        <li>
+            ${money(payment.amount)} by ${escapeHtml(PAYMENT_METHOD_LABELS[payment.method] || payment.method)}
+            on ${new Date(payment.receivedAt).toLocaleDateString()}
+            ${payment.reference ? `(${escapeHtml(payment.reference)})` : ''}
+            ${refunded ? `<small>&mdash; ${money(refunded)} refunded</small>` : ''}
+            ${button}
+        </li>`;
+    }).join('');
+
+    const checkouts = (invoice.checkouts || []).filter(checkout => checkout.status !== 'paid').map(checkout => `
+        <li>
+            ${money(checkout.amount)} ${escapeHtml(checkout.purpose)} checkout ${escapeHtml(checkout.status)}
+            on ${new Date(checkout.createdAt).toLocaleString()}
+            ${checkout.failureReason ? `<small>&mdash; ${escapeHtml(checkout.failureReason)}</small>` : ''}
+        </li>
+    `).join('');
+
+    // Suggest whatever is due next: the rest of the deposit, then the balance
+    const suggested = invoice.amountPaid < invoice.depositAmount
+        ? invoice.depositAmount - invoice.amountPaid
+        : invoice.balance;
+
+    return `
+        <div class="modal-row full-width invoice-section">
+            <span class="modal-label">
+                Invoice ${escapeHtml(invoice.number)}
+                <span class="status-badge ${booking.paymentStatus}">${PAYMENT_STATUS_LABELS[booking.paymentStatus]}</span>
+            </span>
+            <table class="invoice-lines">
+                <tbody>${lines}</tbody>
+                <tfoot>
+                    <tr><td>Subtotal</td><td>${money(invoice.subtotal)}</td></tr>
+                    <tr><td>Tax (${Number((invoice.taxRate * 100).toFixed(2))}%)</td><td>${money(invoice.tax)}</td></tr>
+                    <tr class="invoice-total"><td>Total</td><td>${money(invoice.total)}</td></tr>
+                    <tr><td>Deposit (${invoice.depositPercent}%) due ${new Date(invoice.depositDueDate).toLocaleDateString()}</td><td>${money(invoice.depositAmount)}</td></tr>
+                    <tr><td>Balance due ${new Date(invoice.balanceDueDate).toLocaleDateString()}</td><td></td></tr>
+                    <tr><td>Paid</td><td>${money(invoice.amountPaid)}</td></tr>
+                    <tr class="invoice-total"><td>Outstanding</td><td>${money(invoice.balance)}</td></tr>
+                </tfoot>
+            </table>
+            ${payments ? `<ul class="invoice-payments">${payments}</ul>` : ''}
+            ${checkouts ? `
+            <details class="invoice-checkouts">
+                <summary>Unfinished online checkouts</summary>
+                <ul class="invoice-payments">${checkouts}</ul>
+            </details>` : ''}
+            <button type="button" class="btn btn-secondary invoice-action-btn" data-action="pay-link" data-id="${booking.id}">
+                <i class="fas fa-link"></i> Client Pay Link
             </button>
-            <button type="button" class="btn btn-danger cancel-booking-btn">
-                <i class="fas fa-times-circle"></i> Cancel Booking
+            ${invoice.balance > 0 ? `
+            <form class="invoice-form" data-form="payment">
+                <strong>Record a payment</strong>
+                <div class="invoice-form-fields">
+                    <input type="number" name="amount" min="0.01" step="0.01" max="${invoice.balance}" value="${suggested.toFixed(2)}" aria-label="Amount" required>
+                    <select name="method" aria-label="Payment method">
+                        ${MANUAL_PAYMENT_METHODS.map(value => `<option value="${value}">${PAYMENT_METHOD_LABELS[value]}</option>`).join('')}
+                    </select>
+                    <input type="text" name="reference" maxlength="100" placeholder="Reference (optional)" aria-label="Reference">
+                    <input type="date" name="receivedAt" value="${toDateInputValue(new Date())}" aria-label="Received on">
+                    <button type="button" class="btn btn-success invoice-action-btn" data-action="record-payment" data-id="${booking.id}">
+                        <i class="fas fa-plus"></i> Record
+                    </button>
+                </div>
+            </form>` : ''}
+            <form class="invoice-form" data-form="terms">
+                <strong>Terms</strong>
+                <div class="invoice-form-fields">
+                    <label>Deposit %
+                        <input type="number" name="depositPercent" min="0" max="100" step="1" value="${invoice.depositPercent}">
+                    </label>
+                    <label>Deposit due
+                        <input type="date" name="depositDueDate" value="${toDateInputValue(invoice.depositDueDate)}">
+                    </label>
+                    <label>Balance due
+                        <input type="date" name="balanceDueDate" value="${toDateInputValue(invoice.balanceDueDate)}">
+                    </label>
+                    <button type="button" class="btn btn-secondary invoice-action-btn" data-action="save-terms" data-id="${booking.id}">
+                        <i class="fas fa-save"></i> Save Terms
+                    </button>
+                </div>
+            </form>
+        </div>`;
+}
+
+// method, path under /invoice and success text for each invoice button
+const INVOICE_ACTIONS = {
+    create: { method: 'POST', path: () => '', successText: 'Invoice created' },
+    'create-quoted': { method: 'POST', path: () => '', form: 'quoted-price', successText: 'Invoice created' },
+    'save-terms': { method: 'PUT', path: () => '', form: 'terms', successText: 'Invoice terms updated' },
+    'record-payment': { method: 'POST', path: () => '/payments', form: 'payment', successText: 'Payment recorded' },
+    'remove-payment': {
+        method: 'DELETE',
+        path: ({ paymentId }) => `/payments/${paymentId}`,
+        confirmText: 'Remove this payment from the invoice?',
+        successText: 'Payment removed'
+    },
+    refund: {
+        method: 'POST',
+        path: ({ paymentId }) => `/payments/${paymentId}/refund`,
+        successText: 'Refund issued'
+    }
+};
+
+// The pay page link goes to the client by email or chat; show it for copying
+async function showPayLink(bookingId) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/bookings/${bookingId}/pay-link`, {
+            credentials: 'include',
+            headers: { 'x-csrf-token': csrfToken }
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Request failed');
+        prompt('Send this link to the client:', data.url);
+    } catch (error) {
+        showNotification(`Could not get the pay link: ${error.message}`, 'error');
+    }
+}
+
+function handleInvoiceAction(button) {
+    const { action, id } = button.dataset;
+    if (action === 'pay-link') {
+        showPayLink(id);
+        return;
+    }
+
+    const config = INVOICE_ACTIONS[action];
+    if (!config) return;
+    if (config.confirmText && !confirm(config.confirmText)) return;
+
+    let payload = {};
+    if (config.form) {
+        const form = button.closest('.invoice-section').querySelector(`.invoice-form[data-form="${config.form}"]`);
+        if (!form.reportValidity()) return;
+        payload = Object.fromEntries(new FormData(form).entries());
+    }
+    if (action === 'refund') {
+        const amount = prompt('Amount to refund:', button.dataset.refundable);
+        if (!amount) return;
+        payload = { amount };
+    }
+
+    runInvoiceAction(id, config, config.path(button.dataset), payload);
+}
+
+async function runInvoiceAction(bookingId, config, path, payload) {
+    try {
+        setLoading(true);
+        const response = await fetch(`${API_BASE_URL}/bookings/${bookingId}/invoice${path}`, {
+            method: config.method,
+            credentials: 'include',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-csrf-token': csrfToken
+            },
+            body: config.method === 'DELETE' ? undefined : JSON.stringify(payload)
+        });
+
+        const data = await response.json();
+        if (data.csrfToken) csrfToken = data.csrfToken;
+
+        if (!response.ok) {
+            const details = data.errors ? Object.values(data.errors).join(', ') : '';
+            throw new Error(details || data.error || 'Request failed');
+        }
+
+        // Reopen the modal on the updated booking so the invoice stays in view
+        document.querySelectorAll('.modal-overlay').forEach(modal => modal.remove());
+        showBookingModal(data.booking);
+        loadSectionData('bookings');
+
+        showNotification(config.successText, 'success');
+    } catch (error) {
+        console.error('Invoice error:', error);
+        showNotification(`Invoice update failed: ${error.message}`, 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+// ===== Photographers and Calendar Feeds =====
+async function assignPhotographer(button) {
+    const form = button.closest('.assign-form');
+    try {
+        setLoading(true);
+        const response = await fetch(`${API_BASE_URL}/bookings/${button.dataset.id}/photographer`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-csrf-token': csrfToken
+            },
+            body: JSON.stringify({ photographer: form.elements.photographer.value })
+        });
+
+        const data = await response.json();
+        if (data.csrfToken) csrfToken = data.csrfToken;
+        if (!response.ok) throw new Error(data.error || 'Request failed');
+
+        document.querySelectorAll('.modal-overlay').forEach(modal => modal.remove());
+        showBookingModal(data.booking);
+        loadSectionData('bookings');
+        showNotification(data.booking.photographer ? `Assigned to ${data.booking.photographer}` : 'Photographer cleared', 'success');
+    } catch (error) {
+        showNotification(`Assignment failed: ${error.message}`, 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+function renderCalendarFeed(feed) {
+    return `
+        <li class="calendar-feed">
+            <div>
+                <strong>${escapeHtml(feed.name)}</strong>
+                <small>${feed.photographer ? `Shoots assigned to ${escapeHtml(feed.photographer)}` : 'All shoots'}</small>
+                ${feed.lastAccessedAt ? `<small>&middot; last synced ${new Date(feed.lastAccessedAt).toLocaleString()}</small>` : ''}
+            </div>
+            ${feed.url
+                ? `<input type="text" readonly value="${escapeHtml(feed.url)}" aria-label="Feed URL for ${escapeHtml(feed.name)}">`
+                : '<span class="status-badge cancelled">Revoked</span>'}
+            <div class="calendar-feed-actions">
+                ${feed.subscribeUrl ? `
+                <a class="btn btn-info" href="${escapeHtml(feed.subscribeUrl)}" title="Open in calendar app">
+                    <i class="fas fa-calendar-plus"></i>
+                </a>` : ''}
+                <button type="button" class="btn btn-secondary calendar-feed-btn" data-action="regenerate" data-id="${feed.id}" title="New URL (the old one stops working)">
+                    <i class="fas fa-sync-alt"></i> ${feed.url ? 'Regenerate' : 'Reactivate'}
+                </button>
+                ${feed.url ? `
+                <button type="button" class="btn btn-warning calendar-feed-btn" data-action="revoke" data-id="${feed.id}" title="Stop sharing this feed">
+                    <i class="fas fa-ban"></i> Revoke
+                </button>` : ''}
+                <button type="button" class="btn btn-cancel calendar-feed-btn" data-action="delete" data-id="${feed.id}" title="Delete feed">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        </li>`;
+}
+
+async function showCalendarFeedsModal() {
+    try {
+        setLoading(true);
+        const response = await fetch(`${API_BASE_URL}/calendar-feeds`, {
+            credentials: 'include',
+            headers: { 'x-csrf-token': csrfToken }
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Request failed');
+
+        document.querySelectorAll('.modal-overlay').forEach(modal => modal.remove());
+        createModal({
+            title: 'Calendar Feeds',
+            content: `
+                <p>Each feed is a private link a photographer can subscribe to from their phone or calendar app. It lists confirmed shoots; cancellations are removed from their calendar automatically.</p>
+                ${data.feeds.length
+                    ? `<ul class="calendar-feeds">${data.feeds.map(renderCalendarFeed).join('')}</ul>`
+                    : '<p><em>No feeds yet.</em></p>'}
+                <form class="calendar-feed-form">
+                    <strong>New feed</strong>
+                    <div class="calendar-feed-fields">
+                        <input type="text" name="name" maxlength="80" placeholder="Name (e.g. Ami's phone)" aria-label="Feed name" required>
+                        <input type="text" name="photographer" maxlength="80" placeholder="Photographer (blank = all shoots)" aria-label="Photographer">
+                        <button type="button" class="btn btn-success calendar-feed-btn" data-action="create">
+                            <i class="fas fa-plus"></i> Create
+                        </button>
+                    </div>
+                </form>
+            `
+        });
+    } catch (error) {
+        showNotification(`Could not load calendar feeds: ${error.message}`, 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+// method, path under /calendar-feeds and success text for each feed button
+const CALENDAR_FEED_ACTIONS = {
+    create: { method: 'POST', path: () => '', successText: 'Calendar feed created' },
+    regenerate: {
+        method: 'POST',
+        path: id => `/${id}/regenerate`,
+        confirmText: 'Issue a new link? Calendars subscribed to the old one stop updating.',
+        successText: 'New feed link issued'
+    },
+    revoke: {
+        method: 'POST',
+        path: id => `/${id}/revoke`,
+        confirmText: 'Revoke this feed? Subscribed calendars stop updating.',
+        successText: 'Feed revoked'
+    },
+    delete: {
+        method: 'DELETE',
+        path: id => `/${id}`,
+        confirmText: 'Delete this feed?',
+        successText: 'Feed deleted'
+    }
+};
+
+async function handleCalendarFeedAction(button) {
+    const { action, id } = button.dataset;
+    const config = CALENDAR_FEED_ACTIONS[action];
+    if (!config) return;
+    if (config.confirmText && !confirm(config.confirmText)) return;
+
+    let payload = {};
+    if (action === 'create') {
+        const form = button.closest('.calendar-feed-form');
+        if (!form.reportValidity()) return;
+        payload = Object.fromEntries(new FormData(form).entries());
+    }
+
+    try {
+        setLoading(true);
+        const response = await fetch(`${API_BASE_URL}/calendar-feeds${config.path(id)}`, {
+            method: config.method,
+            credentials: 'include',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-csrf-token': csrfToken
+            },
+            body: config.method === 'DELETE' ? undefined : JSON.stringify(payload)
+        });
+
+        const data = await response.json();
+        if (data.csrfToken) csrfToken = data.csrfToken;
+        if (!response.ok) {
+            const details = data.errors ? Object.values(data.errors).join(', ') : '';
+            throw new Error(details || data.error || 'Request failed');
+        }
+
+        showNotification(config.successText, 'success');
+        await showCalendarFeedsModal();
+    } catch (error) {
+        showNotification(`Calendar feed update failed: ${error.message}`, 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+// ===== Outbox =====
+const EMAIL_LOG_LABELS = {
+    queued: 'Queued',
+    sent: 'Sent',
+    failed: 'Attempt failed',
+    dead: 'Gave up',
+    resent: 'Queued again'
+};
+
+async function showOutboxEmail(id) {
+    try {
+        setLoading(true);
+        const email = await adminRequest(`/emails/${id}`);
+
+        document.querySelectorAll('.modal-overlay').forEach(modal => modal.remove());
+        createModal({
+            title: escapeHtml(email.subject),
+            content: `
+                <p>
+                    To <strong>${escapeHtml(email.to)}</strong> ${renderEmailStatus(email.status)}
+                    ${email.attempts ? `<br><small>${email.attempts} attempt${email.attempts === 1 ? '' : 's'}</small>` : ''}
+                    ${email.attachments.length
+                        ? `<br><small><i class="fas fa-paperclip"></i> ${email.attachments.map(a => escapeHtml(a.filename)).join(', ')}</small>` : ''}
+                </p>
+                <ul class="email-log">
+                    ${email.log.map(entry => `
+                        <li>
+                            ${new Date(entry.at).toLocaleString()} &mdash; ${EMAIL_LOG_LABELS[entry.event] || escapeHtml(entry.event)}
+                            ${entry.detail ? `<br><small>${escapeHtml(entry.detail)}</small>` : ''}
+                        </li>`).join('')}
+                </ul>
+                <iframe class="email-preview" sandbox="" title="Email preview" srcdoc="${escapeHtml(email.html)}"></iframe>
+            `,
+            footer: ['sent', 'dead'].includes(email.status) ? `
+                <button class="btn btn-secondary outbox-action-btn" data-action="resend" data-id="${email.id}">
+                    <i class="fas fa-redo"></i> Resend
+                </button>
+                <button type="button" class="btn btn-secondary close-modal-btn"><i class="fas fa-times"></i> Close</button>` : ''
+        });
+    } catch (error) {
+        showNotification(`Could not load email: ${error.message}`, 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+// ===== Staff Alerts =====
+const STAFF_ALERT_OPTIONS = {
+    bookings: { instant: 'Each new booking', off: 'Off' },
+    messages: { instant: 'Each new message', digest: 'Daily digest', off: 'Off' }
+};
+
+function renderStaffAlertSelect(recipient, kind) {
+    return `
+        <select class="form-select staff-recipient-setting" data-id="${recipient.id}" data-field="${kind}" aria-label="${kind === 'bookings' ? 'Booking' : 'Message'} alerts for ${escapeHtml(recipient.email)}">
+            ${Object.entries(STAFF_ALERT_OPTIONS[kind]).map(([value, label]) => `
+                <option value="${value}"${recipient[kind] === value ? ' selected' : ''}>${label}</option>`).join('')}
+        </select>`;
+}
+
+async function showStaffAlertsModal() {
+    try {
+        setLoading(true);
+        const { recipients, digestHour } = await adminRequest('/notification-recipients');
+
+        document.querySelectorAll('.modal-overlay').forEach(modal => modal.remove());
+        createModal({
+            title: 'Staff Alerts',
+            content: `
+                <p>Who hears about new booking requests and contact messages. Digests go out once a day at ${digestHour}:00. Every alert also has a link the recipient can use to change their own settings.</p>
+                ${recipients.length ? `
+                <table class="admin-table staff-recipients">
+                    <thead><tr><th>Recipient</th><th>Bookings</th><th>Messages</th><th></th></tr></thead>
+                    <tbody>
+                        ${recipients.map(recipient => `
+                        <tr>
+                            <td>${escapeHtml(recipient.email)}${recipient.name ? `<br><small>${escapeHtml(recipient.name)}</small>` : ''}</td>
+                            <td>${renderStaffAlertSelect(recipient, 'bookings')}</td>
+                            <td>${renderStaffAlertSelect(recipient, 'messages')}</td>
+                            <td>
+                                <button type="button" class="btn btn-cancel staff-recipient-btn" data-action="delete" data-id="${recipient.id}" title="Remove">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            </td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>` : '<p><em>Nobody gets alerts yet.</em></p>'}
+                <form class="staff-recipient-form">
+                    <strong>Add recipient</strong>
+                    <div class="staff-recipient-fields">
+                        <input type="email" name="email" placeholder="Email" aria-label="Email" required>
+                        <input type="text" name="name" maxlength="80" placeholder="Name (optional)" aria-label="Name">
+                        <button type="button" class="btn btn-success staff-recipient-btn" data-action="create">
+                            <i class="fas fa-plus"></i> Add
+                        </button>
+                    </div>
+                </form>
+            `
+        });
+    } catch (error) {
+        showNotification(`Could not load staff alerts: ${error.message}`, 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+async function handleStaffRecipientAction(button) {
+    const { action, id } = button.dataset;
+    try {
+        if (action === 'create') {
+            const form = button.closest('.staff-recipient-form');
+            if (!form.reportValidity()) return;
+            setLoading(true);
+            await adminRequest('/notification-recipients', {
+                method: 'POST',
+                body: Object.fromEntries(new FormData(form).entries())
+            });
+            showNotification('Recipient added', 'success');
+        } else if (action === 'delete') {
+            if (!confirm('Stop sending alerts to this address?')) return;
+            setLoading(true);
+            await adminRequest(`/notification-recipients/${id}`, { method: 'DELETE' });
+            showNotification('Recipient removed', 'success');
+        } else {
+            return;
+        }
+        await showStaffAlertsModal();
+    } catch (error) {
+        showNotification(`Staff alert update failed: ${error.message}`, 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+async function updateStaffRecipient(select) {
+    try {
+        await adminRequest(`/notification-recipients/${select.dataset.id}`, {
+            method: 'PUT',
+            body: { [select.dataset.field]: select.value }
+        });
+        showNotification('Alert settings saved', 'success');
+    } catch (error) {
+        showNotification(`Could not save alert settings: ${error.message}`, 'error');
+    }
+}
+
+// Template previews render with sample data (or a real booking, by id)
+async function showEmailTemplatesModal() {
+    try {
+        setLoading(true);
+        const { templates } = await adminRequest('/email-templates');
+
+        document.querySelectorAll('.modal-overlay').forEach(modal => modal.remove());
+        createModal({
+            title: 'Email Templates',
+            content: `
+                <form class="email-template-picker">
+                    <select name="name" class="form-select" aria-label="Template">
+                        ${templates.map(t => `<option value="${t.name}">${escapeHtml(t.label)}</option>`).join('')}
+                    </select>
+                    <input type="text" name="bookingId" placeholder="Booking ID (optional)" aria-label="Booking ID">
+                    <button type="button" class="btn btn-primary outbox-action-btn" data-action="preview-template">
+                        <i class="fas fa-eye"></i> Preview
+                    </button>
+                </form>
+                <div id="email-template-preview"></div>
+            `
+        });
+        await previewEmailTemplate();
+    } catch (error) {
+        showNotification(`Could not load templates: ${error.message}`, 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+async function previewEmailTemplate() {
+    const form = document.querySelector('.email-template-picker');
+    const target = document.getElementById('email-template-preview');
+    if (!form || !target) return;
+
+    const { name, bookingId } = Object.fromEntries(new FormData(form).entries());
+    const query = bookingId.trim() ? `?bookingId=${encodeURIComponent(bookingId.trim())}` : '';
+    try {
+        const preview = await adminRequest(`/email-templates/${encodeURIComponent(name)}/preview${query}`);
+        target.innerHTML = `
+            <p><strong>Subject:</strong> ${escapeHtml(preview.subject)}</p>
+            <iframe class="email-preview" sandbox="" title="HTML version" srcdoc="${escapeHtml(preview.html)}"></iframe>
+            <p><strong>Plain text</strong></p>
+            <div class="email-preview-text">${escapeHtml(preview.text)}</div>
+        `;
+    } catch (error) {
+        target.innerHTML = `<p class="email-preview-error">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function handleOutboxAction(button) {
+    const { action, id } = button.dataset;
+    if (action === 'view') return showOutboxEmail(id);
+    if (action === 'preview-template') return previewEmailTemplate();
+    if (action !== 'resend' || !confirm('Send this email again?')) return;
+
+    try {
+        setLoading(true);
+        await adminRequest(`/emails/${id}/resend`, { method: 'POST' });
+        document.querySelectorAll('.modal-overlay').forEach(modal => modal.remove());
+        showNotification('Email queued again', 'success');
+        loadSectionData('outbox');
+    } catch (error) {
+        showNotification(`Resend failed: ${error.message}`, 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+// ===== Quarantine =====
+const QUARANTINE_CHECK_LABELS = {
+    honeypot: 'Hidden field',
+    challenge: 'Challenge',
+    'too-fast': 'Too fast',
+    'rate-limit': 'Rate limit',
+    content: 'Content'
+};
+
+// Form fields worth showing, in form order; anything else is listed after
+const QUARANTINE_FIELD_LABELS = {
+    name: 'Name',
+    email: 'Email',
+    phone: 'Phone',
+    subject: 'Subject',
+    message: 'Message',
+    eventType: 'Event Type',
+    date: 'Date',
+    startTime: 'Start',
+    endTime: 'End',
+    package: 'Package',
+    addOns: 'Add-ons',
+    location: 'Location',
+    distanceMiles: 'Distance (miles)',
+    details: 'Details'
+};
+
+function renderQuarantineReasons(reasons = []) {
+    return `
+        <ul class="quarantine-reasons">
+            ${reasons.map(reason => `
+                <li><strong>${QUARANTINE_CHECK_LABELS[reason.check] || escapeHtml(reason.check)}:</strong> ${escapeHtml(reason.detail || '')}</li>`).join('')}
+        </ul>`;
+}
+
+function showQuarantinedSubmission(id) {
+    const submission = state.quarantine.data.find(item => item.id === id);
+    if (!submission) return;
+
+    const payload = submission.payload || {};
+    const fields = [
+        ...Object.keys(QUARANTINE_FIELD_LABELS).filter(key => key in payload),
+        ...Object.keys(payload).filter(key => !(key in QUARANTINE_FIELD_LABELS))
+    ].filter(key => payload[key] !== '' && payload[key] != null);
+
+    document.querySelectorAll('.modal-overlay').forEach(modal => modal.remove());
+    createModal({
+        title: `Quarantined ${submission.kind === 'booking' ? 'Booking Request' : 'Message'}`,
+        content: `
+            <p>
+                Received ${new Date(submission.receivedAt).toLocaleString()}
+                ${submission.ip ? `from ${escapeHtml(submission.ip)}` : ''}
+                ${submission.userAgent ? `<br><small>${escapeHtml(submission.userAgent)}</small>` : ''}
+            </p>
+            ${renderQuarantineReasons(submission.reasons)}
+            <table class="quarantine-payload">
+                ${fields.map(key => `
+                    <tr>
+                        <th>${QUARANTINE_FIELD_LABELS[key] || escapeHtml(key)}</th>
+                        <td>${escapeHtml(Array.isArray(payload[key]) ? payload[key].join(', ') : String(payload[key]))}</td>
+                    </tr>`).join('')}
+            </table>
+        `,
+        footer: `
+            <button class="btn btn-secondary quarantine-action-btn" data-action="release" data-id="${submission.id}">
+                <i class="fas fa-check"></i> Not Spam
             </button>
-            <button type="button" class="btn btn-primary confirm-booking-btn">
-                <i class="fas fa-check"></i> Confirm Booking
+            <button class="btn btn-danger quarantine-action-btn" data-action="delete" data-id="${submission.id}">
+                <i class="fas fa-trash"></i> Delete
             </button>
-        `;
-    } else if (booking.status === 'confirmed') {
-        footer = `
-            <button type="button" class="btn btn-secondary close-modal-btn">
-                <i class="fas fa-times"></i> Close
+            <button type="button" class="btn btn-secondary close-modal-btn"><i class="fas fa-times"></i> Close</button>`
+    });
+}
+
+// Releasing stores the submission as if it had just come in, confirmation
+// email and staff alert included; a booking whose slot has gone since asks
+// before double-booking it
+async function releaseQuarantinedSubmission(id, force = false) {
+    try {
+        setLoading(true);
+        const response = await fetch(`${API_BASE_URL}/quarantine/${id}/release`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-csrf-token': csrfToken
+            },
+            body: JSON.stringify({ force })
+        });
+        const data = await response.json();
+        if (data.csrfToken) csrfToken = data.csrfToken;
+
+        if (response.status === 409 && data.requiresOverride) {
+            setLoading(false);
+            if (confirm(`${data.error}\n\nBook it anyway?`)) {
+                return releaseQuarantinedSubmission(id, true);
+            }
+            return;
+        }
+        if (!response.ok) throw new Error(data.error || 'Release failed');
+
+        document.querySelectorAll('.modal-overlay').forEach(modal => modal.remove());
+        showNotification(data.kind === 'booking' ? 'Released to bookings' : 'Released to messages', 'success');
+        loadSectionData('quarantine');
+    } catch (error) {
+        showNotification(`Could not release submission: ${error.message}`, 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+async function handleQuarantineAction(button) {
+    const { action, id } = button.dataset;
+    if (action === 'view') return showQuarantinedSubmission(id);
+    if (action === 'release') return releaseQuarantinedSubmission(id);
+    if (action !== 'delete' || !confirm('Delete this submission? It cannot be recovered.')) return;
+
+    try {
+        setLoading(true);
+        await adminRequest(`/quarantine/${id}`, { method: 'DELETE' });
+        document.querySelectorAll('.modal-overlay').forEach(modal => modal.remove());
+        showNotification('Submission deleted', 'success');
+        loadSectionData('quarantine');
+    } catch (error) {
+        showNotification(`Delete failed: ${error.message}`, 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+// ===== CSV Import =====
+async function adminRequest(path, options = {}) {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        method: options.method || 'GET',
+        credentials: 'include',
+        headers: {
+            'Content-Type': 'application/json',
+            'x-csrf-token': csrfToken
+        },
+        body: options.body ? JSON.stringify(options.body) : undefined
+    });
+    const data = await response.json();
+    if (data.csrfToken) csrfToken = data.csrfToken;
+    if (!response.ok) throw new Error(data.error || 'Request failed');
+    return data;
+}
+
+function renderImportBatch(batch) {
+    return `
+        <li>
+            <strong>${escapeHtml(batch.filename || 'Import')}</strong>
+            ${new Date(batch.createdAt).toLocaleString()} by ${escapeHtml(batch.importedBy)}:
+            ${batch.importedCount} imported, ${batch.duplicateCount} duplicates, ${batch.invalidCount} invalid
+            ${batch.status === 'rolled-back'
+                ? `<span class="status-badge cancelled">Rolled back</span>`
+                : `<button type="button" class="btn btn-cancel import-action-btn" data-action="rollback" data-id="${batch.id}">
+                    <i class="fas fa-undo"></i> Roll back
+                </button>`}
+        </li>`;
+}
+
+async function showImportModal() {
+    try {
+        setLoading(true);
+        const { batches } = await adminRequest('/imports');
+        state.pendingImport = null;
+
+        document.querySelectorAll('.modal-overlay').forEach(modal => modal.remove());
+        createModal({
+            title: 'Import Bookings',
+            content: `
+                <p>Upload a CSV with one booking per row and a header row. Columns are matched by name; adjust the mapping in the preview if needed. Nothing is saved until you confirm the import.</p>
+                <div class="import-upload">
+                    <input type="file" id="import-file" accept=".csv,text/csv" aria-label="CSV file">
+                    <button type="button" class="btn btn-primary import-action-btn" data-action="preview">
+                        <i class="fas fa-search"></i> Preview
+                    </button>
+                </div>
+                <div id="import-preview"></div>
+                ${batches.length ? `
+                <div class="import-batches">
+                    <strong>Previous imports</strong>
+                    <ul>${batches.map(renderImportBatch).join('')}</ul>
+                </div>` : ''}
+            `
+        });
+    } catch (error) {
+        showNotification(`Could not open the importer: ${error.message}`, 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+function renderImportPreview(preview) {
+    const mapping = preview.fields.map(({ field, label, required }) => `
+        <label>${escapeHtml(label)}${required ? ' *' : ''}
+            <select data-field="${field}">
+                <option value="">&mdash; not imported &mdash;</option>
+                ${preview.headers.map(header => `
+                    <option value="${escapeHtml(header)}" ${preview.mapping[field] === header ? 'selected' : ''}>${escapeHtml(header)}</option>
+                `).join('')}
+            </select>
+        </label>
+    `).join('');
+
+    const rows = preview.rows.map(row => {
+        const problems = [
+            ...Object.values(row.errors),
+            row.duplicate && (row.duplicate.bookingId ? 'Already booked (same email and date)' : `Duplicate of line ${row.duplicate.line}`)
+        ].filter(Boolean);
+        const result = !row.valid ? 'invalid' : (row.duplicate ? 'duplicate' : 'ok');
+        return `
+            <tr class="import-row ${result}">
+                <td>${row.line}</td>
+                <td>${escapeHtml(row.values.clientName)}<br><small>${escapeHtml(row.values.clientEmail)}</small></td>
+                <td>${escapeHtml(row.values.eventDate)}</td>
+                <td>${escapeHtml(row.values.eventType)}</td>
+                <td>
+                    ${result === 'ok' ? '<i class="fas fa-check"></i> Will import' : ''}
+                    ${problems.map(problem => `<div>${escapeHtml(problem)}</div>`).join('')}
+                    ${row.warnings.map(warning => `<small>${escapeHtml(warning)}</small>`).join('')}
+                </td>
+            </tr>`;
+    }).join('');
+
+    const { summary } = preview;
+    return `
+        <div class="import-mapping">${mapping}</div>
+        <p>
+            <strong>${summary.total}</strong> rows:
+            ${summary.valid} ready, ${summary.duplicates} duplicates (skipped), ${summary.invalid} with errors (skipped)
+        </p>
+        <div class="table-responsive import-table">
+            <table class="admin-table">
+                <thead><tr><th>Line</th><th>Client</th><th>Date</th><th>Type</th><th>Result</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        <div class="action-buttons">
+            <button type="button" class="btn btn-secondary import-action-btn" data-action="preview">
+                <i class="fas fa-sync-alt"></i> Re-check with this mapping
             </button>
-            <button type="button" class="btn btn-danger cancel-booking-btn">
-                <i class="fas fa-times-circle"></i> Cancel Booking
+            <button type="button" class="btn btn-success import-action-btn" data-action="commit" ${summary.valid ? '' : 'disabled'}>
+                <i class="fas fa-file-import"></i> Import ${summary.valid} booking${summary.valid === 1 ? '' : 's'}
             </button>
-        `;
+        </div>`;
+}
+
+async function previewImport() {
+    const fileInput = document.getElementById('import-file');
+    const file = fileInput && fileInput.files[0];
+    if (!file && !state.pendingImport) {
+        showNotification('Choose a CSV file first', 'warning');
+        return;
+    }
+
+    // A newly chosen file starts over with the guessed mapping
+    if (file && (!state.pendingImport || state.pendingImport.filename !== file.name)) {
+        state.pendingImport = { filename: file.name, csv: await file.text(), mapping: null };
     } else {
-        // For cancelled or other statuses, only show close button
-        footer = `
-            <button type="button" class="btn btn-secondary close-modal-btn">
-                <i class="fas fa-times"></i> Close
-            </button>
-        `;
+        state.pendingImport.mapping = Object.fromEntries(
+            Array.from(document.querySelectorAll('.import-mapping select')).map(select => [select.dataset.field, select.value])
+        );
     }
-    
-    const modal = createModal({
-        title: 'Booking Details',
-        content: content,
-        footer: footer
-    });
-    
-    // Add confirm booking handler if button exists
-    const confirmBtn = modal.querySelector('.confirm-booking-btn');
-    if (confirmBtn) {
-        confirmBtn.addEventListener('click', () => {
-            if (confirm('Are you sure you want to confirm this booking?')) {
-                confirmBooking(booking.id);
-            }
-        });
+
+    try {
+        setLoading(true);
+        const preview = await adminRequest('/imports/preview', { method: 'POST', body: state.pendingImport });
+        state.pendingImport.mapping = preview.mapping;
+        document.getElementById('import-preview').innerHTML = renderImportPreview(preview);
+    } catch (error) {
+        showNotification(`Preview failed: ${error.message}`, 'error');
+    } finally {
+        setLoading(false);
     }
-    
-    // Add cancel booking handler if button exists
-    const cancelBtn = modal.querySelector('.cancel-booking-btn');
-    if (cancelBtn) {
-        cancelBtn.addEventListener('click', () => {
-            if (confirm('Are you sure you want to cancel this booking? This action cannot be undone.')) {
-                cancelBooking(booking.id);
-            }
-        });
+}
+
+async function handleImportAction(button) {
+    const { action, id } = button.dataset;
+    if (action === 'preview') {
+        previewImport();
+        return;
+    }
+
+    try {
+        if (action === 'commit') {
+            setLoading(true);
+            const { batch } = await adminRequest('/imports', { method: 'POST', body: state.pendingImport });
+            showNotification(`Imported ${batch.importedCount} bookings`, 'success');
+        } else if (action === 'rollback') {
+            if (!confirm('Delete every booking from this import, including any changes made to them since?')) return;
+            setLoading(true);
+            const { removed } = await adminRequest(`/imports/${id}/rollback`, { method: 'POST' });
+            showNotification(`Import rolled back (${removed} bookings removed)`, 'success');
+        }
+        loadSectionData('bookings');
+        await showImportModal();
+    } catch (error) {
+        showNotification(`Import failed: ${error.message}`, 'error');
+    } finally {
+        setLoading(false);
     }
 }
 
 async function exportBooking(bookingId = null) {
     try {
         setLoading(true);
-        let url = `${API_BASE_URL}/bookings/export`;
-        
-        if (bookingId) {
-            url += `?id=${bookingId}`;
-        } else {
-            // For bulk export, include current filters
-            url += `?filter=${state.bookings.filter}`;
-        }
-        
-        const response = await fetch(url, {
+        // A single booking exports as JSON; the toolbar export uses the
+        // chosen format and the current filters
+        const params = bookingId
+            ? new URLSearchParams({ id: bookingId })
+            : bookingFilterParams();
+        if (!bookingId) params.set('format', state.bookings.exportFormat);
+
+        const response = await fetch(`${API_BASE_URL}/bookings/export?${params}`, {
             credentials: 'include',
             headers: {
                 'x-csrf-token': csrfToken
             }
         });
         
-        if (!response.ok) throw new Error('Export failed');
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || 'Export failed');
+        }
         
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="?([^";]+)"?/);
         const blob = await response.blob();
         const downloadUrl = window.URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = downloadUrl;
-        a.download = bookingId ? `booking-${bookingId}.pdf` : `bookings-${new Date().toISOString()}.pdf`;
+        a.download = match ? match[1] : (bookingId ? `booking-${bookingId}.json` : 'bookings');
         document.body.appendChild(a);
         a.click();
         a.remove();
+        window.URL.revokeObjectURL(downloadUrl);
         
         showNotification('Export successful', 'success');
     } catch (error) {
@@ -1294,9 +2622,12 @@ async function viewMessageDetails(messageId) {
         const message = await response.json();
         showMessageModal(message);
         
-        // Mark message as read if it wasn't already
-        if (!message.read) {
-            await markMessageAsRead(messageId);
+        // Opening a message marks it read on the server
+        const listed = state.messages.data.find(m => m.id === messageId);
+        if (listed && !listed.read) {
+            listed.read = true;
+            renderMessagesData();
+            await refreshUnreadCount();
         }
     } catch (error) {
         showNotification(`Error viewing message: ${error.message}`, 'error');
@@ -1305,112 +2636,155 @@ async function viewMessageDetails(messageId) {
     }
 }
 
-async function markMessageAsRead(messageId) {
-    try {
-        const response = await fetch(`${API_BASE_URL}/messages/${messageId}/mark-read`, {
-            method: 'POST',
-            credentials: 'include',
-            headers: {
-                'x-csrf-token': csrfToken
-            }
-        });
-        
-        if (response.ok) {
-            // Update the message in state
-            const messageIndex = state.messages.data.findIndex(m => m.id === messageId);
-            if (messageIndex !== -1) {
-                state.messages.data[messageIndex].read = true;
-                // Update UI
-                renderMessagesData();
-            }
-        }
-    } catch (error) {
-        console.error('Error marking message as read:', error);
+// ===== Inbox Actions =====
+const MESSAGE_ACTIONS = {
+    'mark-read': {
+        label: 'Mark as Read',
+        icon: 'fa-envelope-open',
+        className: 'btn-outline',
+        successText: 'Message marked as read'
+    },
+    'mark-unread': {
+        label: 'Mark as Unread',
+        icon: 'fa-envelope',
+        className: 'btn-outline',
+        successText: 'Message marked as unread'
+    },
+    archive: {
+        label: 'Archive',
+        icon: 'fa-archive',
+        className: 'btn-warning',
+        confirmText: 'Are you sure you want to archive this message?',
+        successText: 'Message archived successfully'
+    },
+    unarchive: {
+        label: 'Unarchive',
+        icon: 'fa-inbox',
+        className: 'btn-secondary',
+        successText: 'Message moved back to the inbox'
+    },
+    delete: {
+        label: 'Delete',
+        icon: 'fa-trash',
+        className: 'btn-danger',
+        confirmText: 'Permanently delete this message? This cannot be undone.',
+        successText: 'Message deleted'
     }
-}
+};
 
-async function markMessageAsUnread(messageId) {
-    try {
-        const response = await fetch(`${API_BASE_URL}/messages/${messageId}/mark-unread`, {
-            method: 'POST',
-            credentials: 'include',
-            headers: {
-                'x-csrf-token': csrfToken
-            }
-        });
-        
-        if (response.ok) {
-            // Update the message in state
-            const messageIndex = state.messages.data.findIndex(m => m.id === messageId);
-            if (messageIndex !== -1) {
-                state.messages.data[messageIndex].read = false;
-                // Update UI
-                renderMessagesData();
-            }
-            showNotification('Message marked as unread', 'success');
-        }
-    } catch (error) {
-        console.error('Error marking message as unread:', error);
-        showNotification('Failed to mark message as unread', 'error');
-    }
+function renderMessageActionButton(message, action) {
+    const config = MESSAGE_ACTIONS[action];
+    return `
+        <button type="button" class="btn ${config.className} message-action-btn" data-action="${action}" data-id="${message.id}">
+            <i class="fas ${config.icon}"></i> ${config.label}
+        </button>
+    `;
 }
 
-async function archiveMessage(messageId) {
+async function runMessageAction(messageId, action) {
+    const config = MESSAGE_ACTIONS[action];
+
     try {
         setLoading(true);
-        const response = await fetch(`${API_BASE_URL}/messages/${messageId}/archive`, {
-            method: 'POST',
+        const isDelete = action === 'delete';
+        const response = await fetch(`${API_BASE_URL}/messages/${messageId}${isDelete ? '' : `/${action}`}`, {
+            method: isDelete ? 'DELETE' : 'POST',
             credentials: 'include',
             headers: {
                 'x-csrf-token': csrfToken
             }
         });
-        
-        if (response.ok) {
-            // Close any open modals
-            document.querySelectorAll('.modal-overlay').forEach(modal => modal.remove());
-            
-            // Refresh the messages list
-            await loadSectionData('messages');
-            
-            showNotification('Message archived successfully', 'success');
-        } else {
-            throw new Error('Failed to archive message');
+
+        const data = await response.json();
+        if (data.csrfToken) csrfToken = data.csrfToken;
+
+        if (!response.ok) {
+            throw new Error(data.error || `Failed to ${config.label.toLowerCase()}`);
         }
+
+        updateUnreadBadge(data.unreadCount);
+
+        // Close any open modals
+        document.querySelectorAll('.modal-overlay').forEach(modal => modal.remove());
+
+        // Refresh the messages list; the message may have left the current filter
+        await loadSectionData('messages');
+
+        showNotification(config.successText, 'success');
+        return data;
     } catch (error) {
-        console.error('Error archiving message:', error);
-        showNotification(`Error archiving message: ${error.message}`, 'error');
+        console.error(`Message ${action} error:`, error);
+        showNotification(`Error: ${error.message}`, 'error');
+        return null;
     } finally {
         setLoading(false);
     }
 }
 
+function handleMessageInboxAction(messageId, action) {
+    const config = MESSAGE_ACTIONS[action];
+    if (!config) return;
+    if (config.confirmText && !confirm(config.confirmText)) return;
+
+    runMessageAction(messageId, action);
+}
+
+function markMessageAsRead(messageId) {
+    return runMessageAction(messageId, 'mark-read');
+}
+
+function markMessageAsUnread(messageId) {
+    return runMessageAction(messageId, 'mark-unread');
+}
+
+function archiveMessage(messageId) {
+    return runMessageAction(messageId, 'archive');
+}
+
+function unarchiveMessage(messageId) {
+    return runMessageAction(messageId, 'unarchive');
+}
+
+function deleteMessage(messageId) {
+    return runMessageAction(messageId, 'delete');
+}
+
 function showMessageModal(message) {
+    const status = messageStatus(message);
     const content = `
         <div class="modal-row">
             <span class="modal-label">From:</span>
-            <span>${message.name} &lt;${message.email}&gt;</span>
+            <span>${escapeHtml(message.name)} &lt;${escapeHtml(message.email)}&gt;</span>
         </div>
         <div class="modal-row">
             <span class="modal-label">Date:</span>
-            <span>${new Date(message.date).toLocaleString()}</span>
+            <span>${new Date(message.date).toLocaleString()}${message.source === 'email' ? ' (by email)' : ''}</span>
         </div>
         <div class="modal-row">
             <span class="modal-label">Subject:</span>
-            <span>${message.subject}</span>
+            <span>${escapeHtml(message.subject)}</span>
         </div>
         <div class="modal-row">
             <span class="modal-label">Status:</span>
-            <span class="status-badge ${message.read ? 'read' : 'unread'}">
-                ${message.read ? 'Read' : 'Unread'}
+            <span class="status-badge ${status}">
+                ${formatStatus(status)}
             </span>
         </div>
         <div class="modal-row full-width">
-            <span class="modal-label">Message:</span>
-            <div class="message-content">
-                <p>${message.message}</p>
-            </div>
+            <span class="modal-label">Conversation:</span>
+            <ol class="message-thread">
+                ${(message.conversation || []).map(entry => renderThreadEntry(entry, message.id)).join('')}
+            </ol>
         </div>
+        <form class="modal-row full-width message-reply-form">
+            <label class="modal-label" for="message-reply-body">Reply to ${escapeHtml(message.email)}:</label>
+            <textarea id="message-reply-body" name="body" rows="5" maxlength="20000" required></textarea>
+            <div class="message-reply-actions">
+                <button type="button" class="btn btn-primary message-reply-btn" data-id="${message.id}">
+                    <i class="fas fa-paper-plane"></i> Send Reply
+                </button>
+            </div>
+        </form>
     `;
     
     // Create appropriate footer buttons for messages
@@ -1418,64 +2792,159 @@ function showMessageModal(message) {
         <button type="button" class="btn btn-secondary close-modal-btn">
             <i class="fas fa-times"></i> Close
         </button>
-        ${message.read ? 
-            `<button type="button" class="btn btn-outline mark-unread-btn">
-                <i class="fas fa-envelope"></i> Mark as Unread
-            </button>` : 
-            `<button type="button" class="btn btn-outline mark-read-btn">
-                <i class="fas fa-envelope-open"></i> Mark as Read
-            </button>`
-        }
-        <button type="button" class="btn btn-warning archive-btn">
-            <i class="fas fa-archive"></i> Archive
-        </button>
-        <button type="button" class="btn btn-primary reply-btn">
-            <i class="fas fa-reply"></i> Reply
-        </button>
+        ${message.bookingId ? `
+        <button type="button" class="btn btn-info open-booking-btn" data-id="${message.bookingId}">
+            <i class="fas fa-calendar-check"></i> View Booking
+        </button>` : `
+        <button type="button" class="btn btn-success convert-message-btn" data-id="${message.id}">
+            <i class="fas fa-calendar-plus"></i> Convert to Booking
+        </button>`}
+        ${renderMessageActionButton(message, message.read ? 'mark-unread' : 'mark-read')}
+        ${renderMessageActionButton(message, message.archived ? 'unarchive' : 'archive')}
+        ${renderMessageActionButton(message, 'delete')}
     `;
     
-    const modal = createModal({
+    createModal({
         title: 'Message Details',
         content: content,
         footer: footer
     });
-    
-    // Add event handlers for message actions
-    const replyBtn = modal.querySelector('.reply-btn');
-    if (replyBtn) {
-        replyBtn.addEventListener('click', () => {
-            // Create mailto link for reply
-            const subject = `Re: ${message.subject}`;
-            const body = `\n\n--- Original Message ---\nFrom: ${message.name} <${message.email}>\nDate: ${new Date(message.date).toLocaleString()}\nSubject: ${message.subject}\n\n${message.message}`;
-            
-            const mailtoLink = `mailto:${message.email}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
-            window.location.href = mailtoLink;
+}
+
+// One entry in a message thread: the client's messages and our replies
+function renderThreadEntry(entry, messageId) {
+    const delivery = entry.delivery && entry.delivery.status !== 'sent'
+        ? ` ${renderEmailStatus(entry.delivery.status)}` : '';
+    const attachments = (entry.attachments || []).map(attachment => `
+        <a class="thread-attachment" href="${API_BASE_URL}/messages/${messageId}/attachments/${attachment.id}">
+            <i class="fas fa-paperclip"></i> ${escapeHtml(attachment.filename)}
+            <small>(${Math.max(1, Math.round(attachment.size / 1024))} KB)</small>
+        </a>`).join('');
+    return `
+        <li class="thread-entry ${entry.direction}">
+            <div class="thread-entry-meta">
+                <strong>${escapeHtml(entry.author || (entry.direction === 'outbound' ? 'Studio' : 'Client'))}</strong>
+                &middot; ${new Date(entry.at).toLocaleString()}${delivery}
+            </div>
+            <div class="thread-entry-body">${escapeHtml(entry.body)}</div>
+            ${attachments ? `<div class="thread-entry-attachments">${attachments}</div>` : ''}
+        </li>`;
+}
+
+async function sendMessageReply(button) {
+    const form = button.closest('.message-reply-form');
+    if (!form.reportValidity()) return;
+
+    try {
+        setLoading(true);
+        const { data } = await adminRequest(`/messages/${button.dataset.id}/reply`, {
+            method: 'POST',
+            body: { body: form.elements.body.value }
         });
+        document.querySelectorAll('.modal-overlay').forEach(modal => modal.remove());
+        showMessageModal(data);
+        showNotification('Reply queued for sending', 'success');
+        loadSectionData('messages');
+    } catch (error) {
+        showNotification(`Reply failed: ${error.message}`, 'error');
+    } finally {
+        setLoading(false);
     }
-    
-    const markUnreadBtn = modal.querySelector('.mark-unread-btn');
-    if (markUnreadBtn) {
-        markUnreadBtn.addEventListener('click', () => {
-            markMessageAsUnread(message.id);
-            modal.remove();
-        });
+}
+
+// ===== Convert Message to Booking =====
+// The server guesses event type, date and time from the message; the admin
+// checks the form and creates a pending booking linked to the message
+async function showBookingDraftModal(messageId) {
+    try {
+        setLoading(true);
+        const { values, detected, eventTypes, packages } = await adminRequest(`/messages/${messageId}/booking-draft`);
+        const guessed = field => (detected.includes(field) ? ' <small class="draft-detected">from message</small>' : '');
+        const option = (value, label, selected) => `<option value="${escapeHtml(value)}"${selected ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+
+        const content = `
+            <p>Guesses from the message are marked; check them before creating the booking.
+            It is created as pending and the client is not emailed.</p>
+            <form class="booking-draft-form">
+                <label>Name <input type="text" name="name" maxlength="100" value="${escapeHtml(values.name)}" required></label>
+                <label>Email <input type="email" name="email" maxlength="254" value="${escapeHtml(values.email)}" required></label>
+                <label>Phone <input type="tel" name="phone" maxlength="30" value="${escapeHtml(values.phone)}"></label>
+                <label>Event type${guessed('eventType')}
+                    <select name="eventType" required>
+                        ${option('', 'Choose...', !values.eventType)}
+                        ${eventTypes.map(type => option(type, formatStatus(type), type === values.eventType)).join('')}
+                    </select>
+                </label>
+                <label>Date${guessed('date')} <input type="date" name="date" value="${escapeHtml(values.date)}" required></label>
+                <label>Start${guessed('startTime')} <input type="time" name="startTime" value="${escapeHtml(values.startTime)}" required></label>
+                <label>End${guessed('endTime')} <input type="time" name="endTime" value="${escapeHtml(values.endTime)}" required></label>
+                <label>Package
+                    <select name="package" required>
+                        ${option('', 'Choose...', !values.package)}
+                        ${packages.map(pkg => option(pkg.id, pkg.name, pkg.id === values.package)).join('')}
+                    </select>
+                </label>
+                <label class="full-width">Location <input type="text" name="location" maxlength="200" value="${escapeHtml(values.location)}" required></label>
+                <label class="full-width">Notes <textarea name="details" rows="4" maxlength="2000">${escapeHtml(values.details)}</textarea></label>
+            </form>
+        `;
+        const footer = `
+            <button type="button" class="btn btn-secondary close-modal-btn">
+                <i class="fas fa-times"></i> Cancel
+            </button>
+            <button type="button" class="btn btn-success create-draft-booking-btn" data-id="${messageId}">
+                <i class="fas fa-calendar-plus"></i> Create Booking
+            </button>
+        `;
+
+        document.querySelectorAll('.modal-overlay').forEach(modal => modal.remove());
+        createModal({ title: 'Convert to Booking', content, footer });
+    } catch (error) {
+        showNotification(`Could not prepare the booking: ${error.message}`, 'error');
+    } finally {
+        setLoading(false);
     }
-    
-    const markReadBtn = modal.querySelector('.mark-read-btn');
-    if (markReadBtn) {
-        markReadBtn.addEventListener('click', () => {
-            markMessageAsRead(message.id);
-            modal.remove();
+}
+
+async function createDraftBooking(button, force = false) {
+    const form = button.closest('.modal-container').querySelector('.booking-draft-form');
+    if (!form.reportValidity()) return;
+
+    try {
+        setLoading(true);
+        const response = await fetch(`${API_BASE_URL}/messages/${button.dataset.id}/booking`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-csrf-token': csrfToken
+            },
+            body: JSON.stringify({ ...Object.fromEntries(new FormData(form).entries()), force })
         });
-    }
-    
-    const archiveBtn = modal.querySelector('.archive-btn');
-    if (archiveBtn) {
-        archiveBtn.addEventListener('click', () => {
-            if (confirm('Are you sure you want to archive this message?')) {
-                archiveMessage(message.id);
+        const data = await response.json();
+        if (data.csrfToken) csrfToken = data.csrfToken;
+
+        // Same overlap check as confirming a booking; the admin decides
+        if (response.status === 409 && data.requiresOverride) {
+            if (confirm(`${data.error}.\n\nCreate the booking anyway?`)) {
+                setLoading(false);
+                return createDraftBooking(button, true);
             }
-        });
+            return;
+        }
+        if (!response.ok) {
+            const details = data.errors ? Object.values(data.errors).join(', ') : '';
+            throw new Error(details || data.error || 'Request failed');
+        }
+
+        document.querySelectorAll('.modal-overlay').forEach(modal => modal.remove());
+        showNotification('Booking created from the message', 'success');
+        loadSectionData('bookings');
+        viewBookingDetails(data.booking.id);
+    } catch (error) {
+        showNotification(`Could not create the booking: ${error.message}`, 'error');
+    } finally {
+        setLoading(false);
     }
 }
 
@@ -1545,6 +3014,20 @@ function setupEventListeners() {
         });
     }
 
+    if (elements.refreshOutbox) {
+        elements.refreshOutbox.addEventListener('click', () => {
+            loadSectionData('outbox');
+            resetSessionTimer();
+        });
+    }
+
+    if (elements.refreshQuarantine) {
+        elements.refreshQuarantine.addEventListener('click', () => {
+            loadSectionData('quarantine');
+            resetSessionTimer();
+        });
+    }
+
     // Retry buttons
     if (elements.retryBookings) {
         elements.retryBookings.addEventListener('click', () => {
@@ -1558,22 +3041,52 @@ function setupEventListeners() {
         });
     }
 
+    if (elements.retryOutbox) {
+        elements.retryOutbox.addEventListener('click', () => {
+            loadSectionData('outbox');
+        });
+    }
+
+    if (elements.retryQuarantine) {
+        elements.retryQuarantine.addEventListener('click', () => {
+            loadSectionData('quarantine');
+        });
+    }
+
     // Filter dropdowns
     if (elements.bookingFilter) {
         elements.bookingFilter.addEventListener('change', () => {
-            state.bookings.filter = elements.bookingFilter.value;
-            loadSectionData('bookings');
+            reloadList('bookings', { filter: elements.bookingFilter.value });
+        });
+    }
+
+    if (elements.paymentFilter) {
+        elements.paymentFilter.addEventListener('change', () => {
+            reloadList('bookings', { paymentFilter: elements.paymentFilter.value });
         });
     }
 
     if (elements.messageFilter) {
         elements.messageFilter.addEventListener('change', () => {
-            state.messages.filter = elements.messageFilter.value;
-            loadSectionData('messages');
+            reloadList('messages', { filter: elements.messageFilter.value });
+        });
+    }
+
+    if (elements.outboxFilter) {
+        elements.outboxFilter.addEventListener('change', () => {
+            state.outbox.filter = elements.outboxFilter.value;
+            loadSectionData('outbox');
         });
     }
 
     // Export button
+    if (elements.exportFormat) {
+        elements.exportFormat.value = state.bookings.exportFormat;
+        elements.exportFormat.addEventListener('change', () => {
+            state.bookings.exportFormat = elements.exportFormat.value;
+        });
+    }
+
     if (elements.exportBookings) {
         elements.exportBookings.addEventListener('click', (e) => {
             e.preventDefault();
@@ -1584,54 +3097,107 @@ function setupEventListeners() {
 
     // Modal button handlers (using event delegation since modals are created dynamically)
     document.addEventListener('click', function(e) {
-        // Cancel booking button in modal
-        if (e.target.classList.contains('cancel-booking-btn')) {
-            const bookingId = e.target.dataset.bookingId;
-            if (bookingId) {
-                handleCancelBooking(bookingId);
-            }
+        // Booking lifecycle buttons (table rows and booking modal)
+        const bookingActionBtn = e.target.closest('.booking-action-btn');
+        if (bookingActionBtn) {
+            handleBookingLifecycleAction(bookingActionBtn.dataset.id, bookingActionBtn.dataset.action);
         }
-        
-        // Restore booking button in modal
-        if (e.target.classList.contains('restore-booking-btn')) {
-            const bookingId = e.target.dataset.bookingId;
-            if (bookingId) {
-                handleRestoreBooking(bookingId);
-            }
+
+        // Invoice and payment buttons (booking modal)
+        const invoiceActionBtn = e.target.closest('.invoice-action-btn');
+        if (invoiceActionBtn) {
+            handleInvoiceAction(invoiceActionBtn);
         }
 
-        // Confirm booking button in modal
-        if (e.target.classList.contains('confirm-booking-btn')) {
-            const bookingId = e.target.dataset.bookingId;
-            if (bookingId) {
-                if (confirm('Are you sure you want to confirm this booking?')) {
-                    confirmBooking(bookingId);
-                }
-            }
+        // Photographer assignment (booking modal)
+        const assignBtn = e.target.closest('.assign-photographer-btn');
+        if (assignBtn) {
+            assignPhotographer(assignBtn);
         }
 
-        // Message action buttons in modal
-        if (e.target.classList.contains('mark-read-btn')) {
-            const messageId = e.target.dataset.messageId;
-            if (messageId) {
-                markMessageAsRead(messageId);
-            }
+        // CSV import
+        const importActionBtn = e.target.closest('.import-action-btn');
+        if (importActionBtn) {
+            handleImportAction(importActionBtn);
+        }
+        if (e.target.closest('#import-bookings')) {
+            showImportModal();
         }
 
-        if (e.target.classList.contains('mark-unread-btn')) {
-            const messageId = e.target.dataset.messageId;
-            if (messageId) {
-                markMessageAsUnread(messageId);
-            }
+        // Calendar feed manager
+        const calendarFeedBtn = e.target.closest('.calendar-feed-btn');
+        if (calendarFeedBtn) {
+            handleCalendarFeedAction(calendarFeedBtn);
+        }
+        if (e.target.closest('#manage-calendar-feeds')) {
+            showCalendarFeedsModal();
         }
 
-        if (e.target.classList.contains('archive-btn')) {
-            const messageId = e.target.dataset.messageId;
-            if (messageId) {
-                if (confirm('Are you sure you want to archive this message?')) {
-                    archiveMessage(messageId);
-                }
-            }
+        // Outbox view/resend buttons (table rows and email modal)
+        const outboxActionBtn = e.target.closest('.outbox-action-btn');
+        if (outboxActionBtn) {
+            handleOutboxAction(outboxActionBtn);
+        }
+        if (e.target.closest('#preview-email-templates')) {
+            showEmailTemplatesModal();
+        }
+
+        // Paged lists: page buttons and sortable column headers
+        const pageBtn = e.target.closest('.page-btn');
+        if (pageBtn && !pageBtn.disabled) {
+            state[pageBtn.dataset.section].page = Number(pageBtn.dataset.page);
+            loadSectionData(pageBtn.dataset.section);
+        }
+        const sortHeader = e.target.closest('#bookings-table th[data-sort], #messages-table th[data-sort]');
+        if (sortHeader) {
+            sortList(sortHeader.closest('table').id.replace('-table', ''), sortHeader);
+        }
+
+        // Quarantine view/release/delete buttons (table rows and modal)
+        const quarantineActionBtn = e.target.closest('.quarantine-action-btn');
+        if (quarantineActionBtn) {
+            handleQuarantineAction(quarantineActionBtn);
+        }
+
+        // Staff alert recipients
+        const staffRecipientBtn = e.target.closest('.staff-recipient-btn');
+        if (staffRecipientBtn) {
+            handleStaffRecipientAction(staffRecipientBtn);
+        }
+        if (e.target.closest('#manage-staff-alerts')) {
+            showStaffAlertsModal();
+        }
+
+        // Reply composer (message modal)
+        const messageReplyBtn = e.target.closest('.message-reply-btn');
+        if (messageReplyBtn) {
+            sendMessageReply(messageReplyBtn);
+        }
+
+        // Message to booking conversion, and the links between the two
+        const convertMessageBtn = e.target.closest('.convert-message-btn');
+        if (convertMessageBtn) {
+            showBookingDraftModal(convertMessageBtn.dataset.id);
+        }
+        const createDraftBookingBtn = e.target.closest('.create-draft-booking-btn');
+        if (createDraftBookingBtn) {
+            createDraftBooking(createDraftBookingBtn);
+        }
+        const openBookingBtn = e.target.closest('.open-booking-btn');
+        if (openBookingBtn) {
+            document.querySelectorAll('.modal-overlay').forEach(modal => modal.remove());
+            viewBookingDetails(openBookingBtn.dataset.id);
+        }
+        const openMessageBtn = e.target.closest('.open-message-btn');
+        if (openMessageBtn) {
+            document.querySelectorAll('.modal-overlay').forEach(modal => modal.remove());
+            viewMessageDetails(openMessageBtn.dataset.id);
+        }
+
+        // Inbox action buttons (table rows and message modal)
+        const messageActionBtn = e.target.closest('.message-action-btn');
+        if (messageActionBtn) {
+            handleMessageInboxAction(messageActionBtn.dataset.id, messageActionBtn.dataset.action);
         }
 
         // Filter buttons for bookings
@@ -1675,34 +3241,34 @@ function setupEventListeners() {
 
     // Select all bookings checkbox
     document.addEventListener('change', function(e) {
+        if (e.target.classList.contains('staff-recipient-setting')) {
+            updateStaffRecipient(e.target);
+        }
+
         if (e.target.id === 'select-all-bookings') {
             const checkboxes = document.querySelectorAll('.booking-checkbox');
             checkboxes.forEach(checkbox => {
                 checkbox.checked = e.target.checked;
             });
         }
+
+        // Date range and page size of the paged lists
+        if (e.target.classList.contains('list-range')) {
+            reloadList(e.target.dataset.section, { [e.target.dataset.key]: e.target.value });
+        }
+        if (e.target.classList.contains('page-size-select')) {
+            reloadList(e.target.dataset.section, { limit: Number(e.target.value) });
+        }
     });
 
-    // Search functionality
+    // Search functionality (server-side, once typing pauses)
     document.addEventListener('input', function(e) {
         if (e.target.id === 'booking-search') {
-            const searchTerm = e.target.value.toLowerCase();
-            const bookingRows = document.querySelectorAll('.booking-row');
-            
-            bookingRows.forEach(row => {
-                const text = row.textContent.toLowerCase();
-                row.style.display = text.includes(searchTerm) ? '' : 'none';
-            });
+            searchList('bookings', e.target.value);
         }
 
         if (e.target.id === 'message-search') {
-            const searchTerm = e.target.value.toLowerCase();
-            const messageRows = document.querySelectorAll('.message-row');
-            
-            messageRows.forEach(row => {
-                const text = row.textContent.toLowerCase();
-                row.style.display = text.includes(searchTerm) ? '' : 'none';
-            });
+            searchList('messages', e.target.value);
         }
     });
 
@@ -1725,7 +3291,7 @@ function setupEventListeners() {
         // Alt + 1, 2, etc. to switch sections
         if (e.altKey && e.key >= '1' && e.key <= '9') {
             e.preventDefault();
-            const sections = ['bookings', 'messages'];
+            const sections = ['bookings', 'messages', 'outbox'];
             const index = parseInt(e.key) - 1;
             if (sections[index]) {
                 showSection(sections[index]);
@@ -41,20 +41,22 @@ function navigateLightbox(direction) {
     lightboxImg.src = galleryImageSources[currentImageIndex];
 }
 
-// Lightbox event listeners
-closeLightboxBtn.addEventListener('click', closeLightbox);
-lightbox.addEventListener('click', (e) => {
-    if (e.target === lightbox) {
-        closeLightbox();
-    }
-});
+// Lightbox event listeners (only pages with a gallery have a lightbox)
+if (lightbox) {
+    closeLightboxBtn.addEventListener('click', closeLightbox);
+    lightbox.addEventListener('click', (e) => {
+        if (e.target === lightbox) {
+            closeLightbox();
+        }
+    });
 
-document.querySelector('.lightbox .prev').addEventListener('click', () => navigateLightbox(-1));
-document.querySelector('.lightbox .next').addEventListener('click', () => navigateLightbox(1));
+    document.querySelector('.lightbox .prev').addEventListener('click', () => navigateLightbox(-1));
+    document.querySelector('.lightbox .next').addEventListener('click', () => navigateLightbox(1));
+}
 
 // Keyboard navigation for lightbox
 document.addEventListener('keydown', (e) => {
-    if (lightbox.classList.contains('active')) {
+    if (lightbox && lightbox.classList.contains('active')) {
         if (e.key === 'Escape') {
             closeLightbox();
         } else if (e.key === 'ArrowLeft') {
@@ -113,155 +115,769 @@ filterButtons.forEach(button => {
 });
 
 // ===== Date/Time Pickers =====
-document.addEventListener('DOMContentLoaded', function() {
+// Open dates and time windows come from GET /api/availability. Until it
+// answers (or if it fails) only past dates are disabled and the server
+// still rejects conflicting requests on submit.
+const AVAILABILITY_DAYS = 180;
+let availability = null;
+
+function toDateKey(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function toMinutes(clock) {
+    const [hours, minutes] = clock.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function toClock(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function formatClock(clock) {
+    const minutes = toMinutes(clock);
+    const hours = Math.floor(minutes / 60) % 12 || 12;
+    return `${hours}:${String(minutes % 60).padStart(2, '0')} ${minutes >= 720 ? 'PM' : 'AM'}`;
+}
+
+async function loadAvailability(eventType) {
+    const from = new Date();
+    const to = new Date();
+    to.setDate(to.getDate() + AVAILABILITY_DAYS);
+
+    const params = new URLSearchParams({ from: toDateKey(from), to: toDateKey(to) });
+    if (eventType) params.set('eventType', eventType);
+
+    try {
+        const response = await fetch(`/api/availability?${params}`, { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        availability = await response.json();
+    } catch (error) {
+        console.error('Availability error:', error);
+        availability = null;
+    }
+    return availability;
+}
+
+function isDateUnavailable(date) {
+    if (!availability) return false;
+    const key = toDateKey(date);
+    // Dates past the loaded range are left to the server to check
+    if (key > availability.to) return false;
+    return !availability.openSlots[key];
+}
+
+function openWindowsFor(dateKey) {
+    return (availability && availability.openSlots[dateKey]) || [];
+}
+
+function setSlotHint(message, isError = false) {
+    const hint = document.getElementById('time-slot-hint');
+    if (!hint) return;
+    hint.textContent = message;
+    hint.classList.toggle('error', isError);
+}
+
+function initBookingPickers() {
     const dateInput = document.querySelector('.flatpickr-date');
-    if (dateInput) {
-        flatpickr(dateInput, {
-            dateFormat: 'Y-m-d',
-            minDate: 'today',
-            allowInput: false,
-            clickOpens: true,
-            disable: [
-                function(date) {
-                    return (date.getDay() === 0 || date.getDay() === 6);
-                }
-            ],
-        });
+    const startInput = document.getElementById('start-time');
+    const endInput = document.getElementById('end-time');
+    const eventTypeSelect = document.getElementById('event-type');
+    if (!dateInput || !startInput || !endInput) return;
+
+    const timeOptions = {
+        enableTime: true,
+        noCalendar: true,
+        dateFormat: 'h:i K',
+        time_24hr: false,
+        minuteIncrement: 30,
+        clickOpens: true
+    };
+
+    const endPicker = flatpickr(endInput, timeOptions);
+    const startPicker = flatpickr(startInput, {
+        ...timeOptions,
+        onChange: ([start]) => limitEndTime(start)
+    });
+    const datePicker = flatpickr(dateInput, {
+        dateFormat: 'Y-m-d',
+        minDate: 'today',
+        allowInput: false,
+        clickOpens: true,
+        disable: [isDateUnavailable],
+        onChange: (selected, dateStr) => limitStartTime(dateStr)
+    });
+
+    // Start times must leave room for a typical shoot inside an open window
+    function limitStartTime(dateStr) {
+        const windows = openWindowsFor(dateStr);
+        startPicker.clear();
+        endPicker.clear();
+        if (!availability || !dateStr) {
+            setSlotHint('');
+            return;
+        }
+        if (!windows.length) {
+            setSlotHint('That date is no longer available. Please pick another.', true);
+            return;
+        }
+
+        const latestStart = toMinutes(windows[windows.length - 1].end) - availability.durationMinutes;
+        startPicker.set('minTime', windows[0].start);
+        startPicker.set('maxTime', toClock(latestStart));
+        setSlotHint('Open: ' + windows.map(w => `${formatClock(w.start)} – ${formatClock(w.end)}`).join(', '));
     }
-});
 
+    // End time stays inside the window the start time falls in
+    function limitEndTime(start) {
+        endPicker.clear();
+        if (!availability || !start || !dateInput.value) return;
 
-dateInput.addEventListener('click', () => {
-    dateInput._flatpickr.open();
-});
+        const startMinutes = start.getHours() * 60 + start.getMinutes();
+        const slot = openWindowsFor(dateInput.value)
+            .find(w => startMinutes >= toMinutes(w.start) && startMinutes < toMinutes(w.end));
 
+        if (!slot) {
+            startPicker.clear();
+            setSlotHint('That start time overlaps another shoot. Please choose an open time.', true);
+            return;
+        }
 
+        endPicker.set('minTime', toClock(startMinutes + 30));
+        endPicker.set('maxTime', slot.end);
+    }
 
-// Add validation before submission
-function validateBookingForm() {
-    const startTime = document.getElementById('start-time').value;
-    const endTime = document.getElementById('end-time').value;
-    
-    if (new Date(`2000-01-01 ${endTime}`) <= new Date(`2000-01-01 ${startTime}`)) {
-        showFormError('End time must be after start time');
-        return false;
+    async function refresh() {
+        await loadAvailability(eventTypeSelect ? eventTypeSelect.value : '');
+        datePicker.redraw();
+        if (dateInput.value && isDateUnavailable(datePicker.selectedDates[0])) {
+            datePicker.clear();
+        }
+        limitStartTime(dateInput.value);
     }
-    return true;
+
+    if (eventTypeSelect) eventTypeSelect.addEventListener('change', refresh);
+    refresh();
+}
+
+document.addEventListener('DOMContentLoaded', initBookingPickers);
+
+// ===== API Helpers =====
+let csrfToken = null;
+
+async function fetchCsrfToken() {
+    const response = await fetch('/api/csrf-token', {
+        credentials: 'same-origin',
+        headers: { 'Accept': 'application/json' }
+    });
+    if (!response.ok) throw new Error(`Could not get a security token (HTTP ${response.status})`);
+
+    const data = await response.json();
+    csrfToken = data.token;
+    return csrfToken;
 }
 
-function showFormError(message) {
+// POSTs JSON with the session's CSRF token. A 403 means the token went stale
+// (expired session, server restart), so take the fresh one the server sends
+// back and retry once before giving up.
+async function postJson(url, payload, retried = false) {
+    if (!csrfToken) await fetchCsrfToken();
+
+    const response = await fetch(url, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'X-CSRF-Token': csrfToken
+        },
+        body: JSON.stringify(payload)
+    });
+
+    const contentType = response.headers.get('content-type') || '';
+    const data = contentType.includes('application/json') ? await response.json() : {};
+    if (data.csrfToken) csrfToken = data.csrfToken;
+
+    if (response.status === 403 && !retried) {
+        if (!data.csrfToken) await fetchCsrfToken();
+        return postJson(url, payload, true);
+    }
+
+    return { status: response.status, ok: response.ok, data };
+}
+
+function describeFailure(status, data, fallback) {
+    if (status === 429) return 'Too many requests. Please wait a few minutes and try again.';
+    if (status === 403) return 'Your session has expired. Please refresh the page and try again.';
+    return data.message || data.error || fallback;
+}
+
+// ===== Spam Protection =====
+// The public forms carry a challenge from /api/form-challenge plus a
+// proof-of-work solution for it, worked out in the background while the
+// visitor types. Submissions without one go to the admin's quarantine rather
+// than the inbox (server/lib/spamGuard.js). crypto.subtle needs a secure
+// context (HTTPS or localhost); without it the challenge goes unsolved.
+const formProofs = new WeakMap();
+
+function leadingZeroBits(bytes) {
+    let bits = 0;
+    for (const byte of bytes) {
+        if (byte) return bits + Math.clz32(byte) - 24;
+        bits += 8;
+    }
+    return bits;
+}
+
+async function solveChallenge(challenge, difficulty) {
+    if (!window.crypto || !crypto.subtle) return '';
+
+    const encoder = new TextEncoder();
+    for (let solution = 0; ; solution += 1) {
+        const hash = await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${solution}`));
+        if (leadingZeroBits(new Uint8Array(hash)) >= difficulty) return String(solution);
+        // Hand the page back to the visitor between batches
+        if (solution % 2000 === 1999) await new Promise(resolve => setTimeout(resolve));
+    }
+}
+
+async function fetchProof() {
+    const fetchedAt = Date.now();
+    const response = await fetch('/api/form-challenge', {
+        credentials: 'same-origin',
+        headers: { 'Accept': 'application/json' }
+    });
+    if (!response.ok) throw new Error(`Could not get a form challenge (HTTP ${response.status})`);
+
+    const data = await response.json();
+    return {
+        challenge: data.challenge,
+        solution: await solveChallenge(data.challenge, data.difficulty),
+        readyAt: fetchedAt + data.minFillSeconds * 1000,
+        expiresAt: new Date(data.expiresAt).getTime()
+    };
+}
+
+function prepareProof(form) {
+    formProofs.set(form, fetchProof().catch(error => {
+        console.error('Form challenge error:', error);
+        return null;
+    }));
+}
+
+// { challenge, solution } for the form's payload. A form sent within the
+// minimum fill time of its challenge (e.g. straight after a fresh one) is
+// held back until then so it isn't taken for a bot.
+async function takeProof(form) {
+    let proof = await formProofs.get(form);
+    if (!proof || proof.expiresAt <= Date.now()) {
+        prepareProof(form);
+        proof = await formProofs.get(form);
+    }
+    if (!proof) return {};
+
+    const wait = proof.readyAt - Date.now();
+    if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    return { challenge: proof.challenge, solution: proof.solution };
+}
+
+[bookingForm, contactForm].filter(Boolean).forEach(prepareProof);
+
+// ===== Form Feedback =====
+function clearFormErrors(form) {
+    form.querySelectorAll('.field-error, .form-error').forEach(el => el.remove());
+    form.querySelectorAll('.error').forEach(el => el.classList.remove('error'));
+}
+
+// errors: { fieldName: message } as returned by the server
+function showFieldErrors(form, errors = {}) {
+    Object.entries(errors).forEach(([name, message]) => {
+        const input = form.querySelector(`[name="${name}"]`);
+        if (!input) return;
+
+        const wrapper = input.closest('.form-field') || input.closest('.form-group') || input.parentNode;
+        wrapper.classList.add('error');
+
+        const hint = document.createElement('small');
+        hint.className = 'field-error';
+        hint.textContent = message;
+        wrapper.appendChild(hint);
+    });
+
+    const firstInvalid = form.querySelector('.error input, .error select, .error textarea');
+    if (firstInvalid) firstInvalid.focus();
+}
+
+function showFormError(form, message) {
     const errorElement = document.createElement('div');
-    errorElement.className = 'form-error-message';
-    errorElement.textContent = message;
-    
-    const form = document.getElementById('booking-form');
+    errorElement.className = 'form-error';
+    errorElement.setAttribute('role', 'alert');
+    errorElement.innerHTML = '<div class="error-content"><i class="fas fa-exclamation-circle"></i><span></span></div>';
+    errorElement.querySelector('span').textContent = message;
     form.prepend(errorElement);
-    
+}
+
+function setSubmitting(button, submitting, busyLabel) {
+    const defaultText = button.querySelector('.default-text');
+    const loadingText = button.querySelector('.loading-text');
+    button.disabled = submitting;
+
+    if (defaultText && loadingText) {
+        defaultText.style.display = submitting ? 'none' : '';
+        loadingText.style.display = submitting ? 'inline-block' : 'none';
+    } else if (submitting) {
+        button.dataset.label = button.innerHTML;
+        button.innerHTML = `<span>${busyLabel}</span><i class="fas fa-spinner fa-spin"></i>`;
+    } else if (button.dataset.label) {
+        button.innerHTML = button.dataset.label;
+    }
+}
+
+// Repeated names (add-on checkboxes) become arrays
+function formPayload(form) {
+    const formData = new FormData(form);
+    const payload = {};
+    new Set(formData.keys()).forEach(key => {
+        const values = formData.getAll(key);
+        payload[key] = values.length > 1 ? values : values[0];
+    });
+    delete payload._csrf;
+    return payload;
+}
+
+// Shared submit flow: client check, POST, then inline errors or success
+async function submitForm(form, url, { validate, busyLabel, failureMessage, onSuccess }) {
+    const submitBtn = form.querySelector('button[type="submit"]');
+    const payload = formPayload(form);
+
+    clearFormErrors(form);
+    const clientErrors = validate ? validate(payload) : {};
+    if (Object.keys(clientErrors).length) {
+        showFieldErrors(form, clientErrors);
+        return;
+    }
+
+    setSubmitting(submitBtn, true, busyLabel);
+    try {
+        Object.assign(payload, await takeProof(form));
+        const { ok, status, data } = await postJson(url, payload);
+
+        if (ok && data.success) {
+            onSuccess(payload, data);
+            return;
+        }
+
+        // 400 (invalid fields) and 409 (slot taken) come with per-field errors
+        showFieldErrors(form, data.errors);
+        showFormError(form, describeFailure(status, data, failureMessage));
+    } catch (error) {
+        console.error(`${url} error:`, error);
+        showFormError(form, failureMessage);
+    } finally {
+        // A challenge is accepted once, and a failed request may already
+        // have spent it, so every attempt gets a fresh one for the next
+        prepareProof(form);
+        setSubmitting(submitBtn, false);
+    }
+}
+
+// ===== Form Submissions =====
+// Runs the shared schema from validation.js (loaded before this file on
+// pages with forms); the server re-checks with the same rules
+function schemaErrors(schemaName) {
+    return payload => (window.FormValidation
+        ? FormValidation.validate(FormValidation[schemaName], payload).errors
+        : {});
+}
+
+function notifySuccess(form, payload, isBooking, message) {
+    // Pages that define the toast get the full confirmation overlay
+    if (typeof showToast === 'function') {
+        showToast('success', payload.name, isBooking, payload.email, payload.phone);
+        return;
+    }
+    const note = document.createElement('div');
+    note.className = 'form-success';
+    note.setAttribute('role', 'status');
+    note.textContent = message;
+    form.prepend(note);
     setTimeout(() => {
-        errorElement.classList.add('fade-out');
-        setTimeout(() => errorElement.remove(), 500);
+        note.classList.add('fade-out');
+        setTimeout(() => note.remove(), 500);
     }, 5000);
 }
 
-// ===== Form Submissions =====
 if (bookingForm) {
-    bookingForm.addEventListener('submit', async (e) => {
+    bookingForm.addEventListener('submit', (e) => {
         e.preventDefault();
-        const formMessage = document.getElementById('form-message');
-        const submitBtn = bookingForm.querySelector('button[type="submit"]');
-        
-        // Disable button during submission
-        submitBtn.disabled = true;
-        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Processing...';
-        
-        const bookingData = {
-            name: document.getElementById('name').value,
-            email: document.getElementById('email').value,
-            phone: document.getElementById('phone').value,
-            date: document.getElementById('date').value,
-            startTime: document.getElementById('start-time').value,
-            endTime: document.getElementById('end-time').value,
-            eventType: document.getElementById('event-type').value,
-            package: document.getElementById('package').value,
-            location: document.getElementById('location').value,
-            details: document.getElementById('details').value,
-            status: 'pending',
-            timestamp: new Date().toISOString()
-        };
-
-        try {
-            // Simulate API call (replace with actual fetch in production)
-            const response = await mockApiCall('/api/bookings', bookingData);
-            
-            if (response.ok) {
-                formMessage.textContent = 'Booking submitted successfully! We will contact you shortly to confirm.';
-                formMessage.style.color = '#4CAF50';
+        submitForm(bookingForm, '/submit-booking', {
+            validate: schemaErrors('bookingSchema'),
+            busyLabel: 'Sending...',
+            failureMessage: 'Error submitting booking. Please try again or contact us directly.',
+            onSuccess: (payload, data) => {
                 bookingForm.reset();
-                
-                // Show confirmation animation
-                submitBtn.innerHTML = '<i class="fas fa-check"></i> Success!';
-                setTimeout(() => {
-                    submitBtn.innerHTML = 'Submit Booking Request';
-                    submitBtn.disabled = false;
-                }, 2000);
-            } else {
-                throw new Error('Server error');
+                bookingForm.querySelectorAll('.flatpickr-input').forEach(input => {
+                    if (input._flatpickr) input._flatpickr.clear();
+                });
+                notifySuccess(bookingForm, payload, true,
+                    data.message || 'Booking submitted successfully! We will contact you shortly to confirm.');
             }
-        } catch (error) {
-            formMessage.textContent = 'Error submitting booking. Please try again or contact us directly.';
-            formMessage.style.color = '#f44336';
-            submitBtn.innerHTML = 'Try Again';
-            submitBtn.disabled = false;
-            console.error('Booking error:', error);
-        }
+        });
     });
 }
 
 if (contactForm) {
-    contactForm.addEventListener('submit', async (e) => {
+    contactForm.addEventListener('submit', (e) => {
         e.preventDefault();
-        const formMessage = document.getElementById('contact-message');
-        const submitBtn = contactForm.querySelector('button[type="submit"]');
-        
-        submitBtn.disabled = true;
-        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
-        
-        const contactData = {
-            name: document.getElementById('contact-name').value,
-            email: document.getElementById('contact-email').value,
-            subject: document.getElementById('contact-subject').value,
-            phone: document.getElementById('contact-phone').value,
-            message: document.getElementById('contact-message').value,
-            timestamp: new Date().toISOString()
-        };
-
-        try {
-            // Simulate API call (replace with actual fetch in production)
-            const response = await mockApiCall('/api/contact', contactData);
-            
-            if (response.ok) {
-                formMessage.textContent = 'Message sent successfully! We will respond within 24 hours.';
-                formMessage.style.color = '#4CAF50';
+        submitForm(contactForm, '/api/submit-contact', {
+            validate: schemaErrors('contactSchema'),
+            busyLabel: 'Sending...',
+            failureMessage: 'Error sending message. Please try again or call us directly.',
+            onSuccess: (payload, data) => {
                 contactForm.reset();
-                
-                submitBtn.innerHTML = '<i class="fas fa-check"></i> Sent!';
-                setTimeout(() => {
-                    submitBtn.innerHTML = 'Send Message';
-                    submitBtn.disabled = false;
-                }, 2000);
-            } else {
-                throw new Error('Server error');
+                notifySuccess(contactForm, payload, false,
+                    data.message || 'Message sent successfully! We will respond within 24 hours.');
             }
-        } catch (error) {
-            formMessage.textContent = 'Error sending message. Please try again or call us directly.';
-            formMessage.style.color = '#f44336';
-            submitBtn.innerHTML = 'Try Again';
-            submitBtn.disabled = false;
-            console.error('Contact error:', error);
+        });
+    });
+}
+
+// ===== Package Catalog =====
+// The package select and the pricing cards both come from GET /api/packages
+let packageCatalog = [];
+
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value === undefined || value === null ? '' : String(value);
+    return div.innerHTML;
+}
+
+function formatPackagePrice(pkg) {
+    return pkg.price === null || pkg.price === undefined
+        ? 'Contact Us'
+        : `$${Number(pkg.price).toLocaleString()}`;
+}
+
+function formatPackageDuration(pkg) {
+    if (!pkg.durationMinutes) return 'Flexible coverage';
+    const hours = pkg.durationMinutes / 60;
+    return `${Number.isInteger(hours) ? hours : hours.toFixed(1)}-hour session`;
+}
+
+function packageAllows(pkg, eventType) {
+    return !eventType || !pkg.eventTypes.length || pkg.eventTypes.includes(eventType);
+}
+
+// Packages not offered for the chosen event type stay visible but disabled
+function renderPackageOptions(select, eventType) {
+    const current = select.value;
+    select.innerHTML = '<option value="">Select package</option>' + packageCatalog.map(pkg => `
+        <option value="${escapeHtml(pkg.id)}" ${packageAllows(pkg, eventType) ? '' : 'disabled'}>
+            ${escapeHtml(pkg.name)} (${formatPackagePrice(pkg)})
+        </option>`).join('');
+
+    const stillAllowed = packageCatalog.find(pkg => pkg.id === current && packageAllows(pkg, eventType));
+    select.value = stillAllowed ? current : '';
+}
+
+function renderPricingCards(grid) {
+    grid.innerHTML = packageCatalog.map(pkg => `
+        <div class="pricing-card ${pkg.featured ? 'featured' : ''}">
+            ${pkg.featured ? '<div class="popular-badge">Most Popular</div>' : ''}
+            <div class="pricing-header">
+                <h3>${escapeHtml(pkg.name)}</h3>
+                <div class="price">${formatPackagePrice(pkg)}</div>
+                <p class="duration">${formatPackageDuration(pkg)}</p>
+            </div>
+            ${pkg.description ? `<p class="package-description">${escapeHtml(pkg.description)}</p>` : ''}
+            <ul class="features">
+                ${pkg.deliverables.map(item => `<li><i class="fas fa-check"></i> ${escapeHtml(item)}</li>`).join('')}
+            </ul>
+            <button type="button" class="btn ${pkg.featured ? 'btn-primary' : 'btn-outline'}" data-package="${escapeHtml(pkg.id)}">
+                Book This Package
+            </button>
+        </div>`).join('');
+}
+
+async function initPackageCatalog() {
+    const select = document.getElementById('package');
+    const grid = document.querySelector('.pricing-grid');
+    const eventTypeSelect = document.getElementById('event-type');
+    if (!select && !grid) return;
+
+    try {
+        const response = await fetch('/api/packages', { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        packageCatalog = (await response.json()).packages;
+    } catch (error) {
+        console.error('Package catalog error:', error);
+        if (grid) {
+            grid.innerHTML = '<p class="pricing-status">Packages are unavailable right now. Please contact us for pricing.</p>';
+        }
+        return;
+    }
+
+    if (select) {
+        renderPackageOptions(select, eventTypeSelect ? eventTypeSelect.value : '');
+        if (eventTypeSelect) {
+            eventTypeSelect.addEventListener('change', () => renderPackageOptions(select, eventTypeSelect.value));
         }
+    }
+
+    if (grid) {
+        renderPricingCards(grid);
+        grid.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-package]');
+            if (!button) return;
+
+            const option = select && select.querySelector(`option[value="${button.dataset.package}"]`);
+            if (option && !option.disabled) select.value = button.dataset.package;
+            document.getElementById('booking').scrollIntoView({ behavior: 'smooth' });
+        });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initPackageCatalog);
+
+// ===== Live Quote =====
+// Re-prices the booking form through POST /api/quote as the client picks
+// a package, times, add-ons and distance. The server stores its own quote
+// on submit, so this is display only.
+let quoteTimer = null;
+let quoteRequest = 0;
+
+function formatMoney(amount, currency = 'USD') {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+}
+
+function renderQuote(panel, quote) {
+    const rows = quote.lines.map(item => `
+        <tr><td>${escapeHtml(item.label)}</td><td>${formatMoney(item.amount, quote.currency)}</td></tr>`).join('');
+
+    panel.innerHTML = `
+        <h4>Estimated Cost</h4>
+        <table>
+            ${rows}
+            <tr><td>Subtotal</td><td>${formatMoney(quote.subtotal, quote.currency)}</td></tr>
+            <tr><td>Tax (${(quote.taxRate * 100).toFixed(2).replace(/\.?0+$/, '')}%)</td><td>${formatMoney(quote.tax, quote.currency)}</td></tr>
+            <tr class="quote-total"><td>Estimated total</td><td>${formatMoney(quote.total, quote.currency)}</td></tr>
+        </table>
+        ${quote.notes.map(note => `<p class="quote-notes">${escapeHtml(note)}</p>`).join('')}
+        <p class="quote-notes">Estimate only; your final price is confirmed with your booking.</p>`;
+    panel.hidden = false;
+}
+
+async function refreshQuote(form, panel) {
+    const payload = formPayload(form);
+    if (!payload.package) {
+        panel.hidden = true;
+        return;
+    }
+
+    // Ignore answers that arrive after a newer request was sent
+    const requestId = ++quoteRequest;
+    try {
+        const response = await fetch('/api/quote', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        const data = await response.json();
+        if (requestId !== quoteRequest) return;
+
+        if (response.ok) {
+            renderQuote(panel, data.quote);
+        } else {
+            panel.innerHTML = `<p class="quote-notes">${escapeHtml(Object.values(data.errors || {})[0] || data.error)}</p>`;
+            panel.hidden = false;
+        }
+    } catch (error) {
+        console.error('Quote error:', error);
+        if (requestId === quoteRequest) panel.hidden = true;
+    }
+}
+
+function initQuoteEstimate() {
+    const panel = document.getElementById('quote-estimate');
+    if (!bookingForm || !panel) return;
+
+    const schedule = () => {
+        clearTimeout(quoteTimer);
+        quoteTimer = setTimeout(() => refreshQuote(bookingForm, panel), 400);
+    };
+    bookingForm.addEventListener('change', schedule);
+    bookingForm.addEventListener('input', schedule);
+    bookingForm.addEventListener('reset', () => {
+        clearTimeout(quoteTimer);
+        panel.hidden = true;
     });
 }
 
+document.addEventListener('DOMContentLoaded', initQuoteEstimate);
+
+// ===== Pay Page =====
+// pay.html?token=... shows the client's invoice and hands them over to the
+// payment provider's checkout. The provider sends them back with
+// result=success|cancelled; a success the provider hasn't confirmed by
+// webhook yet is polled until the payment shows up.
+const PAY_POLL_MS = 4000;
+const PAY_POLL_LIMIT = 15;
+
+function formatLongDate(value) {
+    return new Date(value).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+function payNotice(data, result) {
+    const checkout = data.lastCheckout;
+    if (result === 'success' && checkout && checkout.status === 'open') {
+        return { type: 'warning', text: 'We are confirming your payment with the payment provider. This page will update automatically.' };
+    }
+    if (result === 'success') {
+        return { type: 'success', text: 'Thank you! Your payment has been received.' };
+    }
+    if (result === 'cancelled' && checkout && checkout.status === 'failed') {
+        return { type: 'error', text: `Your payment did not go through${checkout.failureReason ? ` (${checkout.failureReason})` : ''}. You have not been charged.` };
+    }
+    if (result === 'cancelled') {
+        return { type: 'warning', text: 'Payment cancelled. You have not been charged.' };
+    }
+    return null;
+}
+
+function renderPayInvoice(invoice) {
+    const money = amount => formatMoney(amount, invoice.currency);
+    const rows = invoice.lineItems.map(item => `
+        <tr><td>${escapeHtml(item.label)}</td><td>${money(item.amount)}</td></tr>`).join('');
+
+    return `
+        <div class="quote-estimate">
+            <h4>Invoice ${escapeHtml(invoice.number)}</h4>
+            <table>
+                ${rows}
+                <tr><td>Subtotal</td><td>${money(invoice.subtotal)}</td></tr>
+                <tr><td>Tax</td><td>${money(invoice.tax)}</td></tr>
+                <tr class="quote-total"><td>Total</td><td>${money(invoice.total)}</td></tr>
+                <tr><td>Paid so far</td><td>${money(invoice.amountPaid)}</td></tr>
+                <tr class="quote-total"><td>Balance</td><td>${money(invoice.balance)}</td></tr>
+            </table>
+            <p class="quote-notes">
+                Deposit of ${money(invoice.depositAmount)} (${invoice.depositPercent}%) due ${formatLongDate(invoice.depositDueDate)}.
+                Remaining balance due ${formatLongDate(invoice.balanceDueDate)}.
+            </p>
+        </div>`;
+}
+
+function renderPayActions(data) {
+    const { invoice, amountDue, booking } = data;
+    if (booking.status === 'cancelled') {
+        return '<p class="form-warning">This booking has been cancelled. Please contact us about any payments made.</p>';
+    }
+    if (!invoice) {
+        return '<p class="form-warning">Your booking request is awaiting confirmation. Once we confirm your date, your invoice will appear here and you can pay your deposit online.</p>';
+    }
+    if (!amountDue) {
+        return '<p class="form-success">Your invoice is paid in full. Thank you!</p>';
+    }
+    if (!data.onlinePayments) {
+        return '<p class="form-warning">Online payment is not available at the moment. Please contact us to arrange payment.</p>';
+    }
+
+    const money = amount => formatMoney(amount, invoice.currency);
+    const payLabel = amountDue.purpose === 'deposit' ? 'Pay deposit' : 'Pay balance';
+    return `
+        <div class="pay-actions">
+            <button type="button" class="btn btn-primary pay-button" data-purpose="${amountDue.purpose}">
+                <i class="fas fa-lock"></i> ${payLabel} ${money(amountDue.amount)}
+            </button>
+            ${amountDue.purpose === 'deposit' && invoice.balance > amountDue.amount ? `
+            <button type="button" class="btn btn-secondary pay-button" data-purpose="balance">
+                Pay in full ${money(invoice.balance)}
+            </button>` : ''}
+        </div>`;
+}
+
+function renderPayPage(container, data, result) {
+    const { booking } = data;
+    const notice = payNotice(data, result);
+
+    container.innerHTML = `
+        ${notice ? `<p class="form-${notice.type}">${escapeHtml(notice.text)}</p>` : ''}
+        <h2>Hi ${escapeHtml(booking.clientName)},</h2>
+        <ul class="pay-summary">
+            <li><strong>Event:</strong> ${escapeHtml(booking.eventType)}</li>
+            <li><strong>Date:</strong> ${formatLongDate(booking.eventDate)}${booking.startTime ? `, ${escapeHtml(booking.startTime)}${booking.endTime ? ` - ${escapeHtml(booking.endTime)}` : ''}` : ''}</li>
+            <li><strong>Package:</strong> ${escapeHtml(booking.packageName)}</li>
+        </ul>
+        ${data.invoice ? renderPayInvoice(data.invoice) : ''}
+        ${renderPayActions(data)}`;
+    container.hidden = false;
+}
+
+async function loadPayPage(token, result, polls = 0) {
+    const status = document.getElementById('pay-status');
+    const container = document.getElementById('pay-details');
+
+    try {
+        const response = await fetch(`/api/pay/${encodeURIComponent(token)}`, {
+            headers: { 'Accept': 'application/json' }
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'We could not load your invoice');
+
+        status.hidden = true;
+        renderPayPage(container, data, result);
+
+        const waiting = result === 'success' && data.lastCheckout && data.lastCheckout.status === 'open';
+        if (waiting && polls < PAY_POLL_LIMIT) {
+            setTimeout(() => loadPayPage(token, result, polls + 1), PAY_POLL_MS);
+        }
+    } catch (error) {
+        status.textContent = `${error.message}. Please check the link in your email or contact us.`;
+        status.hidden = false;
+    }
+}
+
+async function startCheckout(token, button) {
+    const container = document.getElementById('pay-details');
+    const original = button.innerHTML;
+    button.disabled = true;
+    button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Redirecting to checkout...';
+
+    try {
+        const { ok, status, data } = await postJson(`/api/pay/${encodeURIComponent(token)}/checkout`, {
+            purpose: button.dataset.purpose
+        });
+        if (!ok) throw new Error(describeFailure(status, data, 'We could not start the payment'));
+        window.location.href = data.url;
+    } catch (error) {
+        button.disabled = false;
+        button.innerHTML = original;
+        container.querySelectorAll('.pay-error').forEach(el => el.remove());
+        container.insertAdjacentHTML('beforeend', `<p class="form-error pay-error">${escapeHtml(error.message)}</p>`);
+    }
+}
+
+function initPayPage() {
+    const page = document.getElementById('pay-page');
+    if (!page) return;
+
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('token');
+    if (!token) {
+        document.getElementById('pay-status').textContent = 'This payment link is incomplete. Please use the link from your email.';
+        return;
+    }
+
+    page.addEventListener('click', (event) => {
+        const button = event.target.closest('.pay-button');
+        if (button) startCheckout(token, button);
+    });
+    loadPayPage(token, params.get('result'));
+}
+
+document.addEventListener('DOMContentLoaded', initPayPage);
+
 // Add to main.js
 document.querySelectorAll('#package option').forEach(option => {
     option.addEventListener('click', function() {
@@ -281,16 +897,6 @@ document.querySelectorAll('#package option').forEach(option => {
     });
 });
 
-// Mock API function for demonstration
-function mockApiCall(url, data) {
-    console.log('Mock API call to:', url, 'with data:', data);
-    return new Promise((resolve) => {
-        setTimeout(() => {
-            resolve({ ok: true, json: () => Promise.resolve({ success: true }) });
-        }, 1500);
-    });
-}
-
 // ===== Navigation =====
 function initMobileMenu() {
     console.log("hamburger:", hamburger); // ✅ Add this
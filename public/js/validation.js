@@ -0,0 +1,146 @@
+// ===== Form Validation Schemas =====
+// Shared by the public forms (window.FormValidation) and the server
+// (require('../public/js/validation')), so both sides accept and reject
+// exactly the same payloads. validate() returns per-field messages keyed by
+// the form field name, which the forms render inline.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FormValidation = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    const EVENT_TYPES = ['wedding', 'engagement', 'portrait', 'family', 'maternity', 'corporate', 'other'];
+
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+    // Digits with optional +, spaces, dots, dashes and parentheses; 7-15 digits
+    const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+    const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+    // Accepts "2:00 PM", "2 pm", "14:00" or "14:00:00"; returns minutes since midnight
+    function parseTime(value) {
+        if (!value) return null;
+        const match = String(value).trim().match(/^(\d{1,2})(?::(\d{2}))?(?::\d{2})?\s*([AaPp][Mm])?$/);
+        if (!match) return null;
+
+        let hours = Number(match[1]);
+        const minutes = Number(match[2] || 0);
+        const meridiem = match[3] && match[3].toUpperCase();
+
+        if (minutes > 59) return null;
+        if (meridiem) {
+            if (hours < 1 || hours > 12) return null;
+            hours = (hours % 12) + (meridiem === 'PM' ? 12 : 0);
+        } else if (hours > 23) {
+            return null;
+        }
+        return hours * 60 + minutes;
+    }
+
+    // YYYY-MM-DD naming a real day: Date rolls 2027-02-31 over to March 3,
+    // so the parts have to come back unchanged
+    function isCalendarDate(value) {
+        if (!DATE_PATTERN.test(value)) return false;
+        const [year, month, day] = value.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+        return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+    }
+
+    function todayKey() {
+        const now = new Date();
+        const pad = value => String(value).padStart(2, '0');
+        return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    }
+
+    const FORMATS = {
+        email: value => EMAIL_PATTERN.test(value) || 'Please enter a valid email address',
+        phone: value => {
+            const digits = value.replace(/\D/g, '').length;
+            return (PHONE_PATTERN.test(value) && digits >= 7 && digits <= 15) || 'Please enter a valid phone number';
+        },
+        date: value => isCalendarDate(value) || 'Please choose a valid date',
+        time: value => parseTime(value) !== null || 'Please choose a valid time',
+        miles: value => {
+            const miles = Number(value);
+            return (Number.isFinite(miles) && miles >= 0 && miles <= 5000) || 'Please enter a distance in miles';
+        }
+    };
+
+    const bookingSchema = {
+        name: { label: 'Full name', required: true, maxLength: 100 },
+        email: { label: 'Email', required: true, format: 'email', maxLength: 254 },
+        phone: { label: 'Phone', required: true, format: 'phone', maxLength: 30 },
+        eventType: { label: 'Event type', required: true, oneOf: EVENT_TYPES },
+        date: { label: 'Event date', required: true, format: 'date', future: true },
+        // Checked against the live package catalog on the server
+        package: { label: 'Package', required: true, maxLength: 50 },
+        startTime: { label: 'Start time', required: true, format: 'time' },
+        endTime: { label: 'End time', required: true, format: 'time', after: 'startTime' },
+        location: { label: 'Location', required: true, maxLength: 200 },
+        distanceMiles: { label: 'Distance', format: 'miles' },
+        details: { label: 'Details', maxLength: 2000 }
+    };
+
+    const contactSchema = {
+        name: { label: 'Name', required: true, maxLength: 100 },
+        email: { label: 'Email', required: true, format: 'email', maxLength: 254 },
+        phone: { label: 'Phone', format: 'phone', maxLength: 30 },
+        subject: { label: 'Subject', maxLength: 150 },
+        message: { label: 'Message', required: true, maxLength: 5000 }
+    };
+
+    function checkField(rule, value, values, schema) {
+        if (!value) {
+            return rule.required ? `${rule.label} is required` : null;
+        }
+        if (rule.maxLength && value.length > rule.maxLength) {
+            return `${rule.label} must be at most ${rule.maxLength} characters`;
+        }
+        if (rule.oneOf && !rule.oneOf.includes(value)) {
+            return `Please choose a valid ${rule.label.toLowerCase()}`;
+        }
+        if (rule.format) {
+            const result = FORMATS[rule.format](value);
+            if (result !== true) return result;
+        }
+        if (rule.future && value < todayKey()) {
+            return `${rule.label} must be today or later`;
+        }
+        if (rule.after) {
+            const other = parseTime(values[rule.after]);
+            if (other !== null && parseTime(value) <= other) {
+                return `${rule.label} must be after ${schema[rule.after].label.toLowerCase()}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Validates `data` against `schema`.
+     * Returns { valid, errors: { field: message }, values } where `values`
+     * holds only schema fields, trimmed, with missing optional fields as ''.
+     */
+    function validate(schema, data) {
+        const values = {};
+        Object.keys(schema).forEach(field => {
+            const raw = data && data[field];
+            values[field] = raw === undefined || raw === null ? '' : String(raw).trim();
+        });
+
+        const errors = {};
+        Object.entries(schema).forEach(([field, rule]) => {
+            const message = checkField(rule, values[field], values, schema);
+            if (message) errors[field] = message;
+        });
+
+        return { valid: Object.keys(errors).length === 0, errors, values };
+    }
+
+    return {
+        EVENT_TYPES,
+        bookingSchema,
+        contactSchema,
+        parseTime,
+        validate
+    };
+});
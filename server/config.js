@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const path = require('path');
+
+// ===== Business Settings =====
+// Everything here can be overridden from .env; the defaults match how the
+// studio works today.
+const number = (value, fallback) => {
+  const parsed = Number(value);
+  return value === undefined || value === '' || Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const list = (value, fallback) => (
+  value === undefined ? fallback : value.split(',').map(item => item.trim()).filter(Boolean)
+);
+
+// Express 'trust proxy': "true"/"false", a hop count, or addresses/subnets
+const trustProxy = (value) => {
+  if (value === undefined || value === '' || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+// "Downtown:5,Fort Worth:35" -> { downtown: 5, 'fort worth': 35 }
+const areas = (value) => Object.fromEntries(list(value, [])
+  .map(entry => entry.split(':'))
+  .filter(([name, miles]) => name && !Number.isNaN(Number(miles)))
+  .map(([name, miles]) => [name.trim().toLowerCase(), Number(miles)]));
+
+module.exports = {
+  booking: {
+    // Travel/setup time kept free before and after every shoot
+    bufferMinutes: number(process.env.BOOKING_BUFFER_MINUTES, 60),
+    // Confirmed shoots allowed on a single day
+    maxShootsPerDay: number(process.env.MAX_SHOOTS_PER_DAY, 2),
+    // Assumed length of a booking that has no end time
+    defaultDurationMinutes: number(process.env.DEFAULT_SHOOT_MINUTES, 120),
+    // Statuses that hold a slot; pending requests only get flagged
+    blockingStatuses: ['confirmed', 'rescheduled'],
+    // Shooting hours offered on the booking page (24h HH:MM)
+    openingTime: process.env.BOOKING_OPENING_TIME || '09:00',
+    closingTime: process.env.BOOKING_CLOSING_TIME || '18:00',
+    // 0 = Sunday ... 6 = Saturday
+    closedWeekdays: list(process.env.CLOSED_WEEKDAYS, ['0', '6']).map(Number),
+    // YYYY-MM-DD dates with no shoots (holidays, vacations)
+    blackoutDates: list(process.env.BLACKOUT_DATES, []),
+    // Typical shoot length per event type, used to size open slots
+    eventDurations: {
+      wedding: 480,
+      engagement: 120,
+      portrait: 120,
+      family: 120,
+      maternity: 90,
+      corporate: 240,
+      other: 120
+    }
+  },
+  quote: {
+    currency: 'USD',
+    // Applied to the whole subtotal (package, overtime, add-ons, travel)
+    taxRate: number(process.env.QUOTE_TAX_RATE, 0.0825),
+    // Billed per started half hour beyond the package's duration
+    overtimeHourlyRate: number(process.env.OVERTIME_HOURLY_RATE, 200),
+    // per: 'booking' = flat fee, 'hour' = multiplied by the booked hours
+    addOns: {
+      'second-shooter': { label: 'Second shooter', price: number(process.env.ADDON_SECOND_SHOOTER_HOURLY, 75), per: 'hour' },
+      prints: { label: 'Print package (20 fine-art prints)', price: number(process.env.ADDON_PRINTS_PRICE, 150), per: 'booking' },
+      drone: { label: 'Drone coverage', price: number(process.env.ADDON_DRONE_PRICE, 250), per: 'booking' }
+    },
+    // One-way distance from the studio; the first band that fits applies
+    travelBands: [
+      { upToMiles: 25, fee: 0 },
+      { upToMiles: 50, fee: 75 },
+      { upToMiles: 100, fee: 150 },
+      { upToMiles: null, fee: 300 }
+    ],
+    // Known places matched against the booking location when the client
+    // doesn't give a distance
+    travelAreas: areas(process.env.TRAVEL_AREAS)
+  },
+  invoice: {
+    // Share of the total due up front to secure the date
+    depositPercent: number(process.env.INVOICE_DEPOSIT_PERCENT, 50),
+    // Deposit due this many days after the invoice is issued
+    depositDueDays: number(process.env.INVOICE_DEPOSIT_DUE_DAYS, 7),
+    // Balance due this many days before the event (0 = on the event day)
+    balanceDueDaysBeforeEvent: number(process.env.INVOICE_BALANCE_DUE_DAYS, 0)
+  },
+  site: {
+    // Public address used for links in emails and payment redirects
+    url: (process.env.CLIENT_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '')
+  },
+  // Studio details printed on invoices and confirmations
+  brand: {
+    name: process.env.BRAND_NAME || 'Ami Photography',
+    email: process.env.BRAND_EMAIL || 'info@amiphotography.com',
+    phone: process.env.BRAND_PHONE || '(123) 456-7890',
+    address: process.env.BRAND_ADDRESS || '123 Photo St, Your City',
+    color: process.env.BRAND_COLOR || '#d4af37',
+    // Where thank-you emails ask clients to leave a review (optional)
+    reviewUrl: process.env.BRAND_REVIEW_URL || ''
+  },
+  mail: {
+    // Where staff-facing emails (pending booking nudges) go
+    staffAddress: process.env.CONTACT_EMAIL || process.env.EMAIL_USER || 'info@amiphotography.com',
+    // Mailbox client replies should go to. With plus addressing each
+    // conversation gets its own address (replies+<token>@...); empty = the
+    // sending address
+    replyAddress: process.env.INBOUND_REPLY_ADDRESS || '',
+    // How often the queue looks for emails due a (re)try
+    pollSeconds: number(process.env.MAIL_POLL_SECONDS, 30),
+    // First retry after this long, doubling each time up to the max
+    retryBaseSeconds: number(process.env.MAIL_RETRY_BASE_SECONDS, 60),
+    retryMaxSeconds: number(process.env.MAIL_RETRY_MAX_SECONDS, 3600),
+    // Attempts before an email is marked dead
+    maxAttempts: number(process.env.MAIL_MAX_ATTEMPTS, 8)
+  },
+  notifications: {
+    // Staff alerted about new bookings and messages when none are set up
+    // yet (empty = mail.staffAddress); manage them in the admin afterwards
+    recipients: list(process.env.STAFF_NOTIFY_EMAILS, []),
+    // Local hour the daily message digest goes out
+    digestHour: number(process.env.NOTIFY_DIGEST_HOUR, 17)
+  },
+  jobs: {
+    // How often the scheduler looks for due emails
+    pollSeconds: number(process.env.JOB_POLL_SECONDS, 60),
+    // Hour of day (local) that day-based emails go out
+    sendHour: number(process.env.JOB_SEND_HOUR, 9),
+    // Reminder this many days before the shoot
+    reminderDaysBefore: number(process.env.REMINDER_DAYS_BEFORE, 3),
+    // "What to wear" email this many days before, for these event types
+    prepDaysBefore: number(process.env.PREP_EMAIL_DAYS_BEFORE, 7),
+    prepEventTypes: list(process.env.PREP_EMAIL_EVENT_TYPES, ['portrait']),
+    // Thank-you and review request this many days after the shoot
+    thankYouDaysAfter: number(process.env.THANK_YOU_DAYS_AFTER, 2),
+    // Nudge the studio about requests still pending after this many hours
+    pendingNudgeHours: number(process.env.PENDING_NUDGE_HOURS, 48),
+    // Emails whose moment passed longer ago than this are skipped, not sent
+    // late (e.g. after downtime, or for imported historical bookings)
+    graceHours: number(process.env.JOB_GRACE_HOURS, 24)
+  },
+  inbound: {
+    // Shared secret the mail provider (or the fixture sender) puts in the
+    // x-inbound-secret header of /api/inbound-email; empty = endpoint off
+    secret: process.env.INBOUND_EMAIL_SECRET || '',
+    // Largest email accepted, attachments included
+    maxBytes: number(process.env.INBOUND_MAX_MB, 15) * 1024 * 1024,
+    // Where attachments of client emails are kept (outside public/)
+    attachmentDir: path.resolve(process.env.INBOUND_ATTACHMENT_DIR || path.join(__dirname, 'data/attachments')),
+    // Replies without a thread token are matched to the sender's messages
+    // and bookings from this many days back
+    matchSenderDays: number(process.env.INBOUND_MATCH_SENDER_DAYS, 90)
+  },
+  spam: {
+    // Signs form challenges. Without it a random key is used per process, so
+    // pages loaded before a restart (or served by another instance) send
+    // challenges that no longer verify and land in quarantine
+    secret: process.env.SPAM_SECRET || crypto.randomBytes(32).toString('hex'),
+    // Leading zero bits the browser's proof-of-work hash needs (each extra
+    // bit doubles the work; 15 takes well under a second)
+    powBits: number(process.env.SPAM_POW_BITS, 15),
+    // A form sent sooner than this after the page got its challenge is a bot
+    minFillSeconds: number(process.env.SPAM_MIN_FILL_SECONDS, 3),
+    // Challenges older than this are refused (the page fetches a new one)
+    challengeMinutes: number(process.env.SPAM_CHALLENGE_MINUTES, 120),
+    // Submissions allowed per sender address and per IP in the window
+    maxPerEmail: number(process.env.SPAM_MAX_PER_EMAIL, 3),
+    maxPerIp: number(process.env.SPAM_MAX_PER_IP, 10),
+    // Behind a load balancer or reverse proxy every request arrives from the
+    // proxy's address, so without this all visitors share one per-IP limit
+    // (and the API rate limit). Set it to the proxies in front of the app
+    trustProxy: trustProxy(process.env.TRUST_PROXY),
+    limitWindowMinutes: number(process.env.SPAM_LIMIT_WINDOW_MINUTES, 60),
+    // Content score (links, spam phrases, shouting) that quarantines
+    scoreThreshold: number(process.env.SPAM_SCORE_THRESHOLD, 5)
+  },
+  calendar: {
+    // Shoots older than this many days drop out of subscribed feeds
+    feedPastDays: number(process.env.CALENDAR_FEED_PAST_DAYS, 90),
+    // How often subscribed calendar apps are asked to refresh
+    refreshMinutes: number(process.env.CALENDAR_REFRESH_MINUTES, 60)
+  },
+  payments: {
+    // Which server/payments/<provider>.js handles online checkout; unset,
+    // online payments are off. 'mock' has to be chosen explicitly.
+    provider: (process.env.PAYMENT_PROVIDER || '').toLowerCase(),
+    // Shared secret for webhook signatures. The mock gateway signs its own
+    // webhooks, so a random per-process secret is enough when unset.
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex'),
+    // Webhooks signed longer ago than this are rejected as replays
+    webhookToleranceSeconds: number(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS, 300),
+    // How long the mock gateway's "delayed" outcome waits before its webhook
+    mockWebhookDelayMs: number(process.env.MOCK_WEBHOOK_DELAY_MS, 10000),
+    // The mock gateway runs in-process and posts its webhooks back to this app
+    mockWebhookUrl: process.env.MOCK_WEBHOOK_URL || `http://127.0.0.1:${process.env.PORT || 3000}/api/payments/webhook`
+  }
+};
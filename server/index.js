@@ -1,6 +1,5 @@
 require('dotenv').config();
 const express = require('express');
-const mongoose = require('mongoose');
 const path = require('path');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
@@ -9,70 +8,45 @@ const MongoStore = require('connect-mongo');
 const cors = require('cors');
 const morgan = require('morgan');
 const csrf = require('csurf');
-const { v4: uuidv4 } = require('uuid');
-const nodemailer = require('nodemailer');
+const storage = require('./storage');
+const { ACTIONS: BOOKING_ACTIONS, allowedActions, applyTransition } = require('./lib/bookingLifecycle');
+const {
+  toDayKey, bookingSlot, checkSlot, describeConflict, availabilityCalendar
+} = require('./lib/availability');
+const config = require('./config');
+const { EVENT_TYPES, validate, bookingSchema, contactSchema } = require('../public/js/validation');
+const { initializeSampleData } = require('./seed');
+const { CATALOG_SORT, ensureDefaultPackages, withCatalogPrice } = require('./lib/packageCatalog');
+const packageRoutes = require('./routes/packages');
+const quoteRoutes = require('./routes/quote');
+const invoiceRoutes = require('./routes/invoices');
+const paymentRoutes = require('./routes/payments');
+const documentRoutes = require('./routes/documents');
+const calendarRoutes = require('./routes/calendar');
+const importRoutes = require('./routes/imports');
+const payments = require('./payments');
+const mailQueue = require('./lib/mailQueue');
+const scheduler = require('./lib/scheduler');
+const outboxRoutes = require('./routes/outbox');
+const emailTemplateRoutes = require('./routes/emailTemplates');
+const notificationRoutes = require('./routes/notifications');
+const staffNotifications = require('./lib/staffNotifications');
+const messageThreads = require('./lib/messageThreads');
+const inboundEmail = require('./lib/inboundEmail');
+const inboundRoutes = require('./routes/inbound');
+const spamGuard = require('./lib/spamGuard');
+const quarantineRoutes = require('./routes/quarantine');
+const { bookingFromForm, acceptContact, acceptBooking } = require('./lib/submissions');
+const { draftFromMessage } = require('./lib/bookingDraft');
+const { createInvoice, invoiceStatus, isPricedOnRequest } = require('./lib/invoice');
+const { BOOKING_SORT_FIELDS, bookingListQuery } = require('./lib/bookingQuery');
+const { listPaging, pageInfo, dateRangeQuery, searchQuery } = require('./lib/listQuery');
+const { exportBookings } = require('./lib/bookingExport');
 
 const app = express();
 
-// ===== In-Memory Database (For Development) =====
-let bookings = [];
-let messages = [];
-
-// Sample initial data
-const initializeSampleData = () => {
-  bookings = [
-    {
-      id: uuidv4(),
-      clientName: 'John Doe',
-      clientEmail: 'john@example.com',
-      clientPhone: '555-0101',
-      eventType: 'Wedding',
-      eventDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
-      package: 'Premium',
-      status: 'pending',
-      additionalNotes: 'Outdoor ceremony requested',
-      createdAt: new Date()
-    },
-    {
-      id: uuidv4(),
-      clientName: 'Jane Smith',
-      clientEmail: 'jane@example.com',
-      clientPhone: '555-0202',
-      eventType: 'Portrait',
-      eventDate: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000),
-      package: 'Basic',
-      status: 'confirmed',
-      additionalNotes: '',
-      createdAt: new Date()
-    }
-  ];
-
-  messages = [
-    {
-      id: uuidv4(),
-      name: 'Sarah Johnson',
-      email: 'sarah@example.com',
-      subject: 'Wedding Inquiry',
-      message: 'I would like information about your wedding packages.',
-      date: new Date(),
-      read: false, 
-      archived: false
-    },
-    {
-      id: uuidv4(),
-      name: 'Mike Brown',
-      email: 'mike@example.com',
-      subject: 'Availability Question',
-      message: 'Are you available for a corporate event on June 15th?',
-      date: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
-      read: true,
-      archived: false
-    }
-  ];
-};
-
-// Initialize sample data
-initializeSampleData();
+// req.ip comes from X-Forwarded-For only for the proxies configured here
+app.set('trust proxy', config.spam.trustProxy);
 
 // ===== Enhanced Security Middleware =====
 app.use(helmet({
@@ -108,15 +82,22 @@ app.use(cors({
     ? process.env.CLIENT_URL 
     : 'http://localhost:3000',
   credentials: true,
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'X-CSRF-Token'],
   exposedHeaders: ['X-CSRF-Token'],
   maxAge: 600
 }));
 app.options('*', cors());
 
+// Client emails from the mail provider; parses its own (larger) bodies
+app.use('/api', inboundRoutes());
+
 // ===== Body Parsers =====
-app.use(express.json({ limit: '10mb' }));
+// Payment webhooks are signed over the exact bytes received, so keep them
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // ===== Static Files =====
@@ -127,7 +108,9 @@ app.use(express.static(path.join(__dirname, '../public'), {
 }));
 
 // ===== Session Configuration =====
-const sessionStore = MongoStore.create({
+// The file storage driver is for machines without MongoDB, so sessions fall
+// back to express-session's in-memory store there.
+const sessionStore = storage.driver === 'mongo' ? MongoStore.create({
   mongoUrl: process.env.MONGODB_URI,
   collectionName: 'sessions',
   ttl: 24 * 60 * 60,
@@ -136,7 +119,7 @@ const sessionStore = MongoStore.create({
   crypto: {
     secret: process.env.SESSION_SECRET.substring(0, 32)
   }
-});
+}) : undefined;
 
 app.use(session({
   name: process.env.SESSION_NAME,
@@ -178,6 +161,12 @@ app.get('/csrf-token', csrfProtection, (req, res) => {
     });
 });
 
+// Proof-of-work challenge for the public forms (see lib/spamGuard)
+app.get('/api/form-challenge', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json(spamGuard.issueChallenge());
+});
+
 // ===== Rate Limiting =====
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
@@ -199,22 +188,41 @@ const noCache = (req, res, next) => {
 };
 
 // ===== Database Connection =====
-mongoose.connect(process.env.MONGODB_URI, {
-    serverSelectionTimeoutMS: 5000,
-    socketTimeoutMS: 45000,
-    maxPoolSize: 50,
-    wtimeoutMS: 2500
+storage.connect()
+  .then(async () => {
+    console.log(storage.driver === 'mongo'
+      ? '✅ MongoDB connected successfully'
+      : `✅ File storage ready (${process.env.FILE_STORE_DIR || 'server/data/store'})`);
+
+    // The booking form needs a catalog, so an empty one gets the defaults
+    const packages = await ensureDefaultPackages(storage.packages);
+    if (packages) console.log(`📦 Created ${packages} default packages`);
+
+    // Sample data is opt-in: `npm run seed` or SEED_SAMPLE_DATA=true
+    if (process.env.SEED_SAMPLE_DATA === 'true') {
+      const seeded = await initializeSampleData();
+      console.log(`🌱 Seeded ${seeded.bookings} bookings and ${seeded.messages} messages`);
+    }
+
+    // Staff alerts are optional, so a failure here mustn't keep the mail
+    // queue and scheduler from starting
+    try {
+      const recipients = await staffNotifications.ensureStaffRecipients();
+      if (recipients) console.log(`🔔 Sending new booking and message alerts to ${recipients} staff address(es)`);
+    } catch (err) {
+      console.error('⚠️ Could not set up staff notification recipients:', err);
+    }
+
+    // The mail queue and the reminder scheduler need the store, so they
+    // start once it's ready
+    await mailQueue.start();
+    scheduler.start();
   })
-  .then(() => console.log('✅ MongoDB connected successfully'))
   .catch(err => {
-    console.error('❌ MongoDB connection error:', err);
+    console.error('❌ Storage connection error:', err);
     console.log('⚠️ Server will continue running without database connection');
     // Remove process.exit(1) to let server run without DB
   });
-  
-  mongoose.connection.on('error', err => {
-    console.error('MongoDB runtime error:', err);
-});
 
 // ===== Authentication Middleware =====
 const authenticate = (req, res, next) => {
@@ -231,8 +239,9 @@ const authenticate = (req, res, next) => {
 app.get('/api/admin/health', (req, res) => {
   res.json({
     status: 'healthy',
-    database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
-    sessionStore: 'active',
+    database: storage.status(),
+    storage: storage.driver,
+    sessionStore: sessionStore ? 'mongo' : 'memory',
     uptime: process.uptime(),
     timestamp: new Date().toISOString()
   });
@@ -259,6 +268,7 @@ app.post('/api/admin/login', noCache, (req, res) => {
       if (err) return res.status(500).json({ error: 'Session error' });
 
       req.session.admin = true;
+      req.session.username = username;
       req.session.cookie.expires = new Date(Date.now() + 24 * 60 * 60 * 1000);
       res.json({
         success: true,
@@ -273,232 +283,458 @@ app.post('/api/admin/login', noCache, (req, res) => {
   }
 });
 
+// ===== Public Availability =====
+const DAY_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_AVAILABILITY_DAYS = 366;
+
+app.get('/api/availability', async (req, res) => {
+  try {
+    const today = toDayKey(new Date());
+    const from = req.query.from || today;
+    const { eventType } = req.query;
+
+    if (!DAY_KEY.test(from) || (req.query.to && !DAY_KEY.test(req.query.to))) {
+      return res.status(400).json({ error: 'from and to must be YYYY-MM-DD dates' });
+    }
+    if (eventType && !config.booking.eventDurations[eventType]) {
+      return res.status(400).json({ error: `Unknown event type: ${eventType}` });
+    }
+
+    const defaultTo = new Date(`${from}T00:00:00`);
+    defaultTo.setDate(defaultTo.getDate() + 90);
+    const to = req.query.to || toDayKey(defaultTo);
+    const days = (new Date(`${to}T00:00:00`) - new Date(`${from}T00:00:00`)) / 86400000;
+
+    if (days < 0 || days > MAX_AVAILABILITY_DAYS) {
+      return res.status(400).json({ error: `Range must span 0-${MAX_AVAILABILITY_DAYS} days` });
+    }
+
+    // Days before today are never bookable
+    const calendar = await availabilityCalendar(storage.bookings, {
+      from: from < today ? today : from,
+      to,
+      eventType
+    });
+
+    // Short shared cache; booking submission re-checks the slot anyway
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(calendar);
+  } catch (err) {
+    console.error('Error computing availability:', err);
+    res.status(500).json({ error: 'Failed to load availability' });
+  }
+});
+
 // ===== Protected Routes =====
 app.use('/api/admin', authenticate, noCache);
 
 // Bookings
-app.get('/api/admin/bookings', (req, res) => {
+// Adds what the admin UI needs but the stored record doesn't hold
+const presentBooking = (booking) => ({
+  ...booking,
+  allowedActions: allowedActions(booking),
+  paymentStatus: invoiceStatus(booking.invoice)
+});
+
+app.get('/api/admin/bookings', async (req, res) => {
   try {
-    let filteredBookings = [...bookings];
-    
-    if (req.query.status) {
-      filteredBookings = filteredBookings.filter(
-        b => b.status.toLowerCase() === req.query.status.toLowerCase()
-      );
-    }
-    
-    filteredBookings.sort((a, b) => new Date(b.eventDate) - new Date(a.eventDate));
-    
-    res.json(filteredBookings);
+    // status, paymentStatus, from/to (YYYY-MM-DD) and q, then page, limit, sort and order
+    const { query, error } = bookingListQuery(req.query);
+    const { paging, error: pagingError } = listPaging(req.query, {
+      sortFields: BOOKING_SORT_FIELDS,
+      defaultSort: 'eventDate'
+    });
+    if (error || pagingError) return res.status(400).json({ error: error || pagingError });
+
+    const [bookings, total] = await Promise.all([
+      storage.bookings.list(query, { sort: paging.storageSort, skip: paging.skip, limit: paging.limit }),
+      storage.bookings.count(query)
+    ]);
+
+    res.json({ bookings: bookings.map(presentBooking), ...pageInfo(paging, total) });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch bookings' });
   }
 });
 
-app.get('/api/admin/bookings/:id', (req, res) => {
+// format=json|csv|xlsx|ics; without an id the list filters above apply
+app.get('/api/admin/bookings/export', async (req, res) => {
+  try {
+    let bookings;
+    const { id, format = 'json' } = req.query;
+
+    if (id) {
+      const booking = await storage.bookings.findById(id);
+      if (!booking) return res.status(404).json({ error: 'Booking not found' });
+      bookings = [booking];
+    } else {
+      const { query, error } = bookingListQuery(req.query);
+      if (error) return res.status(400).json({ error });
+      bookings = await storage.bookings.list(query, { sort: { eventDate: -1 } });
+    }
+
+    const file = await exportBookings(id && format === 'json' ? bookings[0] : bookings, format);
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=booking${id ? `-${id}` : 's'}.${file.extension}`);
+    res.send(file.body);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('Export error:', error);
+    res.status(500).json({ error: 'Export failed' });
+  }
+});
+
+app.get('/api/admin/bookings/:id', async (req, res) => {
   try {
-    const booking = bookings.find(b => b.id === req.params.id);
+    const booking = await storage.bookings.findById(req.params.id);
     if (!booking) return res.status(404).json({ error: 'Booking not found' });
-    res.json(booking);
+
+    const sourceMessage = booking.sourceMessageId && await storage.messages.findById(booking.sourceMessageId);
+    res.json({
+      ...presentBooking(booking),
+      sourceMessage: sourceMessage
+        ? (({ id, name, subject, message, date }) => ({ id, name, subject, message, date }))(sourceMessage)
+        : null
+    });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch booking' });
   }
 });
 
-app.post('/api/admin/bookings/:id/confirm', csrfProtection, (req, res) => {
+// Reminder and follow-up emails, scheduled and sent
+app.get('/api/admin/bookings/:id/emails', async (req, res) => {
   try {
-    const index = bookings.findIndex(b => b.id === req.params.id);
-    if (index === -1) return res.status(404).json({ error: 'Booking not found' });
-    
-    bookings[index] = {
-      ...bookings[index],
-      status: 'confirmed',
-      updatedAt: new Date()
-    };
-    
+    const booking = await storage.bookings.findById(req.params.id);
+    if (!booking) return res.status(404).json({ error: 'Booking not found' });
+    res.json({ emails: await scheduler.bookingJobs(booking) });
+  } catch (error) {
+    console.error('Error fetching scheduled emails:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduled emails' });
+  }
+});
+
+// Lifecycle actions: confirm, cancel, restore, complete, no-show, reschedule
+app.post(`/api/admin/bookings/:id/:action(${BOOKING_ACTIONS.join('|')})`, csrfProtection, async (req, res) => {
+  try {
+    const booking = await storage.bookings.findById(req.params.id);
+    if (!booking) return res.status(404).json({ error: 'Booking not found' });
+
+    const changes = applyTransition(booking, req.params.action, {
+      ...req.body,
+      actor: req.session.username || 'admin'
+    });
+
+    // Confirming, moving or restoring a booking must not silently
+    // double-book the day: its slot may have been taken since
+    if (['confirm', 'reschedule', 'restore'].includes(req.params.action)) {
+      const { conflicts } = await checkSlot(
+        storage.bookings,
+        bookingSlot({ ...booking, ...changes }),
+        { excludeId: booking.id }
+      );
+
+      if (conflicts.length && req.body.force !== true) {
+        return res.status(409).json({
+          error: describeConflict(conflicts[0]),
+          conflicts,
+          requiresOverride: true,
+          csrfToken: req.csrfToken()
+        });
+      }
+      if (conflicts.length) {
+        changes.availabilityWarnings = conflicts;
+      }
+    }
+
+    // Confirmation is when the client starts owing a deposit. A package
+    // priced on request would get a $0 invoice, so that one is left for the
+    // admin to write.
+    if (req.params.action === 'confirm' && !booking.invoice) {
+      const priced = await withCatalogPrice(storage.packages, { ...booking, ...changes });
+      if (!isPricedOnRequest(priced)) changes.invoice = createInvoice(priced);
+    }
+
+    const updated = await storage.bookings.update(booking.id, changes);
+
     res.json({
-      ...bookings[index],
+      ...presentBooking(updated),
       csrfToken: req.csrfToken() // Send new token
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        csrfToken: req.csrfToken()
+      });
+    }
     res.status(500).json({ 
-      error: 'Failed to confirm booking',
+      error: `Failed to ${req.params.action} booking`,
       csrfToken: req.csrfToken() // Send new token on error
     });
   }
 });
 
-app.get('/api/admin/bookings/export', async (req, res) => {
+// Messages
+// `filter` mirrors the admin dropdown: all (inbox), unread, archived
+const MESSAGE_FILTERS = {
+  all: { archived: false },
+  unread: { archived: false, read: false },
+  archived: { archived: true }
+};
+
+const MESSAGE_SEARCH_FIELDS = ['name', 'email', 'phone', 'subject', 'message'];
+const MESSAGE_SORT_FIELDS = ['date', 'name', 'email', 'subject'];
+
+const countUnreadMessages = () => storage.messages.count(MESSAGE_FILTERS.unread);
+
+app.get('/api/admin/messages', async (req, res) => {
   try {
-    let dataToExport;
-    const { id, format = 'json' } = req.query;
-    
-    if (id) {
-      const booking = bookings.find(b => b.id === id);
-      if (!booking) return res.status(404).json({ error: 'Booking not found' });
-      dataToExport = booking;
+    let query;
+
+    if (req.query.filter) {
+      if (!Object.hasOwn(MESSAGE_FILTERS, req.query.filter)) {
+        return res.status(400).json({
+          error: `Unknown message filter "${req.query.filter}"`,
+          allowedFilters: Object.keys(MESSAGE_FILTERS)
+        });
+      }
+      query = MESSAGE_FILTERS[req.query.filter];
     } else {
-      dataToExport = bookings;
+      // Legacy flags, kept for older clients
+      query = {};
+      if (req.query.includeArchived !== 'true') query.archived = false;
+      if (req.query.unread === 'true') query.read = false;
     }
-    
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Content-Disposition', `attachment; filename=booking${id ? `-${id}` : 's'}.json`);
-    res.send(JSON.stringify(dataToExport, null, 2));
+
+    // from/to (YYYY-MM-DD) on the received date and q, then page, limit, sort and order
+    const { error: rangeError, ...dateRange } = dateRangeQuery(req.query, 'date');
+    const { paging, error: pagingError } = listPaging(req.query, {
+      sortFields: MESSAGE_SORT_FIELDS,
+      defaultSort: 'date'
+    });
+    if (rangeError || pagingError) return res.status(400).json({ error: rangeError || pagingError });
+    query = { ...query, ...dateRange, ...searchQuery(req.query.q, MESSAGE_SEARCH_FIELDS) };
+
+    const [messages, total, unreadCount] = await Promise.all([
+      storage.messages.list(query, { sort: paging.storageSort, skip: paging.skip, limit: paging.limit }),
+      storage.messages.count(query),
+      countUnreadMessages()
+    ]);
+
+    res.json({ messages, unreadCount, ...pageInfo(paging, total) });
   } catch (error) {
-    res.status(500).json({ error: 'Export failed' });
+    res.status(500).json({ error: 'Failed to fetch messages' });
   }
 });
 
-// Messages
-app.get('/api/admin/messages', (req, res) => {
+app.get('/api/admin/messages/unread-count', async (req, res) => {
   try {
-    let filteredMessages = [...messages];
-    
-    if (req.query.includeArchived !== 'true') {
-      filteredMessages = filteredMessages.filter(m => !m.archived);
-    }
-    
-    if (req.query.unread === 'true') {
-      filteredMessages = filteredMessages.filter(m => !m.read);
-    }
-    
-    filteredMessages.sort((a, b) => new Date(b.date) - new Date(a.date));
-    
-    res.json(filteredMessages);
+    res.json({ unreadCount: await countUnreadMessages() });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch messages' });
+    res.status(500).json({ error: 'Failed to count unread messages' });
   }
 });
 
-app.get('/api/admin/messages/:id', (req, res) => {
+app.get('/api/admin/messages/:id', async (req, res) => {
   try {
-    const index = messages.findIndex(m => m.id === req.params.id);
-    if (index === -1) return res.status(404).json({ error: 'Message not found' });
-    
-    messages[index] = {
-      ...messages[index],
-      read: true,
-      readAt: new Date()
-    };
-    
-    res.json(messages[index]);
+    const message = await storage.messages.update(req.params.id, { read: true, readAt: new Date() });
+    if (!message) return res.status(404).json({ error: 'Message not found' });
+
+    res.json({ ...message, conversation: await messageThreads.presentConversation(message) });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch message' });
   }
 });
 
-app.post('/api/admin/messages/:id/mark-read', csrfProtection, (req, res) => {
+// A file the client attached to an email in the conversation
+app.get('/api/admin/messages/:id/attachments/:attachmentId', async (req, res) => {
+  try {
+    const message = await storage.messages.findById(req.params.id);
+    const attachment = message && inboundEmail.findAttachment(message, req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ error: 'Attachment not found' });
+
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.type(attachment.contentType);
+    res.download(attachment.path, attachment.filename, (err) => {
+      if (err && !res.headersSent) res.status(404).json({ error: 'Attachment file is missing' });
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch attachment' });
+  }
+});
+
+// Reply to the client by email; the reply joins the message's thread
+app.post('/api/admin/messages/:id/reply', csrfProtection, async (req, res) => {
+  try {
+    const body = String(req.body.body || '').trim();
+    if (!body) {
+      return res.status(400).json({ error: 'Write a reply first', errors: { body: 'Reply is required' }, csrfToken: req.csrfToken() });
+    }
+
+    const message = await storage.messages.findById(req.params.id);
+    if (!message) return res.status(404).json({ error: 'Message not found' });
+
+    const updated = await messageThreads.sendReply(message, { body, author: req.session.username || 'admin' });
+    res.json({
+      success: true,
+      message: 'Reply queued',
+      data: { ...updated, conversation: await messageThreads.presentConversation(updated) },
+      csrfToken: req.csrfToken()
+    });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message, csrfToken: req.csrfToken() });
+    console.error('Message reply error:', error);
+    res.status(500).json({ error: 'Failed to send reply', csrfToken: req.csrfToken() });
+  }
+});
+
+// ===== Convert a Message to a Booking =====
+// The admin's booking form: the public one, except the client may not have
+// given a phone number
+const adminBookingSchema = { ...bookingSchema, phone: { ...bookingSchema.phone, required: false } };
+
+// Pre-filled form values, plus the choices the form needs
+app.get('/api/admin/messages/:id/booking-draft', async (req, res) => {
   try {
-    const index = messages.findIndex(m => m.id === req.params.id);
-    if (index === -1) return res.status(404).json({ error: 'Message not found' });
-    
-    messages[index] = {
-      ...messages[index],
-      read: true,
-      readAt: new Date()
-    };
-    
+    const message = await storage.messages.findById(req.params.id);
+    if (!message) return res.status(404).json({ error: 'Message not found' });
+
+    const packages = await storage.packages.list({ active: true }, { sort: CATALOG_SORT });
+    res.json({
+      ...draftFromMessage(message, packages),
+      bookingId: message.bookingId,
+      eventTypes: EVENT_TYPES,
+      packages: packages.map(({ id, name, eventTypes, durationMinutes }) => ({ id, name, eventTypes, durationMinutes }))
+    });
+  } catch (error) {
+    console.error('Booking draft error:', error);
+    res.status(500).json({ error: 'Failed to prepare booking' });
+  }
+});
+
+// Creates the booking (pending, no client email) and links both records
+app.post('/api/admin/messages/:id/booking', csrfProtection, async (req, res) => {
+  try {
+    const message = await storage.messages.findById(req.params.id);
+    if (!message) return res.status(404).json({ error: 'Message not found' });
+    if (message.bookingId && await storage.bookings.findById(message.bookingId)) {
+      return res.status(409).json({ error: 'This message already has a booking', bookingId: message.bookingId, csrfToken: req.csrfToken() });
+    }
+
+    const { valid, errors, values } = validate(adminBookingSchema, req.body);
+    const prepared = valid ? await bookingFromForm(values, req.body.addOns) : { errors };
+    if (prepared.errors) {
+      return res.status(400).json({ error: 'Please correct the highlighted fields', errors: prepared.errors, csrfToken: req.csrfToken() });
+    }
+
+    const { conflicts, warnings } = await checkSlot(storage.bookings, values);
+    if (conflicts.length && req.body.force !== true) {
+      return res.status(409).json({
+        error: describeConflict(conflicts[0]),
+        conflicts,
+        requiresOverride: true,
+        csrfToken: req.csrfToken()
+      });
+    }
+
+    const booking = await storage.bookings.create({
+      ...prepared.booking,
+      availabilityWarnings: [...conflicts, ...warnings],
+      sourceMessageId: message.id
+    });
+    await storage.messages.update(message.id, { bookingId: booking.id, read: true, readAt: new Date() });
+
+    res.status(201).json({ success: true, booking: presentBooking(booking), csrfToken: req.csrfToken() });
+  } catch (error) {
+    console.error('Message conversion error:', error);
+    res.status(500).json({ error: 'Failed to create booking', csrfToken: req.csrfToken() });
+  }
+});
+
+// Inbox actions: mark-read, mark-unread, archive, unarchive
+const MESSAGE_ACTIONS = {
+  'mark-read': { changes: () => ({ read: true, readAt: new Date() }), done: 'Message marked as read' },
+  'mark-unread': { changes: () => ({ read: false, readAt: null }), done: 'Message marked as unread' },
+  archive: { changes: () => ({ archived: true, archivedAt: new Date() }), done: 'Message archived' },
+  unarchive: { changes: () => ({ archived: false, archivedAt: null }), done: 'Message moved to inbox' }
+};
+
+app.post(`/api/admin/messages/:id/:action(${Object.keys(MESSAGE_ACTIONS).join('|')})`, csrfProtection, async (req, res) => {
+  const action = MESSAGE_ACTIONS[req.params.action];
+
+  try {
+    const message = await storage.messages.update(req.params.id, action.changes());
+    if (!message) return res.status(404).json({ error: 'Message not found' });
+
     res.json({ 
       success: true, 
-      message: 'Message marked as read',
-      data: messages[index],
+      message: action.done,
+      data: message,
+      unreadCount: await countUnreadMessages(),
       csrfToken: req.csrfToken()
     });
   } catch (error) {
     res.status(500).json({ 
-      error: 'Failed to mark message as read',
+      error: `Failed to ${req.params.action.replace('-', ' ')} message`,
       csrfToken: req.csrfToken()
     });
   }
 });
 
-// ===== Email Configuration =====
-const emailTransporter = nodemailer.createTransport({
-    host: process.env.EMAIL_HOST,
-    port: process.env.EMAIL_PORT,
-    secure: process.env.EMAIL_SECURE === 'true', // true for 465, false for other ports
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
-    }
+app.delete('/api/admin/messages/:id', csrfProtection, async (req, res) => {
+  try {
+    const message = await storage.messages.findById(req.params.id);
+    if (!message || !await storage.messages.remove(message.id)) return res.status(404).json({ error: 'Message not found' });
+    await inboundEmail.removeAttachments(message);
+
+    res.json({
+      success: true,
+      message: 'Message deleted',
+      unreadCount: await countUnreadMessages(),
+      csrfToken: req.csrfToken()
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to delete message',
+      csrfToken: req.csrfToken()
+    });
+  }
 });
-  
-  // Email templates
-  const getContactEmailTemplate = (name, formData) => {
-    return {
-      subject: 'Thank you for contacting Ami Photography!',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #333;">Hi ${name},</h2>
-          <p>Thank you for reaching out to Ami Photography! We've received your inquiry and are excited to potentially work with you.</p>
-          
-          <div style="background-color: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 8px;">
-            <h3>Your Message Details:</h3>
-            <p><strong>Subject:</strong> ${formData.subject}</p>
-            <p><strong>Message:</strong> ${formData.message}</p>
-            <p><strong>Submitted:</strong> ${new Date().toLocaleDateString()}</p>
-          </div>
-          
-          <p>We'll get back to you within 24-48 hours with a detailed response.</p>
-          <p>In the meantime, feel free to browse our portfolio or check out our photography packages on our website.</p>
-          
-          <p>Best regards,<br>
-          <strong>The Ami Photography Team</strong><br>
-          📞 (123) 456-7890<br>
-          ✉️ info@amiphotography.com</p>
-        </div>
-      `
-    };
-  };
-  
-  const getBookingEmailTemplate = (name, formData) => {
-    return {
-      subject: 'Booking Request Confirmation - Ami Photography',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #333;">Hi ${name},</h2>
-          <p>Thank you for your booking request! We're thrilled that you've chosen Ami Photography for your special event.</p>
-          
-          <div style="background-color: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 8px;">
-            <h3>Your Booking Details:</h3>
-            <p><strong>Event Type:</strong> ${formData.eventType}</p>
-            <p><strong>Date:</strong> ${new Date(formData.date).toLocaleDateString()}</p>
-            <p><strong>Time:</strong> ${formData.startTime} - ${formData.endTime}</p>
-            <p><strong>Location:</strong> ${formData.location}</p>
-            <p><strong>Package:</strong> ${formData.package}</p>
-            <p><strong>Additional Notes:</strong> ${formData.details || 'None'}</p>
-          </div>
-          
-          <p>We'll review your request and get back to you within 24-48 hours to confirm availability and discuss any details.</p>
-          <p>If you have any urgent questions, please don't hesitate to contact us directly.</p>
-          
-          <p>Looking forward to capturing your special moments!<br>
-          <strong>The Ami Photography Team</strong><br>
-          📞 (123) 456-7890<br>
-          ✉️ info@amiphotography.com</p>
-        </div>
-      `
-    };
-  };
-  
-  // Email sending function
-  async function sendConfirmationEmail(email, template) {
-    try {
-      const mailOptions = {
-        from: `"Ami Photography" <${process.env.EMAIL_USER}>`,
-        to: email,
-        subject: template.subject,
-        html: template.html
-      };
-      
-      const result = await emailTransporter.sendMail(mailOptions);
-      console.log('Email sent successfully:', result.messageId);
-      return { success: true, messageId: result.messageId };
-    } catch (error) {
-      console.error('Email sending failed:', error);
-      return { success: false, error: error.message };
-    }
-}
+
+// Packages (public catalog + admin CRUD)
+app.use('/api', packageRoutes({ csrfProtection }));
+
+// Invoices and manual payments
+app.use('/api', invoiceRoutes({ csrfProtection, presentBooking }));
+
+// Quotes (public estimate for the booking form)
+app.use('/api', quoteRoutes());
+
+// Printable invoices and confirmations
+app.use('/api', documentRoutes());
+
+// Online payments (client pay page, provider webhooks)
+app.use('/api', paymentRoutes({ csrfProtection }));
+if (payments && payments.routes) app.use(payments.routes);
+
+// Outbound email log and resend
+app.use('/api', outboxRoutes({ csrfProtection }));
+
+// Suspected spam from the public forms
+app.use('/api', quarantineRoutes({ csrfProtection }));
+
+// Email template previews
+app.use('/api', emailTemplateRoutes());
+
+// CSV import of historical bookings
+app.use('/api', importRoutes({ csrfProtection }));
+
+// Subscribable calendar feeds per photographer
+app.use(calendarRoutes({ csrfProtection, presentBooking }));
+
+// Staff alert recipients and their opt-out page
+app.use(notificationRoutes({ csrfProtection }));
 
 // Logout
 app.post('/api/admin/logout', (req, res) => {
@@ -512,46 +748,59 @@ app.post('/api/admin/logout', (req, res) => {
   });
 });
 
+// ===== Public Form Helpers =====
+// Same schema the browser checks before submitting; per-field errors let
+// the public forms highlight the inputs to fix
+const invalidFields = (res, req, errors) => res.status(400).json({
+  success: false,
+  message: 'Please correct the highlighted fields',
+  errors,
+  csrfToken: req.csrfToken()
+});
+
+// Closed days and full days are a date problem; overlaps are a time problem
+const conflictField = (conflict) => (
+  ['closed', 'daily-limit'].includes(conflict.reason) ? 'date' : 'startTime'
+);
+
+// Spam checks for both public forms. A suspect submission goes to the
+// quarantine folder and the sender sees the usual success, so a bot learns
+// nothing; nothing is emailed or booked unless the admin releases it.
+const quarantineIfSpam = async (req, kind, payload, { name, email, text }) => {
+  const { spam, reasons, score } = spamGuard.assessSubmission({ body: req.body, name, email, text, ip: req.ip });
+  if (!spam) return false;
+
+  await storage.quarantine.create({
+    kind,
+    payload,
+    name,
+    email,
+    reasons,
+    score,
+    ip: req.ip,
+    userAgent: String(req.get('user-agent') || '').slice(0, 300)
+  });
+  return true;
+};
+
 // ===== Contact Message Submission Route with CSRF Protection =====
 app.post('/api/submit-contact', csrfProtection, async (req, res) => {
     try {
-      const { name, email, phone, subject, message } = req.body;
-  
-      if (!name || !email || !message) {
-        return res.status(400).json({
-          success: false,
-          message: 'Missing required fields (name, email, message)',
-          csrfToken: req.csrfToken()
-        });
+      const { valid, errors, values } = validate(contactSchema, req.body);
+      if (!valid) return invalidFields(res, req, errors);
+
+      const { name, email, subject, message } = values;
+      if (await quarantineIfSpam(req, 'contact', values, { name, email, text: `${subject}\n${message}` })) {
+        return res.status(201).json({ success: true, message: 'Message sent successfully!', csrfToken: req.csrfToken() });
       }
-  
-      const newMessage = {
-        id: uuidv4(),
-        name: name.trim(),
-        email: email.trim(),
-        phone: phone ? phone.trim() : '',
-        subject: subject || 'General Inquiry',
-        message: message.trim(),
-        date: new Date(),
-        read: false,
-        archived: false
-      };
-  
-      messages.push(newMessage);
-  
-      // Send confirmation email
-      const emailTemplate = getContactEmailTemplate(name, {
-        subject: subject || 'General Inquiry',
-        message: message
-      });
-      
-      const emailResult = await sendConfirmationEmail(email, emailTemplate);
+
+      const { message: newMessage, emailQueued } = await acceptContact(values);
   
       res.status(201).json({
         success: true,
         message: 'Message sent successfully!',
         messageId: newMessage.id,
-        emailSent: emailResult.success,
+        emailQueued,
         csrfToken: req.csrfToken()
       });
     } catch (error) {
@@ -567,63 +816,43 @@ app.post('/api/submit-contact', csrfProtection, async (req, res) => {
 // ===== Booking Submission Route with CSRF Protection =====
 app.post('/submit-booking', csrfProtection, async (req, res) => {
     try {
-      const {
-        name,
-        email,
-        phone,
-        eventType,
-        date,
-        package: packageType,
-        startTime,
-        endTime,
-        location,
-        details
-      } = req.body;
-  
-      if (!name || !email || !phone || !eventType || !date || !packageType || !startTime || !endTime || !location) {
-        return res.status(400).json({
+      const { valid, errors, values } = validate(bookingSchema, req.body);
+      if (!valid) return invalidFields(res, req, errors);
+
+      const { date, startTime, endTime } = values;
+
+      const { booking, errors: bookingErrors } = await bookingFromForm(values, req.body.addOns);
+      if (bookingErrors) return invalidFields(res, req, bookingErrors);
+
+      // Confirmed shoots (plus travel/setup buffers) block the slot outright;
+      // overlapping pending requests are only flagged for the admin
+      const { conflicts, warnings } = await checkSlot(storage.bookings, { date, startTime, endTime });
+      if (conflicts.length) {
+        return res.status(409).json({
           success: false,
-          message: 'Missing required fields',
+          message: describeConflict(conflicts[0]),
+          conflict: conflicts[0],
+          errors: { [conflictField(conflicts[0])]: describeConflict(conflicts[0]) },
           csrfToken: req.csrfToken()
         });
       }
   
-      const newBooking = {
-        id: uuidv4(),
-        clientName: name,
-        clientEmail: email,
-        clientPhone: phone,
-        eventType,
-        eventDate: new Date(`${date} ${startTime}`),
-        package: packageType,
-        startTime,
-        endTime,
-        location,
-        additionalNotes: details || '',
-        status: 'pending',
-        createdAt: new Date()
-      };
-  
-      bookings.push(newBooking);
-  
-      // Send confirmation email
-      const emailTemplate = getBookingEmailTemplate(name, {
-        eventType,
-        date,
-        startTime,
-        endTime,
-        location,
-        package: packageType,
-        details
+      const suspect = await quarantineIfSpam(req, 'booking', { ...values, addOns: req.body.addOns || [] }, {
+        name: values.name,
+        email: values.email,
+        text: `${values.location}\n${values.details || ''}`
       });
-      
-      const emailResult = await sendConfirmationEmail(email, emailTemplate);
+      if (suspect) {
+        return res.status(201).json({ success: true, message: 'Booking request received successfully!', csrfToken: req.csrfToken() });
+      }
+
+      const { booking: newBooking, emailQueued } = await acceptBooking({ ...booking, availabilityWarnings: warnings });
   
       res.status(201).json({
           success: true,
           message: 'Booking request received successfully!',
           bookingId: newBooking.id,
-          emailSent: emailResult.success,
+          emailQueued,
           csrfToken: req.csrfToken()
       });
       } catch (error) {
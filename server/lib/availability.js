@@ -0,0 +1,228 @@
+const config = require('../config');
+const { parseTime } = require('../../public/js/validation');
+
+// ===== Availability Engine =====
+// Works in minutes since midnight on the studio's local calendar day. A
+// booking occupies [start, end]; with the travel/setup buffer the blocked
+// window becomes [start - buffer, end + buffer].
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const formatTime = (minutes) => {
+  const clamped = Math.min(Math.max(minutes, 0), MINUTES_PER_DAY - 1);
+  const hours = Math.floor(clamped / 60);
+  const mins = clamped % 60;
+  const suffix = hours >= 12 ? 'PM' : 'AM';
+  return `${hours % 12 || 12}:${String(mins).padStart(2, '0')} ${suffix}`;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Local calendar day of a Date, as YYYY-MM-DD
+const toDayKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+const dayRange = (dayKey) => {
+  const start = new Date(`${dayKey}T00:00:00`);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { start, end };
+};
+
+// Start/end minutes for a stored booking, falling back to its eventDate
+// time and the default duration when times are missing
+const bookingWindow = (booking, settings = config.booking) => {
+  const eventDate = new Date(booking.eventDate);
+  const start = parseTime(booking.startTime) ?? (eventDate.getHours() * 60 + eventDate.getMinutes());
+  const parsedEnd = parseTime(booking.endTime);
+  const end = parsedEnd !== null && parsedEnd > start ? parsedEnd : start + settings.defaultDurationMinutes;
+  return { start, end };
+};
+
+// The slot a stored booking occupies, in the same shape as a request
+const bookingSlot = (booking, settings = config.booking) => {
+  const { start, end } = bookingWindow(booking, settings);
+  return {
+    date: toDayKey(booking.eventDate),
+    startTime: formatTime(start),
+    endTime: formatTime(end)
+  };
+};
+
+const isClosedDay = (dayKey, settings = config.booking) => (
+  settings.blackoutDates.includes(dayKey) ||
+  settings.closedWeekdays.includes(new Date(`${dayKey}T00:00:00`).getDay())
+);
+
+const describeConflict = (conflict) => {
+  if (conflict.reason === 'closed') {
+    return `We are not taking bookings on ${conflict.date}`;
+  }
+  if (conflict.reason === 'daily-limit') {
+    return `We already have ${conflict.limit} shoot${conflict.limit === 1 ? '' : 's'} booked on ${conflict.date}`;
+  }
+  return `That time overlaps an existing booking on ${conflict.date}; ` +
+    `${conflict.window.start} to ${conflict.window.end} is unavailable ` +
+    `(including ${conflict.bufferMinutes} minutes of travel and setup)`;
+};
+
+/**
+ * Checks a requested slot against the other bookings on the same day.
+ * `request` is { date: 'YYYY-MM-DD', startTime, endTime }. Returns
+ * { conflicts, warnings }: conflicts come from blocking (confirmed)
+ * bookings and the daily limit, warnings from overlapping pending requests.
+ */
+const evaluateSlot = (request, dayBookings, settings = config.booking) => {
+  const start = parseTime(request.startTime);
+  const parsedEnd = parseTime(request.endTime);
+  const end = parsedEnd !== null ? parsedEnd : start + settings.defaultDurationMinutes;
+  const buffer = settings.bufferMinutes;
+  const conflicts = [];
+  const warnings = [];
+
+  const blocking = dayBookings.filter(b => settings.blockingStatuses.includes(b.status));
+
+  if (isClosedDay(request.date, settings)) {
+    conflicts.push({ reason: 'closed', date: request.date });
+  }
+
+  if (blocking.length >= settings.maxShootsPerDay) {
+    conflicts.push({
+      reason: 'daily-limit',
+      date: request.date,
+      limit: settings.maxShootsPerDay,
+      bookingIds: blocking.map(b => b.id)
+    });
+  }
+
+  dayBookings.forEach(booking => {
+    const existing = bookingWindow(booking, settings);
+    const blockedStart = existing.start - buffer;
+    const blockedEnd = existing.end + buffer;
+    if (start >= blockedEnd || end <= blockedStart) return;
+
+    const overlap = {
+      reason: start < existing.end && end > existing.start ? 'overlap' : 'buffer',
+      date: request.date,
+      bookingId: booking.id,
+      status: booking.status,
+      bufferMinutes: buffer,
+      window: { start: formatTime(blockedStart), end: formatTime(blockedEnd) }
+    };
+
+    if (settings.blockingStatuses.includes(booking.status)) {
+      conflicts.push(overlap);
+    } else if (booking.status === 'pending') {
+      warnings.push(overlap);
+    }
+  });
+
+  return { conflicts, warnings };
+};
+
+const toClock = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+/**
+ * Free windows on one day for a shoot of `durationMinutes`: business hours
+ * minus every blocking booking and its buffer. Returns [] when the day is
+ * closed, at the daily limit, or has no gap long enough.
+ */
+const openWindows = (dayKey, dayBookings, durationMinutes, settings = config.booking) => {
+  const blocking = dayBookings.filter(b => settings.blockingStatuses.includes(b.status));
+  if (isClosedDay(dayKey, settings) || blocking.length >= settings.maxShootsPerDay) return [];
+
+  const busy = blocking
+    .map(booking => bookingWindow(booking, settings))
+    .map(({ start, end }) => ({ start: start - settings.bufferMinutes, end: end + settings.bufferMinutes }))
+    .sort((a, b) => a.start - b.start);
+
+  const windows = [];
+  let cursor = parseTime(settings.openingTime);
+  const closing = parseTime(settings.closingTime);
+
+  busy.forEach(({ start, end }) => {
+    if (start > cursor) windows.push({ start: cursor, end: Math.min(start, closing) });
+    cursor = Math.max(cursor, end);
+  });
+  if (cursor < closing) windows.push({ start: cursor, end: closing });
+
+  return windows
+    .filter(({ start, end }) => end - start >= durationMinutes)
+    .map(({ start, end }) => ({ start: toClock(start), end: toClock(end) }));
+};
+
+// Per-day availability between two YYYY-MM-DD keys (inclusive)
+const availabilityCalendar = async (bookingsRepo, { from, to, eventType }, settings = config.booking) => {
+  const durationMinutes = settings.eventDurations[eventType] || settings.defaultDurationMinutes;
+  const bookings = await bookingsRepo.list({
+    eventDate: { $gte: dayRange(from).start, $lt: dayRange(to).end },
+    status: { $in: settings.blockingStatuses }
+  });
+
+  const byDay = {};
+  bookings.forEach(booking => {
+    const key = toDayKey(booking.eventDate);
+    (byDay[key] = byDay[key] || []).push(booking);
+  });
+
+  const blackoutDates = [];
+  const fullyBookedDates = [];
+  const openSlots = {};
+
+  for (let day = dayRange(from).start; toDayKey(day) <= to; day.setDate(day.getDate() + 1)) {
+    const key = toDayKey(day);
+    if (isClosedDay(key, settings)) {
+      blackoutDates.push(key);
+      continue;
+    }
+
+    const windows = openWindows(key, byDay[key] || [], durationMinutes, settings);
+    if (windows.length) {
+      openSlots[key] = windows;
+    } else {
+      fullyBookedDates.push(key);
+    }
+  }
+
+  return {
+    from,
+    to,
+    eventType: eventType || null,
+    durationMinutes,
+    businessHours: { open: settings.openingTime, close: settings.closingTime },
+    closedWeekdays: settings.closedWeekdays,
+    blackoutDates,
+    fullyBookedDates,
+    openSlots
+  };
+};
+
+// Loads the day's bookings from storage and evaluates the slot
+const checkSlot = async (bookingsRepo, request, { excludeId, settings = config.booking } = {}) => {
+  const { start, end } = dayRange(request.date);
+  const query = {
+    eventDate: { $gte: start, $lt: end },
+    status: { $in: [...settings.blockingStatuses, 'pending'] }
+  };
+  if (excludeId) query.id = { $ne: excludeId };
+
+  const dayBookings = await bookingsRepo.list(query);
+  return evaluateSlot(request, dayBookings, settings);
+};
+
+module.exports = {
+  parseTime,
+  formatTime,
+  toDayKey,
+  dayRange,
+  bookingWindow,
+  bookingSlot,
+  evaluateSlot,
+  checkSlot,
+  isClosedDay,
+  openWindows,
+  availabilityCalendar,
+  describeConflict
+};
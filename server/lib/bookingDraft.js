@@ -0,0 +1,147 @@
+const { EVENT_TYPES, parseTime } = require('../../public/js/validation');
+
+// ===== Booking Drafts =====
+// Turning a contact message into a booking: the client's details come from
+// the message, and the event type, date and time are guessed from its
+// subject and text ("corporate event on June 15th, 2-5pm"). The draft is
+// only a starting point for the admin's form; `detected` lists the fields
+// that were guessed so the form can say so.
+const DETAILS_MAX_LENGTH = 2000;
+const DEFAULT_DURATION_MINUTES = 60;
+
+// Earliest keyword in the text wins, so "wedding ... family" is a wedding
+const EVENT_TYPE_KEYWORDS = {
+  wedding: /\b(weddings?|brides?|grooms?|elop(e|ing|ement)|ceremony|reception)\b/i,
+  engagement: /\b(engagement|engaged|proposal)\b/i,
+  maternity: /\b(maternity|pregnan\w*|expecting)\b/i,
+  family: /\b(family|families|kids|children|newborn)\b/i,
+  corporate: /\b(corporate|company|business|conference|office party|team event)\b/i,
+  portrait: /\b(portraits?|headshots?|senior photos|graduation)\b/i
+};
+
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const monthIndex = (name) => MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+
+// Each pattern maps its match to { year, month (0-11), day }; year may be missing
+const DATE_PATTERNS = [
+  [/\b(\d{4})-(\d{2})-(\d{2})\b/, m => ({ year: Number(m[1]), month: Number(m[2]) - 1, day: Number(m[3]) })],
+  [new RegExp(`\\b${MONTH}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`, 'i'),
+    m => ({ year: m[3] && Number(m[3]), month: monthIndex(m[1]), day: Number(m[2]) })],
+  [new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}\\b(?:,?\\s+(\\d{4}))?`, 'i'),
+    m => ({ year: m[3] && Number(m[3]), month: monthIndex(m[2]), day: Number(m[1]) })],
+  [/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b/,
+    m => ({ year: m[3] && Number(m[3].length === 2 ? `20${m[3]}` : m[3]), month: Number(m[1]) - 1, day: Number(m[2]) })]
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const dateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// A real calendar day, or null ("February 30th")
+const calendarDate = (year, month, day) => {
+  const date = new Date(year, month, day);
+  return date.getMonth() === month && date.getDate() === day ? date : null;
+};
+
+const earliestMatch = (text, patterns) => patterns
+  .map(([pattern, toValue]) => {
+    const match = text.match(pattern);
+    return match && { index: match.index, value: toValue(match) };
+  })
+  .filter(Boolean)
+  .sort((a, b) => a.index - b.index)[0];
+
+/**
+ * The first date mentioned in `text` as YYYY-MM-DD. Without a year it's the
+ * next time that day comes round on or after `today`.
+ */
+const detectDate = (text, today = new Date()) => {
+  const found = earliestMatch(text, DATE_PATTERNS);
+  if (!found || found.value.month < 0) return '';
+
+  const { year, month, day } = found.value;
+  if (year) {
+    const date = calendarDate(year, month, day);
+    return date ? dateKey(date) : '';
+  }
+  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const thisYear = calendarDate(start.getFullYear(), month, day);
+  const date = thisYear && thisYear >= start ? thisYear : calendarDate(start.getFullYear() + 1, month, day);
+  return date ? dateKey(date) : '';
+};
+
+const minutesToTime = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+// "2-5pm", "10am to 1pm", "from 2:30 until 4 pm"
+const TIME_RANGE = /\b(\d{1,2}(?::\d{2})?)\s*([ap]m)?\s*(?:-|–|to|until|till)\s*(\d{1,2}(?::\d{2})?)\s*([ap]m)\b/i;
+// "3pm", "3:30 PM", "15:00"
+const SINGLE_TIME = /\b(\d{1,2}(?::\d{2})?\s*[ap]m|\d{1,2}:\d{2})\b/i;
+
+/** Start and end times (HH:MM) mentioned in `text`; either may be ''. */
+const detectTimes = (text) => {
+  const range = text.match(TIME_RANGE);
+  if (range) {
+    const endHour = Number(range[3].split(':')[0]);
+    const startHour = Number(range[1].split(':')[0]);
+    // "10-2pm" starts in the morning, "2-5pm" in the afternoon
+    const startMeridiem = range[2] || (startHour > endHour && startHour < 12 ? 'am' : range[4]);
+    const start = parseTime(`${range[1]} ${startMeridiem}`);
+    const end = parseTime(`${range[3]} ${range[4]}`);
+    if (start !== null && end !== null && end > start) {
+      return { startTime: minutesToTime(start), endTime: minutesToTime(end) };
+    }
+  }
+  const single = text.match(SINGLE_TIME);
+  const start = single ? parseTime(single[1]) : null;
+  return { startTime: start === null ? '' : minutesToTime(start), endTime: '' };
+};
+
+const detectEventType = (text) => {
+  const found = earliestMatch(text, Object.entries(EVENT_TYPE_KEYWORDS).map(([type, pattern]) => [pattern, () => type]));
+  return found && EVENT_TYPES.includes(found.value) ? found.value : '';
+};
+
+/**
+ * Draft booking form values for `message`: { values, detected }. `values`
+ * uses the booking form's field names; `packages` is the active catalog,
+ * from which the first package offered for the event type is suggested.
+ */
+const draftFromMessage = (message, packages = [], today = new Date()) => {
+  const text = [message.subject, message.message, ...(message.thread || [])
+    .filter(entry => entry.direction === 'inbound')
+    .map(entry => entry.body)].join('\n');
+
+  const eventType = detectEventType(text);
+  const date = detectDate(text, today);
+  const times = detectTimes(text);
+  const pkg = packages.find(candidate => !eventType || !candidate.eventTypes.length || candidate.eventTypes.includes(eventType));
+
+  let { endTime } = times;
+  if (times.startTime && !endTime) {
+    const end = parseTime(times.startTime) + ((pkg && pkg.durationMinutes) || DEFAULT_DURATION_MINUTES);
+    endTime = end < 24 * 60 ? minutesToTime(end) : '';
+  }
+
+  const values = {
+    name: message.name,
+    email: message.email,
+    phone: message.phone || '',
+    eventType,
+    date,
+    startTime: times.startTime,
+    endTime,
+    package: pkg ? pkg.id : '',
+    location: '',
+    details: `From message "${message.subject}":\n${message.message}`.slice(0, DETAILS_MAX_LENGTH)
+  };
+  const detected = ['eventType', 'date', 'startTime', 'endTime'].filter(field => values[field]);
+
+  return { values, detected };
+};
+
+module.exports = {
+  detectDate,
+  detectTimes,
+  draftFromMessage
+};
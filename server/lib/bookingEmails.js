@@ -0,0 +1,20 @@
+const config = require('../config');
+const { renderEmail } = require('./emailTemplates');
+const { bookingHeaders } = require('./messageThreads');
+
+// ===== Scheduled Booking Emails =====
+// Each job type in lib/bookingJobs has a template of the same name in
+// server/emails.
+
+/**
+ * { to, subject, html, text } for a scheduled job. Staff emails go to the
+ * studio address, everything else to the client, marked with the booking
+ * so a reply finds its way back to it.
+ */
+const jobEmail = (type, audience, booking) => ({
+  to: audience === 'staff' ? config.mail.staffAddress : booking.clientEmail,
+  ...renderEmail(type, { booking, adminUrl: `${config.site.url}/admin.html` }),
+  ...(audience === 'staff' ? {} : bookingHeaders(booking.id, type))
+});
+
+module.exports = { jobEmail };
@@ -0,0 +1,121 @@
+const ExcelJS = require('exceljs');
+const config = require('../config');
+const { toDayKey } = require('./availability');
+const { invoiceStatus } = require('./invoice');
+const { bookingsCalendar } = require('./ics');
+
+// ===== Booking Exports =====
+// Serializes a list of bookings as json, csv, xlsx or ics. CSV and XLSX
+// share one column list so spreadsheets from either look the same.
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  ics: { contentType: 'text/calendar; charset=utf-8', extension: 'ics' }
+};
+
+const COLUMNS = [
+  { header: 'Booking ID', key: 'id', width: 26 },
+  { header: 'Client', key: 'clientName', width: 22 },
+  { header: 'Email', key: 'clientEmail', width: 28 },
+  { header: 'Phone', key: 'clientPhone', width: 16 },
+  { header: 'Event Type', key: 'eventType', width: 16 },
+  { header: 'Event Date', key: 'eventDate', width: 12 },
+  { header: 'Start', key: 'startTime', width: 8 },
+  { header: 'End', key: 'endTime', width: 8 },
+  { header: 'Location', key: 'location', width: 24 },
+  { header: 'Package', key: 'packageName', width: 18 },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Invoice', key: 'invoiceNumber', width: 14 },
+  { header: 'Total', key: 'total', width: 10, money: true },
+  { header: 'Paid', key: 'amountPaid', width: 10, money: true },
+  { header: 'Balance', key: 'balance', width: 10, money: true },
+  { header: 'Payment Status', key: 'paymentStatus', width: 15 },
+  { header: 'Notes', key: 'additionalNotes', width: 40 },
+  { header: 'Created', key: 'createdAt', width: 20 }
+];
+
+// Flat row for spreadsheets; money columns are numbers, not strings
+const exportRow = (booking) => {
+  const { invoice, quote } = booking;
+  return {
+    id: booking.id,
+    clientName: booking.clientName,
+    clientEmail: booking.clientEmail,
+    clientPhone: booking.clientPhone || '',
+    eventType: booking.eventType,
+    eventDate: toDayKey(booking.eventDate),
+    startTime: booking.startTime || '',
+    endTime: booking.endTime || '',
+    location: booking.location || '',
+    packageName: booking.packageName || booking.package,
+    status: booking.status,
+    invoiceNumber: invoice ? invoice.number : '',
+    total: invoice ? invoice.total : (quote ? quote.total : null),
+    amountPaid: invoice ? invoice.amountPaid : null,
+    balance: invoice ? invoice.balance : null,
+    paymentStatus: invoiceStatus(invoice) || '',
+    additionalNotes: booking.additionalNotes || '',
+    createdAt: booking.createdAt ? new Date(booking.createdAt).toISOString() : ''
+  };
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  // Leading =, +, - or @ would run as a formula when opened in a spreadsheet
+  const safe = /^[=+\-@]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+const toCsv = (bookings) => {
+  const lines = [
+    COLUMNS.map(column => csvCell(column.header)).join(','),
+    ...bookings.map(exportRow).map(row => COLUMNS.map(column => csvCell(row[column.key])).join(','))
+  ];
+  // BOM so Excel opens UTF-8 names correctly
+  return `﻿${lines.join('\r\n')}\r\n`;
+};
+
+const toXlsx = async (bookings) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = config.brand.name;
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet('Bookings', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = COLUMNS.map(({ header, key, width }) => ({ header, key, width }));
+  sheet.getRow(1).font = { bold: true };
+  COLUMNS.filter(column => column.money).forEach(column => {
+    sheet.getColumn(column.key).numFmt = '#,##0.00';
+  });
+  bookings.map(exportRow).forEach(row => sheet.addRow(row));
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: COLUMNS.length } };
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Serializes `bookings` in `format`. Resolves to { body, contentType,
+ * extension }; throws an Error with `.status` 400 for an unknown format.
+ */
+const exportBookings = async (bookings, format = 'json') => {
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    throw Object.assign(
+      new Error(`Export format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`),
+      { status: 400 }
+    );
+  }
+  const spec = EXPORT_FORMATS[format];
+
+  let body;
+  if (format === 'csv') body = toCsv(bookings);
+  else if (format === 'xlsx') body = await toXlsx(bookings);
+  else if (format === 'ics') body = bookingsCalendar(bookings);
+  else body = JSON.stringify(bookings, null, 2);
+
+  return { body, ...spec };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportBookings
+};
@@ -0,0 +1,254 @@
+const Booking = require('../models/Booking');
+const { EVENT_TYPES, parseTime, validate } = require('../../public/js/validation');
+const { STATUSES } = require('./bookingLifecycle');
+const { formatTime, toDayKey } = require('./availability');
+const { validationErrors } = require('./http');
+
+// ===== Booking Import =====
+// Turns a CSV export from a spreadsheet into bookings:
+//   1. parseCsv        rows of cells (quotes, embedded commas/newlines)
+//   2. guessMapping    booking field -> CSV column, from the header names
+//   3. previewImport   per-row values, errors and duplicate flags
+// Nothing here writes; the import route commits the preview's valid rows.
+const MAX_ROWS = 5000;
+
+// `aliases` are header names (lowercase, punctuation stripped) that map to
+// the field without the admin having to pick the column by hand
+const IMPORT_FIELDS = {
+  clientName: { label: 'Client name', required: true, aliases: ['name', 'client', 'client name', 'full name', 'customer'] },
+  clientEmail: { label: 'Email', required: true, aliases: ['email', 'e mail', 'client email', 'email address'] },
+  clientPhone: { label: 'Phone', aliases: ['phone', 'phone number', 'client phone', 'mobile', 'tel'] },
+  eventType: { label: 'Event type', required: true, aliases: ['event type', 'type', 'event', 'session type'] },
+  eventDate: { label: 'Event date', required: true, aliases: ['date', 'event date', 'shoot date', 'session date'] },
+  startTime: { label: 'Start time', aliases: ['start', 'start time', 'time'] },
+  endTime: { label: 'End time', aliases: ['end', 'end time'] },
+  location: { label: 'Location', aliases: ['location', 'venue', 'place', 'address'] },
+  package: { label: 'Package', required: true, aliases: ['package', 'package name', 'plan'] },
+  packagePrice: { label: 'Price', aliases: ['price', 'package price', 'amount', 'total'] },
+  status: { label: 'Status', aliases: ['status', 'booking status'] },
+  photographer: { label: 'Photographer', aliases: ['photographer', 'shooter'] },
+  additionalNotes: { label: 'Notes', aliases: ['notes', 'details', 'comments', 'additional notes'] }
+};
+
+// Rules for validate(), applied after dates, times and casing are normalized
+const ROW_SCHEMA = {
+  clientName: { label: 'Client name', required: true, maxLength: 100 },
+  clientEmail: { label: 'Email', required: true, format: 'email', maxLength: 254 },
+  clientPhone: { label: 'Phone', format: 'phone', maxLength: 30 },
+  eventType: { label: 'Event type', required: true, oneOf: EVENT_TYPES },
+  eventDate: { label: 'Event date', required: true, format: 'date' },
+  startTime: { label: 'Start time', format: 'time' },
+  endTime: { label: 'End time', format: 'time', after: 'startTime' },
+  location: { label: 'Location', maxLength: 200 },
+  package: { label: 'Package', required: true, maxLength: 50 },
+  status: { label: 'Status', oneOf: STATUSES },
+  photographer: { label: 'Photographer', maxLength: 80 },
+  additionalNotes: { label: 'Notes', maxLength: 2000 }
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Parses CSV text into an array of rows (arrays of strings). Handles quoted
+ * cells with commas, doubled quotes and line breaks, a UTF-8 BOM and
+ * semicolon- or tab-separated files from non-US spreadsheet settings.
+ */
+const parseCsv = (text) => {
+  const source = String(text || '').replace(/^﻿/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(candidate => [candidate, firstLine.split(candidate).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Spreadsheets often leave fully blank lines at the end
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// { field: header } for every field whose alias matches a column header
+const guessMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  return Object.fromEntries(Object.entries(IMPORT_FIELDS)
+    .map(([field, { aliases }]) => {
+      const index = normalized.findIndex(header => header === field.toLowerCase() || aliases.includes(header));
+      return [field, index === -1 ? null : headers[index]];
+    })
+    .filter(([, header]) => header));
+};
+
+// YYYY-MM-DD, an ISO timestamp, or US-style M/D/YYYY (M/D/YY = 20YY)
+const toImportDate = (value) => {
+  const iso = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/);
+  const us = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+  const pad = (part) => String(part).padStart(2, '0');
+  if (iso) return `${iso[1]}-${pad(iso[2])}-${pad(iso[3])}`;
+  if (us) return `${us[3].length === 2 ? `20${us[3]}` : us[3]}-${pad(us[1])}-${pad(us[2])}`;
+  return value;
+};
+
+// "$1,250.00" -> 1250; '' -> null; anything else non-numeric -> NaN
+const toPrice = (value) => (value === '' ? null : Number(value.replace(/[$,\s]/g, '')));
+
+// 14:30, for building the eventDate timestamp
+const formatTime24 = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const duplicateKey = (email, dayKey) => `${email.toLowerCase()}|${dayKey}`;
+
+const findPackage = (packages, value) => {
+  const wanted = value.toLowerCase();
+  return packages.find(pkg => pkg.id === wanted || pkg.name.toLowerCase() === wanted) || null;
+};
+
+// Validates one CSV record (header -> cell) and builds the booking it
+// would create. Returns { values, errors, warnings, booking }.
+const buildRow = (record, mapping, packages, today) => {
+  const cell = (field) => (mapping[field] ? String(record[mapping[field]] ?? '').trim() : '');
+  const raw = Object.fromEntries(Object.keys(IMPORT_FIELDS).map(field => [field, cell(field)]));
+
+  const values = {
+    ...raw,
+    eventType: raw.eventType.toLowerCase(),
+    eventDate: toImportDate(raw.eventDate),
+    status: raw.status.toLowerCase()
+  };
+  const { errors } = validate(ROW_SCHEMA, values);
+  const warnings = [];
+
+  const packagePrice = toPrice(raw.packagePrice);
+  if (Number.isNaN(packagePrice) || packagePrice < 0) {
+    errors.packagePrice = 'Price must be a number';
+  }
+
+  const pkg = values.package ? findPackage(packages, values.package) : null;
+  if (values.package && !pkg) {
+    warnings.push(`Package "${values.package}" is not in the catalog; it is kept as written`);
+  }
+  if (Object.keys(errors).length) return { values, errors, warnings, booking: null };
+
+  const startMinutes = parseTime(values.startTime);
+  // Historical rows without a status are over if their date has passed
+  const status = values.status || (values.eventDate < today ? 'completed' : 'confirmed');
+
+  const booking = {
+    clientName: values.clientName,
+    clientEmail: values.clientEmail,
+    clientPhone: values.clientPhone,
+    eventType: values.eventType,
+    eventDate: new Date(`${values.eventDate}T${startMinutes === null ? '12:00' : formatTime24(startMinutes)}:00`),
+    startTime: startMinutes === null ? '' : formatTime(startMinutes),
+    endTime: values.endTime ? formatTime(parseTime(values.endTime)) : '',
+    location: values.location,
+    package: pkg ? pkg.id : values.package,
+    packageName: pkg ? pkg.name : values.package,
+    packagePrice: packagePrice ?? (pkg ? pkg.price : null),
+    status,
+    photographer: values.photographer,
+    additionalNotes: values.additionalNotes
+  };
+
+  // Last line of defence: the same schema the storage layer enforces
+  const schemaError = new Booking(booking).validateSync();
+  if (schemaError) return { values, errors: validationErrors(schemaError), warnings, booking: null };
+
+  return { values, errors, warnings, booking };
+};
+
+/**
+ * Builds the dry-run preview for `csv`. `mapping` ({ field: header })
+ * overrides the guessed columns. Returns { error } when the file itself is
+ * unusable, otherwise { headers, mapping, rows, summary } where each row is
+ * { line, values, errors, warnings, duplicate, booking }.
+ */
+const previewImport = async ({ csv, mapping: requested, bookingsRepo, packagesRepo, now = new Date() }) => {
+  const [headers, ...records] = parseCsv(csv);
+  if (!headers) return { error: 'The file is empty' };
+  if (!records.length) return { error: 'The file has a header row but no bookings' };
+  if (records.length > MAX_ROWS) return { error: `Import at most ${MAX_ROWS} rows at a time` };
+
+  const mapping = { ...guessMapping(headers) };
+  Object.entries(requested || {}).forEach(([field, header]) => {
+    if (!IMPORT_FIELDS[field]) return;
+    if (header) mapping[field] = header;
+    else delete mapping[field];
+  });
+  const unknown = Object.values(mapping).filter(header => !headers.includes(header));
+  if (unknown.length) return { error: `Unknown column(s): ${unknown.join(', ')}` };
+
+  const packages = await packagesRepo.list({});
+  const today = toDayKey(now);
+
+  const rows = records.map((cells, index) => {
+    const record = Object.fromEntries(headers.map((header, column) => [header, cells[column] ?? '']));
+    // +2: one for the header row, one because spreadsheets count from 1
+    return { line: index + 2, ...buildRow(record, mapping, packages, today), duplicate: null };
+  });
+
+  // Duplicates: same client email on the same day, in the store or earlier in the file
+  const emails = [...new Set(rows.filter(row => row.booking).map(row => row.booking.clientEmail))];
+  const existing = emails.length
+    ? await bookingsRepo.list({ clientEmail: { $in: emails } })
+    : [];
+  const seen = new Map(existing.map(booking => [
+    duplicateKey(booking.clientEmail, toDayKey(booking.eventDate)),
+    { bookingId: booking.id }
+  ]));
+  rows.filter(row => row.booking).forEach(row => {
+    const key = duplicateKey(row.booking.clientEmail, toDayKey(row.booking.eventDate));
+    if (seen.has(key)) {
+      row.duplicate = seen.get(key);
+    } else {
+      seen.set(key, { line: row.line });
+    }
+  });
+
+  const summary = {
+    total: rows.length,
+    valid: rows.filter(row => row.booking && !row.duplicate).length,
+    invalid: rows.filter(row => !row.booking).length,
+    duplicates: rows.filter(row => row.duplicate).length
+  };
+
+  return { headers, mapping, rows, summary };
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  parseCsv,
+  guessMapping,
+  previewImport
+};
@@ -0,0 +1,82 @@
+const config = require('../config');
+const { bookingWindow, dayRange, toDayKey } = require('./availability');
+
+// ===== Booking Email Plan =====
+// Which time-based emails a booking should get, and when, given its current
+// status and dates. Pure, so the scheduler can re-plan a booking at any
+// time: when it changes, and again right before sending.
+//   runAt      when the email goes out
+//   expiresAt  after this the email is pointless and is dropped instead
+// `sent` means handed to the mail queue; delivery is tracked there
+const JOB_STATUSES = ['scheduled', 'sent', 'cancelled'];
+
+const HOUR = 60 * 60 * 1000;
+
+// Local `settings.sendHour` on the shoot day shifted by `days`
+const onDay = (booking, days, settings) => {
+  const date = dayRange(toDayKey(booking.eventDate)).start;
+  date.setDate(date.getDate() + days);
+  date.setHours(settings.sendHour, 0, 0, 0);
+  return date;
+};
+
+const eventStart = (booking) => new Date(
+  dayRange(toDayKey(booking.eventDate)).start.getTime() + bookingWindow(booking).start * 60000
+);
+
+// label: shown to the admin; audience: who receives it;
+// plan: { runAt, expiresAt } when the booking should get it, else null
+const JOB_TYPES = {
+  reminder: {
+    label: 'Shoot reminder',
+    audience: 'client',
+    plan: (booking, settings) => booking.status === 'confirmed' && {
+      runAt: onDay(booking, -settings.reminderDaysBefore, settings),
+      expiresAt: eventStart(booking)
+    }
+  },
+  prep: {
+    label: 'What to wear',
+    audience: 'client',
+    plan: (booking, settings) => booking.status === 'confirmed'
+      && settings.prepEventTypes.includes(String(booking.eventType).toLowerCase()) && {
+      runAt: onDay(booking, -settings.prepDaysBefore, settings),
+      expiresAt: eventStart(booking)
+    }
+  },
+  'thank-you': {
+    label: 'Thank you & review request',
+    audience: 'client',
+    plan: (booking, settings) => {
+      if (!['confirmed', 'completed'].includes(booking.status)) return null;
+      const runAt = onDay(booking, settings.thankYouDaysAfter, settings);
+      return { runAt, expiresAt: new Date(runAt.getTime() + settings.graceHours * HOUR) };
+    }
+  },
+  'pending-nudge': {
+    label: 'Pending request nudge (studio)',
+    audience: 'staff',
+    plan: (booking, settings) => booking.status === 'pending' && {
+      runAt: new Date(new Date(booking.createdAt).getTime() + settings.pendingNudgeHours * HOUR),
+      expiresAt: eventStart(booking)
+    }
+  }
+};
+
+const jobKey = (type, bookingId) => `${type}:${bookingId}`;
+
+/**
+ * The emails `booking` should have scheduled as of `now`:
+ * [{ type, runAt, expiresAt }]. Emails whose window already closed are
+ * left out, so imported past shoots never get a late reminder.
+ */
+const planBookingJobs = (booking, now = new Date(), settings = config.jobs) => Object.entries(JOB_TYPES)
+  .map(([type, { plan }]) => ({ type, ...(plan(booking, settings) || {}) }))
+  .filter(job => job.runAt && job.expiresAt > now);
+
+module.exports = {
+  JOB_TYPES,
+  JOB_STATUSES,
+  jobKey,
+  planBookingJobs
+};
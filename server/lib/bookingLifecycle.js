@@ -0,0 +1,100 @@
+// ===== Booking Lifecycle =====
+// pending → confirmed → completed, with cancelled, no-show and rescheduled
+// branches. Every status change goes through `applyTransition` so illegal
+// moves are rejected in one place and each one lands in statusHistory.
+const { parseTime } = require('../../public/js/validation');
+const { toDayKey } = require('./availability');
+
+const STATUSES = ['pending', 'confirmed', 'completed', 'cancelled', 'no-show', 'rescheduled'];
+
+// action → { from: statuses it is legal in, to: resulting status }
+const TRANSITIONS = {
+  confirm: { from: ['pending', 'rescheduled'], to: 'confirmed' },
+  cancel: { from: ['pending', 'confirmed', 'rescheduled'], to: 'cancelled' },
+  complete: { from: ['confirmed'], to: 'completed' },
+  'no-show': { from: ['confirmed'], to: 'no-show' },
+  reschedule: { from: ['pending', 'confirmed', 'rescheduled'], to: 'rescheduled' },
+  // Restore returns a cancelled booking to the status it was cancelled from
+  restore: { from: ['cancelled'], to: null }
+};
+
+const ACTIONS = Object.keys(TRANSITIONS);
+
+const transitionError = (message, status = 409) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const allowedActions = (booking) => ACTIONS.filter(
+  action => TRANSITIONS[action].from.includes(booking.status)
+);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// `time` ("2:00 PM", "14:00"; blank for midnight) on the YYYY-MM-DD `date`,
+// on the studio's local calendar like availability.dayRange. Null when
+// either is invalid, including impossible days such as 2027-02-31.
+const localEventDate = (date, time) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || ''))) return null;
+  const minutes = time ? parseTime(time) : 0;
+  if (minutes === null) return null;
+
+  const eventDate = new Date(`${date}T${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}:00`);
+  return toDayKey(eventDate) === date ? eventDate : null;
+};
+
+const statusBeforeCancel = (booking) => {
+  const history = booking.statusHistory || [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].to === 'cancelled' && history[i].from) return history[i].from;
+  }
+  return 'pending';
+};
+
+/**
+ * Validates `action` against the booking's current status and returns the
+ * changes to persist (new status, appended history and any rescheduled
+ * date/time). Throws an Error with `status` 409 for illegal transitions and
+ * 400 for missing reschedule details.
+ */
+const applyTransition = (booking, action, { reason = '', actor = 'admin', date, startTime, endTime } = {}) => {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    throw transitionError(`Unknown booking action "${action}"`, 400);
+  }
+
+  if (!transition.from.includes(booking.status)) {
+    throw transitionError(`Cannot ${action} a booking that is ${booking.status}`);
+  }
+
+  const to = action === 'restore' ? statusBeforeCancel(booking) : transition.to;
+  const changes = { status: to };
+  const entry = {
+    action,
+    from: booking.status,
+    to,
+    reason: reason ? String(reason).trim() : '',
+    actor,
+    at: new Date()
+  };
+
+  if (action === 'reschedule') {
+    // Without a new start time the booking keeps its current time of day
+    const current = booking.eventDate ? new Date(booking.eventDate) : null;
+    const currentTime = current && !isNaN(current) ? `${pad(current.getHours())}:${pad(current.getMinutes())}` : '';
+    const newDate = localEventDate(date, startTime || booking.startTime || currentTime);
+    if (!newDate) {
+      throw transitionError('A valid new event date (YYYY-MM-DD) is required to reschedule, with a valid start time if one is given', 400);
+    }
+    entry.previousEventDate = booking.eventDate;
+    changes.eventDate = newDate;
+    if (startTime) changes.startTime = startTime;
+    if (endTime) changes.endTime = endTime;
+  }
+
+  changes.statusHistory = [...(booking.statusHistory || []), entry];
+  return changes;
+};
+
+module.exports = { STATUSES, ACTIONS, allowedActions, applyTransition };
@@ -0,0 +1,57 @@
+const { STATUSES } = require('./bookingLifecycle');
+const { PAYMENT_STATUSES, paymentStatusQuery } = require('./invoice');
+const { dateRangeQuery, searchQuery } = require('./listQuery');
+
+// ===== Booking List Filters =====
+// One translation from query-string filters to a storage query, shared by
+// the bookings list and the export so both always return the same rows.
+//   status        booking status, or 'all'
+//   paymentStatus unpaid|partially-paid|paid|overdue|none, or 'all'
+//   from, to      YYYY-MM-DD event dates, inclusive
+//   q             case-insensitive text search over client, event and invoice fields
+// Paging and sorting (lib/listQuery) apply to the list only.
+
+const SEARCH_FIELDS = [
+  'clientName',
+  'clientEmail',
+  'clientPhone',
+  'eventType',
+  'location',
+  'package',
+  'packageName',
+  'invoice.number'
+];
+
+// Columns the admin bookings table sorts by
+const BOOKING_SORT_FIELDS = ['eventDate', 'createdAt', 'clientName', 'eventType', 'packageName', 'status'];
+
+/**
+ * Returns { query } for storage.bookings.list/count, or { error } with a
+ * message for the 400 response when a filter is malformed.
+ */
+const bookingListQuery = (params = {}, now = new Date()) => {
+  const query = {};
+
+  if (params.status && params.status !== 'all') {
+    const status = String(params.status).toLowerCase();
+    if (!STATUSES.includes(status)) {
+      return { error: `Unknown status (expected one of: ${STATUSES.join(', ')})` };
+    }
+    query.status = status;
+  }
+
+  if (params.paymentStatus && params.paymentStatus !== 'all') {
+    const paymentQuery = paymentStatusQuery(params.paymentStatus, now);
+    if (!paymentQuery) {
+      return { error: `Unknown payment status (expected one of: ${[...PAYMENT_STATUSES, 'none'].join(', ')})` };
+    }
+    Object.assign(query, paymentQuery);
+  }
+
+  const { error, ...dateRange } = dateRangeQuery(params, 'eventDate');
+  if (error) return { error };
+
+  return { query: { ...query, ...dateRange, ...searchQuery(params.q, SEARCH_FIELDS) } };
+};
+
+module.exports = { BOOKING_SORT_FIELDS, bookingListQuery };
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const config = require('../config');
+
+// ===== Email Templates =====
+// Every email lives in server/emails as three Handlebars files:
+//   <name>.subject.hbs   one line
+//   <name>.html.hbs      HTML body, auto-escaped; client emails are
+//                        wrapped in {{#> layout}}, staff alerts are not
+//   <name>.text.hbs      plain-text alternative, not escaped
+// layouts/ holds the shared wrapper (brand header and signature) and
+// partials/ the shared pieces, each in an html and a text flavour. Brand and
+// site settings from config are available to every template as {{brand.*}}
+// and {{site.*}}.
+const TEMPLATE_DIR = path.join(__dirname, '..', 'emails');
+const EXCERPT_LENGTH = 300;
+
+const sampleBooking = () => {
+  const eventDate = new Date();
+  eventDate.setDate(eventDate.getDate() + 14);
+  return {
+    id: 'sample-booking',
+    clientName: 'Jordan Sample',
+    clientEmail: 'jordan@example.com',
+    eventType: 'Portrait',
+    eventDate,
+    startTime: '10:00',
+    endTime: '12:00',
+    location: 'Riverside Park',
+    package: 'standard',
+    packageName: 'Standard Package',
+    additionalNotes: 'Two outfits, & maybe the dog <3',
+    createdAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000)
+  };
+};
+
+const sampleMessage = () => ({
+  id: 'sample-message',
+  name: 'Jordan Sample',
+  email: 'jordan@example.com',
+  phone: '',
+  subject: 'Wedding availability',
+  message: 'Hi! Are you free on the 14th?\nWe are looking at <b>4 hours</b> of coverage.',
+  date: new Date()
+});
+
+const sampleRecipient = () => ({
+  recipient: { email: config.mail.staffAddress },
+  optOutUrl: `${config.site.url}/notifications/sample`
+});
+
+// Label for the admin list and sample data for previews, per template
+const TEMPLATES = {
+  'contact-confirmation': {
+    label: 'Contact form confirmation',
+    sample: () => ({
+      name: 'Jordan Sample',
+      subject: 'Wedding availability',
+      message: sampleMessage().message,
+      submittedAt: new Date()
+    })
+  },
+  'booking-confirmation': {
+    label: 'Booking request confirmation',
+    sample: () => ({ booking: sampleBooking(), payUrl: `${config.site.url}/pay.html?token=sample` })
+  },
+  reminder: {
+    label: 'Shoot reminder',
+    sample: () => ({ booking: sampleBooking() })
+  },
+  prep: {
+    label: 'What to wear',
+    sample: () => ({ booking: sampleBooking() })
+  },
+  'thank-you': {
+    label: 'Thank you and review request',
+    sample: () => ({ booking: sampleBooking() })
+  },
+  'pending-nudge': {
+    label: 'Pending request nudge (staff)',
+    sample: () => ({ booking: sampleBooking(), adminUrl: `${config.site.url}/admin.html` })
+  },
+  'message-reply': {
+    label: 'Reply to a message',
+    sample: () => ({
+      message: sampleMessage(),
+      reply: { body: 'Hi Jordan,\n\nYes, the 14th is open. Shall I pencil you in?', author: 'admin', at: new Date() },
+      quoted: { body: sampleMessage().message, author: 'Jordan Sample', at: new Date() }
+    })
+  },
+  'staff-booking': {
+    label: 'New booking alert (staff)',
+    sample: () => ({
+      booking: { ...sampleBooking(), clientPhone: '(555) 010-2030' },
+      adminUrl: `${config.site.url}/admin.html#booking=sample-booking`,
+      ...sampleRecipient()
+    })
+  },
+  'staff-message': {
+    label: 'New message alert (staff)',
+    sample: () => ({
+      message: sampleMessage(),
+      adminUrl: `${config.site.url}/admin.html#message=sample-message`,
+      ...sampleRecipient()
+    })
+  },
+  'staff-digest': {
+    label: 'Daily message digest (staff)',
+    sample: () => ({
+      messages: [sampleMessage(), { ...sampleMessage(), id: 'sample-message-2', name: 'Casey Example', subject: 'Prints' }]
+        .map(message => ({ ...message, adminUrl: `${config.site.url}/admin.html#message=${message.id}` })),
+      count: 2,
+      adminUrl: `${config.site.url}/admin.html`,
+      ...sampleRecipient()
+    })
+  }
+};
+
+const read = (...parts) => fs.readFileSync(path.join(TEMPLATE_DIR, ...parts), 'utf8');
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', {
+  weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+});
+
+// HTML and text get separate engines so both can use the same partial
+// names ({{> layout}}, {{> booking-details}}) with their own markup
+const createEngine = (flavour, escape) => {
+  const engine = Handlebars.create();
+  engine.registerHelper('date', value => (value ? formatDate(value) : ''));
+  engine.registerHelper('shortDate', value => (value ? new Date(value).toLocaleDateString() : ''));
+  engine.registerHelper('plural', (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`);
+  engine.registerHelper('quote', value => String(value || '').split('\n').map(line => `> ${line}`).join('\n'));
+  engine.registerHelper('excerpt', value => {
+    const text = String(value || '');
+    return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH).trimEnd()}…` : text;
+  });
+  engine.registerPartial('layout', read('layouts', `${flavour}.hbs`));
+  for (const file of fs.readdirSync(path.join(TEMPLATE_DIR, 'partials'))) {
+    const match = file.match(new RegExp(`^(.+)\\.${flavour}\\.hbs$`));
+    if (match) engine.registerPartial(match[1], read('partials', file));
+  }
+  return (source) => {
+    engine.parse(source); // compile() is lazy; surface syntax errors now
+    return engine.compile(source, { noEscape: !escape });
+  };
+};
+
+// Read and parsed at startup so a missing or broken template fails the
+// boot, not a send
+const compileHtml = createEngine('html', true);
+const compileText = createEngine('text', false);
+const compiled = Object.fromEntries(Object.keys(TEMPLATES).map(name => [name, {
+  subject: compileText(read(`${name}.subject.hbs`)),
+  html: compileHtml(read(`${name}.html.hbs`)),
+  text: compileText(read(`${name}.text.hbs`))
+}]));
+
+/**
+ * Renders a template to { subject, html, text }. `data` is merged over the
+ * brand and site settings; unknown names throw.
+ */
+const renderEmail = (name, data = {}) => {
+  // Own keys only, so "constructor" and friends are unknown names too
+  if (!Object.hasOwn(compiled, name)) throw Object.assign(new Error(`Unknown email template: ${name}`), { status: 404 });
+
+  const template = compiled[name];
+  const context = { brand: config.brand, site: config.site, ...data };
+  return {
+    subject: template.subject(context).replace(/\s+/g, ' ').trim(),
+    html: template.html(context).trim(),
+    text: template.text(context).replace(/\n{3,}/g, '\n\n').trim()
+  };
+};
+
+// Renders with the template's sample data, with `overrides` (e.g. a real
+// booking) taking its place where given
+const previewEmail = (name, overrides = {}) => {
+  if (!Object.hasOwn(TEMPLATES, name)) throw Object.assign(new Error(`Unknown email template: ${name}`), { status: 404 });
+  return renderEmail(name, { ...TEMPLATES[name].sample(), ...overrides });
+};
+
+const listTemplates = () => Object.entries(TEMPLATES).map(([name, { label }]) => ({ name, label }));
+
+module.exports = {
+  renderEmail,
+  previewEmail,
+  listTemplates
+};
@@ -0,0 +1,14 @@
+// ===== HTTP Helpers =====
+
+// Mongoose validation/cast failures are the client's fault (400), not ours
+const isValidationError = (err) => err.name === 'ValidationError' || err.name === 'CastError';
+
+// { field: message } from a Mongoose ValidationError, for inline form errors
+const validationErrors = (err) => {
+  if (err.name === 'CastError') return { [err.path]: `Invalid value for ${err.path}` };
+  return Object.fromEntries(
+    Object.entries(err.errors || {}).map(([field, detail]) => [field, detail.message])
+  );
+};
+
+module.exports = { isValidationError, validationErrors };
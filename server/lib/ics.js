@@ -0,0 +1,119 @@
+const config = require('../config');
+const { bookingWindow, dayRange, toDayKey } = require('./availability');
+
+// ===== iCalendar (RFC 5545) =====
+// Bookings become VEVENTs with stable UIDs, so re-importing an export or
+// refreshing a subscribed feed updates events instead of duplicating them.
+// Times are written in UTC; calendar apps show them in local time.
+const STATUS_MAP = {
+  pending: 'TENTATIVE',
+  // Moved and waiting to be re-confirmed
+  rescheduled: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  'no-show': 'CONFIRMED',
+  cancelled: 'CANCELLED'
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// 20261103T150000Z
+const formatUtc = (date) => (
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+  `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`
+);
+
+const escapeText = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const bookingTimes = (booking) => {
+  const { start } = dayRange(toDayKey(booking.eventDate));
+  const { start: startMinutes, end: endMinutes } = bookingWindow(booking);
+  return {
+    start: new Date(start.getTime() + startMinutes * 60000),
+    end: new Date(start.getTime() + endMinutes * 60000)
+  };
+};
+
+const bookingEvent = (booking, { now = new Date(), includeContact = true } = {}) => {
+  const { start, end } = bookingTimes(booking);
+  const description = [
+    `Client: ${booking.clientName}`,
+    includeContact && booking.clientEmail && `Email: ${booking.clientEmail}`,
+    includeContact && booking.clientPhone && `Phone: ${booking.clientPhone}`,
+    `Package: ${booking.packageName || booking.package}`,
+    booking.photographer && `Photographer: ${booking.photographer}`,
+    `Status: ${booking.status}`,
+    booking.additionalNotes && `Notes: ${booking.additionalNotes}`
+  ].filter(Boolean).join('\n');
+
+  // SEQUENCE must grow on every change so clients accept updates
+  const sequence = (booking.statusHistory || []).length;
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:booking-${booking.id}@${config.site.url.replace(/^https?:\/\//, '')}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SEQUENCE:${sequence}`,
+    `SUMMARY:${escapeText(`${booking.eventType} - ${booking.clientName}`)}`,
+    booking.location && `LOCATION:${escapeText(booking.location)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${STATUS_MAP[booking.status] || 'CONFIRMED'}`,
+    booking.updatedAt && `LAST-MODIFIED:${formatUtc(new Date(booking.updatedAt))}`,
+    'END:VEVENT'
+  ].filter(Boolean);
+};
+
+/**
+ * Builds a VCALENDAR document for `bookings`. `name` labels the calendar
+ * in subscribing apps; `includeContact` controls client email/phone and
+ * `refreshMinutes` asks subscribers to poll at that interval.
+ */
+const bookingsCalendar = (bookings, {
+  name = `${config.brand.name} Bookings`,
+  includeContact = true,
+  refreshMinutes = null,
+  now = new Date()
+} = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${escapeText(config.brand.name)}//Bookings//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...(refreshMinutes ? [
+      `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`,
+      `X-PUBLISHED-TTL:PT${refreshMinutes}M`
+    ] : []),
+    ...bookings.flatMap(booking => bookingEvent(booking, { now, includeContact })),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = { bookingsCalendar };
@@ -0,0 +1,282 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { simpleParser } = require('mailparser');
+const storage = require('../storage');
+const config = require('../config');
+const { newThreadToken, threadReferences } = require('./messageThreads');
+const staffNotifications = require('./staffNotifications');
+
+// ===== Inbound Email =====
+// Client emails posted to /api/inbound-email, either the raw RFC 822 message
+// or a provider's JSON webhook. Each one is matched to a conversation, in
+// order:
+//   1. the thread token (plus address, In-Reply-To / References, subject tag)
+//   2. a booking email it answers (<booking.<id>.<kind>@host> reference)
+//   3. the sender's latest message, then their latest booking, from the last
+//      config.inbound.matchSenderDays days
+// and appended to its thread; anything else starts a new message. Only the
+// new text is kept: quoted history below "On ... wrote:" is cut off.
+const MAX_BODY_LENGTH = 20000;
+// Headers kept from the email: the ones that mark automated mail
+const AUTOMATION_HEADERS = ['auto-submitted', 'precedence', 'x-autoreply', 'x-autorespond'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ===== Parsing =====
+const htmlToText = (html) => String(html || '')
+  .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// "Jordan <jordan@example.com>" -> { address, name }
+const parseAddress = (value) => {
+  const text = String(value || '').trim();
+  const match = text.match(/^(.*?)\s*<([^>]+)>$/);
+  return match
+    ? { address: match[2].trim().toLowerCase(), name: match[1].replace(/^"|"$/g, '').trim() }
+    : { address: text.toLowerCase(), name: '' };
+};
+
+const addressList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(entry => (typeof entry === 'string' ? parseAddress(entry).address : String(entry.address || entry.email || '').toLowerCase()))
+  .filter(Boolean);
+
+const messageIdList = (value) => (Array.isArray(value) ? value.join(' ') : String(value || '')).match(/<[^>]+>/g) || [];
+
+const fromMailparser = (mail) => ({
+  from: (mail.from && mail.from.value[0]) || { address: '', name: '' },
+  to: [mail.to, mail.cc].filter(Boolean).flatMap(list => (Array.isArray(list) ? list : [list]))
+    .flatMap(list => list.value.map(entry => entry.address)),
+  subject: mail.subject || '',
+  text: mail.text || htmlToText(mail.html),
+  messageId: mail.messageId || '',
+  inReplyTo: mail.inReplyTo || '',
+  references: messageIdList(mail.references),
+  date: mail.date || new Date(),
+  headers: Object.fromEntries(AUTOMATION_HEADERS.filter(key => mail.headers.has(key)).map(key => [key, String(mail.headers.get(key))])),
+  attachments: mail.attachments
+    .filter(attachment => attachment.contentDisposition !== 'inline' || !attachment.cid)
+    .map(({ filename, contentType, content }) => ({ filename, contentType, content }))
+});
+
+// Webhook JSON: plain fields (from, to, subject, text, html, headers,
+// attachments: [{ filename, contentType, content (base64) }]), or the raw
+// MIME message in `raw` / `body-mime`
+const fromWebhook = (body) => {
+  const headers = Object.fromEntries(Object.entries(body.headers || {}).map(([key, value]) => [key.toLowerCase(), String(value)]));
+  const automation = Object.fromEntries(AUTOMATION_HEADERS.filter(key => headers[key]).map(key => [key, headers[key]]));
+  const from = parseAddress(body.from || body.sender || headers.from);
+  return {
+    from: { address: from.address, name: body.fromName || from.name },
+    to: addressList(body.to || body.recipient || headers.to),
+    subject: String(body.subject || headers.subject || ''),
+    text: String(body.text || body['body-plain'] || '') || htmlToText(body.html || body['body-html']),
+    messageId: String(body.messageId || headers['message-id'] || ''),
+    inReplyTo: String(body.inReplyTo || headers['in-reply-to'] || ''),
+    references: messageIdList(body.references || headers.references),
+    date: body.date ? new Date(body.date) : new Date(),
+    headers: automation,
+    attachments: (body.attachments || []).map(attachment => ({
+      filename: attachment.filename || attachment.name,
+      contentType: attachment.contentType || attachment['content-type'],
+      content: Buffer.from(String(attachment.content || ''), 'base64')
+    }))
+  };
+};
+
+/**
+ * Normalizes a posted email (Buffer or string of raw MIME, or a webhook
+ * object) to { from: { address, name }, to, subject, text, messageId,
+ * inReplyTo, references, date, headers, attachments }.
+ */
+const parseInbound = async (body) => {
+  if (Buffer.isBuffer(body) || typeof body === 'string') return fromMailparser(await simpleParser(body));
+  if (body && (body.raw || body['body-mime'])) return fromMailparser(await simpleParser(body.raw || body['body-mime']));
+  if (body && typeof body === 'object') return fromWebhook(body);
+  throw Object.assign(new Error('Expected a raw email or a JSON webhook body'), { status: 400 });
+};
+
+// Everything from the first line that starts the quoted history
+const QUOTE_MARKERS = [
+  /^On .+wrote:\s*$/m,
+  /^On .+\n.+wrote:\s*$/m,
+  /^-{2,}\s*Original Message\s*-{2,}/im,
+  /^_{10,}\s*$/m,
+  /^From:\s.+\n(?:.+\n){0,3}?(?:Sent|Date):\s/m
+];
+
+/** The client's new text, without the quoted conversation below it. */
+const stripQuotedText = (text) => {
+  let body = String(text || '').replace(/\r\n/g, '\n');
+  for (const marker of QUOTE_MARKERS) {
+    const match = body.match(marker);
+    if (match) body = body.slice(0, match.index);
+  }
+  return body
+    .split('\n')
+    .filter(line => !line.startsWith('>'))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+// Out-of-office replies, mailing lists and bounces are not client replies
+const isAutomated = ({ headers }) => (
+  (headers['auto-submitted'] && headers['auto-submitted'] !== 'no')
+  || /^(bulk|junk|list|auto_reply)$/i.test(headers.precedence || '')
+  || Boolean(headers['x-autoreply'] || headers['x-autorespond'])
+);
+
+const isOwnAddress = (address) => [config.brand.email, config.mail.staffAddress, config.mail.replyAddress]
+  .filter(Boolean)
+  .some(own => own.toLowerCase() === address);
+
+// ===== Attachments =====
+const attachmentPath = (id) => path.join(config.inbound.attachmentDir, id);
+
+const saveAttachments = async (attachments) => {
+  if (!attachments.length) return [];
+  await fs.promises.mkdir(config.inbound.attachmentDir, { recursive: true });
+  return Promise.all(attachments.map(async ({ filename, contentType, content }) => {
+    const id = uuidv4();
+    await fs.promises.writeFile(attachmentPath(id), content);
+    return {
+      id,
+      filename: path.basename(filename || 'attachment'),
+      contentType: contentType || 'application/octet-stream',
+      size: content.length
+    };
+  }));
+};
+
+// Every file of a message, the original's and the thread's
+const messageAttachments = (message) => [
+  ...(message.attachments || []),
+  ...(message.thread || []).flatMap(entry => entry.attachments || [])
+];
+
+const findAttachment = (message, attachmentId) => {
+  const attachment = messageAttachments(message).find(candidate => candidate.id === attachmentId);
+  return attachment ? { ...attachment, path: attachmentPath(attachment.id) } : null;
+};
+
+// Called when a message is deleted
+const removeAttachments = (message) => Promise.all(messageAttachments(message).map(attachment => (
+  fs.promises.unlink(attachmentPath(attachment.id)).catch(() => {})
+)));
+
+// ===== Matching =====
+const latest = { sort: { date: -1 }, limit: 1 };
+
+const latestBooking = async (query) => (await storage.bookings.list(query, { sort: { createdAt: -1 }, limit: 1 }))[0];
+
+const findConversation = async (email) => {
+  const { token, bookingId } = threadReferences(email);
+  if (token) {
+    const message = await storage.messages.findOne({ threadToken: token });
+    if (message) return { message };
+  }
+  if (bookingId) {
+    const booking = await storage.bookings.findById(bookingId);
+    if (booking) return { booking };
+  }
+
+  const since = new Date(Date.now() - config.inbound.matchSenderDays * DAY_MS);
+  const [message] = await storage.messages.list({ email: email.from.address, date: { $gte: since } }, latest);
+  if (message) return { message };
+  const booking = await latestBooking({ clientEmail: email.from.address, createdAt: { $gte: since } });
+  return booking ? { booking } : {};
+};
+
+// $push, so a reply sent or received meanwhile stays in the thread.
+// Resolves to { message, entry }, or {} if the message has gone.
+const appendReply = async (message, email, body, attachments) => {
+  const entry = {
+    id: uuidv4(),
+    direction: 'inbound',
+    body,
+    author: email.from.name || message.name,
+    at: email.date,
+    attachments
+  };
+  const updated = await storage.messages.update(message.id, {
+    $push: {
+      thread: entry,
+      ...(email.messageId && { inboundEmailIds: email.messageId })
+    },
+    read: false,
+    readAt: null,
+    archived: false,
+    archivedAt: null,
+    lastInboundAt: new Date()
+  });
+  return updated ? { message: updated, entry: updated.thread.find(candidate => candidate.id === entry.id) } : {};
+};
+
+const createMessage = (email, body, attachments, booking) => storage.messages.create({
+  name: email.from.name || (booking && booking.clientName) || email.from.address,
+  email: email.from.address,
+  phone: (booking && booking.clientPhone) || '',
+  subject: email.subject.replace(/^(re|fwd?):\s*/i, '').trim() || 'Email inquiry',
+  message: body,
+  date: email.date,
+  source: 'email',
+  attachments,
+  lastInboundAt: new Date(),
+  inboundEmailIds: [email.messageId].filter(Boolean),
+  bookingId: booking ? booking.id : null,
+  threadToken: newThreadToken()
+});
+
+/**
+ * Stores an inbound email. Resolves to { action, message } where action is
+ * 'appended' (reply added to a thread), 'created' (new message),
+ * 'duplicate' (already stored) or 'ignored' (automated or our own mail;
+ * `reason` says which).
+ */
+const receiveEmail = async (body) => {
+  const email = await parseInbound(body);
+  if (!email.from.address) throw Object.assign(new Error('The email has no sender'), { status: 400 });
+  if (isAutomated(email)) return { action: 'ignored', reason: 'automated' };
+  if (isOwnAddress(email.from.address)) return { action: 'ignored', reason: 'own address' };
+
+  if (email.messageId) {
+    const duplicate = await storage.messages.findOne({ inboundEmailIds: email.messageId });
+    if (duplicate) return { action: 'duplicate', message: duplicate };
+  }
+
+  const text = stripQuotedText(email.text) || (email.attachments.length ? '(attachments only)' : '');
+  if (!text) return { action: 'ignored', reason: 'empty' };
+  const replyBody = text.slice(0, MAX_BODY_LENGTH);
+  const attachments = await saveAttachments(email.attachments);
+
+  const { message, booking } = await findConversation(email);
+  const existing = message || (booking && (await storage.messages.list({ bookingId: booking.id }, latest))[0]);
+
+  if (existing) {
+    const { message: updated, entry } = await appendReply(existing, email, replyBody, attachments);
+    if (updated) {
+      await staffNotifications.notifyNewMessage(updated, entry);
+      return { action: 'appended', message: updated };
+    }
+  }
+
+  const created = await createMessage(email, replyBody, attachments, booking);
+  await staffNotifications.notifyNewMessage(created);
+  return { action: 'created', message: created };
+};
+
+module.exports = {
+  parseInbound,
+  stripQuotedText,
+  receiveEmail,
+  findAttachment,
+  removeAttachments
+};
@@ -0,0 +1,263 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { roundMoney } = require('./quote');
+
+// ===== Invoices =====
+// One invoice per booking, stored on the booking. Totals, balance and the
+// next due date are derived from the line items and payments on every
+// write and stored alongside them, so the bookings list can filter by
+// payment status with plain queries. The status itself depends on today's
+// date and is computed on read.
+const MANUAL_PAYMENT_METHODS = ['cash', 'check', 'transfer'];
+// 'online' payments only come in through the payment provider's webhooks
+const PAYMENT_METHODS = [...MANUAL_PAYMENT_METHODS, 'online'];
+const PAYMENT_STATUSES = ['unpaid', 'partially-paid', 'paid', 'overdue'];
+const CHECKOUT_STATUSES = ['open', 'paid', 'failed'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+// A bare YYYY-MM-DD from a date input means "by the end of that day"
+const toDueDate = (value) => (
+  /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T23:59:59`) : new Date(value)
+);
+
+// The booking's own quote when it has one, otherwise its package price
+const lineItemsFor = (booking) => {
+  if (booking.quote && booking.quote.lines && booking.quote.lines.length) {
+    return booking.quote.lines.map(({ code, label, quantity, unitPrice, amount }) => ({
+      code, label, quantity, unitPrice, amount
+    }));
+  }
+  const price = booking.packagePrice || 0;
+  return [{
+    code: 'package',
+    label: `${booking.packageName || booking.package} package`,
+    quantity: 1,
+    unitPrice: price,
+    amount: price
+  }];
+};
+
+// Custom work has no package price; its invoice is written by hand
+const isPricedOnRequest = (booking) => booking.packagePrice === null || booking.packagePrice === undefined;
+
+// The booking with the price the studio quoted for its package, in place of
+// the $0 "priced on request" line of its estimate
+const withQuotedPrice = (booking, price) => {
+  const label = `${booking.packageName || booking.package} package`;
+  const quote = booking.quote && booking.quote.lines && booking.quote.lines.length
+    ? {
+      ...booking.quote,
+      lines: booking.quote.lines.map(line => (
+        line.code === 'package' ? { ...line, label, unitPrice: price, amount: roundMoney(price * line.quantity) } : line
+      ))
+    }
+    : booking.quote;
+  return { ...booking, packagePrice: price, quote };
+};
+
+const normalizeLineItems = (items) => items.map(item => {
+  const quantity = Number(item.quantity === undefined ? 1 : item.quantity);
+  const unitPrice = Number(item.unitPrice);
+  return {
+    code: item.code || 'custom',
+    label: item.label,
+    quantity,
+    unitPrice,
+    amount: roundMoney(quantity * unitPrice)
+  };
+});
+
+const refundedAmount = (payment) => roundMoney((payment.refunds || []).reduce((sum, refund) => sum + refund.amount, 0));
+
+const summarizeInvoice = (invoice) => {
+  const subtotal = roundMoney(invoice.lineItems.reduce((sum, item) => sum + item.amount, 0));
+  const tax = roundMoney(subtotal * invoice.taxRate);
+  const total = roundMoney(subtotal + tax);
+  const depositAmount = roundMoney(total * invoice.depositPercent / 100);
+  const amountPaid = roundMoney(invoice.payments.reduce(
+    (sum, payment) => sum + payment.amount - refundedAmount(payment), 0
+  ));
+  const balance = roundMoney(total - amountPaid);
+
+  let nextDueDate = null;
+  if (balance > 0) {
+    nextDueDate = amountPaid < depositAmount ? invoice.depositDueDate : invoice.balanceDueDate;
+  }
+
+  return { ...invoice, subtotal, tax, total, depositAmount, amountPaid, balance, nextDueDate };
+};
+
+const invoiceNumber = (booking, issuedAt) => {
+  const day = new Date(issuedAt).toISOString().slice(0, 10).replace(/-/g, '');
+  return `INV-${day}-${booking.id.slice(0, 6).toUpperCase()}`;
+};
+
+/**
+ * New invoice for a booking. `terms` may override depositPercent,
+ * depositDueDate, balanceDueDate, taxRate and lineItems.
+ */
+const createInvoice = (booking, terms = {}, settings = config.invoice, now = new Date()) => {
+  const balanceDueDate = terms.balanceDueDate
+    ? toDueDate(terms.balanceDueDate)
+    : addDays(booking.eventDate, -settings.balanceDueDaysBeforeEvent);
+  // A short-notice booking can't have its deposit due after the balance
+  const depositDueDate = terms.depositDueDate
+    ? toDueDate(terms.depositDueDate)
+    : new Date(Math.min(addDays(now, settings.depositDueDays).getTime(), balanceDueDate.getTime()));
+
+  return summarizeInvoice({
+    number: invoiceNumber(booking, now),
+    issuedAt: now,
+    currency: (booking.quote && booking.quote.currency) || config.quote.currency,
+    lineItems: terms.lineItems ? normalizeLineItems(terms.lineItems) : lineItemsFor(booking),
+    taxRate: terms.taxRate !== undefined
+      ? Number(terms.taxRate)
+      : (booking.quote && booking.quote.taxRate !== undefined ? booking.quote.taxRate : config.quote.taxRate),
+    depositPercent: terms.depositPercent !== undefined ? Number(terms.depositPercent) : settings.depositPercent,
+    depositDueDate,
+    balanceDueDate,
+    payments: [],
+    checkouts: []
+  });
+};
+
+// Edits the terms of an existing invoice; payments are kept as they are
+const updateInvoiceTerms = (invoice, terms) => {
+  const changes = {};
+  if (terms.depositPercent !== undefined) changes.depositPercent = Number(terms.depositPercent);
+  if (terms.taxRate !== undefined) changes.taxRate = Number(terms.taxRate);
+  if (terms.depositDueDate) changes.depositDueDate = toDueDate(terms.depositDueDate);
+  if (terms.balanceDueDate) changes.balanceDueDate = toDueDate(terms.balanceDueDate);
+  if (Array.isArray(terms.lineItems)) changes.lineItems = normalizeLineItems(terms.lineItems);
+  return summarizeInvoice({ ...invoice, ...changes });
+};
+
+/**
+ * Adds a payment. Throws an Error with `.status` 400 when the amount is not
+ * positive or exceeds the balance. Online payments skip the balance check:
+ * the provider has already taken the money, so it has to be on the books.
+ */
+const recordPayment = (invoice, { amount, method, provider, reference, note, receivedAt }, actor = 'admin') => {
+  const value = roundMoney(Number(amount));
+  if (!Number.isFinite(value) || value <= 0) {
+    throw Object.assign(new Error('Payment amount must be greater than zero'), { status: 400 });
+  }
+  if (method !== 'online' && value > invoice.balance) {
+    throw Object.assign(new Error(`Payment exceeds the outstanding balance of ${invoice.balance.toFixed(2)}`), { status: 400 });
+  }
+
+  return summarizeInvoice({
+    ...invoice,
+    payments: [...invoice.payments, {
+      id: uuidv4(),
+      amount: value,
+      method,
+      provider: provider || null,
+      reference: reference || '',
+      note: note || '',
+      receivedAt: receivedAt ? toDueDate(receivedAt) : new Date(),
+      recordedBy: actor,
+      refunds: []
+    }]
+  });
+};
+
+// What the client should pay next: the rest of the deposit, then the balance
+const amountDueNow = (invoice) => {
+  if (!invoice || invoice.balance <= 0) return null;
+  if (invoice.amountPaid < invoice.depositAmount) {
+    return { purpose: 'deposit', amount: roundMoney(invoice.depositAmount - invoice.amountPaid) };
+  }
+  return { purpose: 'balance', amount: invoice.balance };
+};
+
+const findPayment = (invoice, predicate) => invoice.payments.find(predicate) || null;
+
+/**
+ * Records a refund against one payment. Refund ids come from the payment
+ * provider, so a refund that is already recorded is left alone (webhooks
+ * may repeat). Throws an Error with `.status` 400 when the amount is more
+ * than what is left of the payment.
+ */
+const recordRefund = (invoice, paymentId, { id, amount, refundedAt }) => {
+  const payment = findPayment(invoice, entry => entry.id === paymentId);
+  if (!payment) throw Object.assign(new Error('Payment not found'), { status: 404 });
+  if (payment.refunds.some(refund => refund.id === id)) return invoice;
+
+  const value = roundMoney(Number(amount));
+  const refundable = roundMoney(payment.amount - refundedAmount(payment));
+  if (!Number.isFinite(value) || value <= 0 || value > refundable) {
+    throw Object.assign(new Error(`Refund must be between 0.01 and ${refundable.toFixed(2)}`), { status: 400 });
+  }
+
+  return summarizeInvoice({
+    ...invoice,
+    payments: invoice.payments.map(entry => (entry.id === paymentId
+      ? { ...entry, refunds: [...entry.refunds, { id, amount: value, refundedAt: refundedAt || new Date() }] }
+      : entry))
+  });
+};
+
+// Checkouts are tracked on the invoice so the pay page and admin can see them
+const addCheckout = (invoice, checkout) => ({
+  ...invoice,
+  checkouts: [...(invoice.checkouts || []), { status: 'open', failureReason: '', createdAt: new Date(), completedAt: null, ...checkout }]
+});
+
+const updateCheckout = (invoice, checkoutId, changes) => ({
+  ...invoice,
+  checkouts: (invoice.checkouts || []).map(checkout => (
+    checkout.id === checkoutId ? { ...checkout, ...changes } : checkout
+  ))
+});
+
+// Returns null when the payment id is unknown
+const removePayment = (invoice, paymentId) => {
+  const payments = invoice.payments.filter(payment => payment.id !== paymentId);
+  if (payments.length === invoice.payments.length) return null;
+  return summarizeInvoice({ ...invoice, payments });
+};
+
+const invoiceStatus = (invoice, now = new Date()) => {
+  if (!invoice) return null;
+  if (invoice.balance <= 0) return 'paid';
+  if (invoice.nextDueDate && new Date(invoice.nextDueDate) < now) return 'overdue';
+  return invoice.amountPaid > 0 ? 'partially-paid' : 'unpaid';
+};
+
+// Storage query equivalent of invoiceStatus, for list filters
+const paymentStatusQuery = (status, now = new Date()) => {
+  const outstanding = { 'invoice.balance': { $gt: 0 } };
+  switch (status) {
+    case 'none': return { invoice: null };
+    case 'paid': return { 'invoice.balance': { $lte: 0 } };
+    case 'overdue': return { ...outstanding, 'invoice.nextDueDate': { $lt: now } };
+    case 'partially-paid': return { ...outstanding, 'invoice.amountPaid': { $gt: 0 }, 'invoice.nextDueDate': { $gte: now } };
+    case 'unpaid': return { ...outstanding, 'invoice.amountPaid': { $lte: 0 }, 'invoice.nextDueDate': { $gte: now } };
+    default: return null;
+  }
+};
+
+module.exports = {
+  MANUAL_PAYMENT_METHODS,
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  CHECKOUT_STATUSES,
+  lineItemsFor,
+  isPricedOnRequest,
+  withQuotedPrice,
+  createInvoice,
+  updateInvoiceTerms,
+  recordPayment,
+  removePayment,
+  amountDueNow,
+  findPayment,
+  recordRefund,
+  refundedAmount,
+  addCheckout,
+  updateCheckout,
+  invoiceStatus,
+  paymentStatusQuery
+};
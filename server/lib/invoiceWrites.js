@@ -0,0 +1,43 @@
+const storage = require('../storage');
+
+// ===== Invoice Writes =====
+// An invoice is read with its booking, changed in memory and written back
+// whole. Each write is conditional on the invoice revision it started from,
+// so when another write got in first (a provider webhook, an admin
+// recording a payment, a second checkout) the change is re-applied to the
+// fresh booking instead of overwriting it. `change` must therefore be safe
+// to run more than once: calls to the payment provider happen before it.
+const MAX_ATTEMPTS = 5;
+
+// Matches the booking only while its invoice is the one that was read
+const unchangedSince = (invoice) => (
+  invoice ? { 'invoice.revision': invoice.revision ?? null } : { invoice: null }
+);
+
+/**
+ * Applies `change(booking)` -> booking changes including the new `invoice`
+ * (or a promise of them; null to leave the booking as it is) and saves
+ * them. Resolves to the saved booking, or null when there is no such
+ * booking. Errors thrown by `change` pass through; running out of attempts
+ * throws with status 409.
+ */
+const changeInvoice = async (bookingId, change) => {
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt += 1) {
+    const booking = await storage.bookings.findById(bookingId);
+    if (!booking) return null;
+
+    const changes = await change(booking);
+    if (!changes) return booking;
+
+    const revision = ((booking.invoice && booking.invoice.revision) || 0) + 1;
+    const updated = await storage.bookings.update(
+      booking.id,
+      { ...changes, invoice: { ...changes.invoice, revision } },
+      unchangedSince(booking.invoice)
+    );
+    if (updated) return updated;
+  }
+  throw Object.assign(new Error('The invoice was changed by someone else at the same time. Please try again.'), { status: 409 });
+};
+
+module.exports = { changeInvoice };
@@ -0,0 +1,95 @@
+const { dayRange } = require('./availability');
+
+// ===== Admin List Paging =====
+// Query-string paging and the filters the admin list endpoints have in
+// common, so the bookings and messages lists page, sort and search alike:
+//   page          1-based page number (default 1)
+//   limit         rows per page (default 25, at most 100)
+//   sort, order   one of the endpoint's sortable fields, asc|desc
+//   from, to      YYYY-MM-DD days, inclusive, on the endpoint's date field
+//   q             case-insensitive text search over the endpoint's fields
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+const SEARCH_MAX_LENGTH = 100;
+const DAY_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const ORDERS = ['asc', 'desc'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const positiveInteger = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+/**
+ * Paging for a list request. `sortFields` are the fields a caller may sort
+ * by; the id breaks ties so pages never overlap. Returns { paging } with
+ * { page, limit, skip, sort, order, storageSort }, or { error } for a 400.
+ */
+const listPaging = (params = {}, { sortFields, defaultSort, defaultOrder = 'desc' }) => {
+  const page = positiveInteger(params.page, 1);
+  const limit = positiveInteger(params.limit, DEFAULT_LIMIT);
+  if (!page) return { error: 'page must be a positive whole number' };
+  if (!limit || limit > MAX_LIMIT) return { error: `limit must be a whole number from 1 to ${MAX_LIMIT}` };
+
+  const sort = params.sort || defaultSort;
+  if (!sortFields.includes(sort)) return { error: `Unknown sort (expected one of: ${sortFields.join(', ')})` };
+  const order = String(params.order || defaultOrder).toLowerCase();
+  if (!ORDERS.includes(order)) return { error: 'order must be asc or desc' };
+
+  const direction = order === 'asc' ? 1 : -1;
+  return {
+    paging: {
+      page,
+      limit,
+      skip: (page - 1) * limit,
+      sort,
+      order,
+      storageSort: { [sort]: direction, id: direction }
+    }
+  };
+};
+
+/** The paging half of a list response, alongside the page's records. */
+const pageInfo = ({ page, limit, sort, order }, total) => ({
+  total,
+  page,
+  limit,
+  pages: Math.max(1, Math.ceil(total / limit)),
+  sort,
+  order
+});
+
+/**
+ * Query conditions for from/to days on `field`: {} when neither is given,
+ * or { error } when either isn't YYYY-MM-DD.
+ */
+const dateRangeQuery = (params, field) => {
+  if ((params.from && !DAY_KEY.test(params.from)) || (params.to && !DAY_KEY.test(params.to))) {
+    return { error: 'from and to must be YYYY-MM-DD dates' };
+  }
+  if (!params.from && !params.to) return {};
+
+  const range = {};
+  if (params.from) range.$gte = dayRange(params.from).start;
+  if (params.to) range.$lt = dayRange(params.to).end;
+  return { [field]: range };
+};
+
+/** A $or matching `q` anywhere in any of `fields`, or {} without one. */
+const searchQuery = (q, fields) => {
+  const search = String(q || '').trim();
+  if (!search) return {};
+  const pattern = escapeRegex(search.slice(0, SEARCH_MAX_LENGTH));
+  return { $or: fields.map(field => ({ [field]: { $regex: pattern, $options: 'i' } })) };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  listPaging,
+  pageInfo,
+  dateRangeQuery,
+  searchQuery
+};
@@ -0,0 +1,163 @@
+const storage = require('../storage');
+const config = require('../config');
+const { deliverEmail } = require('./mailer');
+
+// ===== Outbound Mail Queue =====
+// queueEmail() stores the message and returns straight away; a worker in
+// this process delivers it. Failed sends retry with exponential backoff
+// (1, 2, 4, 8... minutes) and end up `dead` after config.mail.maxAttempts.
+// Each email keeps a log of what happened to it for the admin outbox.
+const BATCH_SIZE = 20;
+
+let timer = null;
+let processing = false;
+let rerun = false;
+
+const logEntry = (event, detail = '') => ({ event, at: new Date(), detail });
+
+const backoffMs = (attempts) => Math.min(
+  config.mail.retryBaseSeconds * 1000 * 2 ** (attempts - 1),
+  config.mail.retryMaxSeconds * 1000
+);
+
+const attemptDelivery = async (email) => {
+  await storage.outboundEmails.update(email.id, { status: 'sending' });
+  const attempts = email.attempts + 1;
+  const now = new Date();
+
+  try {
+    const providerMessageId = await deliverEmail(email);
+    await storage.outboundEmails.update(email.id, {
+      status: 'sent',
+      attempts,
+      sentAt: now,
+      providerMessageId,
+      lastError: '',
+      log: [...email.log, logEntry('sent', providerMessageId)]
+    });
+  } catch (err) {
+    const dead = attempts >= config.mail.maxAttempts;
+    const delay = backoffMs(attempts);
+    console.error(`Email to ${email.to} failed (attempt ${attempts}):`, err.message);
+    await storage.outboundEmails.update(email.id, {
+      status: dead ? 'dead' : 'retrying',
+      attempts,
+      lastError: err.message,
+      nextAttemptAt: new Date(now.getTime() + delay),
+      log: [
+        ...email.log,
+        logEntry('failed', err.message),
+        ...(dead ? [logEntry('dead', `Gave up after ${attempts} attempts`)] : [])
+      ]
+    });
+  }
+};
+
+// Sends everything that is due. Calls made while a run is in progress
+// schedule one more run instead of overlapping it.
+const processQueue = async () => {
+  if (processing) {
+    rerun = true;
+    return;
+  }
+  processing = true;
+  try {
+    let due;
+    do {
+      due = await storage.outboundEmails.list(
+        { status: { $in: ['queued', 'retrying'] }, nextAttemptAt: { $lte: new Date() } },
+        { sort: { nextAttemptAt: 1 }, limit: BATCH_SIZE }
+      );
+      for (const email of due) {
+        await attemptDelivery(email);
+      }
+    } while (due.length === BATCH_SIZE);
+  } catch (err) {
+    console.error('Mail queue error:', err);
+  } finally {
+    processing = false;
+    if (rerun) {
+      rerun = false;
+      setImmediate(processQueue);
+    }
+  }
+};
+
+/**
+ * Queues an email. `template` is { subject, html, text?, attachments? }
+ * with nodemailer-style attachments ({ filename, content, contentType })
+ * and optional threading headers { replyTo, headerMessageId, inReplyTo };
+ * `meta` links it to what triggered it: { kind, bookingId, messageId }, and
+ * `meta.emailId` sets the new email's id for a caller that records it first.
+ * Resolves to the stored email, or null if it couldn't be stored; it never
+ * throws, so a mail problem can't fail the request that sent it.
+ */
+const queueEmail = async (to, template, meta = {}) => {
+  try {
+    const email = await storage.outboundEmails.create({
+      id: meta.emailId,
+      to,
+      subject: template.subject,
+      html: template.html,
+      text: template.text,
+      replyTo: template.replyTo,
+      headerMessageId: template.headerMessageId,
+      inReplyTo: template.inReplyTo,
+      attachments: (template.attachments || []).map(attachment => ({
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        content: Buffer.from(attachment.content).toString('base64')
+      })),
+      kind: meta.kind,
+      bookingId: meta.bookingId,
+      messageId: meta.messageId,
+      log: [logEntry('queued')]
+    });
+    setImmediate(processQueue);
+    return email;
+  } catch (err) {
+    console.error('Failed to queue email:', err);
+    return null;
+  }
+};
+
+// Puts a sent or dead email back in the queue with a fresh set of attempts
+const resendEmail = async (id, actor = 'admin') => {
+  const email = await storage.outboundEmails.findById(id);
+  if (!email) throw Object.assign(new Error('Email not found'), { status: 404 });
+  if (['queued', 'sending', 'retrying'].includes(email.status)) {
+    throw Object.assign(new Error('This email is already waiting to be sent'), { status: 409 });
+  }
+
+  const updated = await storage.outboundEmails.update(id, {
+    status: 'queued',
+    attempts: 0,
+    nextAttemptAt: new Date(),
+    lastError: '',
+    log: [...email.log, logEntry('resent', `by ${actor}`)]
+  });
+  setImmediate(processQueue);
+  return updated;
+};
+
+const start = async () => {
+  if (timer) return;
+  // A restart mid-send leaves `sending` behind; try those again
+  const interrupted = await storage.outboundEmails.list({ status: 'sending' });
+  for (const email of interrupted) {
+    await storage.outboundEmails.update(email.id, {
+      status: 'retrying',
+      log: [...email.log, logEntry('failed', 'Interrupted by a server restart')]
+    });
+  }
+
+  processQueue();
+  timer = setInterval(processQueue, config.mail.pollSeconds * 1000);
+  timer.unref();
+};
+
+module.exports = {
+  queueEmail,
+  resendEmail,
+  start
+};
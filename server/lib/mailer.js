@@ -0,0 +1,48 @@
+const nodemailer = require('nodemailer');
+const config = require('../config');
+
+// ===== Email Transport =====
+// One SMTP transporter for the whole app. Nothing calls it directly except
+// the mail queue (lib/mailQueue), which retries and logs every delivery.
+//   queued -> sending -> sent
+//                     -> retrying -> sending ... -> dead (gave up)
+const EMAIL_STATUSES = ['queued', 'sending', 'sent', 'retrying', 'dead'];
+const EMAIL_LOG_EVENTS = ['queued', 'sent', 'failed', 'dead', 'resent'];
+
+const emailTransporter = nodemailer.createTransport({
+  host: process.env.EMAIL_HOST,
+  port: process.env.EMAIL_PORT,
+  secure: process.env.EMAIL_SECURE === 'true', // true for 465, false for other ports
+  auth: {
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS
+  }
+});
+
+// Sends one stored OutboundEmail; resolves to the SMTP message id and
+// throws on any transport error
+async function deliverEmail(email) {
+  const result = await emailTransporter.sendMail({
+    from: `"${config.brand.name}" <${process.env.EMAIL_USER}>`,
+    to: email.to,
+    subject: email.subject,
+    html: email.html,
+    text: email.text || undefined,
+    replyTo: email.replyTo || undefined,
+    messageId: email.headerMessageId || undefined,
+    inReplyTo: email.inReplyTo || undefined,
+    references: email.inReplyTo || undefined,
+    attachments: email.attachments.map(attachment => ({
+      filename: attachment.filename,
+      contentType: attachment.contentType,
+      content: Buffer.from(attachment.content, 'base64')
+    }))
+  });
+  return result.messageId;
+}
+
+module.exports = {
+  EMAIL_STATUSES,
+  EMAIL_LOG_EVENTS,
+  deliverEmail
+};
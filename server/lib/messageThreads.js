@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const config = require('../config');
+const { renderEmail } = require('./emailTemplates');
+const { queueEmail } = require('./mailQueue');
+
+// ===== Message Threads =====
+// A contact message and every reply after it, either way, form one
+// conversation. Each email we send in it carries the message's thread token
+// three ways, so a client's reply can be matched back whichever one their
+// mail client keeps:
+//   - a subject tag: "Re: Wedding dates [#1a2b3c4d5e]"
+//   - the Message-ID <token@host> (confirmation) or <token.entry@host>
+//     (replies), which comes back in In-Reply-To / References
+//   - Reply-To replies+<token>@... when config.mail.replyAddress is set
+// Booking emails have no thread yet; their Message-ID names the booking
+// (<booking.<id>.<kind>@host>) so a reply to one can still find it.
+const SUBJECT_TAG = /\[#([a-f0-9]{10})\]/i;
+
+const newThreadToken = () => crypto.randomBytes(5).toString('hex');
+
+const mailDomain = () => (config.mail.replyAddress || config.brand.email).split('@')[1] || 'localhost';
+
+// "Re: Re: Dates [#old]" -> "Re: Dates [#token]"
+const tagSubject = (subject, token) => {
+  const base = String(subject).replace(SUBJECT_TAG, '').replace(/^(re:\s*)+/i, 'Re: ').trim();
+  return `${base} [#${token}]`;
+};
+
+/**
+ * Reply-To and Message-ID headers for an email in a thread. Without an
+ * entry id it's the first email of the conversation (the confirmation).
+ */
+const threadHeaders = (token, entryId) => {
+  const [mailbox, domain] = config.mail.replyAddress.split('@');
+  return {
+    replyTo: config.mail.replyAddress ? `${mailbox}+${token}@${domain}` : '',
+    headerMessageId: entryId ? `<${token}.${entryId}@${mailDomain()}>` : `<${token}@${mailDomain()}>`,
+    inReplyTo: entryId ? `<${token}@${mailDomain()}>` : ''
+  };
+};
+
+const bookingHeaders = (bookingId, kind) => ({
+  headerMessageId: `<booking.${bookingId}.${kind}@${mailDomain()}>`
+});
+
+/**
+ * The thread token and/or booking id an inbound email refers to, from its
+ * plus-addressed recipient, In-Reply-To / References or subject tag.
+ */
+const threadReferences = ({ to = [], inReplyTo = '', references = [], subject = '' }) => {
+  const ids = [inReplyTo, ...references].join(' ');
+  const token = to.map(address => (address.match(/\+([a-f0-9]{10})@/i) || [])[1]).find(Boolean)
+    || (ids.match(/<([a-f0-9]{10})(?:\.[^@>]+)?@/i) || [])[1]
+    || (subject.match(SUBJECT_TAG) || [])[1];
+  const bookingId = (ids.match(/<booking\.([^.@>]+)\./i) || [])[1];
+  return { token: token ? token.toLowerCase() : null, bookingId: bookingId || null };
+};
+
+// Older messages get a token the first time someone replies
+const ensureThreadToken = async (message) => (
+  message.threadToken ? message : storage.messages.update(message.id, { threadToken: newThreadToken() })
+);
+
+// The client's first message as an entry, followed by the stored thread
+const conversation = (message) => [
+  {
+    id: 'original',
+    direction: 'inbound',
+    body: message.message,
+    author: message.name,
+    at: message.date,
+    attachments: message.attachments || []
+  },
+  ...(message.thread || [])
+];
+
+/**
+ * The conversation for the admin, with the delivery status of each reply
+ * from the outbox.
+ */
+const presentConversation = async (message) => {
+  const emails = await storage.outboundEmails.list({ messageId: message.id });
+  return conversation(message).map(entry => {
+    const email = entry.emailId && emails.find(candidate => candidate.id === entry.emailId);
+    return email ? { ...entry, delivery: { status: email.status, lastError: email.lastError } } : entry;
+  });
+};
+
+/**
+ * Appends a reply to the thread and emails it to the client through the
+ * mail queue. Resolves to the updated message.
+ */
+const sendReply = async (message, { body, author }) => {
+  const current = await ensureThreadToken(message);
+  const entry = { id: uuidv4(), direction: 'outbound', body, author, at: new Date(), emailId: uuidv4() };
+  const lastInbound = conversation(current).filter(candidate => candidate.direction === 'inbound').pop();
+  const email = renderEmail('message-reply', { message: current, reply: entry, quoted: lastInbound });
+
+  // The reply joins the thread before its email is queued, so an email never
+  // goes out that the thread doesn't show; $push keeps a client reply that
+  // arrives meanwhile
+  const updated = await storage.messages.update(current.id, {
+    $push: { thread: entry },
+    read: true,
+    readAt: new Date()
+  });
+  if (!updated) throw Object.assign(new Error('Message not found'), { status: 404 });
+
+  const queued = await queueEmail(current.email, {
+    ...email,
+    subject: tagSubject(email.subject, current.threadToken),
+    ...threadHeaders(current.threadToken, entry.id)
+  }, { kind: 'message-reply', messageId: current.id, emailId: entry.emailId });
+  if (!queued) {
+    await storage.messages.update(current.id, { $pull: { thread: { id: entry.id } } });
+    throw Object.assign(new Error('The reply could not be queued; please try again'), { status: 503 });
+  }
+
+  return updated;
+};
+
+module.exports = {
+  SUBJECT_TAG,
+  newThreadToken,
+  tagSubject,
+  threadHeaders,
+  bookingHeaders,
+  threadReferences,
+  presentConversation,
+  sendReply
+};
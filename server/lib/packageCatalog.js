@@ -0,0 +1,100 @@
+// ===== Package Catalog =====
+// Default packages carry the prices the booking form used to list (Basic
+// $200, Standard $500, Premium $7000). Every package starts open to every event type (empty eventTypes) for the
+// admin to narrow. They are only inserted into an empty catalog; after that
+// the admin owns the data.
+const DEFAULT_PACKAGES = [
+  {
+    id: 'basic',
+    name: 'Basic',
+    price: 200,
+    durationMinutes: 120,
+    deliverables: ['50 high-res edited photos', 'Online gallery for 3 months', '1 location', '1 outfit change'],
+    sortOrder: 10
+  },
+  {
+    id: 'standard',
+    name: 'Standard',
+    price: 500,
+    durationMinutes: 240,
+    deliverables: ['100 high-res edited photos', 'Online gallery + USB drive', '2 locations', '3 outfit changes', '5 printed 8x10s'],
+    featured: true,
+    sortOrder: 20
+  },
+  {
+    id: 'premium',
+    name: 'Premium',
+    price: 7000,
+    durationMinutes: 480,
+    deliverables: [
+      '200 high-res edited photos',
+      'Online gallery + USB + album',
+      'Multiple locations',
+      'Unlimited outfit changes',
+      '20 printed 8x10s',
+      'Priority scheduling'
+    ],
+    sortOrder: 30
+  },
+  {
+    id: 'video',
+    name: 'Video',
+    price: 1000,
+    durationMinutes: 240,
+    deliverables: ['Edited highlight film (3-5 minutes)', 'Full-length ceremony/event cut', 'Digital download'],
+    sortOrder: 40
+  },
+  {
+    id: 'ultimate',
+    name: 'Ultimate',
+    price: 1300,
+    durationMinutes: 480,
+    deliverables: ['Everything in Premium', 'Highlight film', 'Second shooter'],
+    sortOrder: 50
+  },
+  {
+    id: 'custom',
+    name: 'Custom',
+    description: 'Tailored coverage for special events, commercial work and unique projects.',
+    price: null,
+    deliverables: ['Quoted to your brief'],
+    sortOrder: 60
+  }
+];
+
+const CATALOG_SORT = { sortOrder: 1, name: 1 };
+
+const ensureDefaultPackages = async (packagesRepo) => {
+  if (await packagesRepo.count() > 0) return 0;
+  return (await packagesRepo.insertMany(DEFAULT_PACKAGES)).length;
+};
+
+// Checks a requested package against the catalog (and the event type, when
+// one is given). Returns { package } or { error } with a message suitable
+// for the `package` field.
+const resolvePackage = async (packagesRepo, packageId, eventType) => {
+  const found = await packagesRepo.findOne({ id: packageId, active: true });
+  if (!found) {
+    return { error: 'Please choose one of our current packages' };
+  }
+  if (eventType && found.eventTypes.length && !found.eventTypes.includes(eventType)) {
+    return { error: `The ${found.name} package is not offered for ${eventType} events` };
+  }
+  return { package: found };
+};
+
+// Bookings made before the catalog only carry a package name; price them
+// from the matching catalog entry so their invoice isn't empty
+const withCatalogPrice = async (packagesRepo, booking) => {
+  if (booking.packagePrice !== null && booking.packagePrice !== undefined) return booking;
+  const found = await packagesRepo.findById(String(booking.package || '').toLowerCase());
+  return found ? { ...booking, packageName: found.name, packagePrice: found.price } : booking;
+};
+
+module.exports = {
+  DEFAULT_PACKAGES,
+  CATALOG_SORT,
+  ensureDefaultPackages,
+  resolvePackage,
+  withCatalogPrice
+};
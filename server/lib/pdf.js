@@ -0,0 +1,257 @@
+const PDFDocument = require('pdfkit');
+const config = require('../config');
+const { roundMoney } = require('./quote');
+const { lineItemsFor, invoiceStatus, refundedAmount } = require('./invoice');
+
+// ===== Booking PDFs =====
+// Renders a branded, one-booking document with PDFKit's built-in fonts:
+//   invoice      - invoice number, line items, deposit/balance and payments
+//   confirmation - booking sheet for the client; prices come from the
+//                  invoice when there is one, otherwise from the quote
+// Returns a Buffer so callers can stream it as a download or attach it to
+// an email.
+const DOCUMENT_TYPES = ['invoice', 'confirmation'];
+
+const PAYMENT_STATUS_LABELS = {
+  unpaid: 'Unpaid',
+  'partially-paid': 'Partially paid',
+  paid: 'Paid in full',
+  overdue: 'Overdue'
+};
+
+const PAGE = { left: 50, right: 562, width: 512 };
+const MUTED = '#6c757d';
+const TEXT = '#2a2a2a';
+
+const formatMoney = (amount, currency) => new Intl.NumberFormat('en-US', { style: 'currency', currency })
+  .format(amount || 0);
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', {
+  weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+});
+
+const shortDate = (value) => new Date(value).toLocaleDateString('en-US', {
+  year: 'numeric', month: 'short', day: 'numeric'
+});
+
+const documentTitle = (booking, type) => {
+  if (type === 'invoice') return 'Invoice';
+  return booking.status === 'pending' ? 'Booking Request' : 'Booking Confirmation';
+};
+
+const documentFilename = (booking, type) => (
+  type === 'invoice' && booking.invoice
+    ? `invoice-${booking.invoice.number}.pdf`
+    : `booking-${booking.id.slice(0, 8)}.pdf`
+);
+
+// ===== Sections =====
+const drawHeader = (doc, booking, type) => {
+  const { brand } = config;
+  doc.rect(0, 0, doc.page.width, 8).fill(brand.color);
+
+  doc.fillColor(TEXT).font('Helvetica-Bold').fontSize(20).text(brand.name, PAGE.left, 40);
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED)
+    .text(brand.address)
+    .text(`${brand.phone}  |  ${brand.email}`);
+
+  doc.font('Helvetica-Bold').fontSize(18).fillColor(brand.color)
+    .text(documentTitle(booking, type).toUpperCase(), PAGE.left, 40, { width: PAGE.width, align: 'right' });
+
+  const reference = type === 'invoice'
+    ? [`Invoice ${booking.invoice.number}`, `Issued ${shortDate(booking.invoice.issuedAt)}`]
+    : [`Reference ${booking.id.slice(0, 8).toUpperCase()}`, `Status: ${booking.status}`];
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED)
+    .text(reference.join('\n'), PAGE.left, 64, { width: PAGE.width, align: 'right' });
+
+  doc.moveTo(PAGE.left, 110).lineTo(PAGE.right, 110).strokeColor('#e9ecef').stroke();
+  doc.y = 125;
+};
+
+const drawDetails = (doc, booking) => {
+  const top = doc.y;
+  const column = PAGE.width / 2;
+
+  const block = (x, heading, lines) => {
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(MUTED).text(heading.toUpperCase(), x, top, { width: column - 10 });
+    doc.moveDown(0.3);
+    lines.filter(Boolean).forEach(([label, value]) => {
+      doc.font('Helvetica-Bold').fontSize(10).fillColor(TEXT).text(`${label}: `, x, doc.y, { continued: true, width: column - 10 })
+        .font('Helvetica').text(value);
+    });
+    return doc.y;
+  };
+
+  const time = booking.startTime
+    ? `${booking.startTime}${booking.endTime ? ` - ${booking.endTime}` : ''}`
+    : null;
+
+  const leftBottom = block(PAGE.left, 'Client', [
+    ['Name', booking.clientName],
+    ['Email', booking.clientEmail],
+    booking.clientPhone && ['Phone', booking.clientPhone]
+  ]);
+  const rightBottom = block(PAGE.left + column, 'Event', [
+    ['Type', booking.eventType],
+    ['Date', formatDate(booking.eventDate)],
+    time && ['Time', time],
+    booking.location && ['Location', booking.location],
+    ['Package', booking.packageName || booking.package]
+  ]);
+
+  doc.y = Math.max(leftBottom, rightBottom) + 20;
+};
+
+const drawLineItems = (doc, items, currency) => {
+  const columns = [
+    { label: 'Description', x: PAGE.left, width: 282, align: 'left' },
+    { label: 'Qty', x: 340, width: 50, align: 'right' },
+    { label: 'Unit price', x: 400, width: 75, align: 'right' },
+    { label: 'Amount', x: 482, width: 80, align: 'right' }
+  ];
+
+  const row = (values, font) => {
+    const y = doc.y;
+    doc.font(font).fontSize(10).fillColor(TEXT);
+    const heights = values.map((value, i) => doc.heightOfString(value, { width: columns[i].width }));
+    values.forEach((value, i) => {
+      doc.text(value, columns[i].x, y, { width: columns[i].width, align: columns[i].align });
+    });
+    doc.y = y + Math.max(...heights) + 6;
+  };
+
+  doc.rect(PAGE.left, doc.y - 4, PAGE.width, 20).fill('#f5f5f5');
+  row(columns.map(column => column.label), 'Helvetica-Bold');
+  items.forEach(item => row([
+    item.label,
+    String(item.quantity),
+    formatMoney(item.unitPrice, currency),
+    formatMoney(item.amount, currency)
+  ], 'Helvetica'));
+
+  doc.moveTo(PAGE.left, doc.y).lineTo(PAGE.right, doc.y).strokeColor('#e9ecef').stroke();
+  doc.moveDown(0.5);
+};
+
+// Label/amount pairs right-aligned under the line items
+const drawTotals = (doc, rows) => {
+  rows.forEach(({ label, value, bold }) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor(TEXT)
+      .text(label, 300, y, { width: 175, align: 'right' })
+      .text(value, 482, y, { width: 80, align: 'right' });
+    doc.y = y + 16;
+  });
+  doc.moveDown(0.5);
+};
+
+const drawPayments = (doc, invoice) => {
+  if (!invoice.payments.length) return;
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(MUTED).text('PAYMENTS RECEIVED', PAGE.left, doc.y);
+  doc.moveDown(0.3);
+  invoice.payments.forEach(payment => {
+    const refunded = refundedAmount(payment);
+    doc.font('Helvetica').fontSize(10).fillColor(TEXT).text(
+      `${shortDate(payment.receivedAt)}  ${formatMoney(payment.amount, invoice.currency)} (${payment.method})`
+      + (refunded ? `, ${formatMoney(refunded, invoice.currency)} refunded` : ''),
+      PAGE.left
+    );
+  });
+  doc.moveDown();
+};
+
+const drawPricing = (doc, booking, type) => {
+  const { invoice, quote } = booking;
+
+  if (invoice) {
+    const money = amount => formatMoney(amount, invoice.currency);
+    const status = invoiceStatus(invoice);
+    drawLineItems(doc, invoice.lineItems, invoice.currency);
+    drawTotals(doc, [
+      { label: 'Subtotal', value: money(invoice.subtotal) },
+      { label: `Tax (${roundMoney(invoice.taxRate * 100)}%)`, value: money(invoice.tax) },
+      { label: 'Total', value: money(invoice.total), bold: true },
+      { label: `Deposit (${invoice.depositPercent}%) due ${shortDate(invoice.depositDueDate)}`, value: money(invoice.depositAmount) },
+      { label: 'Paid', value: money(invoice.amountPaid) },
+      { label: `Balance due ${shortDate(invoice.balanceDueDate)}`, value: money(invoice.balance), bold: true }
+    ]);
+
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(status === 'overdue' ? '#c62828' : config.brand.color)
+      .text(`Payment status: ${PAYMENT_STATUS_LABELS[status]}`, PAGE.left, doc.y);
+    doc.moveDown();
+    if (type === 'invoice') drawPayments(doc, invoice);
+    return;
+  }
+
+  const currency = (quote && quote.currency) || config.quote.currency;
+  const items = lineItemsFor(booking);
+  drawLineItems(doc, items, currency);
+  drawTotals(doc, quote
+    ? [
+      { label: 'Subtotal', value: formatMoney(quote.subtotal, currency) },
+      { label: `Tax (${roundMoney(quote.taxRate * 100)}%)`, value: formatMoney(quote.tax, currency) },
+      { label: 'Estimated total', value: formatMoney(quote.total, currency), bold: true }
+    ]
+    : [{ label: 'Estimated total', value: formatMoney(items.reduce((sum, item) => sum + item.amount, 0), currency), bold: true }]);
+
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED)
+    .text('Estimate only. Your invoice, with deposit and due dates, follows once the booking is confirmed.', PAGE.left, doc.y);
+  doc.moveDown();
+};
+
+const drawFooter = (doc, booking) => {
+  const { invoice } = booking;
+  doc.moveDown();
+  if (invoice && invoice.balance > 0 && booking.paymentToken) {
+    const url = `${config.site.url}/pay.html?token=${booking.paymentToken}`;
+    doc.font('Helvetica').fontSize(10).fillColor(TEXT).text('Pay online: ', PAGE.left, doc.y, { continued: true })
+      .fillColor(config.brand.color).text(url, { link: url, underline: true });
+    doc.moveDown();
+  }
+  doc.font('Helvetica').fontSize(10).fillColor(MUTED)
+    .text(`Thank you for choosing ${config.brand.name}. Questions? ${config.brand.email} or ${config.brand.phone}.`, PAGE.left);
+};
+
+/**
+ * Renders the booking as a PDF. `type` defaults to 'invoice' when the
+ * booking has one, otherwise 'confirmation'. Throws an Error with `.status`
+ * 400 for an unknown type and 404 for an invoice that doesn't exist.
+ */
+const renderBookingPdf = (booking, type = booking.invoice ? 'invoice' : 'confirmation') => {
+  if (!DOCUMENT_TYPES.includes(type)) {
+    throw Object.assign(new Error(`Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`), { status: 400 });
+  }
+  if (type === 'invoice' && !booking.invoice) {
+    throw Object.assign(new Error('This booking has no invoice yet'), { status: 404 });
+  }
+
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: 50,
+    info: {
+      Title: `${config.brand.name} ${documentTitle(booking, type)}`,
+      Author: config.brand.name
+    }
+  });
+
+  const done = new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  drawHeader(doc, booking, type);
+  drawDetails(doc, booking);
+  drawPricing(doc, booking, type);
+  drawFooter(doc, booking);
+  doc.end();
+
+  return done;
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  documentFilename,
+  renderBookingPdf
+};
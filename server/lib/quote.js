@@ -0,0 +1,130 @@
+const config = require('../config');
+const { parseTime } = require('../../public/js/validation');
+
+// ===== Quote Engine =====
+// Prices a booking from its catalog package, booked duration, add-ons and
+// travel distance. Every line is { code, label, quantity, unitPrice, amount }
+// so invoices can reuse them as-is. Amounts are in dollars, rounded to cents.
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const formatHours = (minutes) => `${Number((minutes / 60).toFixed(2))}h`;
+
+// Accepts a single id (one checkbox), a list of ids, or nothing
+const normalizeAddOns = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return [...new Set((Array.isArray(value) ? value : [value]).map(String))];
+};
+
+// An explicit distance wins; otherwise look the location up in the known
+// travel areas. null means the distance is unknown.
+const travelDistance = (distanceMiles, location, settings) => {
+  if (distanceMiles !== undefined && distanceMiles !== null && distanceMiles !== '') {
+    return Number(distanceMiles);
+  }
+  const place = String(location || '').toLowerCase();
+  const area = Object.keys(settings.travelAreas).find(name => place.includes(name));
+  return area ? settings.travelAreas[area] : null;
+};
+
+const travelBand = (miles, bands) => {
+  const index = bands.findIndex(band => band.upToMiles === null || miles <= band.upToMiles);
+  const band = bands[index];
+  const from = index === 0 ? 0 : bands[index - 1].upToMiles;
+  return {
+    fee: band.fee,
+    label: band.upToMiles === null ? `over ${from} mi` : `${from}-${band.upToMiles} mi`
+  };
+};
+
+const line = (code, label, unitPrice, quantity = 1) => ({
+  code,
+  label,
+  quantity,
+  unitPrice,
+  amount: roundMoney(unitPrice * quantity)
+});
+
+/**
+ * Builds an itemized estimate. `pkg` is a catalog entry; times fall back to
+ * the package's own duration when missing. Returns { errors } for invalid
+ * options, otherwise { quote }.
+ */
+const buildQuote = ({ pkg, startTime, endTime, addOns, distanceMiles, location }, settings = config.quote) => {
+  const errors = {};
+  const selected = normalizeAddOns(addOns);
+  const unknown = selected.filter(id => !settings.addOns[id]);
+  if (unknown.length) {
+    errors.addOns = `Unknown add-on: ${unknown.join(', ')}`;
+  }
+
+  const miles = travelDistance(distanceMiles, location, settings);
+  if (miles !== null && (!Number.isFinite(miles) || miles < 0)) {
+    errors.distanceMiles = 'Distance must be a positive number of miles';
+  }
+  if (Object.keys(errors).length) return { errors };
+
+  const start = parseTime(startTime);
+  const end = parseTime(endTime);
+  const durationMinutes = start !== null && end !== null && end > start
+    ? end - start
+    : pkg.durationMinutes || 0;
+
+  const lines = [];
+  const notes = [];
+
+  if (pkg.price === null || pkg.price === undefined) {
+    lines.push(line('package', `${pkg.name} package (priced on request)`, 0));
+    notes.push(`${pkg.name} packages are priced individually; this estimate covers extras only.`);
+  } else {
+    const included = pkg.durationMinutes ? ` (${formatHours(pkg.durationMinutes)} included)` : '';
+    lines.push(line('package', `${pkg.name} package${included}`, pkg.price));
+
+    if (pkg.durationMinutes && durationMinutes > pkg.durationMinutes) {
+      const extraHours = Math.ceil((durationMinutes - pkg.durationMinutes) / 30) / 2;
+      lines.push(line('overtime', `Overtime (${formatHours(extraHours * 60)})`, settings.overtimeHourlyRate, extraHours));
+    }
+  }
+
+  selected.forEach(id => {
+    const addOn = settings.addOns[id];
+    if (addOn.per === 'hour') {
+      lines.push(line(`addon:${id}`, `${addOn.label} (${formatHours(durationMinutes)})`, addOn.price, durationMinutes / 60));
+    } else {
+      lines.push(line(`addon:${id}`, addOn.label, addOn.price));
+    }
+  });
+
+  if (miles === null) {
+    notes.push('Travel fee will be confirmed once we know the distance to your location.');
+  } else {
+    const band = travelBand(miles, settings.travelBands);
+    lines.push(line('travel', `Travel (${band.label})`, band.fee));
+  }
+
+  const subtotal = roundMoney(lines.reduce((sum, item) => sum + item.amount, 0));
+  const tax = roundMoney(subtotal * settings.taxRate);
+
+  return {
+    quote: {
+      currency: settings.currency,
+      packageId: pkg.id,
+      packageName: pkg.name,
+      durationMinutes,
+      addOns: selected,
+      travelMiles: miles,
+      lines,
+      subtotal,
+      taxRate: settings.taxRate,
+      tax,
+      total: roundMoney(subtotal + tax),
+      notes
+    }
+  };
+};
+
+module.exports = {
+  roundMoney,
+  normalizeAddOns,
+  buildQuote
+};
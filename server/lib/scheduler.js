@@ -0,0 +1,138 @@
+const storage = require('../storage');
+const config = require('../config');
+const { JOB_TYPES, jobKey, planBookingJobs } = require('./bookingJobs');
+const { jobEmail } = require('./bookingEmails');
+const { queueEmail } = require('./mailQueue');
+const { sendDigests } = require('./staffNotifications');
+
+// ===== Job Scheduler =====
+// Keeps storage.scheduledJobs in line with lib/bookingJobs and hands what
+// is due to the mail queue, which owns retries. Jobs live in storage, so a
+// restart just picks up where it left off. Every tick:
+//   1. re-plans bookings changed since the previous tick (all on startup)
+//   2. sends due jobs, re-checking each booking's plan first so a booking
+//      cancelled a second ago never gets its reminder
+// A job only moves to `sent` once, and its unique key keeps re-planning
+// from creating a second copy, so running either step twice is harmless.
+// The tick also sends the daily staff message digest (lib/staffNotifications).
+const BATCH_SIZE = 50;
+
+let timer = null;
+let ticking = false;
+let lastSyncAt = null;
+
+const cancelJob = (job, reason) => storage.scheduledJobs.update(job.id, {
+  status: 'cancelled',
+  cancelReason: reason
+});
+
+/**
+ * Brings one booking's jobs in line with its plan: creates missing jobs,
+ * moves ones whose time changed (e.g. after a reschedule), revives ones
+ * cancelled earlier (e.g. after a restore) and cancels the rest. Sent jobs
+ * are left alone.
+ */
+const syncBookingJobs = async (booking, now = new Date()) => {
+  const existing = await storage.scheduledJobs.list({ bookingId: booking.id });
+  const planned = planBookingJobs(booking, now);
+
+  for (const job of planned) {
+    const current = existing.find(candidate => candidate.type === job.type);
+    if (!current) {
+      await storage.scheduledJobs.create({
+        key: jobKey(job.type, booking.id),
+        type: job.type,
+        bookingId: booking.id,
+        runAt: job.runAt
+      });
+    } else if (current.status === 'cancelled'
+      || (current.status === 'scheduled' && new Date(current.runAt).getTime() !== job.runAt.getTime())) {
+      await storage.scheduledJobs.update(current.id, { status: 'scheduled', runAt: job.runAt, cancelReason: '' });
+    }
+  }
+
+  const stale = existing.filter(job => job.status === 'scheduled' && !planned.some(p => p.type === job.type));
+  for (const job of stale) {
+    await cancelJob(job, `No longer applies (booking ${booking.status})`);
+  }
+};
+
+const runJob = async (job, now) => {
+  const booking = await storage.bookings.findById(job.bookingId);
+  if (!booking) return cancelJob(job, 'Booking deleted');
+  if (!planBookingJobs(booking, now).some(planned => planned.type === job.type)) {
+    return cancelJob(job, `No longer applies (booking ${booking.status})`);
+  }
+
+  const { to, ...template } = jobEmail(job.type, JOB_TYPES[job.type].audience, booking);
+  const email = await queueEmail(to, template, { kind: job.type, bookingId: booking.id });
+  // Not stored: leave the job scheduled and try again next tick
+  if (!email) return null;
+
+  return storage.scheduledJobs.update(job.id, { status: 'sent', sentAt: now, recipient: to, emailId: email.id });
+};
+
+const tick = async () => {
+  if (ticking) return;
+  ticking = true;
+  const now = new Date();
+  try {
+    const changed = await storage.bookings.list(lastSyncAt ? { updatedAt: { $gte: lastSyncAt } } : {});
+    for (const booking of changed) {
+      await syncBookingJobs(booking, now);
+    }
+    lastSyncAt = now;
+
+    const due = await storage.scheduledJobs.list(
+      { status: 'scheduled', runAt: { $lte: now } },
+      { sort: { runAt: 1 }, limit: BATCH_SIZE }
+    );
+    for (const job of due) {
+      await runJob(job, now);
+    }
+
+    await sendDigests(now);
+  } catch (err) {
+    console.error('Scheduler error:', err);
+  } finally {
+    ticking = false;
+  }
+};
+
+// JOB_POLL_SECONDS=0 turns the scheduler off (e.g. for a second instance)
+const start = () => {
+  if (timer || !config.jobs.pollSeconds) return;
+  tick();
+  timer = setInterval(tick, config.jobs.pollSeconds * 1000);
+  timer.unref();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+// Jobs for the admin booking modal, re-planned first so they're current,
+// with the delivery status of the ones already sent
+const bookingJobs = async (booking) => {
+  await syncBookingJobs(booking);
+  const jobs = await storage.scheduledJobs.list({ bookingId: booking.id }, { sort: { runAt: 1 } });
+  const emails = await storage.outboundEmails.list({ bookingId: booking.id });
+  return jobs.map(job => {
+    const email = job.emailId && emails.find(candidate => candidate.id === job.emailId);
+    return {
+      ...job,
+      label: JOB_TYPES[job.type].label,
+      audience: JOB_TYPES[job.type].audience,
+      delivery: email ? { status: email.status, lastError: email.lastError, attempts: email.attempts } : null
+    };
+  });
+};
+
+module.exports = {
+  start,
+  stop,
+  tick,
+  syncBookingJobs,
+  bookingJobs
+};
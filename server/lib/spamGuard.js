@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+// ===== Spam Guard =====
+// Layered checks for the public contact and booking forms, none of which
+// needs an outside service:
+//   - honeypot: a field real visitors never see (HONEYPOT_FIELD); bots fill it
+//   - challenge: GET /api/form-challenge gives the page a signed, timestamped
+//     challenge and the browser finds a proof-of-work solution for it
+//     (SHA-256 of "<challenge>:<solution>" with config.spam.powBits leading
+//     zero bits) while the visitor types. Each challenge is accepted once.
+//   - too-fast: the challenge's timestamp is when the page loaded, so it
+//     also tells how long the form took to fill in
+//   - rate-limit: submissions per sender address and per IP in a sliding
+//     window (kept in memory, like the API rate limiter)
+//   - content: a score for links, spam phrases and shouting
+// Failing any of them quarantines the submission rather than rejecting it.
+const HONEYPOT_FIELD = 'website';
+const MINUTE_MS = 60 * 1000;
+// Above this many tracked keys, stale ones are swept on the next count
+const SWEEP_THRESHOLD = 5000;
+
+const SPAM_PHRASES = /\b(viagra|cialis|casino|crypto(currency)?|bitcoin|forex|payday loans?|seo (services|agency|expert)|backlinks?|first page of google|website traffic|porn|escorts?|work from home|make money|100% free|click here|buy now|limited time offer|guest post)\b/gi;
+const LINK = /https?:\/\/|www\.|\[url=|<a\s/i;
+
+const sign = (value) => crypto.createHmac('sha256', config.spam.secret).update(value).digest('hex').slice(0, 32);
+
+/** A new challenge for a page with a form. */
+const issueChallenge = (now = Date.now()) => {
+  const body = `${now}.${crypto.randomBytes(8).toString('hex')}.${config.spam.powBits}`;
+  return {
+    challenge: `${body}.${sign(body)}`,
+    difficulty: config.spam.powBits,
+    minFillSeconds: config.spam.minFillSeconds,
+    expiresAt: new Date(now + config.spam.challengeMinutes * MINUTE_MS)
+  };
+};
+
+const leadingZeroBits = (hash) => {
+  let bits = 0;
+  for (const byte of hash) {
+    if (byte) return bits + Math.clz32(byte) - 24;
+    bits += 8;
+  }
+  return bits;
+};
+
+// Challenges already accepted, until they expire anyway
+const usedChallenges = new Map();
+
+const markUsed = (challenge, now) => {
+  for (const [used, expiresAt] of usedChallenges) {
+    if (expiresAt < now) usedChallenges.delete(used);
+  }
+  usedChallenges.set(challenge, now + config.spam.challengeMinutes * MINUTE_MS);
+};
+
+// The problem with a submission's challenge, or null
+const checkChallenge = (challenge, solution, now) => {
+  const parts = String(challenge || '').split('.');
+  if (parts.length !== 4) return { check: 'challenge', detail: 'No challenge sent' };
+
+  const [issuedAt, nonce, bits, signature] = parts;
+  const expected = sign(`${issuedAt}.${nonce}.${bits}`);
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return { check: 'challenge', detail: 'Challenge signature is invalid' };
+  }
+
+  const age = now - Number(issuedAt);
+  if (age > config.spam.challengeMinutes * MINUTE_MS) return { check: 'challenge', detail: 'Challenge expired' };
+  if (usedChallenges.has(challenge)) return { check: 'challenge', detail: 'Challenge was already used' };
+
+  const hash = crypto.createHash('sha256').update(`${challenge}:${solution}`).digest();
+  if (!solution || leadingZeroBits(hash) < Number(bits)) {
+    return { check: 'challenge', detail: 'Proof-of-work missing or wrong' };
+  }
+  // Only a solved challenge is spent, so a wrong guess can't burn it
+  markUsed(challenge, now);
+  if (age < config.spam.minFillSeconds * 1000) {
+    return { check: 'too-fast', detail: `Sent ${(age / 1000).toFixed(1)}s after the form loaded` };
+  }
+  return null;
+};
+
+// key -> timestamps of recent submissions
+const recentSubmissions = new Map();
+
+// Records a submission under `key`; returns how many are in the window
+const countRecent = (key, now) => {
+  const since = now - config.spam.limitWindowMinutes * MINUTE_MS;
+  if (recentSubmissions.size > SWEEP_THRESHOLD) {
+    for (const [tracked, times] of recentSubmissions) {
+      if (times[times.length - 1] <= since) recentSubmissions.delete(tracked);
+    }
+  }
+  const times = [...(recentSubmissions.get(key) || []).filter(time => time > since), now];
+  recentSubmissions.set(key, times);
+  return times.length;
+};
+
+/**
+ * Scores free text from a form: { score, signals } where signals say what
+ * added to it.
+ */
+const scoreContent = ({ name = '', text = '' }) => {
+  const signals = [];
+  let score = 0;
+
+  const links = (text.match(new RegExp(LINK.source, 'gi')) || []).length;
+  if (links) {
+    score += links * 2;
+    signals.push(`${links} link${links === 1 ? '' : 's'}`);
+  }
+  if (LINK.test(name) || /@|\d{5,}/.test(name)) {
+    score += 5;
+    signals.push('link or number in the name');
+  }
+
+  const phrases = [...new Set((text.match(SPAM_PHRASES) || []).map(phrase => phrase.toLowerCase()))];
+  if (phrases.length) {
+    score += phrases.length * 3;
+    signals.push(`spam phrases: ${phrases.join(', ')}`);
+  }
+
+  const letters = text.replace(/[^a-z]/gi, '');
+  if (letters.length > 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.6) {
+    score += 2;
+    signals.push('mostly capitals');
+  }
+  return { score, signals };
+};
+
+/**
+ * Runs every check on a validated submission. `body` is the raw request
+ * body (honeypot and challenge fields), `text` the free text to score.
+ * Returns { spam, reasons: [{ check, detail }], score }.
+ */
+const assessSubmission = ({ body, email, name, text, ip, now = Date.now() }) => {
+  const reasons = [];
+
+  if (String(body[HONEYPOT_FIELD] || '').trim()) {
+    reasons.push({ check: 'honeypot', detail: 'Hidden field was filled in' });
+  }
+
+  const challengeProblem = checkChallenge(body.challenge, body.solution, now);
+  if (challengeProblem) reasons.push(challengeProblem);
+
+  const window = `${config.spam.limitWindowMinutes} minutes`;
+  const fromEmail = countRecent(`email:${String(email).toLowerCase()}`, now);
+  if (fromEmail > config.spam.maxPerEmail) {
+    reasons.push({ check: 'rate-limit', detail: `${fromEmail} submissions from ${email} in ${window}` });
+  }
+  const fromIp = countRecent(`ip:${ip}`, now);
+  if (fromIp > config.spam.maxPerIp) {
+    reasons.push({ check: 'rate-limit', detail: `${fromIp} submissions from ${ip} in ${window}` });
+  }
+
+  const { score, signals } = scoreContent({ name, text });
+  if (score >= config.spam.scoreThreshold) {
+    reasons.push({ check: 'content', detail: `Score ${score}: ${signals.join('; ')}` });
+  }
+
+  return { spam: reasons.length > 0, reasons, score };
+};
+
+module.exports = {
+  HONEYPOT_FIELD,
+  issueChallenge,
+  scoreContent,
+  assessSubmission
+};
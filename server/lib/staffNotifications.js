@@ -0,0 +1,110 @@
+const storage = require('../storage');
+const config = require('../config');
+const { renderEmail } = require('./emailTemplates');
+const { queueEmail } = require('./mailQueue');
+
+// ===== Staff Notifications =====
+// Tells the studio about new bookings and contact messages as they arrive,
+// one email per recipient in storage.staffRecipients. Recipients choose per
+// kind: `instant`, `off`, or (messages only) `digest`, which collects the
+// day's messages into one email sent at config.notifications.digestHour.
+// Nothing here throws: a notification problem never fails the form submit.
+
+const adminLink = (kind, id) => `${config.site.url}/admin.html#${kind}=${encodeURIComponent(id)}`;
+
+// The client's latest reply in a conversation, if they have written back
+const latestReply = (message) => [...(message.thread || [])].reverse().find(entry => entry.direction === 'inbound');
+
+const optOutUrl = (recipient) => `${config.site.url}/notifications/${recipient.token}`;
+
+const notify = async (kind, template, data, meta) => {
+  try {
+    const recipients = await storage.staffRecipients.list({ [kind]: 'instant' });
+    for (const recipient of recipients) {
+      const email = renderEmail(template, { ...data, recipient, optOutUrl: optOutUrl(recipient) });
+      await queueEmail(recipient.email, email, { kind: template, ...meta });
+    }
+  } catch (err) {
+    console.error(`Staff notification error (${template}):`, err);
+  }
+};
+
+const notifyNewBooking = (booking) => notify('bookings', 'staff-booking', {
+  booking,
+  adminUrl: adminLink('booking', booking.id)
+}, { bookingId: booking.id });
+
+// `reply` is set when the client wrote back in an existing conversation
+const notifyNewMessage = (message, reply) => notify('messages', 'staff-message', {
+  message,
+  reply,
+  adminUrl: adminLink('message', message.id)
+}, { messageId: message.id });
+
+// Today's digest time; digests go to recipients who haven't had one since
+const digestDueAt = (now) => {
+  const dueAt = new Date(now);
+  dueAt.setHours(config.notifications.digestHour, 0, 0, 0);
+  return dueAt;
+};
+
+/**
+ * Sends the daily digest to every `digest` recipient that is due one.
+ * Called from the scheduler tick; a day without messages sends nothing but
+ * still counts as done.
+ */
+const sendDigests = async (now = new Date()) => {
+  const dueAt = digestDueAt(now);
+  if (now < dueAt) return;
+
+  try {
+    const recipients = await storage.staffRecipients.list({
+      messages: 'digest',
+      lastDigestAt: { $lt: dueAt }
+    });
+    for (const recipient of recipients) {
+      // New messages and conversations the client has written back in
+      const since = { $gt: recipient.lastDigestAt, $lte: now };
+      const messages = await storage.messages.list(
+        { $or: [{ date: since }, { lastInboundAt: since }] },
+        { sort: { date: 1 } }
+      );
+      if (messages.length) {
+        const email = renderEmail('staff-digest', {
+          messages: messages.map(message => ({
+            ...message,
+            reply: latestReply(message),
+            adminUrl: adminLink('message', message.id)
+          })),
+          count: messages.length,
+          adminUrl: `${config.site.url}/admin.html`,
+          recipient,
+          optOutUrl: optOutUrl(recipient)
+        });
+        // Not stored: leave lastDigestAt alone so the next tick tries again
+        if (!await queueEmail(recipient.email, email, { kind: 'staff-digest' })) continue;
+      }
+      await storage.staffRecipients.update(recipient.id, { lastDigestAt: now });
+    }
+  } catch (err) {
+    console.error('Staff digest error:', err);
+  }
+};
+
+// First start: alert the addresses from config so new requests aren't
+// missed before anyone opens the settings
+const ensureStaffRecipients = async () => {
+  if (await storage.staffRecipients.count({})) return 0;
+  const emails = config.notifications.recipients.length
+    ? config.notifications.recipients
+    : [config.mail.staffAddress];
+  await storage.staffRecipients.insertMany(emails.map(email => ({ email })));
+  return emails.length;
+};
+
+module.exports = {
+  notifyNewBooking,
+  notifyNewMessage,
+  sendDigests,
+  ensureStaffRecipients
+};
@@ -0,0 +1,132 @@
+const storage = require('../storage');
+const config = require('../config');
+const { resolvePackage } = require('./packageCatalog');
+const { buildQuote } = require('./quote');
+const { documentFilename, renderBookingPdf } = require('./pdf');
+const { renderEmail } = require('./emailTemplates');
+const mailQueue = require('./mailQueue');
+const messageThreads = require('./messageThreads');
+const staffNotifications = require('./staffNotifications');
+
+// ===== Public Form Submissions =====
+// What happens once a contact or booking form is accepted: the record is
+// stored, the client gets a confirmation and the staff an alert. Used by the
+// public form routes and when a submission is released from quarantine.
+
+/**
+ * Package, quote and stored fields for validated booking form `values`.
+ * Resolves to { booking } or { errors } keyed by form field.
+ */
+const bookingFromForm = async (values, addOns) => {
+  const { package: selectedPackage, error: packageError } = await resolvePackage(
+    storage.packages, values.package, values.eventType
+  );
+  if (packageError) return { errors: { package: packageError } };
+
+  const { quote, errors } = buildQuote({
+    pkg: selectedPackage,
+    startTime: values.startTime,
+    endTime: values.endTime,
+    addOns,
+    distanceMiles: values.distanceMiles,
+    location: values.location
+  });
+  if (errors) return { errors };
+
+  return {
+    booking: {
+      clientName: values.name,
+      clientEmail: values.email,
+      clientPhone: values.phone,
+      eventType: values.eventType,
+      eventDate: new Date(`${values.date} ${values.startTime}`),
+      package: values.package,
+      packageName: selectedPackage.name,
+      packagePrice: selectedPackage.price,
+      addOns: quote.addOns,
+      travelDistanceMiles: quote.travelMiles,
+      quote,
+      startTime: values.startTime,
+      endTime: values.endTime,
+      location: values.location,
+      additionalNotes: values.details || ''
+    }
+  };
+};
+
+/**
+ * Stores a contact form message, confirms it to the sender and alerts the
+ * staff. Resolves to { message, emailQueued }.
+ */
+const acceptContact = async ({ name, email, phone, subject, message }) => {
+  const newMessage = await storage.messages.create({
+    name,
+    email,
+    phone,
+    subject: subject || 'General Inquiry',
+    message,
+    lastInboundAt: new Date(),
+    threadToken: messageThreads.newThreadToken()
+  });
+
+  const emailTemplate = renderEmail('contact-confirmation', {
+    name,
+    subject: newMessage.subject,
+    message,
+    submittedAt: newMessage.date
+  });
+  // A reply to the confirmation continues the same conversation
+  emailTemplate.subject = messageThreads.tagSubject(emailTemplate.subject, newMessage.threadToken);
+  Object.assign(emailTemplate, messageThreads.threadHeaders(newMessage.threadToken));
+
+  // Queued, not sent: a slow SMTP server never holds up the response
+  const queued = await mailQueue.queueEmail(email, emailTemplate, {
+    kind: 'contact-confirmation',
+    messageId: newMessage.id
+  });
+  await staffNotifications.notifyNewMessage(newMessage);
+
+  return { message: newMessage, emailQueued: Boolean(queued) };
+};
+
+/**
+ * Stores a booking request (fields from bookingFromForm), sends the client
+ * the confirmation with its PDF and alerts the staff. Resolves to
+ * { booking, emailQueued }.
+ */
+const acceptBooking = async (fields) => {
+  const newBooking = await storage.bookings.create(fields);
+
+  const emailTemplate = {
+    ...renderEmail('booking-confirmation', {
+      booking: newBooking,
+      payUrl: `${config.site.url}/pay.html?token=${newBooking.paymentToken}`
+    }),
+    ...messageThreads.bookingHeaders(newBooking.id, 'confirmation')
+  };
+
+  // The request summary goes along as a PDF; the email still goes out without it
+  try {
+    emailTemplate.attachments = [{
+      filename: documentFilename(newBooking, 'confirmation'),
+      content: await renderBookingPdf(newBooking, 'confirmation'),
+      contentType: 'application/pdf'
+    }];
+  } catch (pdfError) {
+    console.error('Booking PDF error:', pdfError);
+  }
+
+  const queued = await mailQueue.queueEmail(newBooking.clientEmail, emailTemplate, {
+    kind: 'booking-confirmation',
+    bookingId: newBooking.id
+  });
+  await staffNotifications.notifyNewBooking(newBooking);
+
+  return { booking: newBooking, emailQueued: Boolean(queued) };
+};
+
+module.exports = {
+  bookingFromForm,
+  acceptContact,
+  acceptBooking
+};
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const { STATUSES, ACTIONS } = require('../lib/bookingLifecycle');
+const { PAYMENT_METHODS, CHECKOUT_STATUSES } = require('../lib/invoice');
+
+const statusChangeSchema = new mongoose.Schema({
+  action: { type: String, enum: ACTIONS, required: true },
+  from: { type: String, enum: STATUSES },
+  to: { type: String, enum: STATUSES, required: true },
+  reason: { type: String, default: '' },
+  actor: { type: String, default: 'admin' },
+  at: { type: Date, default: Date.now },
+  previousEventDate: { type: Date }
+}, { _id: false });
+
+// Itemized estimate from the quote engine at request time
+const quoteLineSchema = new mongoose.Schema({
+  code: { type: String, required: true },
+  label: { type: String, required: true },
+  quantity: { type: Number, default: 1 },
+  unitPrice: { type: Number, default: 0 },
+  amount: { type: Number, required: true }
+}, { _id: false });
+
+const quoteSchema = new mongoose.Schema({
+  currency: { type: String, default: 'USD' },
+  durationMinutes: Number,
+  travelMiles: { type: Number, default: null },
+  lines: { type: [quoteLineSchema], default: [] },
+  subtotal: Number,
+  taxRate: Number,
+  tax: Number,
+  total: Number,
+  notes: { type: [String], default: [] },
+  quotedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  amount: { type: Number, required: true, min: 0.01 },
+  refundedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const paymentSchema = new mongoose.Schema({
+  id: { type: String, default: uuidv4 },
+  amount: { type: Number, required: true, min: 0.01 },
+  method: { type: String, enum: PAYMENT_METHODS, required: true },
+  // Online payments: the provider name and its payment id (in `reference`)
+  provider: { type: String, default: null },
+  reference: { type: String, trim: true, default: '', maxlength: 100 },
+  note: { type: String, trim: true, default: '', maxlength: 500 },
+  receivedAt: { type: Date, default: Date.now },
+  recordedBy: { type: String, default: 'admin' },
+  refunds: { type: [refundSchema], default: [] }
+}, { _id: false });
+
+// An online checkout started from the client pay page
+const checkoutSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  provider: { type: String, required: true },
+  amount: { type: Number, required: true, min: 0.01 },
+  purpose: { type: String, enum: ['deposit', 'balance'], required: true },
+  status: { type: String, enum: CHECKOUT_STATUSES, default: 'open' },
+  failureReason: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  completedAt: { type: Date, default: null }
+}, { _id: false });
+
+// Totals, balance and nextDueDate are derived by lib/invoice on every write
+const invoiceSchema = new mongoose.Schema({
+  number: { type: String, required: true },
+  issuedAt: { type: Date, default: Date.now },
+  currency: { type: String, default: 'USD' },
+  lineItems: { type: [quoteLineSchema], default: [] },
+  taxRate: { type: Number, min: 0, max: 1, default: 0 },
+  depositPercent: { type: Number, min: 0, max: 100, default: 50 },
+  depositDueDate: { type: Date, required: true },
+  balanceDueDate: { type: Date, required: true },
+  payments: { type: [paymentSchema], default: [] },
+  checkouts: { type: [checkoutSchema], default: [] },
+  subtotal: Number,
+  tax: Number,
+  total: Number,
+  depositAmount: Number,
+  amountPaid: { type: Number, default: 0 },
+  balance: Number,
+  nextDueDate: { type: Date, default: null },
+  // Bumped on every write by lib/invoiceWrites, which refuses stale ones
+  revision: Number
+}, { _id: false });
+
+// Overlaps noticed by the availability engine when the booking was
+// requested (pending neighbours) or confirmed over a warning
+const availabilityWarningSchema = new mongoose.Schema({
+  reason: { type: String, enum: ['overlap', 'buffer', 'daily-limit', 'closed'] },
+  date: String,
+  // overlap / buffer: the neighbouring booking and the window it blocks
+  bookingId: String,
+  status: String,
+  bufferMinutes: Number,
+  window: {
+    start: String,
+    end: String
+  },
+  // daily-limit: the day's cap and the bookings that reached it
+  limit: Number,
+  bookingIds: [String]
+}, { _id: false });
+
+// ===== Booking Model =====
+// `id` stays a UUID string so the admin UI and export links keep working
+// exactly as they did with the in-memory store.
+const bookingSchema = new mongoose.Schema({
+  id: { type: String, default: uuidv4, unique: true, index: true },
+  clientName: { type: String, required: true, trim: true },
+  clientEmail: { type: String, required: true, trim: true, lowercase: true },
+  clientPhone: { type: String, trim: true, default: '' },
+  eventType: { type: String, required: true, trim: true },
+  eventDate: { type: Date, required: true },
+  package: { type: String, required: true, trim: true },
+  // Catalog values at request time, so later price changes don't rewrite history
+  packageName: { type: String, trim: true },
+  packagePrice: { type: Number, min: 0, default: null },
+  addOns: { type: [String], default: [] },
+  travelDistanceMiles: { type: Number, min: 0, default: null },
+  quote: { type: quoteSchema, default: null },
+  invoice: { type: invoiceSchema, default: null },
+  // Unguessable key for the client's pay page (/pay.html?token=...)
+  paymentToken: { type: String, default: () => crypto.randomBytes(24).toString('hex') },
+  startTime: { type: String, default: '' },
+  endTime: { type: String, default: '' },
+  location: { type: String, trim: true, default: '' },
+  // Team member shooting it; drives their calendar feed
+  photographer: { type: String, trim: true, default: '', maxlength: 80 },
+  additionalNotes: { type: String, default: '' },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending'
+  },
+  statusHistory: { type: [statusChangeSchema], default: [] },
+  // Set on bookings created by a CSV import, for rolling the batch back
+  importBatch: { type: String, default: null },
+  // Contact message the booking was converted from (message.bookingId points back)
+  sourceMessageId: { type: String, default: null },
+  availabilityWarnings: { type: [availabilityWarningSchema], default: [] }
+}, {
+  timestamps: true,
+  toJSON: {
+    versionKey: false,
+    transform: (doc, ret) => {
+      delete ret._id;
+      return ret;
+    }
+  }
+});
+
+// Admin list is filtered by status and sorted by event date
+bookingSchema.index({ status: 1, eventDate: -1 });
+bookingSchema.index({ eventDate: -1 });
+bookingSchema.index({ clientEmail: 1 });
+bookingSchema.index({ 'invoice.balance': 1, 'invoice.nextDueDate': 1 });
+bookingSchema.index({ paymentToken: 1 }, { sparse: true });
+bookingSchema.index({ photographer: 1, eventDate: -1 });
+bookingSchema.index({ importBatch: 1 }, { sparse: true });
+bookingSchema.index({ sourceMessageId: 1 }, { sparse: true });
+
+module.exports = mongoose.models.Booking || mongoose.model('Booking', bookingSchema);
@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// ===== Calendar Feed Model =====
+// One subscribable .ics feed per team member. The token is the only
+// credential, so regenerating it cuts off every existing subscription and
+// revoking it (token: null) disables the feed until it is regenerated.
+const calendarFeedSchema = new mongoose.Schema({
+  id: { type: String, default: uuidv4, unique: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 80 },
+  // Bookings assigned to this photographer; empty = every shoot
+  photographer: { type: String, trim: true, default: '', maxlength: 80 },
+  token: { type: String, default: () => crypto.randomBytes(24).toString('hex') },
+  revokedAt: { type: Date, default: null },
+  lastAccessedAt: { type: Date, default: null }
+}, {
+  timestamps: true,
+  toJSON: {
+    versionKey: false,
+    transform: (doc, ret) => {
+      delete ret._id;
+      return ret;
+    }
+  }
+});
+
+calendarFeedSchema.index({ token: 1 }, { sparse: true });
+
+module.exports = mongoose.models.CalendarFeed || mongoose.model('CalendarFeed', calendarFeedSchema);
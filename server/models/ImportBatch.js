@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// ===== Import Batch Model =====
+// One committed CSV import. Its bookings carry `importBatch: <id>`, so a
+// bad import can be rolled back without touching anything else.
+const importBatchSchema = new mongoose.Schema({
+  id: { type: String, default: uuidv4, unique: true, index: true },
+  filename: { type: String, trim: true, default: '', maxlength: 200 },
+  importedBy: { type: String, default: 'admin' },
+  // The column mapping used, kept for reference when re-importing
+  mapping: { type: Map, of: String, default: {} },
+  rowCount: { type: Number, default: 0 },
+  importedCount: { type: Number, default: 0 },
+  duplicateCount: { type: Number, default: 0 },
+  invalidCount: { type: Number, default: 0 },
+  status: { type: String, enum: ['imported', 'rolled-back'], default: 'imported' },
+  rolledBackAt: { type: Date, default: null },
+  rolledBackBy: { type: String, default: null }
+}, {
+  timestamps: true,
+  toJSON: {
+    versionKey: false,
+    flattenMaps: true,
+    transform: (doc, ret) => {
+      delete ret._id;
+      return ret;
+    }
+  }
+});
+
+module.exports = mongoose.models.ImportBatch || mongoose.model('ImportBatch', importBatchSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// A file that came with a client's email; the content is on disk under
+// config.inbound.attachmentDir, named by id
+const attachmentSchema = new mongoose.Schema({
+  id: { type: String, default: uuidv4 },
+  filename: { type: String, default: 'attachment' },
+  contentType: { type: String, default: 'application/octet-stream' },
+  size: { type: Number, default: 0 }
+}, { _id: false });
+
+// One reply in a conversation. The client's first message is the message
+// itself; everything after it, both ways, is a thread entry.
+const threadEntrySchema = new mongoose.Schema({
+  id: { type: String, default: uuidv4 },
+  direction: { type: String, enum: ['inbound', 'outbound'], required: true },
+  body: { type: String, required: true, maxlength: 20000 },
+  // Admin username for outbound entries, sender name for inbound ones
+  author: { type: String, default: '' },
+  at: { type: Date, default: Date.now },
+  // The queued OutboundEmail that carried an outbound entry
+  emailId: { type: String, default: null },
+  attachments: { type: [attachmentSchema], default: [] }
+}, { _id: false });
+
+// ===== Contact Message Model =====
+const messageSchema = new mongoose.Schema({
+  id: { type: String, default: uuidv4, unique: true, index: true },
+  name: { type: String, required: true, trim: true },
+  email: { type: String, required: true, trim: true, lowercase: true },
+  phone: { type: String, trim: true, default: '' },
+  subject: { type: String, trim: true, default: 'General Inquiry' },
+  message: { type: String, required: true },
+  date: { type: Date, default: Date.now },
+  read: { type: Boolean, default: false },
+  readAt: { type: Date },
+  archived: { type: Boolean, default: false },
+  archivedAt: { type: Date },
+  // 'form' (contact page) or 'email' (inbound mail that matched nothing)
+  source: { type: String, enum: ['form', 'email'], default: 'form' },
+  attachments: { type: [attachmentSchema], default: [] },
+  thread: { type: [threadEntrySchema], default: [] },
+  // Last time the client wrote, first message or reply (staff digest)
+  lastInboundAt: { type: Date, default: null },
+  // Message-IDs of the inbound emails already stored, so a redelivered
+  // webhook doesn't add the same reply twice
+  inboundEmailIds: { type: [String], default: [] },
+  // Booking the conversation is about, when known
+  bookingId: { type: String, default: null },
+  // Short id carried by every email in the conversation so replies can be
+  // matched back (see lib/messageThreads). Set on first use, never changed.
+  threadToken: { type: String, default: null }
+}, {
+  toJSON: {
+    versionKey: false,
+    transform: (doc, ret) => {
+      delete ret._id;
+      return ret;
+    }
+  }
+});
+
+// Inbox view: non-archived, optionally unread, newest first
+messageSchema.index({ archived: 1, read: 1, date: -1 });
+messageSchema.index({ email: 1 });
+messageSchema.index({ threadToken: 1 }, { sparse: true });
+messageSchema.index({ inboundEmailIds: 1 });
+messageSchema.index({ bookingId: 1 }, { sparse: true });
+
+module.exports = mongoose.models.Message || mongoose.model('Message', messageSchema);
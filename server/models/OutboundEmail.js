@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const { EMAIL_STATUSES, EMAIL_LOG_EVENTS } = require('../lib/mailer');
+
+// Stored copy of a nodemailer attachment (content base64-encoded)
+const attachmentSchema = new mongoose.Schema({
+  filename: { type: String, required: true },
+  contentType: { type: String, default: 'application/octet-stream' },
+  content: { type: String, required: true }
+}, { _id: false });
+
+const logEntrySchema = new mongoose.Schema({
+  event: { type: String, enum: EMAIL_LOG_EVENTS, required: true },
+  at: { type: Date, default: Date.now },
+  detail: { type: String, default: '' }
+}, { _id: false });
+
+// ===== Outbound Email Model =====
+// Every email the app sends goes through this queue. The full message is
+// kept so it can be retried after a restart and resent from the admin.
+const outboundEmailSchema = new mongoose.Schema({
+  id: { type: String, default: uuidv4, unique: true, index: true },
+  to: { type: String, required: true, trim: true, lowercase: true },
+  subject: { type: String, required: true },
+  html: { type: String, required: true },
+  // Plain-text alternative
+  text: { type: String, default: '' },
+  attachments: { type: [attachmentSchema], default: [] },
+  // Threading headers for conversation emails (lib/messageThreads)
+  replyTo: { type: String, default: '' },
+  headerMessageId: { type: String, default: '' },
+  inReplyTo: { type: String, default: '' },
+  // What triggered it, e.g. 'booking-confirmation' or 'reminder'
+  kind: { type: String, default: 'general' },
+  bookingId: { type: String, default: null },
+  messageId: { type: String, default: null },
+  status: { type: String, enum: EMAIL_STATUSES, default: 'queued' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: { type: String, default: '' },
+  // SMTP message id of the successful send
+  providerMessageId: { type: String, default: '' },
+  sentAt: { type: Date, default: null },
+  log: { type: [logEntrySchema], default: [] }
+}, {
+  timestamps: true,
+  toJSON: {
+    versionKey: false,
+    transform: (doc, ret) => {
+      delete ret._id;
+      return ret;
+    }
+  }
+});
+
+// Worker scan, admin list and per-booking lookups
+outboundEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+outboundEmailSchema.index({ createdAt: -1 });
+outboundEmailSchema.index({ bookingId: 1 });
+
+module.exports = mongoose.models.OutboundEmail || mongoose.model('OutboundEmail', outboundEmailSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { EVENT_TYPES } = require('../../public/js/validation');
+
+// ===== Package Catalog Model =====
+// `id` is a readable slug ("standard") because it is what the booking form
+// submits and what older bookings already store in `package`.
+const packageSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9-]+$/, 'Package id may only contain letters, numbers and dashes']
+  },
+  name: { type: String, required: true, trim: true, maxlength: 80 },
+  description: { type: String, trim: true, default: '', maxlength: 500 },
+  // null = priced on request (custom work)
+  price: { type: Number, min: 0, default: null },
+  durationMinutes: { type: Number, min: 0, default: null },
+  deliverables: { type: [{ type: String, trim: true, maxlength: 200 }], default: [] },
+  // Empty = available for every event type
+  eventTypes: { type: [{ type: String, enum: EVENT_TYPES }], default: [] },
+  active: { type: Boolean, default: true },
+  featured: { type: Boolean, default: false },
+  sortOrder: { type: Number, default: 0 }
+}, {
+  timestamps: true,
+  toJSON: {
+    versionKey: false,
+    transform: (doc, ret) => {
+      delete ret._id;
+      return ret;
+    }
+  }
+});
+
+packageSchema.index({ active: 1, sortOrder: 1 });
+
+module.exports = mongoose.models.Package || mongoose.model('Package', packageSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// Why a submission was held back: the check that caught it and the details
+const reasonSchema = new mongoose.Schema({
+  check: { type: String, enum: ['honeypot', 'challenge', 'too-fast', 'rate-limit', 'content'], required: true },
+  detail: { type: String, default: '' }
+}, { _id: false });
+
+// ===== Quarantined Submission Model =====
+// A contact or booking form that looked like spam. It is kept, not dropped:
+// nothing was emailed and nothing was booked, and releasing it from the
+// admin's quarantine folder runs the normal submission as if it had just
+// arrived (lib/submissions).
+const quarantinedSubmissionSchema = new mongoose.Schema({
+  id: { type: String, default: uuidv4, unique: true, index: true },
+  kind: { type: String, enum: ['contact', 'booking'], required: true },
+  // The validated form values (plus addOns for bookings)
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  // Copied out of the payload for the admin list
+  name: { type: String, default: '' },
+  email: { type: String, trim: true, lowercase: true, default: '' },
+  reasons: { type: [reasonSchema], default: [] },
+  score: { type: Number, default: 0 },
+  ip: { type: String, default: '' },
+  userAgent: { type: String, default: '', maxlength: 300 },
+  receivedAt: { type: Date, default: Date.now }
+}, {
+  toJSON: {
+    versionKey: false,
+    transform: (doc, ret) => {
+      delete ret._id;
+      return ret;
+    }
+  }
+});
+
+quarantinedSubmissionSchema.index({ receivedAt: -1 });
+
+module.exports = mongoose.models.QuarantinedSubmission
+  || mongoose.model('QuarantinedSubmission', quarantinedSubmissionSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const { JOB_TYPES, JOB_STATUSES } = require('../lib/bookingJobs');
+
+// ===== Scheduled Job Model =====
+// A time-based email for one booking. `key` (type:bookingId) is unique, so
+// re-planning a booking updates its existing job instead of adding a second
+// one, and a job that reached `sent` is never sent again.
+const scheduledJobSchema = new mongoose.Schema({
+  id: { type: String, default: uuidv4, unique: true, index: true },
+  key: { type: String, required: true, unique: true },
+  type: { type: String, enum: Object.keys(JOB_TYPES), required: true },
+  bookingId: { type: String, required: true },
+  runAt: { type: Date, required: true },
+  status: { type: String, enum: JOB_STATUSES, default: 'scheduled' },
+  recipient: { type: String, default: '' },
+  sentAt: { type: Date, default: null },
+  // The queued OutboundEmail, for its delivery status
+  emailId: { type: String, default: null },
+  // Why a scheduled job was dropped (booking cancelled, window passed, ...)
+  cancelReason: { type: String, default: '' }
+}, {
+  timestamps: true,
+  toJSON: {
+    versionKey: false,
+    transform: (doc, ret) => {
+      delete ret._id;
+      return ret;
+    }
+  }
+});
+
+// Due-job scan and per-booking listing
+scheduledJobSchema.index({ status: 1, runAt: 1 });
+scheduledJobSchema.index({ bookingId: 1 });
+
+module.exports = mongoose.models.ScheduledJob || mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// ===== Staff Recipient Model =====
+// Someone at the studio who is told about new bookings and messages. Each
+// kind of alert can be switched off on its own; messages can also wait for
+// the daily digest. The token signs the opt-out link in every alert.
+const staffRecipientSchema = new mongoose.Schema({
+  id: { type: String, default: uuidv4, unique: true, index: true },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Enter a valid email address']
+  },
+  name: { type: String, trim: true, default: '', maxlength: 80 },
+  bookings: { type: String, enum: ['instant', 'off'], default: 'instant' },
+  messages: { type: String, enum: ['instant', 'digest', 'off'], default: 'instant' },
+  token: { type: String, default: () => crypto.randomBytes(24).toString('hex') },
+  // Messages received after this go in the next digest
+  lastDigestAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true,
+  toJSON: {
+    versionKey: false,
+    transform: (doc, ret) => {
+      delete ret._id;
+      return ret;
+    }
+  }
+});
+
+staffRecipientSchema.index({ token: 1 });
+
+module.exports = mongoose.models.StaffRecipient || mongoose.model('StaffRecipient', staffRecipientSchema);
@@ -0,0 +1,38 @@
+const config = require('../config');
+
+// ===== Payment Provider Selection =====
+// Without PAYMENT_PROVIDER online payments are off: the pay page shows the
+// invoice but takes no payment, and this module exports null.
+// PAYMENT_PROVIDER=mock uses the bundled mock gateway, which needs no account
+// or network access but marks invoices paid without taking any money, so it
+// refuses to load when NODE_ENV=production. A real provider is one more
+// module here with the same interface:
+//
+//   name
+//   createCheckout({ amount, currency, description, customerEmail, metadata,
+//                    successUrl, cancelUrl }) -> { id, url }
+//   parseWebhook(rawBody, headers) -> event
+//     Verifies the signature (throws an Error with `.status` 400 when it
+//     doesn't match) and normalizes the provider's payload to
+//     { id, type, checkoutId, paymentId, refundId, amount, currency,
+//       failureReason, bookingId, occurredAt }
+//     where type is 'checkout.completed', 'checkout.failed',
+//     'refund.completed' or null for events we don't act on.
+//   refund({ paymentId, amount, metadata }) -> { id, amount }
+//   routes (optional) - Express router mounted at the site root
+//
+// Amounts are in major units (dollars), as everywhere else in the app.
+const PROVIDERS = {
+  mock: () => require('./mock')
+};
+
+const { provider } = config.payments;
+
+if (provider && !Object.hasOwn(PROVIDERS, provider)) {
+  throw new Error(`Unknown PAYMENT_PROVIDER "${provider}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+}
+if (provider === 'mock' && process.env.NODE_ENV === 'production') {
+  throw new Error('PAYMENT_PROVIDER=mock is for development only and cannot run with NODE_ENV=production');
+}
+
+module.exports = provider ? PROVIDERS[provider]() : null;
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const express = require('express');
+const config = require('../config');
+const { roundMoney } = require('../lib/quote');
+
+// ===== Mock Payment Gateway =====
+// Stands in for a hosted checkout so the whole pay flow can be exercised
+// offline. createCheckout returns a link to /mock-gateway/checkout/:id,
+// where the "customer" picks an outcome:
+//   success - webhook sent, then redirect to successUrl
+//   failure - declined webhook sent, then redirect to cancelUrl
+//   delayed - redirect to successUrl now, webhook after MOCK_WEBHOOK_DELAY_MS
+// Webhooks are signed like a real provider's (HMAC-SHA256 over
+// "<timestamp>.<body>" in the Mock-Signature header) and posted back to
+// this app over HTTP. Sessions live in memory and vanish on restart.
+const SIGNATURE_HEADER = 'mock-signature';
+
+const sessions = new Map();
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const sign = (payload, timestamp, secret = config.payments.webhookSecret) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${payload}`)
+  .digest('hex');
+
+const signatureHeader = (payload, timestamp = Math.floor(Date.now() / 1000)) => (
+  `t=${timestamp},v1=${sign(payload, timestamp)}`
+);
+
+const deliverWebhook = async (type, data) => {
+  const body = JSON.stringify({ id: newId('evt'), type, created: Math.floor(Date.now() / 1000), data });
+  try {
+    const response = await fetch(config.payments.mockWebhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: signatureHeader(body) },
+      body
+    });
+    if (!response.ok) console.error(`Mock gateway: ${type} webhook answered HTTP ${response.status}`);
+  } catch (err) {
+    console.error(`Mock gateway: ${type} webhook failed:`, err.message);
+  }
+};
+
+const sessionEvent = (session, extra = {}) => ({
+  checkout_id: session.id,
+  amount: session.amount,
+  currency: session.currency,
+  metadata: session.metadata,
+  ...extra
+});
+
+// ===== Provider Interface =====
+const createCheckout = async ({ amount, currency, description, customerEmail, metadata = {}, successUrl, cancelUrl }) => {
+  const session = {
+    id: newId('cs_mock'),
+    amount: roundMoney(amount),
+    currency,
+    description,
+    customerEmail,
+    metadata,
+    successUrl,
+    cancelUrl,
+    status: 'open'
+  };
+  sessions.set(session.id, session);
+  return { id: session.id, url: `${config.site.url}/mock-gateway/checkout/${session.id}` };
+};
+
+const EVENT_TYPES = {
+  'checkout.session.completed': 'checkout.completed',
+  'checkout.session.failed': 'checkout.failed',
+  'charge.refunded': 'refund.completed'
+};
+
+const parseWebhook = (rawBody, headers) => {
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+  const header = headers[SIGNATURE_HEADER];
+  if (!rawBody || !header) throw invalid('Missing webhook signature');
+
+  const parts = Object.fromEntries(String(header).split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+  const expected = Buffer.from(sign(rawBody.toString('utf8'), parts.t));
+  const given = Buffer.from(parts.v1 || '');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw invalid('Invalid webhook signature');
+  }
+  if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > config.payments.webhookToleranceSeconds) {
+    throw invalid('Webhook timestamp is outside the allowed tolerance');
+  }
+
+  const event = JSON.parse(rawBody.toString('utf8'));
+  const data = event.data || {};
+  return {
+    id: event.id,
+    type: EVENT_TYPES[event.type] || null,
+    checkoutId: data.checkout_id || null,
+    paymentId: data.payment_id || null,
+    refundId: data.refund_id || null,
+    amount: data.amount,
+    currency: data.currency,
+    failureReason: data.failure_reason || '',
+    bookingId: (data.metadata || {}).bookingId || null,
+    occurredAt: new Date(event.created * 1000)
+  };
+};
+
+const refund = async ({ paymentId, amount, metadata = {} }) => {
+  const result = { id: newId('re_mock'), amount: roundMoney(amount) };
+  // Real providers confirm refunds by webhook too; the app must ignore the repeat
+  setImmediate(() => deliverWebhook('charge.refunded', {
+    payment_id: paymentId,
+    refund_id: result.id,
+    amount: result.amount,
+    metadata
+  }));
+  return result;
+};
+
+// ===== Hosted Checkout Pages =====
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const page = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)} | Mock Gateway</title>
+  <style>
+    body { font-family: Arial, sans-serif; background: #f4f4f7; display: flex; justify-content: center; padding: 3rem 1rem; }
+    main { background: #fff; border-radius: 8px; box-shadow: 0 4px 16px rgba(0,0,0,0.08); max-width: 420px; width: 100%; padding: 2rem; }
+    .notice { background: #fff3cd; color: #856404; border-radius: 4px; padding: 0.5rem 0.75rem; font-size: 0.85rem; }
+    .amount { font-size: 2rem; margin: 0.5rem 0 1.5rem; }
+    button { display: block; width: 100%; margin-bottom: 0.75rem; padding: 0.75rem; border: 0; border-radius: 4px; font-size: 1rem; cursor: pointer; }
+    .success { background: #2e7d32; color: #fff; }
+    .delayed { background: #1565c0; color: #fff; }
+    .failure { background: #c62828; color: #fff; }
+    a { color: #555; }
+  </style>
+</head>
+<body><main>${body}</main></body>
+</html>`;
+
+const routes = express.Router();
+
+routes.get('/mock-gateway/checkout/:id', (req, res) => {
+  const session = sessions.get(req.params.id);
+  res.set('Cache-Control', 'no-store');
+  if (!session) {
+    return res.status(404).send(page('Not found', '<h1>Checkout not found</h1><p>This checkout link has expired.</p>'));
+  }
+  if (session.status !== 'open') {
+    return res.status(409).send(page('Already used', `<h1>Checkout already ${escapeHtml(session.status)}</h1>
+      <p><a href="${escapeHtml(session.successUrl)}">Back to the merchant</a></p>`));
+  }
+
+  const amount = new Intl.NumberFormat('en-US', { style: 'currency', currency: session.currency }).format(session.amount);
+  res.send(page('Checkout', `
+    <p class="notice">Test mode: no real card is charged.</p>
+    <h1>${escapeHtml(session.description)}</h1>
+    <p class="amount">${escapeHtml(amount)}</p>
+    <form method="post" action="/mock-gateway/checkout/${escapeHtml(session.id)}">
+      <button class="success" name="outcome" value="success">Pay now</button>
+      <button class="delayed" name="outcome" value="delayed">Pay (confirm later)</button>
+      <button class="failure" name="outcome" value="failure">Decline card</button>
+    </form>
+    <p><a href="${escapeHtml(session.cancelUrl)}">Cancel and return</a></p>`));
+});
+
+routes.post('/mock-gateway/checkout/:id', async (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session || session.status !== 'open') {
+    return res.status(409).send(page('Unavailable', '<h1>This checkout can no longer be paid</h1>'));
+  }
+
+  const { outcome } = req.body;
+  if (outcome === 'failure') {
+    session.status = 'failed';
+    await deliverWebhook('checkout.session.failed', sessionEvent(session, { failure_reason: 'Card declined' }));
+    return res.redirect(303, session.cancelUrl);
+  }
+  if (outcome !== 'success' && outcome !== 'delayed') {
+    return res.status(400).send(page('Invalid', '<h1>Unknown outcome</h1>'));
+  }
+
+  session.status = 'complete';
+  const completed = sessionEvent(session, { payment_id: newId('pay_mock') });
+  if (outcome === 'delayed') {
+    setTimeout(() => deliverWebhook('checkout.session.completed', completed), config.payments.mockWebhookDelayMs).unref();
+  } else {
+    await deliverWebhook('checkout.session.completed', completed);
+  }
+  res.redirect(303, session.successUrl);
+});
+
+module.exports = {
+  name: 'mock',
+  createCheckout,
+  parseWebhook,
+  refund,
+  routes
+};
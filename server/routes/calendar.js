@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const express = require('express');
+const storage = require('../storage');
+const config = require('../config');
+const { bookingsCalendar } = require('../lib/ics');
+const { isValidationError, validationErrors } = require('../lib/http');
+
+// ===== Calendar Feed Routes =====
+//   GET    /calendar/:token.ics                           subscribed feed (token is the credential)
+//   GET    /api/admin/calendar-feeds                      feeds with their subscribe URLs
+//   POST   /api/admin/calendar-feeds                      new feed { name, photographer }
+//   POST   /api/admin/calendar-feeds/:id/regenerate       new token, old URL stops working
+//   POST   /api/admin/calendar-feeds/:id/revoke           disable until regenerated
+//   DELETE /api/admin/calendar-feeds/:id
+//   POST   /api/admin/bookings/:id/photographer           assign a booking { photographer }
+// Mounted at the root, after the admin auth middleware.
+const TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+// Statuses a feed carries. Rescheduled and cancelled shoots only matter to
+// calendars that already showed them, i.e. ones that were confirmed once.
+const FEED_STATUSES = ['confirmed', 'completed', 'no-show', 'rescheduled', 'cancelled'];
+
+const newFeedToken = () => crypto.randomBytes(24).toString('hex');
+
+const wasConfirmed = (booking) => (booking.statusHistory || []).some(change => change.to === 'confirmed');
+
+const feedUrl = (token) => `${config.site.url}/calendar/${token}.ics`;
+
+const presentFeed = (feed) => ({
+  ...feed,
+  url: feed.token ? feedUrl(feed.token) : null,
+  // Most calendar apps subscribe (rather than import once) from webcal:// links
+  subscribeUrl: feed.token ? feedUrl(feed.token).replace(/^https?:/, 'webcal:') : null
+});
+
+const feedBookings = async (feed, now = new Date()) => {
+  const since = new Date(now);
+  since.setDate(since.getDate() - config.calendar.feedPastDays);
+
+  const query = { status: { $in: FEED_STATUSES }, eventDate: { $gte: since } };
+  if (feed.photographer) {
+    query.photographer = { $regex: `^${feed.photographer.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' };
+  }
+
+  const bookings = await storage.bookings.list(query, { sort: { eventDate: 1 } });
+  return bookings.filter(booking => ['confirmed', 'completed', 'no-show'].includes(booking.status) || wasConfirmed(booking));
+};
+
+module.exports = ({ csrfProtection, presentBooking }) => {
+  const router = express.Router();
+
+  router.get('/calendar/:token.ics', async (req, res) => {
+    try {
+      const feed = TOKEN_PATTERN.test(req.params.token)
+        && await storage.calendarFeeds.findOne({ token: req.params.token });
+      if (!feed) return res.status(404).type('text/plain').send('Calendar not found');
+
+      const calendar = bookingsCalendar(await feedBookings(feed), {
+        name: `${config.brand.name} - ${feed.name}`,
+        refreshMinutes: config.calendar.refreshMinutes
+      });
+      await storage.calendarFeeds.update(feed.id, { lastAccessedAt: new Date() });
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="bookings.ics"',
+        // Client contact details: never keep a copy in shared caches
+        'Cache-Control': 'private, no-cache'
+      });
+      res.send(calendar);
+    } catch (err) {
+      console.error('Calendar feed error:', err);
+      res.status(500).type('text/plain').send('Failed to build calendar');
+    }
+  });
+
+  router.get('/api/admin/calendar-feeds', async (req, res) => {
+    try {
+      const feeds = await storage.calendarFeeds.list({}, { sort: { name: 1 } });
+      res.json({ feeds: feeds.map(presentFeed) });
+    } catch (err) {
+      console.error('Error fetching calendar feeds:', err);
+      res.status(500).json({ error: 'Failed to fetch calendar feeds' });
+    }
+  });
+
+  router.post('/api/admin/calendar-feeds', csrfProtection, async (req, res) => {
+    try {
+      const feed = await storage.calendarFeeds.create({
+        name: req.body.name,
+        photographer: req.body.photographer || ''
+      });
+      res.status(201).json({ success: true, feed: presentFeed(feed), csrfToken: req.csrfToken() });
+    } catch (err) {
+      if (isValidationError(err)) {
+        return res.status(400).json({
+          error: 'Invalid calendar feed',
+          errors: validationErrors(err),
+          csrfToken: req.csrfToken()
+        });
+      }
+      console.error('Error creating calendar feed:', err);
+      res.status(500).json({ error: 'Failed to create calendar feed' });
+    }
+  });
+
+  const FEED_ACTIONS = {
+    regenerate: () => ({ token: newFeedToken(), revokedAt: null }),
+    revoke: () => ({ token: null, revokedAt: new Date() })
+  };
+
+  router.post(`/api/admin/calendar-feeds/:id/:action(${Object.keys(FEED_ACTIONS).join('|')})`, csrfProtection, async (req, res) => {
+    try {
+      const feed = await storage.calendarFeeds.update(req.params.id, FEED_ACTIONS[req.params.action]());
+      if (!feed) return res.status(404).json({ error: 'Calendar feed not found' });
+
+      res.json({ success: true, feed: presentFeed(feed), csrfToken: req.csrfToken() });
+    } catch (err) {
+      console.error(`Error during calendar feed ${req.params.action}:`, err);
+      res.status(500).json({ error: 'Failed to update calendar feed' });
+    }
+  });
+
+  router.delete('/api/admin/calendar-feeds/:id', csrfProtection, async (req, res) => {
+    try {
+      const removed = await storage.calendarFeeds.remove(req.params.id);
+      if (!removed) return res.status(404).json({ error: 'Calendar feed not found' });
+
+      res.json({ success: true, csrfToken: req.csrfToken() });
+    } catch (err) {
+      console.error('Error deleting calendar feed:', err);
+      res.status(500).json({ error: 'Failed to delete calendar feed' });
+    }
+  });
+
+  router.post('/api/admin/bookings/:id/photographer', csrfProtection, async (req, res) => {
+    try {
+      const booking = await storage.bookings.update(req.params.id, {
+        photographer: String(req.body.photographer || '').trim()
+      });
+      if (!booking) return res.status(404).json({ error: 'Booking not found' });
+
+      res.json({ success: true, booking: presentBooking(booking), csrfToken: req.csrfToken() });
+    } catch (err) {
+      if (isValidationError(err)) {
+        return res.status(400).json({ error: 'Invalid photographer', errors: validationErrors(err), csrfToken: req.csrfToken() });
+      }
+      console.error('Error assigning photographer:', err);
+      res.status(500).json({ error: 'Failed to assign photographer' });
+    }
+  });
+
+  return router;
+};
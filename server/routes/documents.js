@@ -0,0 +1,36 @@
+const express = require('express');
+const storage = require('../storage');
+const { DOCUMENT_TYPES, documentFilename, renderBookingPdf } = require('../lib/pdf');
+
+// ===== Document Routes =====
+//   GET /api/admin/bookings/:id/pdf?type=invoice|confirmation
+// Without a type the invoice is returned when the booking has one.
+module.exports = () => {
+  const router = express.Router();
+
+  router.get('/admin/bookings/:id/pdf', async (req, res) => {
+    try {
+      const booking = await storage.bookings.findById(req.params.id);
+      if (!booking) return res.status(404).json({ error: 'Booking not found' });
+
+      const type = req.query.type || (booking.invoice ? 'invoice' : 'confirmation');
+      const pdf = await renderBookingPdf(booking, type);
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Length': pdf.length,
+        // ?download=false opens it in the browser's viewer instead
+        'Content-Disposition': `${req.query.download === 'false' ? 'inline' : 'attachment'}; filename="${documentFilename(booking, type)}"`
+      });
+      res.send(pdf);
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ error: err.message, allowedTypes: DOCUMENT_TYPES });
+      }
+      console.error('PDF generation error:', err);
+      res.status(500).json({ error: 'Failed to generate PDF' });
+    }
+  });
+
+  return router;
+};
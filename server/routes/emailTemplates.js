@@ -0,0 +1,36 @@
+const express = require('express');
+const storage = require('../storage');
+const config = require('../config');
+const { listTemplates, previewEmail } = require('../lib/emailTemplates');
+
+// ===== Email Template Routes =====
+//   GET /api/admin/email-templates                       available templates
+//   GET /api/admin/email-templates/:name/preview          rendered with sample data
+//       ?bookingId=                                      ...or with a real booking
+module.exports = () => {
+  const router = express.Router();
+
+  router.get('/admin/email-templates', (req, res) => {
+    res.json({ templates: listTemplates() });
+  });
+
+  router.get('/admin/email-templates/:name/preview', async (req, res) => {
+    try {
+      const overrides = {};
+      if (req.query.bookingId) {
+        const booking = await storage.bookings.findById(String(req.query.bookingId));
+        if (!booking) return res.status(404).json({ error: 'Booking not found' });
+        overrides.booking = booking;
+        overrides.payUrl = `${config.site.url}/pay.html?token=${booking.paymentToken}`;
+      }
+
+      res.json({ name: req.params.name, ...previewEmail(req.params.name, overrides) });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      console.error('Error rendering email preview:', err);
+      res.status(500).json({ error: 'Failed to render email preview' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,123 @@
+const express = require('express');
+const storage = require('../storage');
+const { IMPORT_FIELDS, previewImport } = require('../lib/bookingImport');
+
+// ===== Booking Import Routes =====
+//   GET  /api/admin/imports                  past batches, newest first
+//   POST /api/admin/imports/preview          dry run { csv, mapping }
+//   POST /api/admin/imports                  commit { csv, mapping, filename }
+//   POST /api/admin/imports/:id/rollback     delete the batch's bookings
+// The CSV travels as text in the JSON body. Commit re-runs the preview on
+// the server, so only rows that validate and aren't duplicates are written.
+const presentRow = ({ booking, ...row }) => ({ ...row, valid: Boolean(booking) });
+
+// Field list for the mapping screen
+const importFields = Object.entries(IMPORT_FIELDS).map(([field, { label, required }]) => ({
+  field, label, required: Boolean(required)
+}));
+
+module.exports = ({ csrfProtection }) => {
+  const router = express.Router();
+
+  const runPreview = (body) => previewImport({
+    csv: body.csv,
+    mapping: body.mapping,
+    bookingsRepo: storage.bookings,
+    packagesRepo: storage.packages
+  });
+
+  router.get('/admin/imports', async (req, res) => {
+    try {
+      const batches = await storage.importBatches.list({}, { sort: { createdAt: -1 } });
+      res.json({ batches, fields: importFields });
+    } catch (err) {
+      console.error('Error fetching imports:', err);
+      res.status(500).json({ error: 'Failed to fetch imports' });
+    }
+  });
+
+  router.post('/admin/imports/preview', csrfProtection, async (req, res) => {
+    try {
+      const preview = await runPreview(req.body);
+      if (preview.error) return res.status(400).json({ error: preview.error, csrfToken: req.csrfToken() });
+
+      res.json({
+        headers: preview.headers,
+        mapping: preview.mapping,
+        fields: importFields,
+        summary: preview.summary,
+        rows: preview.rows.map(presentRow),
+        csrfToken: req.csrfToken()
+      });
+    } catch (err) {
+      console.error('Import preview error:', err);
+      res.status(500).json({ error: 'Failed to read the import file' });
+    }
+  });
+
+  router.post('/admin/imports', csrfProtection, async (req, res) => {
+    try {
+      const preview = await runPreview(req.body);
+      if (preview.error) return res.status(400).json({ error: preview.error, csrfToken: req.csrfToken() });
+
+      const importable = preview.rows.filter(row => row.booking && !row.duplicate);
+      if (!importable.length) {
+        return res.status(400).json({
+          error: 'No rows to import: every row is invalid or a duplicate',
+          summary: preview.summary,
+          csrfToken: req.csrfToken()
+        });
+      }
+
+      // Record the batch first so a half-finished insert can still be rolled back
+      const batch = await storage.importBatches.create({
+        filename: req.body.filename,
+        importedBy: req.session.username || 'admin',
+        mapping: preview.mapping,
+        rowCount: preview.summary.total,
+        importedCount: importable.length,
+        duplicateCount: preview.summary.duplicates,
+        invalidCount: preview.summary.invalid
+      });
+      await storage.bookings.insertMany(importable.map(row => ({ ...row.booking, importBatch: batch.id })));
+
+      res.status(201).json({
+        success: true,
+        batch,
+        summary: preview.summary,
+        csrfToken: req.csrfToken()
+      });
+    } catch (err) {
+      console.error('Import error:', err);
+      res.status(500).json({ error: 'Import failed' });
+    }
+  });
+
+  router.post('/admin/imports/:id/rollback', csrfProtection, async (req, res) => {
+    try {
+      const batch = await storage.importBatches.findById(req.params.id);
+      if (!batch) return res.status(404).json({ error: 'Import not found' });
+      if (batch.status === 'rolled-back') {
+        return res.status(409).json({ error: 'This import was already rolled back', csrfToken: req.csrfToken() });
+      }
+
+      const bookings = await storage.bookings.list({ importBatch: batch.id });
+      for (const booking of bookings) {
+        await storage.bookings.remove(booking.id);
+      }
+
+      const updated = await storage.importBatches.update(batch.id, {
+        status: 'rolled-back',
+        rolledBackAt: new Date(),
+        rolledBackBy: req.session.username || 'admin'
+      });
+
+      res.json({ success: true, batch: updated, removed: bookings.length, csrfToken: req.csrfToken() });
+    } catch (err) {
+      console.error('Import rollback error:', err);
+      res.status(500).json({ error: 'Rollback failed' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const express = require('express');
+const config = require('../config');
+const { receiveEmail } = require('../lib/inboundEmail');
+
+// ===== Inbound Email Route =====
+//   POST /api/inbound-email      a client's email from the mail provider
+// Accepts the raw message (message/rfc822 or text/plain) or the provider's
+// JSON webhook, authenticated by the shared secret in the x-inbound-secret
+// header. Mounted ahead of the app's body parsers, so the email size limit
+// is config.inbound.maxBytes rather than the API's.
+const SECRET_HEADER = 'x-inbound-secret';
+
+const validSecret = (given) => {
+  const expected = Buffer.from(config.inbound.secret);
+  const received = Buffer.from(String(given || ''));
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+module.exports = () => {
+  const router = express.Router();
+
+  router.post(
+    '/inbound-email',
+    express.raw({ type: ['message/rfc822', 'text/plain'], limit: config.inbound.maxBytes }),
+    express.json({ limit: config.inbound.maxBytes }),
+    async (req, res) => {
+      if (!config.inbound.secret) return res.status(503).json({ error: 'Inbound email is not configured' });
+      if (!validSecret(req.get(SECRET_HEADER))) return res.status(401).json({ error: 'Invalid inbound secret' });
+
+      try {
+        const { action, reason, message } = await receiveEmail(req.body);
+        res.json({ received: true, action, reason, messageId: message && message.id });
+      } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        // A 5xx makes the provider retry later
+        console.error('Inbound email error:', err);
+        res.status(500).json({ error: 'Failed to store inbound email' });
+      }
+    }
+  );
+
+  return router;
+};
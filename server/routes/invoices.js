@@ -0,0 +1,136 @@
+const express = require('express');
+const storage = require('../storage');
+const payments = require('../payments');
+const { roundMoney } = require('../lib/quote');
+const {
+  MANUAL_PAYMENT_METHODS,
+  createInvoice,
+  isPricedOnRequest,
+  withQuotedPrice,
+  updateInvoiceTerms,
+  recordPayment,
+  removePayment,
+  findPayment,
+  recordRefund,
+  refundedAmount
+} = require('../lib/invoice');
+const { withCatalogPrice } = require('../lib/packageCatalog');
+const { changeInvoice } = require('../lib/invoiceWrites');
+const { isValidationError, validationErrors } = require('../lib/http');
+
+// ===== Invoice Routes =====
+//   POST   /api/admin/bookings/:id/invoice                      create (packagePrice for custom work)
+//   PUT    /api/admin/bookings/:id/invoice                      edit terms/line items
+//   POST   /api/admin/bookings/:id/invoice/payments             record a manual payment
+//   DELETE /api/admin/bookings/:id/invoice/payments/:paymentId  remove a mistaken entry
+//   POST   /api/admin/bookings/:id/invoice/payments/:paymentId/refund  refund an online payment
+// Every response carries the updated booking in the same shape as
+// GET /api/admin/bookings/:id.
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const requireInvoice = (booking) => {
+  if (!booking.invoice) throw httpError(404, 'This booking has no invoice yet');
+  return booking.invoice;
+};
+
+module.exports = ({ csrfProtection, presentBooking }) => {
+  const router = express.Router();
+
+  // Applies `change(booking, req, prepared)` -> new invoice (or a promise of
+  // one) and saves it, re-running the change if a concurrent write got in
+  // first. `prepare(booking, req)` runs once beforehand for anything that
+  // must not be repeated, such as asking the provider for a refund.
+  const updateInvoice = (change, failure, { prepare } = {}) => async (req, res) => {
+    try {
+      const booking = await storage.bookings.findById(req.params.id);
+      if (!booking) return res.status(404).json({ error: 'Booking not found' });
+
+      const prepared = prepare ? await prepare(booking, req) : undefined;
+      const updated = await changeInvoice(booking.id, async (current) => ({
+        invoice: await change(current, req, prepared)
+      }));
+      if (!updated) return res.status(404).json({ error: 'Booking not found' });
+
+      res.json({
+        success: true,
+        booking: presentBooking(updated),
+        csrfToken: req.csrfToken()
+      });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ error: err.message, csrfToken: req.csrfToken() });
+      }
+      if (isValidationError(err)) {
+        return res.status(400).json({
+          error: 'Invalid invoice',
+          errors: validationErrors(err),
+          csrfToken: req.csrfToken()
+        });
+      }
+      console.error(`${failure}:`, err);
+      res.status(500).json({ error: failure, csrfToken: req.csrfToken() });
+    }
+  };
+
+  router.post('/admin/bookings/:id/invoice', csrfProtection, updateInvoice(async (booking, req) => {
+    if (booking.invoice) throw httpError(409, `Invoice ${booking.invoice.number} already exists`);
+    if (booking.status === 'cancelled') throw httpError(409, 'Cancelled bookings cannot be invoiced');
+    // A package priced on request needs the price agreed with the client
+    // (packagePrice) or explicit line items
+    let priced = await withCatalogPrice(storage.packages, booking);
+    if (isPricedOnRequest(priced) && !(req.body.lineItems && req.body.lineItems.length)) {
+      const price = roundMoney(Number(req.body.packagePrice));
+      if (!Number.isFinite(price) || price <= 0) {
+        throw httpError(400, `The ${priced.packageName || priced.package} package is priced on request: enter the agreed price`);
+      }
+      priced = withQuotedPrice(priced, price);
+    }
+    return createInvoice(priced, req.body);
+  }, 'Failed to create invoice'));
+
+  router.put('/admin/bookings/:id/invoice', csrfProtection, updateInvoice((booking, req) => (
+    updateInvoiceTerms(requireInvoice(booking), req.body)
+  ), 'Failed to update invoice'));
+
+  router.post('/admin/bookings/:id/invoice/payments', csrfProtection, updateInvoice((booking, req) => {
+    const invoice = requireInvoice(booking);
+    if (!MANUAL_PAYMENT_METHODS.includes(req.body.method)) {
+      throw httpError(400, `Payment method must be one of: ${MANUAL_PAYMENT_METHODS.join(', ')}`);
+    }
+    return recordPayment(invoice, req.body, req.session.username || 'admin');
+  }, 'Failed to record payment'));
+
+  router.delete('/admin/bookings/:id/invoice/payments/:paymentId', csrfProtection, updateInvoice((booking, req) => {
+    const payment = findPayment(requireInvoice(booking), entry => entry.id === req.params.paymentId);
+    if (payment && payment.method === 'online') {
+      throw httpError(409, 'Online payments are refunded, not removed');
+    }
+    const invoice = removePayment(booking.invoice, req.params.paymentId);
+    if (!invoice) throw httpError(404, 'Payment not found');
+    return invoice;
+  }, 'Failed to remove payment'));
+
+  // Refunds go through the provider first; the invoice only records one
+  // the provider has accepted. Without an amount the whole remainder is refunded.
+  router.post('/admin/bookings/:id/invoice/payments/:paymentId/refund', csrfProtection, updateInvoice((booking, req, refund) => (
+    recordRefund(requireInvoice(booking), req.params.paymentId, refund)
+  ), 'Failed to refund payment', { prepare: async (booking, req) => {
+    const invoice = requireInvoice(booking);
+    const payment = findPayment(invoice, entry => entry.id === req.params.paymentId);
+    if (!payment) throw httpError(404, 'Payment not found');
+    if (payment.method !== 'online') throw httpError(409, 'Only online payments can be refunded');
+    if (!payments || payment.provider !== payments.name) {
+      throw httpError(409, `This payment was taken through ${payment.provider}, which is no longer configured`);
+    }
+
+    const refundable = roundMoney(payment.amount - refundedAmount(payment));
+    const amount = req.body.amount === undefined || req.body.amount === '' ? refundable : roundMoney(Number(req.body.amount));
+    if (!Number.isFinite(amount) || amount <= 0 || amount > refundable) {
+      throw httpError(400, `Refund must be between 0.01 and ${refundable.toFixed(2)}`);
+    }
+
+    return payments.refund({ paymentId: payment.reference, amount, metadata: { bookingId: booking.id } });
+  } }));
+
+  return router;
+};
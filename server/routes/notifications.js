@@ -0,0 +1,183 @@
+const express = require('express');
+const storage = require('../storage');
+const config = require('../config');
+const { isValidationError, validationErrors } = require('../lib/http');
+
+// ===== Staff Notification Routes =====
+//   GET    /notifications/:token                         opt-out page linked from every alert
+//   POST   /notifications/:token                         save it { bookings, messages } (form post)
+//   GET    /api/admin/notification-recipients            everyone who gets alerts
+//   POST   /api/admin/notification-recipients            add one { email, name, bookings, messages }
+//   PUT    /api/admin/notification-recipients/:id        change their settings
+//   DELETE /api/admin/notification-recipients/:id
+// Mounted at the root, after the admin auth middleware. The token in the
+// opt-out link is the only credential, like a calendar feed's.
+const TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+const EDITABLE_FIELDS = ['email', 'name', 'bookings', 'messages'];
+
+const SETTING_LABELS = {
+  bookings: { instant: 'Email me each new booking request', off: 'No booking alerts' },
+  messages: {
+    instant: 'Email me each new message',
+    digest: 'One email a day with all new messages',
+    off: 'No message alerts'
+  }
+};
+
+const pickEditable = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, String(body[field])])
+);
+
+// Switching to the digest starts it from now, so messages that were already
+// alerted one by one don't come round again
+const withDigestStart = (recipient, changes) => (
+  changes.messages === 'digest' && recipient.messages !== 'digest'
+    ? { ...changes, lastDigestAt: new Date() }
+    : changes
+);
+
+// The token stays on the server; the admin never needs it
+const presentRecipient = ({ token, ...recipient }) => recipient;
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const page = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)} | ${escapeHtml(config.brand.name)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; background: #f4f4f7; display: flex; justify-content: center; padding: 3rem 1rem; }
+    main { background: #fff; border-radius: 8px; border-top: 4px solid ${escapeHtml(config.brand.color)}; box-shadow: 0 4px 16px rgba(0,0,0,0.08); max-width: 460px; width: 100%; padding: 2rem; }
+    fieldset { border: 1px solid #ddd; border-radius: 4px; margin-bottom: 1rem; }
+    label { display: block; margin: 0.35rem 0; }
+    button { width: 100%; padding: 0.75rem; border: 0; border-radius: 4px; font-size: 1rem; cursor: pointer; background: #333; color: #fff; }
+    .notice { background: #e8f5e9; color: #2e7d32; border-radius: 4px; padding: 0.5rem 0.75rem; }
+  </style>
+</head>
+<body><main>${body}</main></body>
+</html>`;
+
+const settingsForm = (recipient, saved) => page('Email alerts', `
+  <h1>Email alerts</h1>
+  ${saved ? '<p class="notice">Your settings are saved.</p>' : ''}
+  <p>Alerts for <strong>${escapeHtml(recipient.email)}</strong></p>
+  <form method="post">
+    ${Object.entries(SETTING_LABELS).map(([kind, options]) => `
+    <fieldset>
+      <legend>${kind === 'bookings' ? 'New booking requests' : 'New contact messages'}</legend>
+      ${Object.entries(options).map(([value, label]) => `
+      <label><input type="radio" name="${kind}" value="${value}"${recipient[kind] === value ? ' checked' : ''}> ${label}</label>`).join('')}
+    </fieldset>`).join('')}
+    <button type="submit">Save</button>
+  </form>`);
+
+const findByToken = (token) => TOKEN_PATTERN.test(token) && storage.staffRecipients.findOne({ token });
+
+const handleWriteError = (res, req, err, fallback) => {
+  if (isValidationError(err)) {
+    return res.status(400).json({
+      error: 'Invalid recipient',
+      errors: validationErrors(err),
+      csrfToken: req.csrfToken()
+    });
+  }
+  console.error(`${fallback}:`, err);
+  res.status(500).json({ error: fallback });
+};
+
+module.exports = ({ csrfProtection }) => {
+  const router = express.Router();
+
+  router.get('/notifications/:token', async (req, res) => {
+    try {
+      const recipient = await findByToken(req.params.token);
+      res.set('Cache-Control', 'no-store');
+      if (!recipient) return res.status(404).send(page('Not found', '<h1>Link not found</h1><p>This link is no longer valid.</p>'));
+      res.send(settingsForm(recipient, false));
+    } catch (err) {
+      console.error('Notification settings error:', err);
+      res.status(500).type('text/plain').send('Failed to load settings');
+    }
+  });
+
+  router.post('/notifications/:token', async (req, res) => {
+    try {
+      const recipient = await findByToken(req.params.token);
+      res.set('Cache-Control', 'no-store');
+      if (!recipient) return res.status(404).send(page('Not found', '<h1>Link not found</h1><p>This link is no longer valid.</p>'));
+
+      const changes = {};
+      for (const kind of Object.keys(SETTING_LABELS)) {
+        if (SETTING_LABELS[kind][req.body[kind]]) changes[kind] = req.body[kind];
+      }
+      res.send(settingsForm(await storage.staffRecipients.update(recipient.id, withDigestStart(recipient, changes)), true));
+    } catch (err) {
+      console.error('Notification settings error:', err);
+      res.status(500).type('text/plain').send('Failed to save settings');
+    }
+  });
+
+  router.get('/api/admin/notification-recipients', async (req, res) => {
+    try {
+      const recipients = await storage.staffRecipients.list({}, { sort: { email: 1 } });
+      res.json({ recipients: recipients.map(presentRecipient), digestHour: config.notifications.digestHour });
+    } catch (err) {
+      console.error('Error fetching notification recipients:', err);
+      res.status(500).json({ error: 'Failed to fetch notification recipients' });
+    }
+  });
+
+  router.post('/api/admin/notification-recipients', csrfProtection, async (req, res) => {
+    try {
+      const changes = pickEditable(req.body);
+      if (changes.email && await storage.staffRecipients.findOne({ email: changes.email.trim().toLowerCase() })) {
+        return res.status(409).json({ error: 'That address already gets alerts', csrfToken: req.csrfToken() });
+      }
+      const recipient = await storage.staffRecipients.create(changes);
+      res.status(201).json({ success: true, recipient: presentRecipient(recipient), csrfToken: req.csrfToken() });
+    } catch (err) {
+      handleWriteError(res, req, err, 'Failed to add notification recipient');
+    }
+  });
+
+  router.put('/api/admin/notification-recipients/:id', csrfProtection, async (req, res) => {
+    try {
+      const current = await storage.staffRecipients.findById(req.params.id);
+      if (!current) return res.status(404).json({ error: 'Recipient not found' });
+
+      const changes = pickEditable(req.body);
+      if (changes.email) {
+        const existing = await storage.staffRecipients.findOne({ email: changes.email.trim().toLowerCase() });
+        if (existing && existing.id !== current.id) {
+          return res.status(409).json({ error: 'That address already gets alerts', csrfToken: req.csrfToken() });
+        }
+      }
+      const recipient = await storage.staffRecipients.update(current.id, withDigestStart(current, changes));
+
+      res.json({ success: true, recipient: presentRecipient(recipient), csrfToken: req.csrfToken() });
+    } catch (err) {
+      handleWriteError(res, req, err, 'Failed to update notification recipient');
+    }
+  });
+
+  router.delete('/api/admin/notification-recipients/:id', csrfProtection, async (req, res) => {
+    try {
+      const removed = await storage.staffRecipients.remove(req.params.id);
+      if (!removed) return res.status(404).json({ error: 'Recipient not found' });
+
+      res.json({ success: true, csrfToken: req.csrfToken() });
+    } catch (err) {
+      console.error('Error deleting notification recipient:', err);
+      res.status(500).json({ error: 'Failed to delete notification recipient' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,71 @@
+const express = require('express');
+const storage = require('../storage');
+const { EMAIL_STATUSES } = require('../lib/mailer');
+const { resendEmail } = require('../lib/mailQueue');
+
+// ===== Outbox Routes =====
+//   GET  /api/admin/emails?status=&bookingId=    delivery log, newest first
+//   GET  /api/admin/emails/:id                   one email with its body and log
+//   POST /api/admin/emails/:id/resend            queue a sent or dead email again
+const LIST_LIMIT = 200;
+
+// Attachments are listed by name; their content never leaves the server
+const presentEmail = ({ attachments, html, text, ...email }, withBody = false) => ({
+  ...email,
+  attachments: attachments.map(({ filename, contentType }) => ({ filename, contentType })),
+  ...(withBody ? { html, text } : {})
+});
+
+module.exports = ({ csrfProtection }) => {
+  const router = express.Router();
+
+  router.get('/admin/emails', async (req, res) => {
+    try {
+      const query = {};
+      if (req.query.status && req.query.status !== 'all') {
+        if (!EMAIL_STATUSES.includes(req.query.status)) {
+          return res.status(400).json({ error: `Unknown status (expected one of: ${EMAIL_STATUSES.join(', ')})` });
+        }
+        query.status = req.query.status;
+      }
+      if (req.query.bookingId) query.bookingId = String(req.query.bookingId);
+
+      const [emails, counts] = await Promise.all([
+        storage.outboundEmails.list(query, { sort: { createdAt: -1 }, limit: LIST_LIMIT }),
+        Promise.all(EMAIL_STATUSES.map(status => storage.outboundEmails.count({ status })))
+      ]);
+
+      res.json({
+        emails: emails.map(email => presentEmail(email)),
+        counts: Object.fromEntries(EMAIL_STATUSES.map((status, i) => [status, counts[i]]))
+      });
+    } catch (err) {
+      console.error('Error fetching emails:', err);
+      res.status(500).json({ error: 'Failed to fetch emails' });
+    }
+  });
+
+  router.get('/admin/emails/:id', async (req, res) => {
+    try {
+      const email = await storage.outboundEmails.findById(req.params.id);
+      if (!email) return res.status(404).json({ error: 'Email not found' });
+      res.json(presentEmail(email, true));
+    } catch (err) {
+      console.error('Error fetching email:', err);
+      res.status(500).json({ error: 'Failed to fetch email' });
+    }
+  });
+
+  router.post('/admin/emails/:id/resend', csrfProtection, async (req, res) => {
+    try {
+      const email = await resendEmail(req.params.id, req.session.username || 'admin');
+      res.json({ success: true, email: presentEmail(email), csrfToken: req.csrfToken() });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message, csrfToken: req.csrfToken() });
+      console.error('Error resending email:', err);
+      res.status(500).json({ error: 'Failed to resend email' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,100 @@
+const express = require('express');
+const storage = require('../storage');
+const { CATALOG_SORT } = require('../lib/packageCatalog');
+const { isValidationError, validationErrors } = require('../lib/http');
+
+// ===== Package Catalog Routes =====
+// Public:  GET /api/packages (active packages, cacheable)
+// Admin:   GET/POST /api/admin/packages, PUT/DELETE /api/admin/packages/:id
+// Mounted under /api after the admin auth middleware.
+const EDITABLE_FIELDS = [
+  'name', 'description', 'price', 'durationMinutes', 'deliverables',
+  'eventTypes', 'active', 'featured', 'sortOrder'
+];
+
+const pickEditable = (body) => EDITABLE_FIELDS
+  .filter(field => body[field] !== undefined)
+  .reduce((changes, field) => ({
+    ...changes,
+    // An empty price/duration from a form means "not set"
+    [field]: ['price', 'durationMinutes'].includes(field) && body[field] === '' ? null : body[field]
+  }), {});
+
+const handleWriteError = (res, req, err, fallback) => {
+  if (isValidationError(err)) {
+    return res.status(400).json({
+      error: 'Invalid package',
+      errors: validationErrors(err),
+      csrfToken: req.csrfToken()
+    });
+  }
+  console.error(`${fallback}:`, err);
+  res.status(500).json({ error: fallback });
+};
+
+module.exports = ({ csrfProtection }) => {
+  const router = express.Router();
+
+  router.get('/packages', async (req, res) => {
+    try {
+      const packages = await storage.packages.list({ active: true }, { sort: CATALOG_SORT });
+      res.set('Cache-Control', 'public, max-age=300');
+      res.json({ packages });
+    } catch (err) {
+      console.error('Error fetching packages:', err);
+      res.status(500).json({ error: 'Failed to load packages' });
+    }
+  });
+
+  router.get('/admin/packages', async (req, res) => {
+    try {
+      res.json({ packages: await storage.packages.list({}, { sort: CATALOG_SORT }) });
+    } catch (err) {
+      console.error('Error fetching packages:', err);
+      res.status(500).json({ error: 'Failed to fetch packages' });
+    }
+  });
+
+  router.post('/admin/packages', csrfProtection, async (req, res) => {
+    try {
+      if (req.body.id && await storage.packages.findById(String(req.body.id).toLowerCase())) {
+        return res.status(409).json({
+          error: `A package with id "${req.body.id}" already exists`,
+          csrfToken: req.csrfToken()
+        });
+      }
+
+      const created = await storage.packages.create({ id: req.body.id, ...pickEditable(req.body) });
+      res.status(201).json({ success: true, package: created, csrfToken: req.csrfToken() });
+    } catch (err) {
+      handleWriteError(res, req, err, 'Failed to create package');
+    }
+  });
+
+  router.put('/admin/packages/:id', csrfProtection, async (req, res) => {
+    try {
+      const updated = await storage.packages.update(req.params.id, pickEditable(req.body));
+      if (!updated) return res.status(404).json({ error: 'Package not found' });
+
+      res.json({ success: true, package: updated, csrfToken: req.csrfToken() });
+    } catch (err) {
+      handleWriteError(res, req, err, 'Failed to update package');
+    }
+  });
+
+  // Bookings keep their own name/price snapshot, so removing a package never
+  // changes what existing clients were quoted. Prefer active=false to retire one.
+  router.delete('/admin/packages/:id', csrfProtection, async (req, res) => {
+    try {
+      const removed = await storage.packages.remove(req.params.id);
+      if (!removed) return res.status(404).json({ error: 'Package not found' });
+
+      res.json({ success: true, csrfToken: req.csrfToken() });
+    } catch (err) {
+      console.error('Error deleting package:', err);
+      res.status(500).json({ error: 'Failed to delete package' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const express = require('express');
+const storage = require('../storage');
+const config = require('../config');
+const payments = require('../payments');
+const { applyTransition } = require('../lib/bookingLifecycle');
+const { bookingSlot, checkSlot } = require('../lib/availability');
+const { changeInvoice } = require('../lib/invoiceWrites');
+const {
+  amountDueNow,
+  findPayment,
+  invoiceStatus,
+  recordPayment,
+  recordRefund,
+  addCheckout,
+  updateCheckout
+} = require('../lib/invoice');
+
+// ===== Online Payment Routes =====
+//   GET  /api/pay/:token                        client pay page data
+//   POST /api/pay/:token/checkout               start a checkout with the provider
+//   POST /api/payments/webhook                  signed provider events
+//   GET  /api/admin/bookings/:id/pay-link       the client's pay page URL
+// The pay page is keyed by the booking's paymentToken, which only goes
+// out in emails to the client, so it never exposes contact details.
+// Without a payment provider the pay page still shows the invoice, but
+// checkout and webhooks answer 503.
+const TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+const newPaymentToken = () => crypto.randomBytes(24).toString('hex');
+
+const payPageUrl = (token) => `${config.site.url}/pay.html?token=${token}`;
+
+const findByToken = (token) => (
+  TOKEN_PATTERN.test(token) ? storage.bookings.findOne({ paymentToken: token }) : null
+);
+
+const publicInvoice = (invoice) => invoice && ({
+  number: invoice.number,
+  currency: invoice.currency,
+  lineItems: invoice.lineItems,
+  subtotal: invoice.subtotal,
+  taxRate: invoice.taxRate,
+  tax: invoice.tax,
+  total: invoice.total,
+  depositPercent: invoice.depositPercent,
+  depositAmount: invoice.depositAmount,
+  depositDueDate: invoice.depositDueDate,
+  balanceDueDate: invoice.balanceDueDate,
+  amountPaid: invoice.amountPaid,
+  balance: invoice.balance,
+  status: invoiceStatus(invoice)
+});
+
+// The changes one normalized provider event makes to `booking`, or a
+// result string when there is nothing to change. Providers retry and may
+// repeat events, so each branch checks whether it has already been applied.
+const paymentEventChanges = async (booking, event) => {
+  if (!booking.invoice) return 'unknown booking';
+
+  const changes = {};
+  let invoice = booking.invoice;
+  const providerPayment = findPayment(invoice, payment => (
+    payment.provider === payments.name && payment.reference === event.paymentId
+  ));
+
+  if (event.type === 'checkout.completed') {
+    if (providerPayment) return 'duplicate';
+
+    invoice = recordPayment(invoice, {
+      amount: event.amount,
+      method: 'online',
+      provider: payments.name,
+      reference: event.paymentId,
+      note: `Checkout ${event.checkoutId}`,
+      receivedAt: event.occurredAt
+    }, payments.name);
+    invoice = updateCheckout(invoice, event.checkoutId, { status: 'paid', completedAt: event.occurredAt });
+
+    // A paid deposit secures the date, unless it has been taken meanwhile
+    if (booking.status === 'pending' && invoice.amountPaid >= invoice.depositAmount) {
+      const { conflicts } = await checkSlot(storage.bookings, bookingSlot(booking), { excludeId: booking.id });
+      if (!conflicts.length) {
+        Object.assign(changes, applyTransition(booking, 'confirm', {
+          actor: payments.name,
+          reason: 'Deposit paid online'
+        }));
+      }
+    }
+  } else if (event.type === 'checkout.failed') {
+    const checkout = (invoice.checkouts || []).find(entry => entry.id === event.checkoutId);
+    if (!checkout || checkout.status !== 'open') return 'duplicate';
+    invoice = updateCheckout(invoice, event.checkoutId, {
+      status: 'failed',
+      failureReason: event.failureReason,
+      completedAt: event.occurredAt
+    });
+  } else if (event.type === 'refund.completed') {
+    if (!providerPayment) return 'unknown payment';
+    invoice = recordRefund(invoice, providerPayment.id, {
+      id: event.refundId,
+      amount: event.amount,
+      refundedAt: event.occurredAt
+    });
+  }
+
+  changes.invoice = invoice;
+  return changes;
+};
+
+// Applies one provider event; re-applied to the fresh booking if an admin
+// or another event changed the invoice meanwhile
+const applyPaymentEvent = async (event) => {
+  if (!event.type) return 'ignored';
+  if (!event.bookingId) return 'unknown booking';
+
+  let result = 'processed';
+  const updated = await changeInvoice(event.bookingId, async (booking) => {
+    const changes = await paymentEventChanges(booking, event);
+    if (typeof changes === 'string') {
+      result = changes;
+      return null;
+    }
+    result = 'processed';
+    return changes;
+  });
+  return updated ? result : 'unknown booking';
+};
+
+module.exports = ({ csrfProtection }) => {
+  const router = express.Router();
+
+  router.get('/pay/:token', async (req, res) => {
+    try {
+      const booking = await findByToken(req.params.token);
+      if (!booking) return res.status(404).json({ error: 'Payment link not found' });
+
+      const { invoice } = booking;
+      const checkouts = (invoice && invoice.checkouts) || [];
+      const lastCheckout = checkouts[checkouts.length - 1];
+
+      res.set('Cache-Control', 'no-store');
+      res.json({
+        booking: {
+          clientName: booking.clientName,
+          eventType: booking.eventType,
+          eventDate: booking.eventDate,
+          startTime: booking.startTime,
+          endTime: booking.endTime,
+          packageName: booking.packageName || booking.package,
+          status: booking.status
+        },
+        invoice: publicInvoice(invoice),
+        amountDue: booking.status === 'cancelled' ? null : amountDueNow(invoice),
+        onlinePayments: Boolean(payments),
+        lastCheckout: lastCheckout ? {
+          status: lastCheckout.status,
+          amount: lastCheckout.amount,
+          failureReason: lastCheckout.failureReason,
+          createdAt: lastCheckout.createdAt
+        } : null
+      });
+    } catch (err) {
+      console.error('Error loading pay page:', err);
+      res.status(500).json({ error: 'Failed to load payment details' });
+    }
+  });
+
+  // purpose=balance pays everything outstanding; otherwise whatever is due next
+  router.post('/pay/:token/checkout', csrfProtection, async (req, res) => {
+    const fail = (status, error) => res.status(status).json({ success: false, error, csrfToken: req.csrfToken() });
+
+    if (!payments) return fail(503, 'Online payments are not available. Please contact us to pay.');
+
+    try {
+      const booking = await findByToken(req.params.token);
+      if (!booking) return fail(404, 'Payment link not found');
+      if (booking.status === 'cancelled') return fail(409, 'This booking has been cancelled');
+      if (!booking.invoice) return fail(409, 'Your invoice is not ready yet. We will email you once your booking is confirmed.');
+
+      const due = amountDueNow(booking.invoice);
+      if (!due) return fail(409, 'This invoice is already paid in full');
+
+      const { invoice } = booking;
+      const purpose = req.body.purpose === 'balance' ? 'balance' : due.purpose;
+      const amount = purpose === 'balance' ? invoice.balance : due.amount;
+
+      const checkout = await payments.createCheckout({
+        amount,
+        currency: invoice.currency,
+        description: `${purpose === 'deposit' ? 'Deposit' : 'Balance'} for invoice ${invoice.number}`,
+        customerEmail: booking.clientEmail,
+        metadata: { bookingId: booking.id, purpose },
+        successUrl: `${payPageUrl(booking.paymentToken)}&result=success`,
+        cancelUrl: `${payPageUrl(booking.paymentToken)}&result=cancelled`
+      });
+
+      // Added to whatever the invoice holds by now, not the copy read above
+      await changeInvoice(booking.id, current => current.invoice && ({
+        invoice: addCheckout(current.invoice, { id: checkout.id, provider: payments.name, amount, purpose })
+      }));
+
+      res.json({ success: true, url: checkout.url, csrfToken: req.csrfToken() });
+    } catch (err) {
+      console.error('Checkout error:', err);
+      fail(502, 'We could not start the payment. Please try again later.');
+    }
+  });
+
+  // No CSRF or session: the signature is the authentication
+  router.post('/payments/webhook', async (req, res) => {
+    if (!payments) return res.status(503).json({ error: 'Online payments are not configured' });
+
+    let event;
+    try {
+      event = payments.parseWebhook(req.rawBody, req.headers);
+    } catch (err) {
+      return res.status(err.status || 400).json({ error: err.message });
+    }
+
+    try {
+      const result = await applyPaymentEvent(event);
+      res.json({ received: true, result });
+    } catch (err) {
+      // A 5xx makes the provider retry later
+      console.error(`Webhook ${event.id} failed:`, err);
+      res.status(500).json({ error: 'Failed to process event' });
+    }
+  });
+
+  // Bookings made before online payments have no stored token yet (the file
+  // driver fills schema defaults on read), so the token is always written back
+  router.get('/admin/bookings/:id/pay-link', async (req, res) => {
+    try {
+      const booking = await storage.bookings.findById(req.params.id);
+      if (!booking) return res.status(404).json({ error: 'Booking not found' });
+
+      const updated = await storage.bookings.update(booking.id, {
+        paymentToken: booking.paymentToken || newPaymentToken()
+      });
+      res.json({ url: payPageUrl(updated.paymentToken) });
+    } catch (err) {
+      console.error('Error creating pay link:', err);
+      res.status(500).json({ error: 'Failed to create pay link' });
+    }
+  });
+
+  return router;
+};
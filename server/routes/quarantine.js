@@ -0,0 +1,95 @@
+const express = require('express');
+const storage = require('../storage');
+const { checkSlot, describeConflict } = require('../lib/availability');
+const { bookingFromForm, acceptContact, acceptBooking } = require('../lib/submissions');
+
+// ===== Quarantine Routes =====
+//   GET    /api/admin/quarantine               suspected spam, newest first
+//   POST   /api/admin/quarantine/:id/release   not spam: store it as if just sent
+//   DELETE /api/admin/quarantine/:id           spam: throw it away
+// Submissions land here from the public forms when lib/spamGuard flags them.
+// Releasing one sends the same confirmation and staff alert a clean
+// submission would have had; a booking whose slot has since gone needs
+// { force: true }, as with admin-created bookings.
+const LIST_LIMIT = 200;
+
+// Resolves to the created record, or throws with a status for the client
+const release = async (submission, force) => {
+  if (submission.kind === 'contact') {
+    const { message } = await acceptContact(submission.payload);
+    return { message };
+  }
+
+  const values = submission.payload;
+  const { booking, errors } = await bookingFromForm(values, values.addOns);
+  if (errors) {
+    throw Object.assign(new Error(`Cannot book this request: ${Object.values(errors).join('; ')}`), { status: 400 });
+  }
+
+  const { conflicts, warnings } = await checkSlot(storage.bookings, values);
+  if (conflicts.length && !force) {
+    throw Object.assign(new Error(describeConflict(conflicts[0])), { status: 409, conflicts, requiresOverride: true });
+  }
+
+  const { booking: newBooking } = await acceptBooking({ ...booking, availabilityWarnings: [...conflicts, ...warnings] });
+  return { booking: newBooking };
+};
+
+module.exports = ({ csrfProtection }) => {
+  const router = express.Router();
+
+  router.get('/admin/quarantine', async (req, res) => {
+    try {
+      const [submissions, total] = await Promise.all([
+        storage.quarantine.list({}, { sort: { receivedAt: -1 }, limit: LIST_LIMIT }),
+        storage.quarantine.count({})
+      ]);
+      res.json({ submissions, total });
+    } catch (err) {
+      console.error('Error fetching quarantine:', err);
+      res.status(500).json({ error: 'Failed to fetch quarantined submissions' });
+    }
+  });
+
+  router.post('/admin/quarantine/:id/release', csrfProtection, async (req, res) => {
+    try {
+      const submission = await storage.quarantine.findById(req.params.id);
+      if (!submission) return res.status(404).json({ error: 'Submission not found', csrfToken: req.csrfToken() });
+
+      const created = await release(submission, req.body.force === true);
+      await storage.quarantine.remove(submission.id);
+
+      res.json({
+        success: true,
+        kind: submission.kind,
+        messageId: created.message && created.message.id,
+        bookingId: created.booking && created.booking.id,
+        csrfToken: req.csrfToken()
+      });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({
+          error: err.message,
+          conflicts: err.conflicts,
+          requiresOverride: err.requiresOverride,
+          csrfToken: req.csrfToken()
+        });
+      }
+      console.error('Error releasing submission:', err);
+      res.status(500).json({ error: 'Failed to release submission', csrfToken: req.csrfToken() });
+    }
+  });
+
+  router.delete('/admin/quarantine/:id', csrfProtection, async (req, res) => {
+    try {
+      const removed = await storage.quarantine.remove(req.params.id);
+      if (!removed) return res.status(404).json({ error: 'Submission not found', csrfToken: req.csrfToken() });
+      res.json({ success: true, csrfToken: req.csrfToken() });
+    } catch (err) {
+      console.error('Error deleting submission:', err);
+      res.status(500).json({ error: 'Failed to delete submission', csrfToken: req.csrfToken() });
+    }
+  });
+
+  return router;
+};
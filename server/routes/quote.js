@@ -0,0 +1,38 @@
+const express = require('express');
+const storage = require('../storage');
+const { resolvePackage } = require('../lib/packageCatalog');
+const { buildQuote } = require('../lib/quote');
+
+// ===== Quote Routes =====
+// POST /api/quote prices a prospective booking for the live estimate on
+// the booking form. It only reads the catalog, so it needs no CSRF token.
+module.exports = () => {
+  const router = express.Router();
+
+  router.post('/quote', async (req, res) => {
+    try {
+      const { package: packageId, eventType } = req.body;
+      if (!packageId) {
+        return res.status(400).json({ error: 'Choose a package to get a quote', errors: { package: 'Package is required' } });
+      }
+
+      const { package: pkg, error } = await resolvePackage(storage.packages, String(packageId), eventType);
+      if (error) {
+        return res.status(400).json({ error, errors: { package: error } });
+      }
+
+      const { quote, errors } = buildQuote({ ...req.body, pkg });
+      if (errors) {
+        return res.status(400).json({ error: 'Invalid quote options', errors });
+      }
+
+      res.set('Cache-Control', 'no-store');
+      res.json({ quote });
+    } catch (err) {
+      console.error('Error building quote:', err);
+      res.status(500).json({ error: 'Failed to build quote' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,78 @@
+require('dotenv').config();
+const storage = require('./storage');
+
+// ===== Sample Data (opt-in) =====
+// Run with `npm run seed`. Only fills empty collections so it never
+// clobbers real bookings or messages.
+const sampleBookings = () => [
+  {
+    clientName: 'John Doe',
+    clientEmail: 'john@example.com',
+    clientPhone: '555-0101',
+    eventType: 'Wedding',
+    eventDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+    package: 'Premium',
+    status: 'pending',
+    additionalNotes: 'Outdoor ceremony requested'
+  },
+  {
+    clientName: 'Jane Smith',
+    clientEmail: 'jane@example.com',
+    clientPhone: '555-0202',
+    eventType: 'Portrait',
+    eventDate: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000),
+    package: 'Basic',
+    status: 'confirmed',
+    additionalNotes: ''
+  }
+];
+
+const sampleMessages = () => [
+  {
+    name: 'Sarah Johnson',
+    email: 'sarah@example.com',
+    subject: 'Wedding Inquiry',
+    message: 'I would like information about your wedding packages.',
+    date: new Date(),
+    read: false,
+    archived: false
+  },
+  {
+    name: 'Mike Brown',
+    email: 'mike@example.com',
+    subject: 'Availability Question',
+    message: 'Are you available for a corporate event on June 15th?',
+    date: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
+    read: true,
+    archived: false
+  }
+];
+
+const initializeSampleData = async () => {
+  const result = { bookings: 0, messages: 0 };
+
+  if (await storage.bookings.count() === 0) {
+    result.bookings = (await storage.bookings.insertMany(sampleBookings())).length;
+  }
+
+  if (await storage.messages.count() === 0) {
+    result.messages = (await storage.messages.insertMany(sampleMessages())).length;
+  }
+
+  return result;
+};
+
+if (require.main === module) {
+  storage.connect()
+    .then(initializeSampleData)
+    .then(({ bookings, messages }) => {
+      console.log(`✅ Seeded ${bookings} bookings and ${messages} messages`);
+    })
+    .catch(err => {
+      console.error('❌ Seeding failed:', err);
+      process.exitCode = 1;
+    })
+    .finally(() => storage.disconnect());
+}
+
+module.exports = { initializeSampleData };
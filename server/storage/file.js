@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const { matches, compareBy } = require('./query');
+
+// ===== JSON File Storage Backend (Development) =====
+// One JSON file per collection under FILE_STORE_DIR. Records are cast and
+// validated through the same Mongoose schemas as the MongoDB backend, and
+// every write goes to a temp file that is fsync'd and renamed over the
+// original so a crash mid-write never leaves a truncated file behind.
+const storeDir = path.resolve(process.env.FILE_STORE_DIR || path.join(__dirname, '../data/store'));
+
+const clone = (value) => structuredClone(value);
+
+// update() changes are fields to set, plus MongoDB's array operators:
+// { $push: { field: value } } appends and { $pull: { field: query } } drops
+// the elements matching the query
+const applyChanges = (record, { $push = {}, $pull = {}, ...fields }) => {
+  const next = { ...record, ...fields };
+  Object.entries($push).forEach(([field, value]) => {
+    next[field] = [...(record[field] || []), value];
+  });
+  Object.entries($pull).forEach(([field, query]) => {
+    next[field] = (record[field] || []).filter(item => !matches(item, query));
+  });
+  return next;
+};
+
+const writeAtomically = async (file, contents) => {
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  const handle = await fs.promises.open(tmpFile, 'w');
+  try {
+    await handle.writeFile(contents);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.promises.rename(tmpFile, file);
+};
+
+const connect = async () => {
+  await fs.promises.mkdir(storeDir, { recursive: true });
+};
+
+const disconnect = async () => {};
+
+const status = () => 'file';
+
+const createRepository = (name, Model) => {
+  const file = path.join(storeDir, `${name}.json`);
+  const hasTimestamps = Boolean(Model.schema.options.timestamps);
+  let records = null;
+  let loading = null;
+  let writeQueue = Promise.resolve();
+  let writing = Promise.resolve();
+
+  // Run a record through the schema for defaults, casting and validation
+  const toRecord = async (data) => {
+    const doc = new Model(data);
+    await doc.validate();
+    return doc.toJSON();
+  };
+
+  const load = () => {
+    if (records) return Promise.resolve(records);
+    if (!loading) {
+      loading = fs.promises.readFile(file, 'utf8')
+        .then(raw => JSON.parse(raw).map(record => new Model(record).toJSON()))
+        .catch(err => {
+          if (err.code === 'ENOENT') return [];
+          loading = null;
+          throw err;
+        })
+        .then(loaded => {
+          records = loaded;
+          return records;
+        });
+    }
+    return loading;
+  };
+
+  // Changes to the records run one at a time, each starting from what the
+  // previous one left, so two concurrent updates can't drop each other's
+  // fields between the read and the write
+  const exclusive = (change) => {
+    const result = writing.then(change);
+    writing = result.catch(() => {});
+    return result;
+  };
+
+  // Writes are chained so two requests never interleave on the same file
+  const persist = () => {
+    const snapshot = JSON.stringify(records, null, 2);
+    writeQueue = writeQueue
+      .catch(() => {})
+      .then(() => writeAtomically(file, snapshot));
+    return writeQueue;
+  };
+
+  const stamp = (record, isNew) => {
+    if (!hasTimestamps) return record;
+    const now = new Date();
+    if (isNew) record.createdAt = now;
+    record.updatedAt = now;
+    return record;
+  };
+
+  const repository = {
+    list: async (query = {}, { sort, skip = 0, limit } = {}) => {
+      const found = (await load()).filter(record => matches(record, query));
+      if (sort) found.sort(compareBy(sort));
+      return clone(found.slice(skip, limit ? skip + limit : undefined));
+    },
+
+    count: async (query = {}) => (await load()).filter(record => matches(record, query)).length,
+
+    findById: (id) => repository.findOne({ id }),
+
+    findOne: async (query) => {
+      const record = (await load()).find(candidate => matches(candidate, query));
+      return record ? clone(record) : null;
+    },
+
+    create: (data) => exclusive(async () => {
+      await load();
+      const record = stamp(await toRecord(data), true);
+      if (records.some(existing => existing.id === record.id)) {
+        throw new Error(`Duplicate id ${record.id} in ${name}`);
+      }
+      records.push(record);
+      await persist();
+      return clone(record);
+    }),
+
+    insertMany: (list) => exclusive(async () => {
+      await load();
+      const created = [];
+      for (const data of list) {
+        created.push(stamp(await toRecord(data), true));
+      }
+      records.push(...created);
+      await persist();
+      return clone(created);
+    }),
+
+    update: (id, changes, condition = {}) => exclusive(async () => {
+      await load();
+      const index = records.findIndex(record => record.id === id);
+      if (index === -1 || !matches(records[index], condition)) return null;
+
+      const record = stamp(await toRecord(applyChanges(records[index], changes)), false);
+      records[index] = record;
+      await persist();
+      return clone(record);
+    }),
+
+    remove: (id) => exclusive(async () => {
+      await load();
+      const index = records.findIndex(record => record.id === id);
+      if (index === -1) return false;
+
+      records.splice(index, 1);
+      await persist();
+      return true;
+    })
+  };
+
+  return repository;
+};
+
+module.exports = { name: 'file', connect, disconnect, status, createRepository };
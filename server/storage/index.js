@@ -0,0 +1,52 @@
+const Booking = require('../models/Booking');
+const Message = require('../models/Message');
+const Package = require('../models/Package');
+const CalendarFeed = require('../models/CalendarFeed');
+const ImportBatch = require('../models/ImportBatch');
+const ScheduledJob = require('../models/ScheduledJob');
+const OutboundEmail = require('../models/OutboundEmail');
+const StaffRecipient = require('../models/StaffRecipient');
+const QuarantinedSubmission = require('../models/QuarantinedSubmission');
+
+// ===== Storage Selection =====
+// STORAGE_DRIVER=mongo (default) uses MongoDB through Mongoose.
+// STORAGE_DRIVER=file keeps JSON files under FILE_STORE_DIR for local
+// development without a MongoDB server.
+//
+// Every repository exposes the same async interface:
+//   list(query, { sort, skip, limit }), count(query), findById(id),
+//   findOne(query), create(data), insertMany(records),
+//   update(id, changes, condition), remove(id)
+// and always resolves to plain objects. update() with a condition (a query)
+// only writes while the record still matches it, and resolves to null
+// otherwise, as it does for an unknown id. Its changes may include
+// { $push: { field: value } } and { $pull: { field: query } } to add to or
+// take from an array field without rewriting it from a stale read.
+const DRIVERS = {
+  mongo: () => require('./mongo'),
+  file: () => require('./file')
+};
+
+const driverName = (process.env.STORAGE_DRIVER || 'mongo').toLowerCase();
+
+if (!DRIVERS[driverName]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driverName}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+}
+
+const driver = DRIVERS[driverName]();
+
+module.exports = {
+  driver: driver.name,
+  connect: driver.connect,
+  disconnect: driver.disconnect,
+  status: driver.status,
+  bookings: driver.createRepository('bookings', Booking),
+  messages: driver.createRepository('messages', Message),
+  packages: driver.createRepository('packages', Package),
+  calendarFeeds: driver.createRepository('calendarFeeds', CalendarFeed),
+  importBatches: driver.createRepository('importBatches', ImportBatch),
+  scheduledJobs: driver.createRepository('scheduledJobs', ScheduledJob),
+  outboundEmails: driver.createRepository('outboundEmails', OutboundEmail),
+  staffRecipients: driver.createRepository('staffRecipients', StaffRecipient),
+  quarantine: driver.createRepository('quarantine', QuarantinedSubmission)
+};
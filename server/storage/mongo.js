@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// ===== MongoDB Storage Backend =====
+const HIDDEN_FIELDS = { _id: 0, __v: 0 };
+
+const connect = () => {
+  mongoose.connection.on('error', err => {
+    console.error('MongoDB runtime error:', err);
+  });
+
+  return mongoose.connect(process.env.MONGODB_URI, {
+    serverSelectionTimeoutMS: 5000,
+    socketTimeoutMS: 45000,
+    maxPoolSize: 50,
+    wtimeoutMS: 2500
+  });
+};
+
+const disconnect = () => mongoose.disconnect();
+
+const status = () => (mongoose.connection.readyState === 1 ? 'connected' : 'disconnected');
+
+const createRepository = (name, Model) => ({
+  list: (query = {}, { sort, skip, limit } = {}) => {
+    const cursor = Model.find(query, HIDDEN_FIELDS).sort(sort);
+    if (skip) cursor.skip(skip);
+    if (limit) cursor.limit(limit);
+    return cursor.lean();
+  },
+
+  count: (query = {}) => Model.countDocuments(query),
+
+  findById: (id) => Model.findOne({ id }, HIDDEN_FIELDS).lean(),
+
+  findOne: (query) => Model.findOne(query, HIDDEN_FIELDS).lean(),
+
+  create: async (data) => (await Model.create(data)).toJSON(),
+
+  insertMany: async (records) => (await Model.insertMany(records)).map(doc => doc.toJSON()),
+
+  update: (id, changes, condition = {}) => Model.findOneAndUpdate({ ...condition, id }, changes, {
+    new: true,
+    runValidators: true,
+    projection: HIDDEN_FIELDS
+  }).lean(),
+
+  remove: async (id) => (await Model.deleteOne({ id })).deletedCount > 0
+});
+
+module.exports = { name: 'mongo', connect, disconnect, status, createRepository };
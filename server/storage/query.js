@@ -0,0 +1,72 @@
+// ===== In-Process Query Matching =====
+// A small subset of MongoDB query semantics so route handlers can pass the
+// same filter objects to every storage backend. Supported: equality,
+// $eq/$ne/$in/$nin/$gt/$gte/$lt/$lte/$exists/$regex, plus $or/$and.
+
+const getPath = (record, key) => key.split('.').reduce(
+  (value, part) => (value == null ? undefined : value[part]),
+  record
+);
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+const isEqual = (value, expected) => {
+  if (Array.isArray(value) && !Array.isArray(expected)) {
+    return value.some(item => isEqual(item, expected));
+  }
+  if (expected === null) return value == null;
+  return comparable(value) === comparable(expected);
+};
+
+const isOperatorObject = (condition) => condition !== null &&
+  typeof condition === 'object' &&
+  !(condition instanceof Date) &&
+  !(condition instanceof RegExp) &&
+  !Array.isArray(condition) &&
+  Object.keys(condition).some(key => key.startsWith('$'));
+
+const testRegex = (value, pattern, flags) => {
+  const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern, flags);
+  return regex.test(value == null ? '' : String(value));
+};
+
+const matchesOperators = (value, condition) => Object.entries(condition).every(([operator, operand]) => {
+  switch (operator) {
+    case '$eq': return isEqual(value, operand);
+    case '$ne': return !isEqual(value, operand);
+    case '$in': return operand.some(option => isEqual(value, option));
+    case '$nin': return !operand.some(option => isEqual(value, option));
+    case '$gt': return value != null && comparable(value) > comparable(operand);
+    case '$gte': return value != null && comparable(value) >= comparable(operand);
+    case '$lt': return value != null && comparable(value) < comparable(operand);
+    case '$lte': return value != null && comparable(value) <= comparable(operand);
+    case '$exists': return (value !== undefined) === Boolean(operand);
+    case '$regex': return testRegex(value, operand, condition.$options);
+    case '$options': return true;
+    default: throw new Error(`Unsupported query operator ${operator}`);
+  }
+});
+
+const matches = (record, query = {}) => Object.entries(query).every(([key, condition]) => {
+  if (key === '$or') return condition.some(sub => matches(record, sub));
+  if (key === '$and') return condition.every(sub => matches(record, sub));
+
+  const value = getPath(record, key);
+  if (condition instanceof RegExp) return testRegex(value, condition);
+  if (isOperatorObject(condition)) return matchesOperators(value, condition);
+  return isEqual(value, condition);
+});
+
+const compareBy = (sort = {}) => (a, b) => {
+  for (const [key, direction] of Object.entries(sort)) {
+    const left = comparable(getPath(a, key));
+    const right = comparable(getPath(b, key));
+    if (left === right) continue;
+    if (left == null) return 1;
+    if (right == null) return -1;
+    return (left < right ? -1 : 1) * (direction < 0 ? -1 : 1);
+  }
+  return 0;
+};
+
+module.exports = { matches, compareBy };
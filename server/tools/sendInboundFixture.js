@@ -0,0 +1,61 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+// ===== Inbound Email Fixture Sender =====
+// Posts a sample email to the running server the way a mail provider would,
+// to try the inbound pipeline without one:
+//   npm run inbound:fixture -- reply-with-token.eml --token 1a2b3c4d5e
+//   npm run inbound:fixture -- webhook-reply.json --from pat@example.com
+// .eml files go as raw message/rfc822, .json files as a webhook body. The
+// placeholders {{THREAD_TOKEN}}, {{FROM}} and {{MESSAGE_ID}} in a fixture are
+// filled from --token, --from and a fresh id (so reruns aren't duplicates
+// unless --message-id repeats one). --url overrides the local server address.
+// Fixtures live in server/fixtures/inbound.
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'inbound');
+
+const parseArgs = (argv) => {
+  const args = { file: null, token: '', from: 'pat@example.com', messageId: '' };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--token') args.token = argv[++i];
+    else if (argv[i] === '--from') args.from = argv[++i];
+    else if (argv[i] === '--message-id') args.messageId = argv[++i];
+    else if (argv[i] === '--url') args.url = argv[++i];
+    else args.file = argv[i];
+  }
+  return args;
+};
+
+const fixturePath = (file) => (fs.existsSync(file) ? file : path.join(FIXTURE_DIR, file));
+
+const send = async ({ file, token, from, messageId, url }) => {
+  if (!file) {
+    const fixtures = fs.readdirSync(FIXTURE_DIR).join('\n  ');
+    throw new Error(`Usage: npm run inbound:fixture -- <file> [--token t] [--from a] [--message-id id]\nFixtures:\n  ${fixtures}`);
+  }
+  if (!config.inbound.secret) throw new Error('Set INBOUND_EMAIL_SECRET (the server needs the same value)');
+
+  const body = fs.readFileSync(fixturePath(file), 'utf8')
+    .replace(/\{\{THREAD_TOKEN\}\}/g, token)
+    .replace(/\{\{FROM\}\}/g, from)
+    .replace(/\{\{MESSAGE_ID\}\}/g, messageId || `fixture-${Date.now()}@example.com`);
+
+  const response = await fetch(url || `http://127.0.0.1:${process.env.PORT || 3000}/api/inbound-email`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': file.endsWith('.json') ? 'application/json' : 'message/rfc822',
+      'x-inbound-secret': config.inbound.secret
+    },
+    body
+  });
+  console.log(response.status, await response.text());
+  if (!response.ok) process.exitCode = 1;
+};
+
+if (require.main === module) {
+  send(parseArgs(process.argv.slice(2))).catch(err => {
+    console.error('❌', err.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,164 @@
+process.env.TZ = 'America/Chicago';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { matches } = require('../../server/storage/query');
+const {
+  formatTime,
+  toDayKey,
+  dayRange,
+  bookingWindow,
+  bookingSlot,
+  evaluateSlot,
+  checkSlot,
+  isClosedDay,
+  openWindows,
+  describeConflict
+} = require('../../server/lib/availability');
+
+const SETTINGS = {
+  bufferMinutes: 60,
+  maxShootsPerDay: 2,
+  defaultDurationMinutes: 120,
+  blockingStatuses: ['confirmed', 'rescheduled'],
+  openingTime: '09:00',
+  closingTime: '18:00',
+  // Sundays and Saturdays
+  closedWeekdays: [0, 6],
+  blackoutDates: ['2026-12-24'],
+  eventDurations: {}
+};
+
+// Wednesday
+const DAY = '2026-12-09';
+
+const booking = (id, status, startTime, endTime) => ({
+  id,
+  status,
+  eventDate: new Date(`${DAY}T00:00:00`),
+  startTime,
+  endTime
+});
+
+// Enough of a storage repository for checkSlot
+const repoOf = (records) => ({
+  list: async (query) => records.filter(record => matches(record, query))
+});
+
+describe('availability calendar days', () => {
+  it('keys dates by the local calendar day', () => {
+    assert.equal(toDayKey(new Date('2026-11-05T00:00:00')), '2026-11-05');
+    assert.equal(toDayKey(new Date('2026-11-05T23:59:59')), '2026-11-05');
+    // 05:00 UTC is still the evening before in Chicago
+    assert.equal(toDayKey(new Date('2026-11-05T05:00:00Z')), '2026-11-04');
+  });
+
+  it('spans a local day, across a DST change too', () => {
+    const { start, end } = dayRange('2026-11-01');
+    assert.deepEqual(start, new Date('2026-11-01T00:00:00'));
+    assert.deepEqual(end, new Date('2026-11-02T00:00:00'));
+    assert.equal(end - start, 25 * 60 * 60 * 1000);
+  });
+
+  it('is closed on closed weekdays and blackout dates', () => {
+    assert.equal(isClosedDay('2026-12-12', SETTINGS), true);
+    assert.equal(isClosedDay('2026-12-24', SETTINGS), true);
+    assert.equal(isClosedDay(DAY, SETTINGS), false);
+  });
+
+  it('formats minutes as a 12-hour clock', () => {
+    assert.equal(formatTime(0), '12:00 AM');
+    assert.equal(formatTime(13 * 60 + 5), '1:05 PM');
+    assert.equal(formatTime(-30), '12:00 AM');
+  });
+});
+
+describe('bookingWindow', () => {
+  it('uses the start and end times', () => {
+    assert.deepEqual(bookingWindow(booking('a', 'confirmed', '10:00 AM', '1:30 PM'), SETTINGS), { start: 600, end: 810 });
+  });
+
+  it('falls back to the eventDate time and the default duration', () => {
+    const record = { eventDate: new Date(`${DAY}T14:00:00`), startTime: '', endTime: '' };
+    assert.deepEqual(bookingWindow(record, SETTINGS), { start: 840, end: 960 });
+    assert.deepEqual(bookingSlot(record, SETTINGS), { date: DAY, startTime: '2:00 PM', endTime: '4:00 PM' });
+  });
+});
+
+describe('evaluateSlot', () => {
+  const request = { date: DAY, startTime: '10:00', endTime: '12:00' };
+
+  it('finds nothing on a free day', () => {
+    assert.deepEqual(evaluateSlot(request, [], SETTINGS), { conflicts: [], warnings: [] });
+  });
+
+  it('conflicts with confirmed bookings it overlaps or sits inside the buffer of', () => {
+    const overlap = evaluateSlot(request, [booking('a', 'confirmed', '11:00', '13:00')], SETTINGS);
+    assert.equal(overlap.conflicts[0].reason, 'overlap');
+    assert.deepEqual(overlap.conflicts[0].window, { start: '10:00 AM', end: '2:00 PM' });
+
+    const buffer = evaluateSlot(request, [booking('a', 'confirmed', '12:30', '14:00')], SETTINGS);
+    assert.equal(buffer.conflicts[0].reason, 'buffer');
+
+    const clear = evaluateSlot(request, [booking('a', 'confirmed', '13:00', '14:00')], SETTINGS);
+    assert.deepEqual(clear.conflicts, []);
+  });
+
+  it('only warns about pending requests and ignores cancelled ones', () => {
+    const { conflicts, warnings } = evaluateSlot(request, [
+      booking('a', 'pending', '10:00', '11:00'),
+      booking('b', 'cancelled', '10:00', '11:00')
+    ], SETTINGS);
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(warnings.map(warning => warning.bookingId), ['a']);
+  });
+
+  it('conflicts on a full or closed day', () => {
+    const full = evaluateSlot({ date: DAY, startTime: '16:00', endTime: '17:00' }, [
+      booking('a', 'confirmed', '08:00', '09:00'),
+      booking('b', 'rescheduled', '11:00', '12:00')
+    ], SETTINGS);
+    assert.deepEqual(full.conflicts, [{ reason: 'daily-limit', date: DAY, limit: 2, bookingIds: ['a', 'b'] }]);
+    assert.equal(describeConflict(full.conflicts[0]), `We already have 2 shoots booked on ${DAY}`);
+
+    const closed = evaluateSlot({ ...request, date: '2026-12-24' }, [], SETTINGS);
+    assert.deepEqual(closed.conflicts, [{ reason: 'closed', date: '2026-12-24' }]);
+  });
+});
+
+describe('checkSlot', () => {
+  const records = [
+    booking('a', 'confirmed', '10:00', '12:00'),
+    { ...booking('b', 'confirmed', '10:00', '12:00'), eventDate: new Date('2026-12-10T00:00:00') }
+  ];
+
+  it('only looks at the requested day', async () => {
+    const { conflicts } = await checkSlot(repoOf(records), { date: DAY, startTime: '11:00', endTime: '12:00' }, { settings: SETTINGS });
+    assert.deepEqual(conflicts.map(conflict => conflict.bookingId), ['a']);
+  });
+
+  it('leaves out the booking being moved', async () => {
+    const { conflicts } = await checkSlot(repoOf(records), { date: DAY, startTime: '11:00', endTime: '12:00' }, { excludeId: 'a', settings: SETTINGS });
+    assert.deepEqual(conflicts, []);
+  });
+});
+
+describe('openWindows', () => {
+  it('is business hours minus blocking bookings and their buffers', () => {
+    const windows = openWindows(DAY, [booking('a', 'confirmed', '12:00', '13:00')], 60, SETTINGS);
+    assert.deepEqual(windows, [{ start: '09:00', end: '11:00' }, { start: '14:00', end: '18:00' }]);
+  });
+
+  it('drops gaps shorter than the shoot', () => {
+    const windows = openWindows(DAY, [booking('a', 'confirmed', '12:00', '13:00')], 180, SETTINGS);
+    assert.deepEqual(windows, [{ start: '14:00', end: '18:00' }]);
+  });
+
+  it('is empty on closed and fully booked days', () => {
+    assert.deepEqual(openWindows('2026-12-12', [], 60, SETTINGS), []);
+    assert.deepEqual(openWindows(DAY, [
+      booking('a', 'confirmed', '09:00', '10:00'),
+      booking('b', 'confirmed', '16:00', '17:00')
+    ], 60, SETTINGS), []);
+  });
+});
@@ -0,0 +1,87 @@
+// West of UTC, so a date parsed as UTC midnight lands on the previous day
+process.env.TZ = 'America/Chicago';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { allowedActions, applyTransition } = require('../../server/lib/bookingLifecycle');
+const { toDayKey } = require('../../server/lib/availability');
+
+const booking = (overrides = {}) => ({
+  id: 'b1',
+  status: 'confirmed',
+  eventDate: new Date('2026-10-01T15:30:00'),
+  startTime: '3:30 PM',
+  endTime: '5:30 PM',
+  statusHistory: [],
+  ...overrides
+});
+
+describe('allowedActions', () => {
+  it('lists the actions legal from each status', () => {
+    assert.deepEqual(allowedActions({ status: 'pending' }), ['confirm', 'cancel', 'reschedule']);
+    assert.deepEqual(allowedActions({ status: 'confirmed' }), ['cancel', 'complete', 'no-show', 'reschedule']);
+    assert.deepEqual(allowedActions({ status: 'cancelled' }), ['restore']);
+    assert.deepEqual(allowedActions({ status: 'completed' }), []);
+  });
+});
+
+describe('applyTransition', () => {
+  it('changes the status and appends to the history', () => {
+    const changes = applyTransition(booking({ status: 'pending' }), 'confirm', { reason: '  deposit agreed ', actor: 'ami' });
+    assert.equal(changes.status, 'confirmed');
+    assert.equal(changes.statusHistory.length, 1);
+    assert.equal(changes.statusHistory[0].from, 'pending');
+    assert.equal(changes.statusHistory[0].to, 'confirmed');
+    assert.equal(changes.statusHistory[0].reason, 'deposit agreed');
+    assert.equal(changes.statusHistory[0].actor, 'ami');
+  });
+
+  it('rejects unknown actions with a 400 and illegal moves with a 409', () => {
+    assert.throws(() => applyTransition(booking(), 'archive'), { status: 400 });
+    assert.throws(() => applyTransition(booking({ status: 'completed' }), 'cancel'), {
+      status: 409,
+      message: 'Cannot cancel a booking that is completed'
+    });
+  });
+
+  it('restores a cancelled booking to the status it was cancelled from', () => {
+    const history = [
+      { action: 'confirm', from: 'pending', to: 'confirmed' },
+      { action: 'cancel', from: 'confirmed', to: 'cancelled' }
+    ];
+    assert.equal(applyTransition(booking({ status: 'cancelled', statusHistory: history }), 'restore').status, 'confirmed');
+    assert.equal(applyTransition(booking({ status: 'cancelled' }), 'restore').status, 'pending');
+  });
+});
+
+describe('applyTransition reschedule', () => {
+  it('moves to the given local day and time', () => {
+    const changes = applyTransition(booking(), 'reschedule', { date: '2026-11-05', startTime: '2:00 PM', endTime: '4:00 PM' });
+    assert.equal(changes.status, 'rescheduled');
+    assert.deepEqual(changes.eventDate, new Date('2026-11-05T14:00:00'));
+    assert.equal(changes.startTime, '2:00 PM');
+    assert.equal(changes.endTime, '4:00 PM');
+    assert.deepEqual(changes.statusHistory[0].previousEventDate, booking().eventDate);
+  });
+
+  it('keeps the booking on the chosen day when it has no start time', () => {
+    const changes = applyTransition(booking({ startTime: '', eventDate: new Date('2026-10-01T00:00:00') }), 'reschedule', { date: '2026-11-05' });
+    assert.equal(toDayKey(changes.eventDate), '2026-11-05');
+  });
+
+  it('keeps the current time of day when no new one is given', () => {
+    const fromStartTime = applyTransition(booking(), 'reschedule', { date: '2026-11-05' });
+    assert.deepEqual(fromStartTime.eventDate, new Date('2026-11-05T15:30:00'));
+    assert.equal(fromStartTime.startTime, undefined);
+
+    const fromEventDate = applyTransition(booking({ startTime: '' }), 'reschedule', { date: '2026-11-05' });
+    assert.deepEqual(fromEventDate.eventDate, new Date('2026-11-05T15:30:00'));
+  });
+
+  it('requires a real date and a valid time', () => {
+    ['', '2026-11', '11/05/2026', '2027-02-31', '2026-13-01'].forEach(date => {
+      assert.throws(() => applyTransition(booking(), 'reschedule', { date }), { status: 400 }, date);
+    });
+    assert.throws(() => applyTransition(booking(), 'reschedule', { date: '2026-11-05', startTime: '25:00' }), { status: 400 });
+  });
+});
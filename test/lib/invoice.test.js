@@ -0,0 +1,190 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { matches } = require('../../server/storage/query');
+const {
+  lineItemsFor,
+  isPricedOnRequest,
+  withQuotedPrice,
+  createInvoice,
+  updateInvoiceTerms,
+  recordPayment,
+  removePayment,
+  amountDueNow,
+  recordRefund,
+  invoiceStatus,
+  paymentStatusQuery
+} = require('../../server/lib/invoice');
+
+const SETTINGS = { depositPercent: 50, depositDueDays: 7, balanceDueDaysBeforeEvent: 0 };
+const ISSUED = new Date('2026-10-01T12:00:00Z');
+
+const booking = (overrides = {}) => ({
+  id: 'abcdef12-0000-0000-0000-000000000000',
+  package: 'standard',
+  packageName: 'Standard',
+  packagePrice: 500,
+  eventDate: new Date('2026-12-09T15:00:00Z'),
+  ...overrides
+});
+
+const invoiceFor = (overrides, terms = { taxRate: 0.1 }) => createInvoice(booking(overrides), terms, SETTINGS, ISSUED);
+
+describe('invoice line items', () => {
+  it('uses the quote lines when the booking has a quote', () => {
+    const lines = [
+      { code: 'package', label: 'Standard package', quantity: 1, unitPrice: 500, amount: 500 },
+      { code: 'travel', label: 'Travel (20 mi)', quantity: 20, unitPrice: 1.5, amount: 30 }
+    ];
+    assert.deepEqual(lineItemsFor(booking({ quote: { lines } })), lines);
+  });
+
+  it('falls back to a single package line', () => {
+    assert.deepEqual(lineItemsFor(booking()), [
+      { code: 'package', label: 'Standard package', quantity: 1, unitPrice: 500, amount: 500 }
+    ]);
+  });
+
+  it('knows a package without a price is priced on request', () => {
+    assert.equal(isPricedOnRequest(booking({ packagePrice: null })), true);
+    assert.equal(isPricedOnRequest(booking({ packagePrice: undefined })), true);
+    assert.equal(isPricedOnRequest(booking({ packagePrice: 0 })), false);
+    assert.equal(isPricedOnRequest(booking()), false);
+  });
+
+  it('puts the agreed price in place of the $0 estimate line', () => {
+    const custom = booking({
+      package: 'custom',
+      packageName: 'Custom',
+      packagePrice: null,
+      quote: {
+        lines: [
+          { code: 'package', label: 'Custom package (priced on request)', quantity: 1, unitPrice: 0, amount: 0 },
+          { code: 'addon', label: 'Album', quantity: 1, unitPrice: 150, amount: 150 }
+        ]
+      }
+    });
+    const priced = withQuotedPrice(custom, 1500);
+    assert.equal(priced.packagePrice, 1500);
+    assert.deepEqual(lineItemsFor(priced), [
+      { code: 'package', label: 'Custom package', quantity: 1, unitPrice: 1500, amount: 1500 },
+      { code: 'addon', label: 'Album', quantity: 1, unitPrice: 150, amount: 150 }
+    ]);
+  });
+});
+
+describe('createInvoice', () => {
+  it('derives totals, deposit and due dates', () => {
+    const invoice = invoiceFor();
+    assert.equal(invoice.number, 'INV-20261001-ABCDEF');
+    assert.equal(invoice.subtotal, 500);
+    assert.equal(invoice.tax, 50);
+    assert.equal(invoice.total, 550);
+    assert.equal(invoice.depositAmount, 275);
+    assert.equal(invoice.balance, 550);
+    assert.equal(invoice.amountPaid, 0);
+    assert.deepEqual(invoice.depositDueDate, new Date('2026-10-08T12:00:00Z'));
+    assert.deepEqual(invoice.balanceDueDate, booking().eventDate);
+    assert.deepEqual(invoice.nextDueDate, invoice.depositDueDate);
+  });
+
+  it('never has the deposit due after the balance on short notice', () => {
+    const invoice = invoiceFor({ eventDate: new Date('2026-10-03T12:00:00Z') });
+    assert.deepEqual(invoice.depositDueDate, invoice.balanceDueDate);
+  });
+
+  it('takes explicit line items and terms', () => {
+    const invoice = invoiceFor({}, {
+      taxRate: 0,
+      depositPercent: 25,
+      lineItems: [{ label: 'Retouching', quantity: 3, unitPrice: '40' }]
+    });
+    assert.deepEqual(invoice.lineItems, [{ code: 'custom', label: 'Retouching', quantity: 3, unitPrice: 40, amount: 120 }]);
+    assert.equal(invoice.total, 120);
+    assert.equal(invoice.depositAmount, 30);
+  });
+
+  it('re-derives totals when its terms change', () => {
+    const invoice = updateInvoiceTerms(invoiceFor(), { taxRate: 0, depositPercent: 20 });
+    assert.equal(invoice.total, 500);
+    assert.equal(invoice.depositAmount, 100);
+  });
+});
+
+describe('payments and refunds', () => {
+  it('moves from the deposit to the balance as payments come in', () => {
+    let invoice = invoiceFor();
+    assert.deepEqual(amountDueNow(invoice), { purpose: 'deposit', amount: 275 });
+
+    invoice = recordPayment(invoice, { amount: '100', method: 'cash' });
+    assert.equal(invoice.amountPaid, 100);
+    assert.deepEqual(amountDueNow(invoice), { purpose: 'deposit', amount: 175 });
+
+    invoice = recordPayment(invoice, { amount: 175, method: 'check' });
+    assert.deepEqual(amountDueNow(invoice), { purpose: 'balance', amount: 275 });
+    assert.deepEqual(invoice.nextDueDate, invoice.balanceDueDate);
+
+    invoice = recordPayment(invoice, { amount: 275, method: 'transfer' });
+    assert.equal(invoice.balance, 0);
+    assert.equal(invoice.nextDueDate, null);
+    assert.equal(amountDueNow(invoice), null);
+  });
+
+  it('rejects amounts that are not positive or exceed the balance', () => {
+    const invoice = invoiceFor();
+    assert.throws(() => recordPayment(invoice, { amount: 0, method: 'cash' }), { status: 400 });
+    assert.throws(() => recordPayment(invoice, { amount: 'abc', method: 'cash' }), { status: 400 });
+    assert.throws(() => recordPayment(invoice, { amount: 551, method: 'cash' }), { status: 400 });
+  });
+
+  it('books online payments even when they exceed the balance', () => {
+    const invoice = recordPayment(invoiceFor(), { amount: 600, method: 'online', provider: 'mock' });
+    assert.equal(invoice.balance, -50);
+  });
+
+  it('removes a payment, or returns null for an unknown one', () => {
+    const paid = recordPayment(invoiceFor(), { amount: 100, method: 'cash' });
+    assert.equal(removePayment(paid, paid.payments[0].id).amountPaid, 0);
+    assert.equal(removePayment(paid, 'nope'), null);
+  });
+
+  it('records a refund once and limits it to what is left of the payment', () => {
+    const paid = recordPayment(invoiceFor(), { amount: 200, method: 'online', provider: 'mock' });
+    const paymentId = paid.payments[0].id;
+
+    const refunded = recordRefund(paid, paymentId, { id: 're_1', amount: 50 });
+    assert.equal(refunded.amountPaid, 150);
+    assert.equal(refunded.balance, 400);
+    // Providers repeat webhooks
+    assert.equal(recordRefund(refunded, paymentId, { id: 're_1', amount: 50 }), refunded);
+
+    assert.throws(() => recordRefund(refunded, paymentId, { id: 're_2', amount: 151 }), { status: 400 });
+    assert.throws(() => recordRefund(refunded, 'nope', { id: 're_3', amount: 1 }), { status: 404 });
+  });
+});
+
+describe('payment status', () => {
+  const now = new Date('2026-10-05T12:00:00Z');
+  const later = new Date('2026-11-01T12:00:00Z');
+  const unpaid = invoiceFor();
+  const partial = recordPayment(unpaid, { amount: 100, method: 'cash' });
+  const paid = recordPayment(unpaid, { amount: 550, method: 'cash' });
+
+  it('is derived from the balance and the next due date', () => {
+    assert.equal(invoiceStatus(null), null);
+    assert.equal(invoiceStatus(unpaid, now), 'unpaid');
+    assert.equal(invoiceStatus(partial, now), 'partially-paid');
+    assert.equal(invoiceStatus(paid, now), 'paid');
+    assert.equal(invoiceStatus(partial, later), 'overdue');
+  });
+
+  it('has a storage query that agrees with invoiceStatus', () => {
+    const statuses = ['unpaid', 'partially-paid', 'paid', 'overdue'];
+    [[unpaid, now], [partial, now], [paid, now], [partial, later], [unpaid, later]].forEach(([invoice, at]) => {
+      const record = { invoice };
+      const matching = statuses.filter(status => matches(record, paymentStatusQuery(status, at)));
+      assert.deepEqual(matching, [invoiceStatus(invoice, at)]);
+    });
+    assert.equal(matches({ invoice: null }, paymentStatusQuery('none')), true);
+    assert.equal(paymentStatusQuery('bogus'), null);
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const config = require('../../server/config');
+const { HONEYPOT_FIELD, issueChallenge, scoreContent, assessSubmission } = require('../../server/lib/spamGuard');
+
+const NOW = Date.now();
+
+const leadingZeroBits = (hash) => {
+  let bits = 0;
+  for (const byte of hash) {
+    if (byte) return bits + Math.clz32(byte) - 24;
+    bits += 8;
+  }
+  return bits;
+};
+
+const solve = ({ challenge, difficulty }) => {
+  for (let solution = 0; ; solution += 1) {
+    const hash = crypto.createHash('sha256').update(`${challenge}:${solution}`).digest();
+    if (leadingZeroBits(hash) >= difficulty) return String(solution);
+  }
+};
+
+// Rate limits are kept per address and IP for the whole process, so every
+// submission here comes from its own sender unless a test says otherwise
+let sender = 0;
+const assess = (body, overrides = {}) => {
+  sender += 1;
+  return assessSubmission({
+    body,
+    email: `visitor${sender}@example.com`,
+    name: 'Pat Client',
+    text: 'We would love a family session in the park next month.',
+    ip: `192.0.2.${sender}`,
+    now: NOW,
+    ...overrides
+  });
+};
+
+// A challenge from a page loaded long enough ago, solved
+const solvedChallenge = () => {
+  const issued = issueChallenge(NOW - 60 * 1000);
+  return { challenge: issued.challenge, solution: solve(issued) };
+};
+
+const checks = (result) => result.reasons.map(reason => reason.check);
+const details = (result) => result.reasons.map(reason => reason.detail);
+
+describe('spamGuard challenges', () => {
+  it('issues signed challenges at the configured difficulty', () => {
+    const issued = issueChallenge(NOW);
+    assert.equal(issued.challenge.split('.').length, 4);
+    assert.equal(issued.difficulty, config.spam.powBits);
+    assert.equal(issued.expiresAt.getTime(), NOW + config.spam.challengeMinutes * 60 * 1000);
+  });
+
+  it('passes a solved challenge from a form filled in at human speed', () => {
+    const result = assess(solvedChallenge());
+    assert.deepEqual(result, { spam: false, reasons: [], score: 0 });
+  });
+
+  it('flags a missing, forged or expired challenge', () => {
+    assert.deepEqual(details(assess({})), ['No challenge sent']);
+
+    const { challenge, solution } = solvedChallenge();
+    const forged = challenge.replace(/\.[0-9a-f]+$/, `.${'0'.repeat(32)}`);
+    assert.deepEqual(details(assess({ challenge: forged, solution })), ['Challenge signature is invalid']);
+
+    const old = issueChallenge(NOW - (config.spam.challengeMinutes + 1) * 60 * 1000);
+    assert.deepEqual(details(assess({ challenge: old.challenge, solution: solve(old) })), ['Challenge expired']);
+  });
+
+  it('accepts each solved challenge once', () => {
+    const proof = solvedChallenge();
+    assert.deepEqual(checks(assess(proof)), []);
+    assert.deepEqual(details(assess(proof)), ['Challenge was already used']);
+  });
+
+  it('does not spend a challenge on a wrong solution', () => {
+    const proof = solvedChallenge();
+    assert.deepEqual(details(assess({ ...proof, solution: '' })), ['Proof-of-work missing or wrong']);
+    assert.deepEqual(checks(assess(proof)), []);
+  });
+
+  it('flags a form sent too soon after the page loaded', () => {
+    const issued = issueChallenge(NOW - 500);
+    const result = assess({ challenge: issued.challenge, solution: solve(issued) });
+    assert.deepEqual(checks(result), ['too-fast']);
+  });
+});
+
+describe('spamGuard other checks', () => {
+  it('flags a filled honeypot', () => {
+    const result = assess({ ...solvedChallenge(), [HONEYPOT_FIELD]: 'http://spam.example' });
+    assert.deepEqual(checks(result), ['honeypot']);
+  });
+
+  it('rate-limits by sender address', () => {
+    const email = 'busy@example.com';
+    const results = Array.from({ length: config.spam.maxPerEmail + 1 }, () => assess(solvedChallenge(), { email }));
+    assert.deepEqual(results.map(result => result.spam), [...Array(config.spam.maxPerEmail).fill(false), true]);
+    assert.deepEqual(checks(results[results.length - 1]), ['rate-limit']);
+  });
+
+  it('rate-limits by IP', () => {
+    const ip = '198.51.100.7';
+    const results = Array.from({ length: config.spam.maxPerIp + 1 }, () => assess(solvedChallenge(), { ip }));
+    assert.equal(results.filter(result => result.spam).length, 1);
+    assert.match(details(results[results.length - 1])[0], /submissions from 198\.51\.100\.7/);
+  });
+
+  it('quarantines text that scores at or over the threshold', () => {
+    const result = assess(solvedChallenge(), { text: 'Click here for SEO services: https://a.example https://b.example' });
+    assert.deepEqual(checks(result), ['content']);
+  });
+});
+
+describe('scoreContent', () => {
+  it('scores nothing for an ordinary enquiry', () => {
+    assert.deepEqual(scoreContent({ name: 'Pat Client', text: 'Do you have dates in June?' }), { score: 0, signals: [] });
+  });
+
+  it('adds up links, spam phrases, odd names and shouting', () => {
+    assert.equal(scoreContent({ text: 'see https://a.example and www.b.example' }).score, 4);
+    assert.equal(scoreContent({ text: 'Buy now! Click here, buy now' }).score, 6);
+    assert.equal(scoreContent({ name: 'Pat www.example.com', text: '' }).score, 5);
+    assert.equal(scoreContent({ name: '12345678', text: '' }).score, 5);
+
+    const { score, signals } = scoreContent({ text: 'PLEASE CALL ME BACK ABOUT THE WEDDING TODAY' });
+    assert.equal(score, 2);
+    assert.deepEqual(signals, ['mostly capitals']);
+  });
+});
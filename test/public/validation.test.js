@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { bookingSchema, contactSchema, parseTime, validate } = require('../../public/js/validation');
+
+const BOOKING = {
+  name: 'Pat Client',
+  email: 'pat@example.com',
+  phone: '(555) 123-4567',
+  eventType: 'wedding',
+  date: '2099-06-12',
+  package: 'standard',
+  startTime: '2:00 PM',
+  endTime: '6:00 PM',
+  location: 'Botanic Garden',
+  distanceMiles: '',
+  details: ''
+};
+
+const bookingErrors = (overrides) => validate(bookingSchema, { ...BOOKING, ...overrides }).errors;
+
+describe('parseTime', () => {
+  it('reads 12- and 24-hour times as minutes since midnight', () => {
+    assert.equal(parseTime('2:00 PM'), 840);
+    assert.equal(parseTime('2 pm'), 840);
+    assert.equal(parseTime('12:30 AM'), 30);
+    assert.equal(parseTime('12:00 PM'), 720);
+    assert.equal(parseTime('14:00'), 840);
+    assert.equal(parseTime('09:15:00'), 555);
+  });
+
+  it('returns null for anything else', () => {
+    ['', null, '24:00', '13:00 PM', '0 AM', '10:60', 'noon', '10.30'].forEach(value => {
+      assert.equal(parseTime(value), null, String(value));
+    });
+  });
+});
+
+describe('validate bookingSchema', () => {
+  it('accepts a complete booking and trims its values', () => {
+    const { valid, errors, values } = validate(bookingSchema, { ...BOOKING, name: '  Pat Client ' });
+    assert.deepEqual(errors, {});
+    assert.equal(valid, true);
+    assert.equal(values.name, 'Pat Client');
+  });
+
+  it('keeps only schema fields, with missing optional ones as empty strings', () => {
+    const { values } = validate(bookingSchema, { ...BOOKING, distanceMiles: undefined, admin: true });
+    assert.equal(values.distanceMiles, '');
+    assert.equal('admin' in values, false);
+  });
+
+  it('requires the required fields', () => {
+    const { valid, errors } = validate(bookingSchema, {});
+    assert.equal(valid, false);
+    assert.deepEqual(Object.keys(errors).sort(), [
+      'date', 'email', 'endTime', 'eventType', 'location', 'name', 'package', 'phone', 'startTime'
+    ]);
+    assert.equal(errors.name, 'Full name is required');
+  });
+
+  it('checks formats, lengths and choices', () => {
+    assert.deepEqual(Object.keys(bookingErrors({
+      email: 'pat@example',
+      phone: '12-34',
+      eventType: 'bar mitzvah',
+      distanceMiles: '-3',
+      details: 'x'.repeat(2001)
+    })).sort(), ['details', 'distanceMiles', 'email', 'eventType', 'phone']);
+  });
+
+  it('accepts real dates, leap days included', () => {
+    assert.deepEqual(bookingErrors({ date: '2096-02-29' }), {});
+    assert.deepEqual(bookingErrors({ date: '2099-12-31' }), {});
+  });
+
+  it('rejects impossible and malformed dates rather than rolling them over', () => {
+    ['2099-02-29', '2099-02-31', '2099-04-31', '2099-13-01', '2099-00-10', '2099-6-1', '12/06/2099'].forEach(date => {
+      assert.equal(bookingErrors({ date }).date, 'Please choose a valid date', date);
+    });
+  });
+
+  it('rejects past dates', () => {
+    assert.equal(bookingErrors({ date: '2001-01-01' }).date, 'Event date must be today or later');
+  });
+
+  it('needs the end time after the start time', () => {
+    assert.equal(bookingErrors({ endTime: '2:00 PM' }).endTime, 'End time must be after start time');
+    assert.equal(bookingErrors({ endTime: '25:00' }).endTime, 'Please choose a valid time');
+  });
+});
+
+describe('validate contactSchema', () => {
+  it('only requires a name, an email and a message', () => {
+    assert.deepEqual(validate(contactSchema, { name: 'Pat', email: 'pat@example.com', message: 'Hello' }).errors, {});
+    assert.deepEqual(Object.keys(validate(contactSchema, { phone: 'call me' }).errors).sort(), ['email', 'message', 'name', 'phone']);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { matches, compareBy } = require('../../server/storage/query');
+
+describe('storage/query matches', () => {
+  const booking = {
+    id: 'b1',
+    status: 'confirmed',
+    clientName: 'Jane Smith',
+    eventDate: new Date('2026-12-09T15:00:00Z'),
+    addOns: ['album', 'drone'],
+    invoice: { balance: 120, revision: 2 }
+  };
+
+  it('matches plain equality, dotted paths and array membership', () => {
+    assert.equal(matches(booking, { status: 'confirmed' }), true);
+    assert.equal(matches(booking, { 'invoice.balance': 120 }), true);
+    assert.equal(matches(booking, { addOns: 'drone' }), true);
+    assert.equal(matches(booking, { addOns: 'prints' }), false);
+    assert.equal(matches(booking, {}), true);
+  });
+
+  it('treats null as "missing or null", as MongoDB does', () => {
+    assert.equal(matches(booking, { 'invoice.paidAt': null }), true);
+    assert.equal(matches({ id: 'b2' }, { invoice: null }), true);
+    assert.equal(matches({ id: 'b2' }, { 'invoice.revision': null }), true);
+    assert.equal(matches(booking, { 'invoice.revision': null }), false);
+  });
+
+  it('compares dates by time', () => {
+    assert.equal(matches(booking, { eventDate: new Date('2026-12-09T15:00:00Z') }), true);
+    assert.equal(matches(booking, { eventDate: { $gte: new Date('2026-12-09T00:00:00Z'), $lt: new Date('2026-12-10T00:00:00Z') } }), true);
+    assert.equal(matches(booking, { eventDate: { $lt: new Date('2026-12-09T00:00:00Z') } }), false);
+  });
+
+  it('supports the comparison and set operators', () => {
+    assert.equal(matches(booking, { status: { $ne: 'cancelled' } }), true);
+    assert.equal(matches(booking, { status: { $in: ['pending', 'confirmed'] } }), true);
+    assert.equal(matches(booking, { status: { $nin: ['pending', 'confirmed'] } }), false);
+    assert.equal(matches(booking, { 'invoice.balance': { $gt: 0, $lte: 120 } }), true);
+    assert.equal(matches(booking, { 'invoice.deposit': { $gt: 0 } }), false);
+  });
+
+  it('supports $exists and $regex with options', () => {
+    assert.equal(matches(booking, { invoice: { $exists: true } }), true);
+    assert.equal(matches(booking, { archivedAt: { $exists: false } }), true);
+    assert.equal(matches(booking, { clientName: { $regex: 'smith', $options: 'i' } }), true);
+    assert.equal(matches(booking, { clientName: { $regex: 'smith' } }), false);
+    assert.equal(matches(booking, { clientName: /^jane/i }), true);
+  });
+
+  it('combines conditions with $or and $and', () => {
+    assert.equal(matches(booking, { $or: [{ status: 'pending' }, { clientName: 'Jane Smith' }] }), true);
+    assert.equal(matches(booking, { $and: [{ status: 'confirmed' }, { addOns: 'prints' }] }), false);
+  });
+
+  it('refuses operators it does not implement', () => {
+    assert.throws(() => matches(booking, { addOns: { $size: 2 } }), /Unsupported query operator \$size/);
+  });
+});
+
+describe('storage/query compareBy', () => {
+  const records = [
+    { id: 'a', eventDate: new Date('2026-12-01'), name: 'Bea' },
+    { id: 'b', eventDate: new Date('2026-11-01'), name: 'Al' },
+    { id: 'c', eventDate: null, name: 'Cy' },
+    { id: 'd', eventDate: new Date('2026-12-01'), name: 'Al' }
+  ];
+
+  it('sorts by each key in turn', () => {
+    const sorted = [...records].sort(compareBy({ eventDate: 1, name: 1 }));
+    assert.deepEqual(sorted.map(record => record.id), ['b', 'd', 'a', 'c']);
+  });
+
+  it('reverses for negative directions but keeps missing values last', () => {
+    const sorted = [...records].sort(compareBy({ eventDate: -1, id: -1 }));
+    assert.deepEqual(sorted.map(record => record.id), ['d', 'a', 'b', 'c']);
+  });
+});